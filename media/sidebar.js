@@ -15,16 +15,35 @@
 
   const vscode = acquireVsCodeApi();
   const root = document.getElementById('root');
+  const searchInput = document.getElementById('searchInput');
+  const searchResults = document.getElementById('searchResults');
+
+  const SEARCH_DEBOUNCE_DELAY = 200;
 
   // ========== 状态 ==========
   let currentClassDoc = null;
   const collapsedMethods = new Set();
   const collapsedGroups = new Set();   // 记录被折叠的分组
   let isCompactMode = true;
+  let settings = { compactLastModified: false };
+  let showChangedOnly = false;          // 只显示相对比较基准改动过的成员
+  let ownershipExpanded = false;        // 头部代码归属面板是否展开
+  // 头部「最后修改」的提交详情弹出框：{ hash, status: 'loading' | 'loaded', details }，未打开时为 null
+  let commitPopover = null;
+  // 方法历史：id → { status: 'loading' | 'loaded', entries }，切换文件时清空
+  const methodHistories = new Map();
+  let searchQuery = '';
+  let searchTimer = null;
 
   // ========== 初始化 ==========
   function init() {
     window.addEventListener('message', handleMessage);
+    window.addEventListener('keydown', event => {
+      if (event.key === 'Escape' && commitPopover) {
+        closeCommitPopover();
+      }
+    });
+    bindSearchEvents();
     vscode.postMessage({ type: 'webviewReady' });
   }
 
@@ -34,6 +53,10 @@
 
     switch (message.type) {
       case 'updateView':
+        if (currentClassDoc?.filePath !== message.payload.filePath) {
+          methodHistories.clear();
+          commitPopover = null;
+        }
         currentClassDoc = message.payload;
         renderClassDoc(message.payload);
         break;
@@ -51,6 +74,29 @@
         currentClassDoc = null;
         renderMarkdown(message.payload.content, message.payload.fileName);
         break;
+
+      case 'searchResults':
+        renderSearchResults(message.payload);
+        break;
+
+      case 'methodHistory':
+        methodHistories.set(message.payload.id, { status: 'loaded', entries: message.payload.entries });
+        updateHistorySection(message.payload.id);
+        break;
+
+      case 'commitDetails':
+        if (commitPopover?.hash === message.payload.hash) {
+          commitPopover = { hash: message.payload.hash, status: 'loaded', details: message.payload.details };
+          updateCommitPopover();
+        }
+        break;
+
+      case 'updateSettings':
+        settings = message.payload;
+        if (currentClassDoc) {
+          renderClassDoc(currentClassDoc);
+        }
+        break;
     }
   }
 
@@ -83,11 +129,36 @@
   /**
    * 主渲染入口 —— 分组策略
    */
+  /**
+   * 文档覆盖率：已注释 / 总数，悬浮显示按访问修饰符的明细
+   */
+  function renderCoverage(coverage) {
+    if (!coverage || coverage.total === 0) return '';
+
+    const percent = Math.floor((coverage.documented / coverage.total) * 100);
+    const level = percent >= 80 ? 'high' : percent >= 50 ? 'medium' : 'low';
+    const breakdown = ['public', 'protected', 'internal', 'default', 'private']
+      .filter(access => coverage.byAccess[access].total > 0)
+      .map(access => {
+        const counts = coverage.byAccess[access];
+        return `${access}: ${counts.documented}/${counts.total}`;
+      })
+      .join('\n');
+
+    return `
+      <div class="coverage coverage-${level}" title="${escapeHtml(breakdown)}">
+        <span class="coverage-label">文档覆盖率</span>
+        <span class="coverage-bar"><span class="coverage-fill" style="width: ${percent}%"></span></span>
+        <span class="coverage-value">${percent}% (${coverage.documented}/${coverage.total})</span>
+      </div>
+    `;
+  }
+
   function renderClassDoc(classDoc) {
-    const constructors = (classDoc.methods || []).filter(m => m.kind === 'constructor');
-    const methods = (classDoc.methods || []).filter(m => m.kind === 'method');
-    const fields = classDoc.fields || [];
-    const enumConstants = classDoc.enumConstants || [];
+    let constructors = (classDoc.methods || []).filter(m => m.kind === 'constructor');
+    let methods = (classDoc.methods || []).filter(m => m.kind === 'method');
+    let fields = classDoc.fields || [];
+    let enumConstants = classDoc.enumConstants || [];
 
     const hasContent = constructors.length > 0 || methods.length > 0
       || fields.length > 0 || enumConstants.length > 0;
@@ -97,6 +168,16 @@
       return;
     }
 
+    // 改动筛选：没有改动的成员时不筛选（枚举常量不参与改动标记）
+    const changedCount = [...(classDoc.methods || []), ...fields]
+      .filter(member => member.changeStatus).length;
+    if (showChangedOnly && changedCount > 0) {
+      constructors = constructors.filter(m => m.changeStatus);
+      methods = methods.filter(m => m.changeStatus);
+      fields = fields.filter(f => f.changeStatus);
+      enumConstants = [];
+    }
+
     let html = '';
 
     // 头部：类信息 + 切换按钮
@@ -104,7 +185,12 @@
       <div class="header">
         <div class="header-top">
           <div class="class-info">
-            <div class="class-name">${escapeHtml(classDoc.className)}</div>
+            <div class="class-name">
+              ${escapeHtml(classDoc.className)}
+              ${classDoc.symbolSource === 'heuristic'
+                ? '<span class="heuristic-badge" title="未获取到 Language Server 符号，成员由源码文本推断，可能不完整">heuristic</span>'
+                : ''}
+            </div>
             ${classDoc.packageName ? `<div class="package-name">${escapeHtml(classDoc.packageName)}</div>` : ''}
           </div>
           <button class="view-toggle" id="viewToggle" title="${isCompactMode ? '切换到详细视图' : '切换到简洁视图'}">
@@ -112,7 +198,11 @@
           </button>
         </div>
         ${renderAuthorInfo(classDoc)}
-        ${classDoc.classComment ? `<div class="class-comment">${escapeHtml(classDoc.classComment)}</div>` : ''}
+        ${renderCommitPopover(classDoc)}
+        ${renderOwnershipPanel(classDoc.ownership)}
+        ${renderCoverage(classDoc.coverage)}
+        ${renderChangeFilter(classDoc.changeBase, changedCount)}
+        ${classDoc.classComment ? `<div class="class-comment">${renderDescription(classDoc.classCommentBlocks, classDoc.classCommentTokens, classDoc.classComment)}</div>` : ''}
       </div>
     `;
 
@@ -218,7 +308,7 @@
    */
   function renderMethodCompact(method) {
     const noCommentClass = method.hasComment ? '' : 'no-comment';
-    const firstLine = getFirstLine(method.description);
+    const firstLine = getFirstLine(tokensToPlainText(method.descriptionTokens, method.description));
     const returnType = method.tags?.returns?.type || 'void';
     const kindIcon = method.kind === 'constructor' ? getConstructorIcon() : getMethodIcon();
 
@@ -241,6 +331,11 @@
           <span class="item-kind-icon" title="${method.kind === 'constructor' ? '构造函数' : '方法'}">${kindIcon}</span>
           <span class="method-name">${escapeHtml(method.name)}</span>
           <span class="method-access">${escapeHtml(method.accessModifier)}</span>
+          ${renderChangeBadge(method.changeStatus)}
+          ${renderStaleBadge(method.diagnostics)}
+          ${renderSinceBadge(method.diagnostics)}
+          ${renderInheritedSummary(method.inherited)}
+          ${renderWarningBadge(method.diagnostics)}
         </div>
         <div class="method-compact-meta">
           ${returnHtml}
@@ -248,10 +343,15 @@
             <span class="meta-label">参数:</span>
             <span class="meta-value params-value">${escapeHtml(paramsStr)}</span>
           </div>
+          ${settings.compactLastModified && method.gitInfo ? `
+          <div class="method-meta-row">
+            <span class="meta-label">最后修改:</span>
+            ${renderMemberGitInfo(method.gitInfo)}
+          </div>` : ''}
         </div>
         ${firstLine
           ? `<div class="method-desc-preview">${escapeHtml(firstLine)}</div>`
-          : (method.hasComment ? '' : '<div class="method-desc-preview no-doc">无注释</div>')}
+          : (method.hasComment ? '' : `<div class="method-desc-preview no-doc">无注释${renderGenerateButton(method.startLine)}</div>`)}
       </div>
     `;
   }
@@ -270,12 +370,19 @@
     const paramsStr = params.length > 0
       ? params.map(p => `${p.type} ${p.name}`).join(', ')
       : '无参数';
+    const inherited = method.inherited || { description: null, params: {}, returns: null, throws: {} };
 
     let contentHtml = '';
 
+    contentHtml += renderDocWarnings(method.diagnostics);
+
     if (method.hasComment) {
       if (method.description) {
-        contentHtml += `<div class="method-description">${escapeHtml(method.description)}</div>`;
+        contentHtml += `<div class="method-description">${renderDescription(method.descriptionBlocks, method.descriptionTokens, method.description)}${renderInheritedBadge(inherited.description)}</div>`;
+      }
+
+      if (method.tags.remarks) {
+        contentHtml += renderRemarksSection(method.tags.remarks);
       }
 
       if (method.tags.doc) {
@@ -286,32 +393,50 @@
         contentHtml += renderExampleSection(method.tags.example);
       }
 
+      if (method.tags.sections) {
+        contentHtml += method.tags.sections.map(renderRustSection).join('');
+      }
+
       if (method.tags.deprecated) {
         contentHtml += `
           <div class="deprecated-tag">
             <span class="other-tag-name">@deprecated</span>
-            ${escapeHtml(method.tags.deprecated)}
+            ${renderRichText(method.tags.deprecatedTokens, method.tags.deprecated)}
           </div>
         `;
       }
 
+      if (method.tags.templates && method.tags.templates.length > 0) {
+        contentHtml += renderTemplatesTable(method.tags.templates);
+      }
+
       if (method.tags.params && method.tags.params.length > 0) {
-        contentHtml += renderParamsTable(method.tags.params);
+        contentHtml += renderParamsTable(method.tags.params, undefined, inherited.params);
       }
 
       if (method.tags.returns) {
-        contentHtml += renderReturnsTable(method.tags.returns);
+        contentHtml += renderReturnsTable(method.tags.returns, inherited.returns);
       }
 
       if (method.tags.throws && method.tags.throws.length > 0) {
-        contentHtml += renderThrowsTable(method.tags.throws);
+        contentHtml += renderThrowsTable(method.tags.throws, inherited.throws);
+      }
+
+      if (method.tags.properties && method.tags.properties.length > 0) {
+        contentHtml += renderParamsTable(method.tags.properties, '属性 Properties');
+      }
+
+      for (const typedef of method.tags.typedefs || []) {
+        contentHtml += renderTypedefSection(typedef);
       }
 
-      contentHtml += renderOtherTags(method.tags);
+      contentHtml += renderOtherTags(method.tags, method.inferredSince);
     } else {
-      contentHtml += '<div class="no-comment-hint">无注释</div>';
+      contentHtml += `<div class="no-comment-hint">无注释${renderGenerateButton(method.startLine)}</div>`;
     }
 
+    contentHtml += `<div class="history-section" data-id="${escapeHtml(method.id)}">${renderHistoryContent(method.id)}</div>`;
+
     // 构造函数不显示返回类型
     const returnHtml = method.kind === 'constructor' ? '' : `
       <span class="detail-meta-item">
@@ -329,6 +454,11 @@
               <span class="item-kind-icon" title="${method.kind === 'constructor' ? '构造函数' : '方法'}">${kindIcon}</span>
               <span class="method-name">${escapeHtml(method.name)}</span>
               <span class="access-badge">${escapeHtml(method.accessModifier)}</span>
+              ${renderChangeBadge(method.changeStatus)}
+              ${renderStaleBadge(method.diagnostics)}
+              ${renderSinceBadge(method.diagnostics)}
+              ${renderInheritedSummary(method.inherited)}
+              ${renderWarningBadge(method.diagnostics)}
             </div>
             <div class="method-detail-meta">
               ${returnHtml}
@@ -336,6 +466,16 @@
                 <span class="detail-label">参数:</span>
                 <span class="detail-params">${escapeHtml(paramsStr)}</span>
               </span>
+              ${method.gitInfo ? `
+              <span class="detail-meta-item">
+                <span class="detail-label">修改:</span>
+                ${renderMemberGitInfo(method.gitInfo)}
+              </span>` : ''}
+              ${method.ownership && method.ownership.length > 1 ? `
+              <span class="detail-meta-item">
+                <span class="detail-label">归属:</span>
+                ${renderOwnershipSummary(method.ownership)}
+              </span>` : ''}
             </div>
           </div>
         </div>
@@ -364,10 +504,12 @@
           <span class="field-type">${escapeHtml(field.type)}</span>
           ${constantBadge}
           <span class="method-access">${escapeHtml(field.accessModifier)}</span>
+          ${renderChangeBadge(field.changeStatus)}
+          ${!isCompactMode || settings.compactLastModified ? renderMemberGitInfo(field.gitInfo) : ''}
         </div>
         ${field.description
-          ? `<div class="field-description">${escapeHtml(getFirstLine(field.description))}</div>`
-          : (field.hasComment ? '' : '<div class="field-description no-doc">无注释</div>')}
+          ? `<div class="field-description">${escapeHtml(getFirstLine(tokensToPlainText(field.descriptionTokens, field.description)))}</div>`
+          : (field.hasComment ? '' : `<div class="field-description no-doc">无注释${renderGenerateButton(field.startLine)}</div>`)}
       </div>
     `;
   }
@@ -389,29 +531,37 @@
           ${argsHtml}
         </div>
         ${ec.description
-          ? `<div class="field-description">${escapeHtml(getFirstLine(ec.description))}</div>`
-          : (ec.hasComment ? '' : '<div class="field-description no-doc">无注释</div>')}
+          ? `<div class="field-description">${escapeHtml(getFirstLine(tokensToPlainText(ec.descriptionTokens, ec.description)))}</div>`
+          : (ec.hasComment ? '' : `<div class="field-description no-doc">无注释${renderGenerateButton(ec.startLine)}</div>`)}
       </div>
     `;
   }
 
   // ========== 标签表格 ==========
 
-  function renderParamsTable(params) {
+  /**
+   * 参数表格，同时用于 @property（JSDoc）
+   * 可选参数名后追加 "?"，默认值显示在类型下方
+   * inheritedFrom：参数名 → 提供该参数文档的父类型
+   */
+  function renderParamsTable(params, title = '参数 Parameters', inheritedFrom = {}) {
     let rows = '';
     for (const param of params) {
+      const defaultHtml = param.defaultValue
+        ? `<div class="default-value">= ${escapeHtml(param.defaultValue)}</div>`
+        : '';
       rows += `
         <tr>
-          <td class="name-cell">${escapeHtml(param.name)}</td>
-          <td class="type-cell">${escapeHtml(param.type)}</td>
-          <td>${escapeHtml(param.description) || '-'}</td>
+          <td class="name-cell">${escapeHtml(param.name)}${param.optional ? '<span class="optional-mark">?</span>' : ''}</td>
+          <td class="type-cell">${escapeHtml(param.type)}${defaultHtml}</td>
+          <td>${renderRichText(param.descriptionTokens, param.description) || '-'}${renderInheritedBadge(inheritedFrom[param.name])}</td>
         </tr>
       `;
     }
 
     return `
       <div class="tag-section">
-        <div class="tag-title">参数 Parameters</div>
+        <div class="tag-title">${escapeHtml(title)}</div>
         <table class="tag-table">
           <thead>
             <tr>
@@ -426,7 +576,7 @@
     `;
   }
 
-  function renderReturnsTable(returns) {
+  function renderReturnsTable(returns, inheritedFrom = null) {
     return `
       <div class="tag-section">
         <div class="tag-title">返回值 Returns</div>
@@ -440,7 +590,7 @@
           <tbody>
             <tr>
               <td class="type-cell">${escapeHtml(returns.type)}</td>
-              <td>${escapeHtml(returns.description) || '-'}</td>
+              <td>${renderRichText(returns.descriptionTokens, returns.description) || '-'}${renderInheritedBadge(inheritedFrom)}</td>
             </tr>
           </tbody>
         </table>
@@ -448,13 +598,13 @@
     `;
   }
 
-  function renderThrowsTable(throws) {
+  function renderThrowsTable(throws, inheritedFrom = {}) {
     let rows = '';
     for (const t of throws) {
       rows += `
         <tr>
           <td class="type-cell">${escapeHtml(t.type)}</td>
-          <td>${escapeHtml(t.description) || '-'}</td>
+          <td>${renderRichText(t.descriptionTokens, t.description) || '-'}${renderInheritedBadge(inheritedFrom[t.type])}</td>
         </tr>
       `;
     }
@@ -475,14 +625,162 @@
     `;
   }
 
-  function renderOtherTags(tags) {
+  /**
+   * 无注释成员的“生成注释”按钮（按签名插入模板）
+   */
+  function renderGenerateButton(line) {
+    return `<button class="generate-doc-btn" data-line="${line}" title="按签名生成注释模板">生成注释</button>`;
+  }
+
+  /**
+   * 文档诊断数量（标签与签名不一致），悬停显示明细
+   */
+  function renderWarningBadge(diagnostics) {
+    if (!diagnostics || diagnostics.length === 0) return '';
+    const details = diagnostics.map(d => d.message).join('\n');
+    return `<span class="warning-badge" title="${escapeHtml(details)}">⚠ ${diagnostics.length}</span>`;
+  }
+
+  /**
+   * 注释落后于代码（staleDoc 诊断）时的醒目标记，详情仍在警告列表中
+   */
+  function renderStaleBadge(diagnostics) {
+    const stale = (diagnostics || []).find(d => d.code === 'staleDoc');
+    if (!stale) return '';
+    return `<span class="stale-badge" title="${escapeHtml(stale.message)}">文档可能过期</span>`;
+  }
+
+  /**
+   * @since 缺失或与 Git 标签推断的版本不一致时的标记
+   */
+  function renderSinceBadge(diagnostics) {
+    const since = (diagnostics || []).find(d => d.code === 'missingSince' || d.code === 'sinceMismatch');
+    if (!since) return '';
+    const label = since.code === 'missingSince' ? '缺少 @since' : '@since 不一致';
+    return `<span class="since-badge" title="${escapeHtml(since.message)}">${label}</span>`;
+  }
+
+  /**
+   * 推断的版本，与声明的 @since 不同时高亮
+   */
+  function renderInferredSince(declared, inferredSince) {
+    if (!inferredSince) return '';
+    const normalize = value => value.trim().split(/\s+/)[0].replace(/^v(?=\d)/i, '');
+    const mismatch = !declared || normalize(declared) !== normalize(inferredSince.version);
+    return `<span class="since-inferred${mismatch ? ' mismatch' : ''}" title="首次出现于 Git 标签 ${escapeHtml(inferredSince.tag)}">推断 ${escapeHtml(inferredSince.version)}</span>`;
+  }
+
+  /**
+   * 详细模式中的诊断列表，点击跳转到问题所在行
+   */
+  function renderDocWarnings(diagnostics) {
+    if (!diagnostics || diagnostics.length === 0) return '';
+    const items = diagnostics.map(d => `
+      <li class="doc-warning" data-line="${d.line}">${escapeHtml(d.message)}</li>
+    `).join('');
+    return `<ul class="doc-warnings">${items}</ul>`;
+  }
+
+  /**
+   * 继承来源标记（该部分文档取自父类型）
+   */
+  function renderInheritedBadge(typeName) {
+    if (!typeName) return '';
+    return `<span class="inherited-badge" title="文档继承自 ${escapeHtml(typeName)}">↳ ${escapeHtml(typeName)}</span>`;
+  }
+
+  /**
+   * 方法头部的继承汇总：列出提供文档的所有父类型
+   */
+  function renderInheritedSummary(inherited) {
+    if (!inherited) return '';
+    const sources = new Set([
+      inherited.description,
+      inherited.returns,
+      ...Object.values(inherited.params),
+      ...Object.values(inherited.throws),
+    ].filter(Boolean));
+    if (sources.size === 0) return '';
+    const names = Array.from(sources).join(', ');
+    return `<span class="inherited-summary" title="文档继承自 ${escapeHtml(names)}">inherited</span>`;
+  }
+
+  /**
+   * @template / @typeParam 类型参数表格
+   */
+  function renderTemplatesTable(templates) {
+    let rows = '';
+    for (const t of templates) {
+      rows += `
+        <tr>
+          <td class="name-cell">${escapeHtml(t.name)}</td>
+          <td class="type-cell">${escapeHtml(t.constraint) || '-'}</td>
+          <td>${escapeHtml(t.description) || '-'}</td>
+        </tr>
+      `;
+    }
+
+    return `
+      <div class="tag-section">
+        <div class="tag-title">类型参数 Type Parameters</div>
+        <table class="tag-table">
+          <thead>
+            <tr>
+              <th style="width: 20%">名称</th>
+              <th style="width: 25%">约束</th>
+              <th style="width: 55%">描述</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * @typedef 类型定义：标题行 + 其 @property 表格
+   */
+  function renderTypedefSection(typedef) {
+    const propertiesHtml = typedef.properties && typedef.properties.length > 0
+      ? renderParamsTable(typedef.properties, '属性 Properties')
+      : '';
+
+    return `
+      <div class="tag-section typedef-section">
+        <div class="tag-title">类型定义 @typedef</div>
+        <div class="typedef-header">
+          <span class="typedef-name">${escapeHtml(typedef.name)}</span>
+          <span class="type-cell">${escapeHtml(typedef.type)}</span>
+        </div>
+        ${typedef.description ? `<div class="typedef-description">${escapeHtml(typedef.description)}</div>` : ''}
+        ${propertiesHtml}
+      </div>
+    `;
+  }
+
+  /**
+   * @param inferredSince - 由 Git 标签推断的首个版本（可选），显示在声明的 @since 旁
+   */
+  function renderOtherTags(tags, inferredSince) {
     let html = '';
 
-    if (tags.since || tags.author || (tags.see && tags.see.length > 0)) {
+    const samples = tags.samples || [];
+    if (tags.since || inferredSince || tags.author || (tags.see && tags.see.length > 0) || tags.receiver || samples.length > 0) {
       html += '<div class="other-tags">';
 
-      if (tags.since) {
-        html += `<div class="other-tag"><span class="other-tag-name">@since</span>${escapeHtml(tags.since)}</div>`;
+      // KDoc：扩展函数的接收者
+      if (tags.receiver) {
+        const receiverType = tags.receiver.type
+          ? `<span class="detail-type">${escapeHtml(tags.receiver.type)}</span> `
+          : '';
+        html += `<div class="other-tag"><span class="other-tag-name">@receiver</span>${receiverType}${renderRichText(tags.receiver.descriptionTokens, tags.receiver.description)}</div>`;
+      }
+
+      if (tags.since || inferredSince) {
+        const declared = tags.since
+          ? escapeHtml(tags.since)
+          : '<span class="since-undeclared">未声明</span>';
+        html += `<div class="other-tag"><span class="other-tag-name">@since</span>${declared}${renderInferredSince(tags.since, inferredSince)}</div>`;
       }
 
       if (tags.author) {
@@ -490,17 +788,186 @@
       }
 
       if (tags.see && tags.see.length > 0) {
-        for (const see of tags.see) {
-          html += `<div class="other-tag"><span class="other-tag-name">@see</span>${escapeHtml(see)}</div>`;
-        }
+        tags.see.forEach((see, index) => {
+          const seeTokens = tags.seeTokens ? tags.seeTokens[index] : null;
+          html += `<div class="other-tag"><span class="other-tag-name">@see</span>${renderRichText(seeTokens, see)}</div>`;
+        });
       }
 
+      // KDoc @sample：示例函数的全限定名，点击跳转
+      samples.forEach(sample => {
+        const sampleTokens = [{ kind: 'link', target: sample, label: '', plain: false }];
+        html += `<div class="other-tag"><span class="other-tag-name">@sample</span>${renderRichText(sampleTokens, sample)}</div>`;
+      });
+
       html += '</div>';
     }
 
     return html;
   }
 
+  // ========== 工作区搜索 ==========
+
+  /**
+   * 搜索框：输入防抖后请求扩展端搜索；有查询时结果列表替换当前类视图
+   */
+  function bindSearchEvents() {
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => requestSearch(searchInput.value), SEARCH_DEBOUNCE_DELAY);
+    });
+    searchInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        searchInput.value = '';
+        requestSearch('');
+      }
+    });
+    searchResults.addEventListener('click', handleSearchResultClick);
+  }
+
+  function requestSearch(query) {
+    clearTimeout(searchTimer);
+    searchQuery = query.trim();
+    vscode.postMessage({ type: 'searchDocs', payload: { query: searchQuery } });
+    if (!searchQuery) {
+      showSearchResults(false);
+    }
+  }
+
+  function renderSearchResults(payload) {
+    // 忽略过期查询的结果
+    if (payload.query !== searchQuery) return;
+
+    const terms = searchQuery.toLowerCase().split(/\s+/).filter(Boolean);
+    let html = '';
+    if (payload.indexing) {
+      html += '<div class="search-status">索引建立中，结果可能不完整…</div>';
+    }
+    if (payload.results.length === 0) {
+      html += '<div class="search-status">没有匹配的文档</div>';
+    }
+
+    payload.results.forEach(result => {
+      const location = result.kind === 'class'
+        ? result.fileName
+        : `${result.className} · ${result.fileName}`;
+      html += `
+        <div class="search-result" data-uri="${escapeHtml(result.uri)}" data-line="${result.line}" title="${escapeHtml(result.signature)}">
+          <div class="search-result-header">
+            <span class="search-result-icon">${getSearchKindIcon(result.kind)}</span>
+            <span class="search-result-name">${highlightTerms(result.name, terms)}</span>
+            <span class="search-result-location">${escapeHtml(location)}</span>
+          </div>
+          ${result.snippet ? `<div class="search-result-snippet">${highlightTerms(result.snippet, terms)}</div>` : ''}
+        </div>
+      `;
+    });
+
+    searchResults.innerHTML = html;
+    showSearchResults(true);
+  }
+
+  function handleSearchResultClick(event) {
+    const item = event.target.closest('.search-result');
+    if (!item) return;
+    const line = parseInt(item.dataset.line, 10);
+    if (item.dataset.uri && !isNaN(line)) {
+      vscode.postMessage({ type: 'openSearchResult', payload: { uri: item.dataset.uri, line } });
+    }
+  }
+
+  function showSearchResults(visible) {
+    searchResults.hidden = !visible;
+    root.hidden = visible;
+  }
+
+  /**
+   * 转义后用 <mark> 标出查询词
+   */
+  function highlightTerms(text, terms) {
+    const lower = text.toLowerCase();
+    const ranges = [];
+    terms.forEach(term => {
+      let index = lower.indexOf(term);
+      while (index >= 0) {
+        ranges.push([index, index + term.length]);
+        index = lower.indexOf(term, index + term.length);
+      }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    let html = '';
+    let cursor = 0;
+    ranges.forEach(([start, end]) => {
+      if (start < cursor) return; // 与前一个命中重叠
+      html += escapeHtml(text.slice(cursor, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+      cursor = end;
+    });
+    return html + escapeHtml(text.slice(cursor));
+  }
+
+  function getSearchKindIcon(kind) {
+    switch (kind) {
+      case 'class': return getBookIcon();
+      case 'constructor': return getConstructorIcon();
+      case 'field': return getFieldIcon();
+      case 'enumConstant': return getEnumConstantIcon();
+      default: return getMethodIcon();
+    }
+  }
+
+  // ========== 方法历史 ==========
+
+  /**
+   * 历史区域内容：未加载时显示按钮（git log -L 较慢，按需查询）
+   */
+  function renderHistoryContent(methodId) {
+    const history = methodHistories.get(methodId);
+    let html = `<div class="history-title">${getGitIcon()}<span>历史</span></div>`;
+
+    if (!history) {
+      return html + `<button class="history-load-btn" data-id="${escapeHtml(methodId)}">加载提交历史</button>`;
+    }
+    if (history.status === 'loading') {
+      return html + '<div class="history-status">加载中…</div>';
+    }
+    if (!history.entries) {
+      return html + '<div class="history-status">无法获取历史（文件可能不在 Git 仓库中）</div>';
+    }
+    if (history.entries.length === 0) {
+      return html + '<div class="history-status">没有提交记录</div>';
+    }
+
+    html += '<div class="history-list">';
+    history.entries.forEach(entry => {
+      html += `
+        <div class="history-entry" title="${escapeHtml(entry.hash)}">
+          <div class="history-subject">${escapeHtml(entry.subject)}</div>
+          <div class="history-meta">
+            <span class="history-hash">${escapeHtml(entry.hash.slice(0, 7))}</span>
+            <span>${escapeHtml(entry.author)}</span>
+            <span class="author-date">${escapeHtml(entry.date)}</span>
+            <button class="history-diff-btn"
+              data-hash="${escapeHtml(entry.hash)}"
+              data-path="${escapeHtml(entry.path)}"
+              data-previous-path="${escapeHtml(entry.previousPath ?? '')}"
+              data-start-line="${entry.startLine}"
+              data-subject="${escapeHtml(entry.subject)}">查看差异</button>
+          </div>
+        </div>
+      `;
+    });
+    return html + '</div>';
+  }
+
+  function updateHistorySection(methodId) {
+    document.querySelectorAll('.history-section').forEach(section => {
+      if (section.dataset.id === methodId) {
+        section.innerHTML = renderHistoryContent(methodId);
+      }
+    });
+  }
+
   // ========== 交互处理 ==========
 
   function bindEvents() {
@@ -510,6 +977,38 @@
   function handleClick(event) {
     const target = event.target;
 
+    // 点击提交详情弹出框以外的地方时关闭它
+    if (commitPopover && !target.closest('#commitPopover, .commit-link')) {
+      closeCommitPopover();
+    }
+
+    // 头部「最后修改」→ 打开 / 关闭提交详情
+    const commitLink = target.closest('.commit-link');
+    if (commitLink) {
+      const hash = commitLink.dataset.hash;
+      if (commitPopover?.hash === hash) {
+        closeCommitPopover();
+      } else {
+        commitPopover = { hash, status: 'loading', details: null };
+        if (currentClassDoc) {
+          renderClassDoc(currentClassDoc);
+        }
+        vscode.postMessage({ type: 'loadCommitDetails', payload: { hash } });
+      }
+      return;
+    }
+
+    if (target.closest('.commit-popover-close')) {
+      closeCommitPopover();
+      return;
+    }
+
+    const commitCopyButton = target.closest('.commit-copy-btn');
+    if (commitCopyButton) {
+      vscode.postMessage({ type: 'copyCommitHash', payload: { hash: commitCopyButton.dataset.hash } });
+      return;
+    }
+
     // 切换视图按钮
     if (target.closest('#viewToggle')) {
       isCompactMode = !isCompactMode;
@@ -519,6 +1018,80 @@
       return;
     }
 
+    // 代码归属面板展开 / 收起
+    if (target.closest('.ownership-header')) {
+      ownershipExpanded = !ownershipExpanded;
+      if (currentClassDoc) {
+        renderClassDoc(currentClassDoc);
+      }
+      return;
+    }
+
+    // 只显示改动的成员
+    if (target.closest('#changeFilterToggle')) {
+      showChangedOnly = !showChangedOnly;
+      if (currentClassDoc) {
+        renderClassDoc(currentClassDoc);
+      }
+      return;
+    }
+
+    // {@link} 行内链接 → 跳转到目标（可能在其他文件）
+    const inlineLink = target.closest('.inline-link');
+    if (inlineLink) {
+      const linkTarget = inlineLink.dataset.target;
+      if (linkTarget) {
+        vscode.postMessage({ type: 'openLink', payload: { target: linkTarget } });
+      }
+      return;
+    }
+
+    // 方法历史：加载 / 打开某次提交的差异
+    const historyLoadButton = target.closest('.history-load-btn');
+    if (historyLoadButton) {
+      const methodId = historyLoadButton.dataset.id;
+      methodHistories.set(methodId, { status: 'loading', entries: null });
+      updateHistorySection(methodId);
+      vscode.postMessage({ type: 'loadMethodHistory', payload: { id: methodId } });
+      return;
+    }
+
+    const historyDiffButton = target.closest('.history-diff-btn');
+    if (historyDiffButton) {
+      const data = historyDiffButton.dataset;
+      vscode.postMessage({
+        type: 'openCommitDiff',
+        payload: {
+          hash: data.hash,
+          path: data.path,
+          previousPath: data.previousPath || null,
+          startLine: parseInt(data.startLine, 10) || 0,
+          subject: data.subject,
+        },
+      });
+      return;
+    }
+
+    // 生成注释按钮（位于可点击的条目内部，需优先处理）
+    const generateButton = target.closest('.generate-doc-btn');
+    if (generateButton) {
+      const line = parseInt(generateButton.dataset.line, 10);
+      if (!isNaN(line)) {
+        vscode.postMessage({ type: 'generateDoc', payload: { line } });
+      }
+      return;
+    }
+
+    // 诊断条目 → 跳转到问题所在行
+    const docWarning = target.closest('.doc-warning');
+    if (docWarning) {
+      const line = parseInt(docWarning.dataset.line, 10);
+      if (!isNaN(line)) {
+        vscode.postMessage({ type: 'jumpToLine', payload: { line } });
+      }
+      return;
+    }
+
     // 分组折叠/展开
     const groupHeader = target.closest('.group-header');
     if (groupHeader) {
@@ -617,6 +1190,41 @@
     `;
   }
 
+  function renderRemarksSection(remarksContent) {
+    if (!remarksContent) return '';
+    return `
+      <div class="doc-section remarks-section">
+        <div class="doc-section-header">
+          ${getBookIcon()}
+          <span class="doc-section-title">备注 @remarks</span>
+        </div>
+        <div class="doc-section-content">${escapeHtml(remarksContent)}</div>
+      </div>
+    `;
+  }
+
+  const RUST_SECTION_TITLES = {
+    errors: '错误 Errors',
+    panics: 'Panic 条件 Panics',
+    safety: '安全性 Safety',
+  };
+
+  /**
+   * Rust 文档的 # Errors / # Panics / # Safety 段落
+   */
+  function renderRustSection(section) {
+    const title = RUST_SECTION_TITLES[section.kind] || section.kind;
+    return `
+      <div class="doc-section rust-section ${section.kind}-section">
+        <div class="doc-section-header">
+          ${getBookIcon()}
+          <span class="doc-section-title">${escapeHtml(title)}</span>
+        </div>
+        <div class="doc-section-content">${renderDescription(section.blocks, null, section.text)}</div>
+      </div>
+    `;
+  }
+
   function renderExampleSection(exampleContent) {
     if (!exampleContent) return '';
     return `
@@ -756,6 +1364,91 @@
     return text;
   }
 
+  // ========== 行内标签渲染 ==========
+
+  /**
+   * 渲染解析器切分好的行内标签
+   * tokens 缺失时（旧数据 / 非 Javadoc 来源）退化为纯文本
+   */
+  function renderRichText(tokens, fallbackText) {
+    if (!Array.isArray(tokens)) return escapeHtml(fallbackText);
+    return tokens.map(renderInlineToken).join('');
+  }
+
+  /**
+   * 有块结构（Go 文档）时按段落 / 标题 / 列表 / 代码块渲染，否则按行内标签渲染
+   */
+  function renderDescription(blocks, tokens, fallbackText) {
+    if (Array.isArray(blocks) && blocks.length > 0) return renderDocBlocks(blocks);
+    return renderRichText(tokens, fallbackText);
+  }
+
+  function renderDocBlocks(blocks) {
+    const html = blocks.map(block => {
+      switch (block.kind) {
+        case 'heading':
+          return `<div class="doc-heading">${renderRichText(block.tokens, '')}</div>`;
+
+        case 'list': {
+          const tag = block.ordered ? 'ol' : 'ul';
+          const items = block.items.map(item => `<li>${renderRichText(item, '')}</li>`).join('');
+          return `<${tag} class="doc-list">${items}</${tag}>`;
+        }
+
+        case 'code':
+          return `<pre class="doc-code">${escapeHtml(block.text)}</pre>`;
+
+        default:
+          return `<p class="doc-paragraph">${renderRichText(block.tokens, '')}</p>`;
+      }
+    }).join('');
+    return `<div class="doc-blocks">${html}</div>`;
+  }
+
+  function renderInlineToken(token) {
+    switch (token.kind) {
+      case 'code':
+        return `<code class="inline-code">${escapeHtml(token.text)}</code>`;
+
+      case 'link': {
+        const label = token.label || formatLinkTarget(token.target);
+        const styleClass = token.plain ? 'plain' : 'code';
+        return `<a class="inline-link ${styleClass}" data-target="${escapeHtml(token.target)}" title="${escapeHtml(token.target)}">${escapeHtml(label)}</a>`;
+      }
+
+      case 'value':
+        return token.target
+          ? `<a class="inline-link code" data-target="${escapeHtml(token.target)}" title="${escapeHtml(token.target)}">${escapeHtml(formatLinkTarget(token.target))}</a>`
+          : '<code class="inline-code">{@value}</code>';
+
+      default:
+        return escapeHtml(token.text);
+    }
+  }
+
+  /**
+   * 简洁模式预览等只需要纯文本的场景
+   */
+  function tokensToPlainText(tokens, fallbackText) {
+    if (!Array.isArray(tokens)) return fallbackText || '';
+    return tokens.map(token => {
+      switch (token.kind) {
+        case 'code': return token.text;
+        case 'link': return token.label || formatLinkTarget(token.target);
+        case 'value': return formatLinkTarget(token.target);
+        default: return token.text;
+      }
+    }).join('');
+  }
+
+  /**
+   * "#findById(Long)" → "findById(Long)"，"User#find" → "User.find"
+   */
+  function formatLinkTarget(target) {
+    if (!target) return '';
+    return target.startsWith('#') ? target.slice(1) : target.replace('#', '.');
+  }
+
   // ========== 工具函数 ==========
 
   function getFirstLine(text) {
@@ -774,8 +1467,180 @@
       .replace(/'/g, '&#039;');
   }
 
+  // ========== 改动标记 ==========
+
+  const CHANGE_LABELS = {
+    added: { text: '新增', title: '成员的所有行都是新增的' },
+    modified: { text: '已修改', title: '成员的注释、声明或方法体有改动' },
+  };
+
+  function renderChangeBadge(changeStatus) {
+    const label = CHANGE_LABELS[changeStatus];
+    if (!label) return '';
+    return `<span class="change-badge ${changeStatus}" title="${label.title}">${label.text}</span>`;
+  }
+
+  /**
+   * 头部的改动筛选条：比较基准 + 改动数量 + 筛选开关（没有改动时只显示基准）
+   */
+  function renderChangeFilter(changeBase, changedCount) {
+    if (!changeBase) return '';
+    const baseText = changeBase === 'HEAD' ? '未提交的修改' : `相对 ${changeBase}`;
+    return `
+      <div class="change-filter">
+        <span class="change-base" title="比较基准可通过命令“选择改动标记的比较基准”修改">${getGitIcon()}${escapeHtml(baseText)}</span>
+        ${changedCount > 0 ? `
+        <button class="change-filter-toggle ${showChangedOnly ? 'active' : ''}" id="changeFilterToggle"
+                title="${showChangedOnly ? '显示全部成员' : '只显示改动的成员'}">
+          仅显示改动 (${changedCount})
+        </button>` : '<span class="change-none">无改动</span>'}
+      </div>
+    `;
+  }
+
   // ========== 作者信息 ==========
 
+  /**
+   * 成员的最后修改者和时间（整文件 blame 按成员行范围汇总），悬浮显示最早作者
+   */
+  function renderMemberGitInfo(gitInfo) {
+    if (!gitInfo) return '';
+    const title = gitInfo.author && gitInfo.author !== gitInfo.lastModifier
+      ? `最早作者: ${gitInfo.author}`
+      : '来自 Git Blame';
+    return `
+      <span class="member-git-info" title="${escapeHtml(title)}">
+        ${getGitIcon()}
+        <span>${escapeHtml(gitInfo.lastModifier)}</span>
+        ${gitInfo.lastModifyDate ? `<span class="author-date">${escapeHtml(gitInfo.lastModifyDate)}</span>` : ''}
+      </span>
+    `;
+  }
+
+  // ========== 代码归属 ==========
+
+  const OWNERSHIP_SUMMARY_COUNT = 3;   // 收起时 / 成员行内显示的人数
+  const OWNERSHIP_LIST_COUNT = 8;      // 展开后列出的人数，其余合并为「其他」
+
+  /**
+   * 头部的代码归属面板：收起时显示前几位的占比，展开后逐人显示行数和比例条
+   */
+  function renderOwnershipPanel(ownership) {
+    if (!ownership || ownership.length === 0) return '';
+
+    let listHtml = '';
+    if (ownershipExpanded) {
+      const listed = ownership.slice(0, OWNERSHIP_LIST_COUNT);
+      const rest = ownership.slice(OWNERSHIP_LIST_COUNT);
+      const rows = listed.map(share => renderOwnershipRow(share.author, share.email, share.lines, share.percent));
+      if (rest.length > 0) {
+        const lines = rest.reduce((sum, share) => sum + share.lines, 0);
+        const percent = rest.reduce((sum, share) => sum + share.percent, 0);
+        rows.push(renderOwnershipRow(`其他 ${rest.length} 人`, '', lines, percent));
+      }
+      listHtml = `<div class="ownership-list">${rows.join('')}</div>`;
+    }
+
+    return `
+      <div class="ownership ${ownershipExpanded ? 'expanded' : ''}">
+        <div class="ownership-header" title="${ownershipExpanded ? '收起' : '展开'}：按 git blame 统计的行数占比（已应用 .mailmap）">
+          <span class="ownership-collapse-icon">${getCollapseIcon()}</span>
+          ${getUserIcon()}
+          <span class="author-label">代码归属:</span>
+          ${ownershipExpanded ? `<span class="ownership-count">${ownership.length} 人</span>` : renderOwnershipSummary(ownership)}
+        </div>
+        ${listHtml}
+      </div>
+    `;
+  }
+
+  function renderOwnershipRow(author, email, lines, percent) {
+    return `
+      <div class="ownership-row" title="${escapeHtml(email || author)}">
+        <span class="ownership-name">${escapeHtml(author)}</span>
+        <span class="ownership-bar"><span class="ownership-fill" style="width: ${percent}%"></span></span>
+        <span class="ownership-percent">${percent}%</span>
+        <span class="ownership-lines">${lines} 行</span>
+      </div>
+    `;
+  }
+
+  /**
+   * 一行内的占比摘要："张三 62% · 李四 30% · +2"
+   */
+  function renderOwnershipSummary(ownership) {
+    const shown = ownership.slice(0, OWNERSHIP_SUMMARY_COUNT)
+      .map(share => `<span title="${escapeHtml(share.email)}">${escapeHtml(share.author)} ${share.percent}%</span>`)
+      .join(' · ');
+    const more = ownership.length - OWNERSHIP_SUMMARY_COUNT;
+    return `<span class="ownership-summary">${shown}${more > 0 ? ` · +${more}` : ''}</span>`;
+  }
+
+  // ========== 提交详情 ==========
+
+  function renderCommitPopover(classDoc) {
+    if (!commitPopover || commitPopover.hash !== classDoc.gitInfo?.commitHash) return '';
+    return `<div class="commit-popover" id="commitPopover">${renderCommitPopoverContent()}</div>`;
+  }
+
+  function renderCommitPopoverContent() {
+    const { hash, status, details } = commitPopover;
+    const header = `
+      <div class="commit-popover-header">
+        ${getGitIcon()}
+        <span class="history-hash">${escapeHtml(hash.slice(0, 7))}</span>
+        <button class="commit-popover-close" title="关闭">×</button>
+      </div>
+    `;
+    if (status === 'loading') {
+      return header + '<div class="history-status">加载中…</div>';
+    }
+    if (!details) {
+      return header + '<div class="history-status">无法获取提交详情</div>';
+    }
+
+    const currentFile = details.currentFile;
+    const files = details.files.map(file => `
+      <li class="commit-file ${currentFile?.path === file.path ? 'current' : ''}"
+          title="${escapeHtml(file.previousPath ? `${file.previousPath} → ${file.path}` : file.path)}">
+        <span class="commit-file-status status-${escapeHtml(file.status)}">${escapeHtml(file.status)}</span>
+        <span class="commit-file-path">${escapeHtml(file.path)}</span>
+      </li>
+    `).join('');
+
+    return header + `
+      <div class="commit-author">
+        <span class="author-value">${escapeHtml(details.author)}</span>
+        <span>&lt;${escapeHtml(details.email)}&gt;</span>
+        <span class="author-date">${escapeHtml(details.date)}</span>
+      </div>
+      <pre class="commit-message">${escapeHtml(details.message)}</pre>
+      ${files ? `<div class="commit-files-title">改动文件 (${details.files.length})</div><ul class="commit-files">${files}</ul>` : ''}
+      <div class="commit-actions">
+        <button class="commit-copy-btn" data-hash="${escapeHtml(hash)}">复制哈希</button>
+        ${currentFile ? `
+        <button class="history-diff-btn"
+          data-hash="${escapeHtml(hash)}"
+          data-path="${escapeHtml(currentFile.path)}"
+          data-previous-path="${escapeHtml(currentFile.previousPath ?? '')}"
+          data-start-line="0"
+          data-subject="${escapeHtml(getFirstLine(details.message))}">查看当前文件的差异</button>` : ''}
+      </div>
+    `;
+  }
+
+  function updateCommitPopover() {
+    const popover = document.getElementById('commitPopover');
+    if (popover && commitPopover) {
+      popover.innerHTML = renderCommitPopoverContent();
+    }
+  }
+
+  function closeCommitPopover() {
+    commitPopover = null;
+    document.getElementById('commitPopover')?.remove();
+  }
+
   function renderAuthorInfo(classDoc) {
     const hasJavadocAuthor = classDoc.javadocAuthor;
     const hasGitInfo = classDoc.gitInfo;
@@ -818,8 +1683,11 @@
       }
 
       if (classDoc.gitInfo.lastModifier) {
+        const hash = classDoc.gitInfo.commitHash;
+        const hasCommit = hash && !/^0+$/.test(hash);
         html += `
-          <div class="author-item" title="来自 Git Blame">
+          <div class="author-item ${hasCommit ? 'commit-link' : ''}"
+               ${hasCommit ? `data-hash="${escapeHtml(hash)}" title="查看提交 ${escapeHtml(hash.slice(0, 7))} 的详情"` : 'title="来自 Git Blame"'}>
             ${getGitIcon()}
             <span class="author-label">最后修改:</span>
             <span class="author-value">${escapeHtml(classDoc.gitInfo.lastModifier)}</span>
@@ -0,0 +1,74 @@
+/**
+ * DiffBaseQuickPick.ts - 选择改动标记的比较基准（命令面板）
+ *
+ * 选项：未提交的修改（相对 HEAD）、当前仓库的本地 / 远程分支、手动输入的分支或提交
+ * 选择结果写入工作区配置 javaDocSidebar.diffBase，配置变化后侧边栏自动刷新
+ */
+
+import * as vscode from "vscode";
+import * as path from "path";
+import type { QuickPickItem } from "vscode";
+import { gitService } from "./services/GitService.js";
+import { DEFAULT_CONFIG } from "./types.js";
+
+interface DiffBaseItem extends QuickPickItem {
+  readonly base: string | null; // null 表示手动输入
+}
+
+/**
+ * 打开比较基准选择框
+ */
+export async function showDiffBaseQuickPick(): Promise<void> {
+  const config = vscode.workspace.getConfiguration("javaDocSidebar");
+  const current = config.get<string>("diffBase", DEFAULT_CONFIG.diffBase).trim();
+
+  const cwd = getRepositoryDirectory();
+  const branches = cwd ? await gitService.listBranches(cwd) : [];
+
+  const items: DiffBaseItem[] = [
+    {
+      label: "$(git-commit) 未提交的修改",
+      description: "相对 HEAD",
+      base: "",
+    },
+    ...branches.map((branch) => ({
+      label: `$(git-branch) ${branch}`,
+      description: "相对与 HEAD 的 merge-base",
+      base: branch,
+    })),
+    {
+      label: "$(edit) 输入分支或提交…",
+      base: null,
+    },
+  ].map((item) => (item.base === current ? { ...item, detail: "当前基准" } : item));
+
+  const selected = await vscode.window.showQuickPick(items, {
+    placeHolder: "选择标记已修改成员时的比较基准",
+  });
+  if (!selected) {
+    return;
+  }
+
+  const base =
+    selected.base ??
+    (await vscode.window.showInputBox({
+      prompt: "分支、标签或提交（相对它与 HEAD 的 merge-base 比较）",
+      value: current,
+    }));
+  if (base === undefined) {
+    return;
+  }
+
+  await config.update("diffBase", base.trim(), vscode.ConfigurationTarget.Workspace);
+}
+
+/**
+ * 用当前编辑器所在目录确定仓库，没有打开的文件时使用第一个工作区目录
+ */
+export function getRepositoryDirectory(): string | undefined {
+  const document = vscode.window.activeTextEditor?.document;
+  if (document?.uri.scheme === "file") {
+    return path.dirname(document.uri.fsPath);
+  }
+  return vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+}
@@ -0,0 +1,142 @@
+/**
+ * DocCodeActionProvider.ts - 注释模板代码操作
+ *
+ * 【提供的操作】
+ * 1. 生成注释：光标所在成员没有注释时，按签名插入 @param / @return / @throws 模板
+ * 2. 同步注释：签名修改后补全缺失的 @param、删除多余的 @param，保留已有描述
+ * 3. 填写 @since：按 Git 标签推断的版本插入或修正 @since
+ *
+ * 同步操作同时作为 missingParam / unknownParam 等诊断的快速修复；
+ * @since 操作只作为 missingSince / sinceMismatch 的快速修复提供，版本取自发布这些诊断的那次解析
+ * （推断需要读取多个历史版本，不在这里重复）
+ *
+ * 光标每次移动都会请求代码操作：解析使用 VS Code 传入的取消令牌，被取消时不返回操作
+ */
+
+import * as vscode from "vscode";
+import type {
+  CancellationToken,
+  CodeAction,
+  CodeActionContext,
+  CodeActionProvider,
+  Range,
+  Selection,
+  TextDocument,
+} from "vscode";
+import type { DocStubService, DocStubTarget } from "./services/DocStubService.js";
+import type { DocDiagnosticPublisher } from "./services/DocDiagnosticPublisher.js";
+import type { DocDiagnosticCode, InferredSince } from "./types.js";
+import { isCancellationError } from "./utils/cancellation.js";
+
+/**
+ * 同步操作可以修复的诊断
+ */
+const SYNC_FIXABLE_CODES: ReadonlySet<DocDiagnosticCode> = new Set([
+  "unknownParam",
+  "missingParam",
+  "missingReturn",
+  "undeclaredThrows",
+]);
+
+/**
+ * @since 操作修复的诊断
+ */
+const SINCE_FIXABLE_CODES: ReadonlySet<DocDiagnosticCode> = new Set([
+  "missingSince",
+  "sinceMismatch",
+]);
+
+export class DocCodeActionProvider implements CodeActionProvider {
+  public static readonly providedCodeActionKinds = [
+    vscode.CodeActionKind.QuickFix,
+    vscode.CodeActionKind.RefactorRewrite,
+  ];
+
+  constructor(
+    private readonly stubService: DocStubService,
+    private readonly diagnostics: DocDiagnosticPublisher,
+  ) {}
+
+  public async provideCodeActions(
+    document: TextDocument,
+    range: Range | Selection,
+    context: CodeActionContext,
+    token: CancellationToken,
+  ): Promise<CodeAction[]> {
+    let target: DocStubTarget | null;
+    try {
+      target = await this.stubService.findTarget(document, range.start.line, token);
+    } catch (error) {
+      if (isCancellationError(error)) {
+        return [];
+      }
+      throw error;
+    }
+    if (!target || token.isCancellationRequested) {
+      return [];
+    }
+
+    const actions: CodeAction[] = [];
+
+    const generateEdit = this.stubService.createGenerateEdit(document, target);
+    if (generateEdit) {
+      const action = new vscode.CodeAction(
+        `为 ${target.name} 生成注释`,
+        vscode.CodeActionKind.RefactorRewrite,
+      );
+      action.edit = generateEdit;
+      actions.push(action);
+    }
+
+    const syncEdit = this.stubService.createSyncEdit(document, target);
+    if (syncEdit) {
+      const fixable = context.diagnostics.filter((d) =>
+        SYNC_FIXABLE_CODES.has(d.code as DocDiagnosticCode),
+      );
+      const action = new vscode.CodeAction(
+        `按签名同步 ${target.name} 的注释标签`,
+        fixable.length > 0
+          ? vscode.CodeActionKind.QuickFix
+          : vscode.CodeActionKind.RefactorRewrite,
+      );
+      action.edit = syncEdit;
+      action.diagnostics = fixable;
+      action.isPreferred = fixable.length > 0;
+      actions.push(action);
+    }
+
+    const sinceDiagnostics = context.diagnostics.filter((d) =>
+      SINCE_FIXABLE_CODES.has(d.code as DocDiagnosticCode),
+    );
+    const inferred =
+      sinceDiagnostics.length > 0 ? this.findInferredSince(document, target) : null;
+    const sinceEdit = inferred
+      ? this.stubService.createSinceEdit(document, target, inferred.version)
+      : null;
+    if (inferred && sinceEdit) {
+      const hasSince = sinceDiagnostics.some((d) => d.code === "sinceMismatch");
+      const action = new vscode.CodeAction(
+        hasSince ? `将 @since 改为 ${inferred.version}` : `插入 @since ${inferred.version}`,
+        vscode.CodeActionKind.QuickFix,
+      );
+      action.edit = sinceEdit;
+      action.diagnostics = sinceDiagnostics;
+      actions.push(action);
+    }
+
+    return actions;
+  }
+
+  /**
+   * 发布 @since 诊断的那次解析为目标方法推断的版本（文档已修改时为 null）
+   */
+  private findInferredSince(
+    document: TextDocument,
+    target: DocStubTarget,
+  ): InferredSince | null {
+    const method = this.diagnostics
+      .getPublished(document)
+      ?.methods.find((m) => m.name === target.name && m.startLine === target.startLine);
+    return method?.inferredSince ?? null;
+  }
+}
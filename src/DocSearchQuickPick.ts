@@ -0,0 +1,72 @@
+/**
+ * DocSearchQuickPick.ts - 工作区文档搜索（命令面板）
+ *
+ * 输入即搜索：每次输入变化都查询 DocIndex，索引仍在建立时显示忙碌状态，
+ * 索引更新后自动刷新当前结果
+ *
+ * 【为什么 alwaysShow？】
+ * QuickPick 默认按 label 做模糊过滤，描述 / 标签文本命中的结果会被隐藏；
+ * 过滤和排序已经由 DocIndex.search 完成
+ */
+
+import * as vscode from "vscode";
+import type { QuickPickItem } from "vscode";
+import type { DocIndex } from "./services/DocIndex.js";
+import { openDocSearchResult } from "./services/DocIndex.js";
+import type { DocSearchKind, DocSearchResult } from "./types.js";
+
+const KIND_ICONS: Readonly<Record<DocSearchKind, string>> = {
+  class: "$(symbol-class)",
+  method: "$(symbol-method)",
+  constructor: "$(symbol-constructor)",
+  field: "$(symbol-field)",
+  enumConstant: "$(symbol-enum-member)",
+};
+
+interface DocSearchItem extends QuickPickItem {
+  readonly result: DocSearchResult;
+}
+
+/**
+ * 打开搜索框，选中结果后跳转到对应文件和行
+ */
+export function showDocSearchQuickPick(index: DocIndex): void {
+  const quickPick = vscode.window.createQuickPick<DocSearchItem>();
+  quickPick.placeholder = "搜索工作区文档：成员名、签名、描述或标签内容";
+  quickPick.matchOnDescription = false;
+  quickPick.matchOnDetail = false;
+
+  const update = (): void => {
+    quickPick.items = index.search(quickPick.value).map(toQuickPickItem);
+    quickPick.busy = index.isIndexing;
+  };
+
+  const indexListener = index.onDidChange(update);
+  quickPick.onDidChangeValue(update);
+  quickPick.onDidAccept(() => {
+    const selected = quickPick.selectedItems[0];
+    quickPick.hide();
+    if (selected) {
+      void openDocSearchResult(selected.result.uri, selected.result.line);
+    }
+  });
+  quickPick.onDidHide(() => {
+    indexListener.dispose();
+    quickPick.dispose();
+  });
+
+  update();
+  quickPick.show();
+}
+
+function toQuickPickItem(result: DocSearchResult): DocSearchItem {
+  const location =
+    result.kind === "class" ? result.fileName : `${result.className} · ${result.fileName}`;
+  return {
+    label: `${KIND_ICONS[result.kind]} ${result.name}`,
+    description: location,
+    detail: result.snippet || result.signature,
+    alwaysShow: true,
+    result,
+  };
+}
@@ -26,13 +26,79 @@ import type {
   Disposable,
 } from "vscode";
 import { JavaDocParser } from "./parser/JavaDocParser.js";
+import type { ParseOptions } from "./parser/JavaDocParser.js";
 import { debounce } from "./utils/debounce.js";
 import { binarySearchMethod } from "./utils/binarySearch.js";
-import type { MethodDoc, MethodId, DownstreamMessage } from "./types.js";
-import { isSupportedLanguage, isUpstreamMessage, LineNumber } from "./types.js";
+import { openLinkTarget } from "./services/LinkResolver.js";
+import type { DocDiagnosticPublisher } from "./services/DocDiagnosticPublisher.js";
+import { DocStubService } from "./services/DocStubService.js";
+import { isCancellationError } from "./utils/cancellation.js";
+import { gitService } from "./services/GitService.js";
+import { openCommitDiff } from "./services/GitRevisionProvider.js";
+import { openDocSearchResult } from "./services/DocIndex.js";
+import type { DocIndex } from "./services/DocIndex.js";
+import type {
+  ChangeStatus,
+  ClassDoc,
+  DocDiagnostic,
+  DocDiagnosticCode,
+  DownstreamMessage,
+  GitAuthorInfo,
+  InferredSince,
+  MethodDoc,
+  MethodId,
+  OwnershipShare,
+} from "./types.js";
+import {
+  DEFAULT_CONFIG,
+  isSupportedLanguage,
+  isUpstreamMessage,
+  LineNumber,
+} from "./types.js";
 
 const HIGHLIGHT_DEBOUNCE_DELAY = 300;
 
+/**
+ * 依赖 Git 的诊断（过期文档、@since 检查），未保存时从快照恢复
+ */
+const GIT_DIAGNOSTIC_CODES: ReadonlySet<DocDiagnosticCode> = new Set([
+  "staleDoc",
+  "missingSince",
+  "sinceMismatch",
+]);
+
+/**
+ * 依赖 Git 的诊断，行号保存为相对注释首行的偏移：编辑后按当前注释位置重新计算
+ */
+interface GitDiagnosticSnapshot {
+  readonly code: DocDiagnosticCode;
+  readonly message: string;
+  readonly offset: number;
+}
+
+/**
+ * 成员在最近一次完整解析中的 Git 结果
+ */
+interface MemberGitSnapshot {
+  readonly gitInfo: GitAuthorInfo | undefined;
+  readonly changeStatus: ChangeStatus | undefined;
+  readonly ownership: readonly OwnershipShare[] | undefined;
+  readonly inferredSince: InferredSince | undefined;
+  readonly diagnostics: readonly GitDiagnosticSnapshot[];
+}
+
+/**
+ * 最近一次完整解析（含 Git）的作者信息、改动状态、过期文档和 @since 提示，编辑未保存时沿用
+ * members 以 "所属类#签名" 为键：编辑后行号会变，签名通常不变
+ */
+interface GitSnapshot {
+  readonly uri: string;
+  readonly classInfo: GitAuthorInfo | undefined;
+  readonly changeBase: string | undefined;
+  readonly ownership: readonly OwnershipShare[] | undefined;
+  readonly members: ReadonlyMap<string, MemberGitSnapshot>;
+}
+
 /**
  * Webview 侧边栏 Provider
  * - WebviewViewProvider：VS Code 要求的接口，用于创建侧边栏
@@ -43,8 +109,14 @@ export class SidebarProvider implements WebviewViewProvider, Disposable {
   private currentMethods: readonly MethodDoc[] = [];
   private lastHighlightId: MethodId | null = null;
   private readonly parser: JavaDocParser;
+  private readonly stubService: DocStubService;
   private readonly debouncedHighlight: (line: number) => void;
   private webviewMessageDisposable: Disposable | undefined;
+  private refreshTokenSource: vscode.CancellationTokenSource | undefined;
+  private refreshGeneration = 0; // 每次刷新递增，只有最新一次的结果会被展示
+  private lastGitInfo: GitSnapshot | undefined;
+  private readonly indexListener: Disposable;
+  private searchQuery = "";
 
   /**
    * 构造函数
@@ -52,12 +124,23 @@ export class SidebarProvider implements WebviewViewProvider, Disposable {
    * @param extensionUri - 扩展的根目录 URI
    * Webview 需要加载 CSS/JS 文件，但出于安全考虑，
    * 它不能随意访问本地文件，只能访问 extensionUri 下的文件
+   * @param docIndex - 工作区文档索引（侧边栏搜索框使用）
+   * @param diagnostics - 问题面板的诊断（代码操作复用其中记录的解析结果）
    */
-  constructor(private readonly extensionUri: vscode.Uri) {
+  constructor(
+    private readonly extensionUri: vscode.Uri,
+    private readonly docIndex: DocIndex,
+    private readonly diagnostics: DocDiagnosticPublisher,
+  ) {
     this.parser = new JavaDocParser();
+    this.stubService = new DocStubService(this.parser);
     this.debouncedHighlight = debounce((line: number) => {
       this.updateHighlight(LineNumber(line));
     }, HIGHLIGHT_DEBOUNCE_DELAY);
+    // 索引更新后刷新正在显示的搜索结果
+    this.indexListener = this.docIndex.onDidChange(() => {
+      this.postSearchResults();
+    });
   }
   /**
    * 解析 Webview ( called by vscode)
@@ -88,6 +171,13 @@ export class SidebarProvider implements WebviewViewProvider, Disposable {
    * 【async/await 解释】
    * async 函数返回 Promise，可以用 await 等待异步操作完成
    * 这里 parser.parse() 是异步的（需要调用 VS Code API）
+   *
+   * 【为什么要取消旧的刷新？】
+   * 快速切换编辑器或边输入边解析时，前一次解析（符号 + 多个 git 进程）
+   * 可能比后一次更晚完成，覆盖视图和 currentMethods。
+   * 每次刷新都有新的 generation 和 CancellationToken：
+   * 1. 取消上一次的令牌 → 解析器停止后续步骤，git 子进程被结束
+   * 2. await 之后再比对 generation → 即使解析没能及时停下，旧结果也会被丢弃
    */
   public async refresh(document?: TextDocument): Promise<void> {
     const doc = this.getTargetSupportDocument(document);
@@ -96,19 +186,146 @@ export class SidebarProvider implements WebviewViewProvider, Disposable {
       return;
     }
 
+    const { generation, token } = this.beginRefresh();
+
     if (doc.languageId === "markdown") {
       this.refreshMarkdown(doc);
       return;
     }
 
     try {
-      const classDoc = await this.parser.parse(doc);
+      const classDoc = await this.parseForView(doc, token);
+      if (generation !== this.refreshGeneration || token.isCancellationRequested) {
+        return;
+      }
+      this.diagnostics.publish(doc, classDoc);
       this.currentMethods = classDoc.methods;
       this.lastHighlightId = null;
       this.postMessage({ type: "updateView", payload: classDoc });
     } catch (error) {
-      console.error("[JavaDocSidebar] Parse error:", error);
+      if (!isCancellationError(error)) {
+        console.error("[JavaDocSidebar] Parse error:", error);
+      }
+    }
+  }
+
+  /**
+   * 取消尚未完成的刷新，返回本次刷新的 generation 和取消令牌
+   */
+  private beginRefresh(): { generation: number; token: CancellationToken } {
+    this.cancelPendingRefresh();
+    this.refreshTokenSource = new vscode.CancellationTokenSource();
+    return { generation: this.refreshGeneration, token: this.refreshTokenSource.token };
+  }
+
+  private cancelPendingRefresh(): void {
+    this.refreshGeneration++;
+    this.refreshTokenSource?.cancel();
+    this.refreshTokenSource?.dispose();
+    this.refreshTokenSource = undefined;
+  }
+
+  /**
+   * 解析要展示的文档
+   *
+   * 未保存的缓冲区不读取 Git：blame 基于磁盘上的文件，行号已经偏移，
+   * 而且每次输入都启动 git 进程代价太高。沿用同一文件上次的 Git 结果，避免头部、成员列和问题面板闪烁
+   */
+  private async parseForView(
+    document: TextDocument,
+    token: CancellationToken,
+  ): Promise<ClassDoc> {
+    const uri = document.uri.toString();
+    if (!document.isDirty) {
+      const classDoc = await this.parser.parse(document, {
+        ...readGitParseOptions(),
+        token,
+      });
+      this.lastGitInfo = this.takeGitSnapshot(uri, classDoc);
+      return classDoc;
+    }
+
+    const classDoc = await this.parser.parse(document, {
+      includeGitInfo: false,
+      token,
+    });
+    const snapshot = this.lastGitInfo?.uri === uri ? this.lastGitInfo : undefined;
+    if (!snapshot) {
+      return classDoc;
+    }
+    return {
+      ...classDoc,
+      gitInfo: snapshot.classInfo,
+      changeBase: snapshot.changeBase,
+      ownership: snapshot.ownership,
+      methods: classDoc.methods.map((m) => {
+        const member = snapshot.members.get(`${m.belongsTo}#${m.signature}`);
+        if (!member) {
+          return m;
+        }
+        const commentStartLine = m.commentStartLine;
+        const gitDiagnostics: DocDiagnostic[] =
+          commentStartLine === undefined
+            ? []
+            : member.diagnostics.map((d) => ({
+                code: d.code,
+                message: d.message,
+                line: LineNumber(commentStartLine + d.offset),
+              }));
+        return {
+          ...m,
+          gitInfo: member.gitInfo,
+          changeStatus: member.changeStatus,
+          ownership: member.ownership,
+          inferredSince: member.inferredSince,
+          diagnostics: [...m.diagnostics, ...gitDiagnostics],
+        };
+      }),
+      fields: classDoc.fields.map((f) => {
+        const member = snapshot.members.get(`${f.belongsTo}#${f.signature}`);
+        return member
+          ? { ...f, gitInfo: member.gitInfo, changeStatus: member.changeStatus }
+          : f;
+      }),
+    };
+  }
+
+  private takeGitSnapshot(uri: string, classDoc: ClassDoc): GitSnapshot {
+    const members = new Map<string, MemberGitSnapshot>();
+    for (const member of [...classDoc.methods, ...classDoc.fields]) {
+      const isMethod = "diagnostics" in member;
+      const commentStartLine = isMethod ? member.commentStartLine : undefined;
+      const diagnostics =
+        isMethod && commentStartLine !== undefined
+          ? member.diagnostics
+              .filter((d) => GIT_DIAGNOSTIC_CODES.has(d.code))
+              .map((d) => ({ code: d.code, message: d.message, offset: d.line - commentStartLine }))
+          : [];
+      const ownership = isMethod ? member.ownership : undefined;
+      const inferredSince = isMethod ? member.inferredSince : undefined;
+      if (
+        member.gitInfo ||
+        member.changeStatus ||
+        ownership ||
+        inferredSince ||
+        diagnostics.length > 0
+      ) {
+        members.set(`${member.belongsTo}#${member.signature}`, {
+          gitInfo: member.gitInfo,
+          changeStatus: member.changeStatus,
+          ownership,
+          inferredSince,
+          diagnostics,
+        });
+      }
     }
+    return {
+      uri,
+      classInfo: classDoc.gitInfo,
+      changeBase: classDoc.changeBase,
+      ownership: classDoc.ownership,
+      members,
+    };
   }
 
   /**
@@ -129,11 +346,35 @@ export class SidebarProvider implements WebviewViewProvider, Disposable {
    * 清空视图
    */
   public clearView(): void {
+    this.cancelPendingRefresh();
     this.currentMethods = [];
     this.lastHighlightId = null;
     this.postMessage({ type: "clearView" });
   }
 
+  /**
+   * 发送渲染相关的配置（Webview 就绪和配置变化时调用）
+   */
+  public updateSettings(): void {
+    const config = vscode.workspace.getConfiguration("javaDocSidebar");
+    this.postMessage({
+      type: "updateSettings",
+      payload: {
+        compactLastModified: config.get<boolean>(
+          "compactLastModified",
+          DEFAULT_CONFIG.compactLastModified,
+        ),
+      },
+    });
+  }
+
+  /**
+   * 清除文档的诊断（文档关闭时从 extension.ts 调用）
+   */
+  public clearDiagnostics(uri: vscode.Uri): void {
+    this.diagnostics.clear(uri);
+  }
+
   /**
    * cn - 处理光标选择变化（从 extension.ts 调用）
    * en - handle selection change (called from extension.ts)
@@ -152,6 +393,8 @@ export class SidebarProvider implements WebviewViewProvider, Disposable {
    */
   public dispose(): void {
     this.webviewMessageDisposable?.dispose();
+    this.cancelPendingRefresh();
+    this.indexListener.dispose();
     this.webviewMessageDisposable = undefined;
     this.view = undefined;
     this.currentMethods = [];
@@ -193,7 +436,43 @@ export class SidebarProvider implements WebviewViewProvider, Disposable {
         this.jumpToLine(message.payload.line);
         break;
 
+      case "openLink":
+        void this.openLink(message.payload.target);
+        break;
+
+      case "generateDoc":
+        void this.generateDoc(message.payload.line);
+        break;
+
+      case "searchDocs":
+        this.searchQuery = message.payload.query.trim();
+        this.postSearchResults();
+        break;
+
+      case "openSearchResult":
+        void openDocSearchResult(message.payload.uri, message.payload.line);
+        break;
+
+      case "loadMethodHistory":
+        void this.loadMethodHistory(message.payload.id);
+        break;
+
+      case "openCommitDiff":
+        void this.openCommitDiff(message.payload);
+        break;
+
+      case "loadCommitDetails":
+        void this.loadCommitDetails(message.payload.hash);
+        break;
+
+      case "copyCommitHash":
+        void vscode.env.clipboard.writeText(message.payload.hash).then(() => {
+          vscode.window.setStatusBarMessage(`已复制提交 ${message.payload.hash.slice(0, 7)}`, 2000);
+        });
+        break;
+
       case "webviewReady":
+        this.updateSettings();
         void this.refresh();
         break;
     }
@@ -216,6 +495,105 @@ export class SidebarProvider implements WebviewViewProvider, Disposable {
     editor.revealRange(range, vscode.TextEditorRevealType.InCenter);
   }
 
+  /**
+   * 打开 {@link} 目标（可能位于其他文件）
+   *
+   * @param target - 链接目标，如 "UserService#findById(Long)"；Go 链接定义的 URL 在浏览器中打开
+   */
+  private async openLink(target: string): Promise<void> {
+    if (/^https?:\/\//.test(target)) {
+      void vscode.env.openExternal(vscode.Uri.parse(target));
+      return;
+    }
+    const document = vscode.window.activeTextEditor?.document;
+    const opened = await openLinkTarget(target, document);
+    if (!opened) {
+      void vscode.window.showInformationMessage(`未找到链接目标: ${target}`);
+    }
+  }
+
+  /**
+   * 为无注释成员插入注释模板，完成后刷新侧边栏
+   *
+   * @param line - 成员声明所在行
+   */
+  private async generateDoc(line: LineNumber): Promise<void> {
+    const document = vscode.window.activeTextEditor?.document;
+    if (!document) {
+      return;
+    }
+
+    const target = await this.stubService.findTarget(document, line);
+    const edit = target
+      ? this.stubService.createGenerateEdit(document, target)
+      : null;
+    if (!edit) {
+      return;
+    }
+
+    const applied = await vscode.workspace.applyEdit(edit);
+    if (applied) {
+      await this.refresh(document);
+    }
+  }
+
+  /**
+   * 查询方法的提交历史（含注释），结果按方法 id 发回 Webview
+   */
+  private async loadMethodHistory(id: MethodId): Promise<void> {
+    const document = vscode.window.activeTextEditor?.document;
+    const method = this.currentMethods.find((m) => m.id === id);
+    const entries =
+      document && method
+        ? await gitService.getLineHistory(
+            document.uri.fsPath,
+            method.commentStartLine ?? method.startLine,
+            method.endLine,
+          )
+        : null;
+    this.postMessage({ type: "methodHistory", payload: { id, entries } });
+  }
+
+  /**
+   * 查询提交详情（头部「最后修改」的弹出框），结果按哈希发回 Webview
+   */
+  private async loadCommitDetails(hash: string): Promise<void> {
+    const document = vscode.window.activeTextEditor?.document;
+    const details = document
+      ? await gitService.getCommitDetails(document.uri.fsPath, hash)
+      : null;
+    this.postMessage({ type: "commitDetails", payload: { hash, details } });
+  }
+
+  /**
+   * 在差异编辑器中打开某次提交对当前文件的修改
+   */
+  private async openCommitDiff(
+    entry: Parameters<typeof openCommitDiff>[1],
+  ): Promise<void> {
+    const document = vscode.window.activeTextEditor?.document;
+    if (document) {
+      await openCommitDiff(document.uri.fsPath, entry);
+    }
+  }
+
+  /**
+   * 发送当前查询的搜索结果（查询为空时不发送）
+   */
+  private postSearchResults(): void {
+    if (!this.searchQuery) {
+      return;
+    }
+    this.postMessage({
+      type: "searchResults",
+      payload: {
+        query: this.searchQuery,
+        results: this.docIndex.search(this.searchQuery),
+        indexing: this.docIndex.isIndexing,
+      },
+    });
+  }
+
   /**
    * 向 Webview 发送消息
    *
@@ -301,6 +679,10 @@ export class SidebarProvider implements WebviewViewProvider, Disposable {
         <title>JavaDoc Sidebar</title>
       </head>
       <body>
+        <div class="search-bar">
+          <input id="searchInput" type="search" placeholder="搜索工作区文档" spellcheck="false">
+        </div>
+        <div id="searchResults" class="search-results" hidden></div>
         <div id="root"></div>
         <script nonce="${nonce}" src="${scriptUri.toString()}"></script>
       </body>
@@ -321,3 +703,21 @@ export class SidebarProvider implements WebviewViewProvider, Disposable {
     return Array.from(array, (n) => n.toString(36)).join("");
   }
 }
+
+/**
+ * 只在读取 Git 时生效的解析选项（改动标记的比较基准、过期文档阈值、发布标签），每次从配置读取
+ */
+function readGitParseOptions(): Pick<
+  ParseOptions,
+  "diffBase" | "staleDocThresholds" | "sinceTagPattern"
+> {
+  const config = vscode.workspace.getConfiguration("javaDocSidebar");
+  return {
+    sinceTagPattern: config.get<string>("sinceTagPattern", DEFAULT_CONFIG.sinceTagPattern).trim(),
+    diffBase: config.get<string>("diffBase", DEFAULT_CONFIG.diffBase).trim(),
+    staleDocThresholds: {
+      commits: config.get<number>("staleDocCommits", DEFAULT_CONFIG.staleDocCommits),
+      days: config.get<number>("staleDocDays", DEFAULT_CONFIG.staleDocDays),
+    },
+  };
+}
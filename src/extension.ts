@@ -20,11 +20,30 @@
 import * as vscode from "vscode";
 import type { Disposable } from "vscode";
 import { SidebarProvider } from "./SidebarProvider.js";
+import { DocCodeActionProvider } from "./DocCodeActionProvider.js";
+import { JavaDocParser } from "./parser/JavaDocParser.js";
+import { DocStubService } from "./services/DocStubService.js";
+import { DocDiagnosticPublisher } from "./services/DocDiagnosticPublisher.js";
+import { runCoverageReport } from "./services/CoverageReportService.js";
+import { runApiChangeReport } from "./services/ApiChangeReportService.js";
+import { DocIndex } from "./services/DocIndex.js";
+import { showDocSearchQuickPick } from "./DocSearchQuickPick.js";
+import { getRepositoryDirectory, showDiffBaseQuickPick } from "./DiffBaseQuickPick.js";
+import {
+  GIT_REVISION_SCHEME,
+  GitRevisionProvider,
+} from "./services/GitRevisionProvider.js";
+import { gitService } from "./services/GitService.js";
+import { GitRepositoryWatcher } from "./services/GitRepositoryWatcher.js";
+import { debounce } from "./utils/debounce.js";
 import {
   clearAllSymbolCache,
   clearSymbolCache,
 } from "./parser/SymbolResolver.js";
-import { isSupportedLanguage } from "./types.js";
+import { DEFAULT_CONFIG, isSupportedLanguage } from "./types.js";
+
+// 一次提交会修改多个引用文件，合并为一次刷新
+const GIT_REFRESH_DEBOUNCE_DELAY = 500;
 /**
  * 扩展激活函数
  *【ExtensionContext 的作用】
@@ -36,8 +55,17 @@ import { isSupportedLanguage } from "./types.js";
  */
 export function activate(context: vscode.ExtensionContext): void {
   console.log("[JavaDocSidebar] Extension is now active!");
+  // shared by code actions, the coverage / API change reports and the workspace index (no per-document state)
+  const parser = new JavaDocParser();
+
+  // workspace doc index: built in the background shortly after activation (or on the first search), kept up to date by a file watcher
+  const docIndex = new DocIndex(parser);
+  docIndex.startDeferred();
+
   //register WebViewProvider for sidebar and panel
-  const sidebarProvider = new SidebarProvider(context.extensionUri);
+  // Problems panel: published by the sidebar, read back by the @since quick fix
+  const diagnostics = new DocDiagnosticPublisher();
+  const sidebarProvider = new SidebarProvider(context.extensionUri, docIndex, diagnostics);
   //left bar view create
   const viewProviderDisposable = vscode.window.registerWebviewViewProvider(
     "javaDocSidebar",
@@ -52,11 +80,46 @@ export function activate(context: vscode.ExtensionContext): void {
 
   const saveListener = createSaveListener(sidebarProvider);
 
+  const editListener = createEditListener(sidebarProvider);
+
   const editorChangeListener = createEditorChangeListener(sidebarProvider);
 
   const selectionListener = createSelectionListener(sidebarProvider);
 
-  const closeListener = createCloseListener();
+  const closeListener = createCloseListener(sidebarProvider);
+
+  // git cache: dropped when HEAD / refs change (commit, checkout, pull), then the sidebar re-reads blame
+  const gitRepositoryWatcher = new GitRepositoryWatcher(
+    gitService,
+    debounce(() => {
+      void sidebarProvider.refresh();
+    }, GIT_REFRESH_DEBOUNCE_DELAY),
+  );
+
+  const configListener = createConfigListener(sidebarProvider);
+
+  // code actions: generate / sync comment stubs
+  const codeActionDisposable = vscode.languages.registerCodeActionsProvider(
+    [
+      { language: "java" },
+      { language: "typescript" },
+      { language: "javascript" },
+      { language: "python" },
+      { language: "kotlin" },
+      { language: "go" },
+      { language: "csharp" },
+      { language: "rust" },
+    ],
+    new DocCodeActionProvider(new DocStubService(parser), diagnostics),
+    { providedCodeActionKinds: DocCodeActionProvider.providedCodeActionKinds },
+  );
+
+  // read-only historical file versions for the method history diff
+  const revisionProviderDisposable =
+    vscode.workspace.registerTextDocumentContentProvider(
+      GIT_REVISION_SCHEME,
+      new GitRevisionProvider(),
+    );
 
   // register command for refresh future
 
@@ -67,15 +130,54 @@ export function activate(context: vscode.ExtensionContext): void {
     },
   );
 
+  const coverageCommand = vscode.commands.registerCommand(
+    "javaDocSidebar.coverageReport",
+    () => {
+      void runCoverageReport(parser);
+    },
+  );
+
+  const apiChangeCommand = vscode.commands.registerCommand(
+    "javaDocSidebar.apiChangeReport",
+    () => {
+      void runApiChangeReport(parser, getRepositoryDirectory());
+    },
+  );
+
+  const searchCommand = vscode.commands.registerCommand(
+    "javaDocSidebar.searchDocs",
+    () => {
+      showDocSearchQuickPick(docIndex);
+    },
+  );
+
+  const diffBaseCommand = vscode.commands.registerCommand(
+    "javaDocSidebar.selectDiffBase",
+    () => {
+      void showDiffBaseQuickPick();
+    },
+  );
+
   // register for subscriptions to auto dispose
   context.subscriptions.push(
     viewProviderDisposable,
     saveListener,
+    editListener,
     editorChangeListener,
     selectionListener,
     closeListener,
+    gitRepositoryWatcher,
+    configListener,
+    codeActionDisposable,
+    revisionProviderDisposable,
     refreshCommand,
+    coverageCommand,
+    apiChangeCommand,
+    searchCommand,
+    diffBaseCommand,
     sidebarProvider,
+    diagnostics,
+    docIndex,
   );
 }
 
@@ -86,11 +188,55 @@ function createSaveListener(provider: SidebarProvider): Disposable {
   return vscode.workspace.onDidSaveTextDocument((document) => {
     //TODO : More languages ​​will be supported in the future
     if (isSupportedLanguage(document.languageId)) {
+      // 修改时间的精度不一定能区分连续两次保存，显式作废该文件的 Git 缓存
+      gitService.invalidateFile(document.uri.fsPath);
       void provider.refresh(document);
     }
   });
 }
 
+/**
+ * cn - 创建编辑监听器：未保存的修改在防抖后重新解析，侧边栏的行号随输入更新
+ * en - create edit listener: re-parse unsaved buffers after a debounce
+ *
+ * 延迟每次从配置读取，修改设置后立即生效
+ */
+function createEditListener(provider: SidebarProvider): Disposable {
+  let timeoutId: ReturnType<typeof setTimeout> | undefined;
+
+  const listener = vscode.workspace.onDidChangeTextDocument((event) => {
+    const document = event.document;
+    if (
+      event.contentChanges.length === 0 ||
+      document !== vscode.window.activeTextEditor?.document ||
+      !isSupportedLanguage(document.languageId)
+    ) {
+      return;
+    }
+
+    const delay = getEditDebounceDelay();
+    if (delay <= 0) {
+      return;
+    }
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => {
+      timeoutId = undefined;
+      void provider.refresh(document);
+    }, delay);
+  });
+
+  return new vscode.Disposable(() => {
+    clearTimeout(timeoutId);
+    listener.dispose();
+  });
+}
+
+function getEditDebounceDelay(): number {
+  return vscode.workspace
+    .getConfiguration("javaDocSidebar")
+    .get<number>("editDebounceDelay", DEFAULT_CONFIG.editDebounceDelay);
+}
+
 /**
  * cn -创建编辑器切换监听器
  * en - create editor change listener
@@ -122,12 +268,30 @@ function createSelectionListener(provider: SidebarProvider): Disposable {
 }
 
 /**
- * 创建关闭监听器 - 用于清理符号缓存
+ * 创建关闭监听器 - 用于清理符号缓存和文档诊断
  * @returns
  */
-function createCloseListener(): Disposable {
+function createCloseListener(provider: SidebarProvider): Disposable {
   return vscode.workspace.onDidCloseTextDocument((document) => {
     clearSymbolCache(document.uri);
+    provider.clearDiagnostics(document.uri);
+  });
+}
+
+const REPARSE_SETTINGS = ["diffBase", "staleDocCommits", "staleDocDays", "sinceTagPattern"] as const;
+
+/**
+ * 创建配置监听器 - 影响渲染的配置变化后通知 Webview，比较基准变化后重新解析
+ */
+function createConfigListener(provider: SidebarProvider): Disposable {
+  return vscode.workspace.onDidChangeConfiguration((event) => {
+    if (event.affectsConfiguration("javaDocSidebar")) {
+      provider.updateSettings();
+    }
+    // 比较基准、过期文档阈值在解析时使用，变化后需要重新解析
+    if (REPARSE_SETTINGS.some((key) => event.affectsConfiguration(`javaDocSidebar.${key}`))) {
+      void provider.refresh();
+    }
   });
 }
 
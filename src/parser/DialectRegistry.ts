@@ -0,0 +1,35 @@
+/**
+ * DialectRegistry.ts - The strategy for each documentation dialect
+ *
+ * Purpose:
+ * - Map a DocDialect to its DialectStrategy.
+ *
+ * Why:
+ * - Besides JavaDocParser, the coverage and API change reports ask a dialect
+ *   which members are public API; they look the strategy up here rather than
+ *   keeping their own copy of the visibility rules.
+ */
+
+import type { DialectStrategy } from "./DialectStrategy.js";
+import { javadocStrategy } from "./JavadocStrategy.js";
+import { jsDocStrategy } from "./JsDocStrategy.js";
+import { docstringStrategy } from "./DocstringStrategy.js";
+import { kdocStrategy } from "./KDocStrategy.js";
+import { goDocStrategy } from "./GoDocStrategy.js";
+import { xmlDocStrategy } from "./XmlDocStrategy.js";
+import { rustDocStrategy } from "./RustDocStrategy.js";
+import type { DocDialect } from "../types.js";
+
+const DIALECT_STRATEGIES: Readonly<Record<DocDialect, DialectStrategy>> = {
+  javadoc: javadocStrategy,
+  jsdoc: jsDocStrategy,
+  docstring: docstringStrategy,
+  kdoc: kdocStrategy,
+  godoc: goDocStrategy,
+  xmldoc: xmlDocStrategy,
+  rustdoc: rustDocStrategy,
+};
+
+export function getDialectStrategy(dialect: DocDialect): DialectStrategy {
+  return DIALECT_STRATEGIES[dialect];
+}
@@ -0,0 +1,219 @@
+/**
+ * DialectStrategy.ts - What JavaDocParser asks of a documentation dialect
+ *
+ * Purpose:
+ * - Describe, per DocDialect, how a source file becomes a ClassDoc: which
+ *   declaration names the class, how the symbol tree is flattened and
+ *   grouped, how comments are found, cleaned and parsed, and how signatures,
+ *   fields and access modifiers are read.
+ * - Share the pieces several dialects reuse (FlattenedSymbol, flattenSymbols).
+ *
+ * Why:
+ * - JavaDocParser assembles ClassDoc the same way for every language. Keeping
+ *   the per-language answers in one strategy object next to each dialect
+ *   module (KDocStrategy.ts beside KDocParser.ts, ...) keeps the assembly free
+ *   of dialect ladders, and gives a new language one place to fill in.
+ */
+
+import type { DocumentSymbol } from "vscode";
+import {
+  isClassLikeSymbol,
+  isEnumMemberSymbol,
+  isEventSymbol,
+  isFieldSymbol,
+  isMethodSymbol,
+  isPropertySymbol,
+} from "./SymbolResolver.js";
+import type { SignatureParam } from "./JsDocTagParser.js";
+import type {
+  AccessModifier,
+  DocBlock,
+  DocDialect,
+  TagTable,
+} from "../types.js";
+
+/**
+ * Upper bound on the lines a declaration may span (Spring handlers with many
+ * annotated parameters run to 8-10 lines).
+ */
+export const MAX_SIGNATURE_LINES = 15;
+
+/**
+ * A member lifted out of the nested symbol tree, with the type it belongs to.
+ */
+export interface FlattenedSymbol {
+  readonly symbol: DocumentSymbol;
+  readonly belongsTo: string; // Qualified owner, e.g. "OuterClass.InnerClass"
+  readonly container: DocumentSymbol | undefined; // Owner symbol (undefined for top-level functions)
+}
+
+/**
+ * The class a file is documented as when no class symbol names it.
+ */
+export interface ClassInfo {
+  readonly className: string;
+  readonly classLine: number;
+  readonly classComment: string;
+}
+
+/**
+ * A doc comment as written in the source, comment markers included.
+ */
+export interface CommentBlock {
+  readonly raw: string;
+  readonly startLine: number; // Opening line (the opening quotes for docstrings)
+}
+
+/**
+ * A parsed member comment; tags are not yet tokenized (see withInlineTokens).
+ */
+export interface ParsedComment {
+  readonly description: string;
+  readonly tags: TagTable;
+  readonly blocks?: readonly DocBlock[] | undefined; // Markdown-like dialects only
+}
+
+/**
+ * What a field declaration says beyond its name and comment.
+ */
+export interface FieldShape {
+  readonly type: string;
+  readonly isConstant: boolean;
+  readonly accessModifier: AccessModifier;
+}
+
+/**
+ * Names a dialect may group top-level members under.
+ */
+export interface GroupNames {
+  readonly packageName: string;
+  readonly className: string;
+}
+
+/**
+ * Per-dialect behaviour of JavaDocParser.
+ */
+export interface DialectStrategy {
+  readonly dialect: DocDialect;
+  // The file (Go) or module (Rust) always names the class; no type is primary
+  readonly fileIsClass: boolean;
+  // Overridden methods inherit missing documentation from their supertypes
+  readonly inheritsDocs: boolean;
+  // Comments carry @since, so it is inferred from release tags and checked
+  readonly hasSinceTag: boolean;
+  // Overloads share a name, so a method is also matched by parameter count
+  readonly hasOverloads: boolean;
+  // Class-comment tags that document properties, in the order they are tried
+  // (Kotlin @property then @param, C# record <param>)
+  readonly propertyTags?: readonly ("properties" | "params")[];
+
+  /** Purpose: Drop wrappers that only hold types (C# namespace blocks). */
+  topLevelSymbols(symbols: readonly DocumentSymbol[]): readonly DocumentSymbol[];
+  /** Purpose: Class name, line and comment when no class symbol is found. */
+  readFileClassInfo(text: string, filePath: string): ClassInfo;
+  readPackageName(text: string): string;
+  /** Purpose: Lift members out of the symbol tree and group them (belongsTo). */
+  flattenSymbols(
+    symbols: readonly DocumentSymbol[],
+    lines: readonly string[],
+    names: GroupNames,
+  ): readonly FlattenedSymbol[];
+  /** Purpose: Symbols listed as fields besides Field / Constant. */
+  isField(symbol: DocumentSymbol): boolean;
+  memberName(symbol: DocumentSymbol): string;
+  isConstructor(symbol: DocumentSymbol): boolean;
+
+  /** Purpose: The doc comment of the declaration at targetLine, if any. */
+  findComment(lines: readonly string[], targetLine: number): CommentBlock | null;
+  /** Purpose: Comment text without markers, as shown for fields and classes. */
+  cleanComment(raw: string): string;
+  parseComment(raw: string, signature: string): ParsedComment;
+  parseClassTags(comment: string): { author: string | undefined; since: string | undefined };
+  /** Purpose: Structured description blocks, for dialects written in Markdown. */
+  parseBlocks?(raw: string): readonly DocBlock[];
+
+  /** Purpose: The declaration the comment documents, read across lines. */
+  readSignature(lines: readonly string[], startLine: number): string;
+  /** Purpose: Parameter name -> type, in declaration order. */
+  readSignatureParams(signature: string): Map<string, string>;
+  /** Purpose: The signature shown for a method. */
+  displaySignature(symbol: DocumentSymbol, signature: string, declarationLine: string): string;
+  /** Purpose: Modifiers, return type, name and parameters, for comparing versions. */
+  readDeclaration(signature: string): string;
+  /**
+   * @param container - Owning type (interfaces and trait impls make members public).
+   */
+  readAccessModifier(
+    declaration: string,
+    name: string,
+    container?: DocumentSymbol,
+  ): AccessModifier;
+  /**
+   * Purpose: A member declared on its container's line (C# record parameter,
+   * Kotlin constructor property), documented only by the container's propertyTags.
+   */
+  isPositionalParameter?(flattened: FlattenedSymbol): boolean;
+  readField(lineText: string, flattened: FlattenedSymbol): FieldShape;
+  /** Purpose: The visibility callers see (an unmarked JS / TS member is public). */
+  apiAccess(access: AccessModifier): AccessModifier;
+  /**
+   * Purpose: Whether a member is public API: compared by the API change
+   * report, expected to carry @since, listed as undocumented public API.
+   */
+  isPublicApi(access: AccessModifier, name: string): boolean;
+}
+
+/**
+ * Purpose: Line of a symbol's name (the whole range when no selection is given).
+ */
+export function symbolLine(symbol: DocumentSymbol): number {
+  return symbol.selectionRange?.start.line ?? symbol.range.start.line;
+}
+
+/**
+ * Purpose: Whether a member sits on its container's line, where the comment
+ * above belongs to the container ("class User(val id: Long)").
+ */
+export function isOnContainerLine({ symbol, container }: FlattenedSymbol): boolean {
+  return container !== undefined && symbolLine(container) === symbolLine(symbol);
+}
+
+/**
+ * Purpose: Flatten a symbol tree, qualifying nested types ("Outer.Inner").
+ *
+ * Containers (classes, interfaces, enums) are descended into; methods,
+ * fields, properties, events and enum constants are collected.
+ */
+export function flattenSymbols(
+  symbols: readonly DocumentSymbol[],
+  parentName: string,
+  container?: DocumentSymbol,
+): FlattenedSymbol[] {
+  const result: FlattenedSymbol[] = [];
+
+  for (const symbol of symbols) {
+    if (isClassLikeSymbol(symbol)) {
+      const currentClass = parentName ? `${parentName}.${symbol.name}` : symbol.name;
+      if (symbol.children.length > 0) {
+        result.push(...flattenSymbols(symbol.children, currentClass, symbol));
+      }
+    } else if (
+      isMethodSymbol(symbol) ||
+      isFieldSymbol(symbol) ||
+      isPropertySymbol(symbol) ||
+      isEventSymbol(symbol) ||
+      isEnumMemberSymbol(symbol)
+    ) {
+      result.push({ symbol, belongsTo: parentName || "Unknown", container });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Purpose: Keep only the type of each parsed signature parameter.
+ */
+export function paramTypes(params: ReadonlyMap<string, SignatureParam>): Map<string, string> {
+  return new Map([...params].map(([name, param]) => [name, param.type]));
+}
@@ -0,0 +1,281 @@
+/**
+ * DocLinter.ts - Tag / signature consistency checks
+ *
+ * Purpose:
+ * - Report @param / @return / @throws tags that disagree with the signature.
+ *
+ * Why:
+ * - TagParser silently tolerates mismatches (an unknown @param just gets type
+ *   "unknown"), so stale docs after a rename go unnoticed.
+ * - Works on the raw comment lines, because TagTable keeps neither the line
+ *   of each tag nor duplicates of single-valued tags.
+ *
+ * C# XML elements (<param name>, <typeparam name>, <returns>, <exception cref>)
+ * are read as the equivalent tags.
+ *
+ * "Missing" checks use the final MethodDoc, so parts inherited from a
+ * supertype ({@inheritDoc}) are not reported as missing. A comment that is only
+ * {@inheritDoc} skips them when the supertype could not be resolved.
+ */
+
+import type { DocDiagnostic, DocDiagnosticCode, MethodDoc } from "../types.js";
+import { LineNumber } from "../types.js";
+import { findMatchingIndex } from "./TagParser.js";
+import { defersToUnresolvedSupertype } from "./InheritDocMerger.js";
+import type { SignatureInfo } from "./SignatureInfo.js";
+
+/**
+ * Raw comment of a method, as found in the source.
+ */
+export interface LintContext {
+  readonly rawComment: string;
+  readonly commentStartLine: number;
+  readonly signature: SignatureInfo;
+}
+
+/**
+ * A block tag found on a comment line.
+ */
+interface TagLine {
+  readonly tag: string;
+  readonly argument: string; // Param name / exception type, "" for other tags
+  readonly line: number;
+}
+
+const PARAM_TAGS: ReadonlySet<string> = new Set(["param", "arg", "argument"]);
+const RETURN_TAGS: ReadonlySet<string> = new Set(["return", "returns"]);
+const THROWS_TAGS: ReadonlySet<string> = new Set(["throws", "exception"]);
+
+/**
+ * C# XML element at the start of a "///" line: <param name="id">, <exception cref="T:X">
+ */
+const XML_TAG = /^<(param|typeparam|returns|exception)\b(?:[^>]*?\b(?:name|cref)\s*=\s*["']([^"']*)["'])?/;
+
+/**
+ * Tags that may appear at most once per comment.
+ */
+const SINGLE_VALUED_TAGS: ReadonlySet<string> = new Set([
+  "return",
+  "since",
+  "deprecated",
+]);
+
+/**
+ * Common unchecked exceptions; documenting them without a throws clause is normal.
+ */
+const UNCHECKED_EXCEPTIONS: ReadonlySet<string> = new Set([
+  "ArithmeticException",
+  "ArrayIndexOutOfBoundsException",
+  "ClassCastException",
+  "ConcurrentModificationException",
+  "DateTimeException",
+  "IllegalArgumentException",
+  "IllegalMonitorStateException",
+  "IllegalStateException",
+  "IndexOutOfBoundsException",
+  "NoSuchElementException",
+  "NullPointerException",
+  "NumberFormatException",
+  "SecurityException",
+  "UncheckedIOException",
+  "UnsupportedOperationException",
+]);
+
+/**
+ * Purpose: Check a documented method against its signature.
+ * @param method - Final MethodDoc (after inherited docs were merged).
+ * @returns Diagnostics in comment order; missing-tag problems point at the declaration.
+ * Side effects: None.
+ */
+export function lintMethodDoc(
+  method: MethodDoc,
+  context: LintContext,
+): DocDiagnostic[] {
+  const diagnostics: DocDiagnostic[] = [];
+  const report = (code: DocDiagnosticCode, message: string, line: number): void => {
+    diagnostics.push({ code, message, line: LineNumber(line) });
+  };
+
+  const tagLines = collectTagLines(context.rawComment, context.commentStartLine);
+  const isConstructor = method.kind === "constructor";
+  const { params, returnType, declaredThrows } = context.signature;
+  const checkMissing = !defersToUnresolvedSupertype(method);
+
+  // ---- duplicates ----
+  const seen = new Set<string>();
+  for (const tagLine of tagLines) {
+    const key = duplicateKey(tagLine);
+    if (!key) {
+      continue;
+    }
+    if (seen.has(key)) {
+      const label = tagLine.argument ? `@${tagLine.tag} ${tagLine.argument}` : `@${tagLine.tag}`;
+      report("duplicateTag", `重复的标签 ${label}`, tagLine.line);
+    }
+    seen.add(key);
+  }
+
+  // ---- @param ----
+  if (params) {
+    for (const tagLine of tagLines) {
+      if (!PARAM_TAGS.has(tagLine.tag) || !tagLine.argument) {
+        continue;
+      }
+      // Javadoc type parameter "@param <T>", JSDoc property "@param options.name"
+      const name = tagLine.argument.split(".")[0] ?? "";
+      if (name.startsWith("<") || params.includes(name)) {
+        continue;
+      }
+      report("unknownParam", `@param ${tagLine.argument} 不在方法签名中`, tagLine.line);
+    }
+
+    const documented = new Set(method.tags.params.map((p) => p.name));
+    for (const name of params) {
+      if (checkMissing && !documented.has(name)) {
+        report("missingParam", `参数 ${name} 缺少 @param`, method.startLine);
+      }
+    }
+  }
+
+  // ---- @return ----
+  const returnLine = tagLines.find((t) => RETURN_TAGS.has(t.tag));
+  if (returnType === "void" && returnLine) {
+    const message = isConstructor
+      ? "构造函数不应包含 @return"
+      : "void 方法不应包含 @return";
+    report("unexpectedReturn", message, returnLine.line);
+  } else if (checkMissing && returnType && returnType !== "void" && !method.tags.returns) {
+    report("missingReturn", `缺少 @return（返回类型 ${returnType}）`, method.startLine);
+  }
+
+  // ---- @throws ----
+  if (declaredThrows) {
+    const declared = declaredThrows.map(simpleName);
+    for (const tagLine of tagLines) {
+      if (!THROWS_TAGS.has(tagLine.tag) || !tagLine.argument) {
+        continue;
+      }
+      const type = simpleName(tagLine.argument);
+      if (declared.includes(type) || isLikelyUnchecked(type)) {
+        continue;
+      }
+      report("undeclaredThrows", `@throws ${tagLine.argument} 未在 throws 子句中声明`, tagLine.line);
+    }
+  }
+
+  return diagnostics.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Purpose: Find the document line of the first occurrence of a block tag.
+ * @param tag - Tag name without "@", lower case ("since").
+ * @returns undefined when the comment has no such tag.
+ */
+export function findTagLine(
+  rawComment: string,
+  commentStartLine: number,
+  tag: string,
+): number | undefined {
+  return collectTagLines(rawComment, commentStartLine).find((tagLine) => tagLine.tag === tag)
+    ?.line;
+}
+
+/**
+ * Scan comment lines for block tags, keeping the document line of each.
+ */
+function collectTagLines(rawComment: string, commentStartLine: number): TagLine[] {
+  const result: TagLine[] = [];
+  const lines = rawComment.split("\n");
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine
+      .replace(/^\s*\/\/\//, "")
+      .replace(/^\s*\/\*\*/, "")
+      .replace(/\*\/\s*$/, "")
+      .replace(/^\s*\*\s?/, "")
+      .trim();
+    const xml = XML_TAG.exec(line);
+    if (xml?.[1]) {
+      result.push({ ...readXmlTag(xml[1], xml[2] ?? ""), line: commentStartLine + index });
+      return;
+    }
+    const match = /^@([A-Za-z]+)\s*(.*)$/.exec(line);
+    if (!match?.[1]) {
+      return;
+    }
+
+    const tag = match[1].toLowerCase();
+    const rest = match[2] ?? "";
+    result.push({
+      tag: tag === "returns" ? "return" : tag,
+      argument: readTagArgument(tag, rest),
+      line: commentStartLine + index,
+    });
+  });
+
+  return result;
+}
+
+/**
+ * First word after the tag: param name or exception type.
+ * Handles "{Type} [name=default]" and "name - description" (JSDoc / TSDoc).
+ */
+export function readTagArgument(tag: string, rest: string): string {
+  const isParam = PARAM_TAGS.has(tag);
+  if (!isParam && !THROWS_TAGS.has(tag)) {
+    return "";
+  }
+
+  let text = rest.trim();
+  if (text.startsWith("{")) {
+    const end = findMatchingIndex(text, 0, "{", "}");
+    const braced = end > 0 ? text.slice(1, end).trim() : "";
+    // "@throws {NotFoundError} when missing": the braced type is the argument
+    if (!isParam) {
+      return braced;
+    }
+    text = end > 0 ? text.slice(end + 1).trim() : "";
+  }
+
+  const word = /^\[?([^\s\]=]+)/.exec(text)?.[1] ?? "";
+  return word.replace(/^\.\.\./, "");
+}
+
+/**
+ * Map a C# XML element onto the tag it stands for; a type parameter becomes
+ * "@param <T>", which the signature check skips.
+ */
+function readXmlTag(element: string, attribute: string): { tag: string; argument: string } {
+  switch (element) {
+    case "param":
+      return { tag: "param", argument: attribute };
+    case "typeparam":
+      return { tag: "param", argument: attribute ? `<${attribute}>` : "" };
+    case "exception":
+      return { tag: "throws", argument: attribute.replace(/^[A-Z]:/, "") };
+    default:
+      return { tag: "return", argument: "" };
+  }
+}
+
+function duplicateKey(tagLine: TagLine): string | null {
+  if (PARAM_TAGS.has(tagLine.tag)) {
+    return tagLine.argument ? `param:${tagLine.argument}` : null;
+  }
+  if (THROWS_TAGS.has(tagLine.tag)) {
+    return tagLine.argument ? `throws:${simpleName(tagLine.argument)}` : null;
+  }
+  return SINGLE_VALUED_TAGS.has(tagLine.tag) ? tagLine.tag : null;
+}
+
+function isLikelyUnchecked(type: string): boolean {
+  return (
+    UNCHECKED_EXCEPTIONS.has(type) ||
+    type.endsWith("RuntimeException") ||
+    type.endsWith("Error")
+  );
+}
+
+function simpleName(type: string): string {
+  return type.slice(type.lastIndexOf(".") + 1);
+}
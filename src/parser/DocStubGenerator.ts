@@ -0,0 +1,329 @@
+/**
+ * DocStubGenerator.ts - Comment skeletons from signatures
+ *
+ * Purpose:
+ * - Build a new comment with @param / @return / @throws lines for a member.
+ * - Sync an existing comment after a signature change.
+ *
+ * Why:
+ * - Writing the boilerplate tag block is the main reason members stay
+ *   undocumented; the signature already contains everything it needs.
+ *
+ * Sync rules:
+ * - @param lines follow the signature order; missing names are added,
+ *   stale ones removed; existing descriptions (including continuation lines)
+ *   are kept. A stale tag at the position of a missing name is treated as a
+ *   rename and keeps its description.
+ * - Missing @return and @throws of declared exceptions are added.
+ * - Description and all other tags are left untouched.
+ *
+ * @since rules: an existing @since line is replaced, otherwise one is
+ * appended after the last tag.
+ *
+ * Python docstrings get a Google-style skeleton (Args / Returns); sync and
+ * @since only understand "@" tags and are not offered for docstrings.
+ * C# gets an XML skeleton (<summary> / <param> / <returns>), likewise without
+ * sync and @since.
+ * Rust gets a "///" line to start the description, plus an "# Errors"
+ * section when the function returns a Result; rustdoc has no tags to sync.
+ */
+
+import type { DocDialect } from "../types.js";
+import { readTagArgument } from "./DocLinter.js";
+import type { SignatureInfo } from "./SignatureInfo.js";
+
+/**
+ * A block tag together with its continuation lines.
+ */
+interface TagBlock {
+  readonly tag: string;
+  readonly argument: string;
+  readonly lines: readonly string[];
+}
+
+const PARAM_TAGS: ReadonlySet<string> = new Set(["param", "arg", "argument"]);
+const RETURN_TAGS: ReadonlySet<string> = new Set(["return", "returns"]);
+const THROWS_TAGS: ReadonlySet<string> = new Set(["throws", "exception"]);
+
+/**
+ * Purpose: Content lines of a new comment (without the comment markers).
+ * @param signature - null for fields and enum constants (description only).
+ * @example (Long id) -> User  =>  ["", "@param id", "@return"]
+ */
+export function buildDocStub(
+  signature: SignatureInfo | null,
+  dialect: DocDialect,
+): string[] {
+  if (dialect === "xmldoc") {
+    return buildXmlDocStub(signature);
+  }
+  if (dialect === "rustdoc") {
+    return buildRustDocStub(signature);
+  }
+  const lines = [""];
+  if (!signature) {
+    return lines;
+  }
+  if (dialect === "docstring") {
+    return buildDocstringStub(signature);
+  }
+
+  for (const name of signature.params ?? []) {
+    lines.push(`@param ${name}`);
+  }
+  if (needsReturnTag(signature)) {
+    lines.push(returnTagName(dialect));
+  }
+  for (const type of signature.declaredThrows ?? []) {
+    lines.push(`@throws ${type}`);
+  }
+  return lines;
+}
+
+/**
+ * Purpose: Bring an existing comment in line with the signature.
+ * @param rawComment - The comment as written in the source, "/**" to "*\/".
+ * @returns New content lines, or null when the comment is already in sync.
+ * Side effects: None.
+ */
+export function syncDocComment(
+  rawComment: string,
+  signature: SignatureInfo,
+  dialect: DocDialect,
+): string[] | null {
+  const { description, blocks } = splitComment(rawComment);
+  let changed = false;
+
+  // ---- @param ----
+  const paramBlocks = blocks.filter((b) => PARAM_TAGS.has(b.tag));
+  let params: TagBlock[] = paramBlocks;
+  if (signature.params) {
+    const rootName = (block: TagBlock): string => block.argument.split(".")[0] ?? "";
+    // Javadoc type parameters "@param <T>" are not part of the parameter list
+    params = paramBlocks.filter((b) => b.argument.startsWith("<"));
+    const valueParams = paramBlocks.filter((b) => !b.argument.startsWith("<"));
+    const signatureNames = new Set(signature.params);
+
+    signature.params.forEach((name, index) => {
+      const existing = paramBlocks.filter((b) => rootName(b) === name);
+      if (existing.length > 0) {
+        params.push(...existing);
+        return;
+      }
+      changed = true;
+      // A stale tag at the same position is most likely a rename: keep its description
+      const renamed = valueParams[index];
+      params.push(
+        renamed && !signatureNames.has(rootName(renamed))
+          ? renameParamBlock(renamed, name)
+          : createBlock("param", name, `@param ${name}`),
+      );
+    });
+    const kept = new Set(params);
+    changed ||= paramBlocks.some((b) => !kept.has(b));
+  }
+
+  // ---- @return ----
+  const returns = blocks.filter((b) => RETURN_TAGS.has(b.tag));
+  if (returns.length === 0 && needsReturnTag(signature)) {
+    changed = true;
+    returns.push(createBlock("return", "", returnTagName(dialect)));
+  }
+
+  // ---- @throws ----
+  const throwsBlocks = blocks.filter((b) => THROWS_TAGS.has(b.tag));
+  for (const type of signature.declaredThrows ?? []) {
+    const documented = throwsBlocks.some((b) => simpleName(b.argument) === simpleName(type));
+    if (!documented) {
+      changed = true;
+      throwsBlocks.push(createBlock("throws", type, `@throws ${type}`));
+    }
+  }
+
+  if (!changed) {
+    return null;
+  }
+
+  const others = blocks.filter(
+    (b) => !PARAM_TAGS.has(b.tag) && !RETURN_TAGS.has(b.tag) && !THROWS_TAGS.has(b.tag),
+  );
+  const tagLines = [...params, ...returns, ...throwsBlocks, ...others].flatMap(
+    (b) => b.lines,
+  );
+  const descriptionLines = description.length > 0 ? description : [""];
+  return [...descriptionLines, ...tagLines];
+}
+
+/**
+ * Purpose: Set the @since value of an existing comment.
+ * @param rawComment - The comment as written in the source, "/**" to "*\/".
+ * @returns New content lines, or null when @since already has this value.
+ * Side effects: None.
+ */
+export function setSinceTag(rawComment: string, version: string): string[] | null {
+  const { description, blocks } = splitComment(rawComment);
+  const sinceLine = `@since ${version}`;
+  const existing = blocks.find((b) => b.tag === "since");
+  if (existing?.lines.length === 1 && existing.lines[0] === sinceLine) {
+    return null;
+  }
+
+  const sinceBlock = createBlock("since", "", sinceLine);
+  const updated = existing
+    ? blocks.map((b) => (b === existing ? sinceBlock : b))
+    : [...blocks, sinceBlock];
+  const descriptionLines = description.length > 0 ? description : [""];
+  return [...descriptionLines, ...updated.flatMap((b) => b.lines)];
+}
+
+/**
+ * Purpose: Wrap content lines in comment markers.
+ * @example (["Finds a user.", "@param id"], "  ")
+ *          -> "  /**\n   * Finds a user.\n   * @param id\n   *\/"
+ */
+export function formatDocComment(contentLines: readonly string[], indent: string): string {
+  const body = contentLines.map((line) =>
+    line ? `${indent} * ${line}` : `${indent} *`,
+  );
+  return [`${indent}/**`, ...body, `${indent} */`].join("\n");
+}
+
+/**
+ * Purpose: Wrap content lines in triple quotes; the first line follows the
+ * opening quotes (summary line, PEP 257).
+ * @example (["", "", "Args:", "    id:"], "    ")
+ *          -> '    """\n\n    Args:\n        id:\n    """'
+ */
+export function formatDocstring(contentLines: readonly string[], indent: string): string {
+  const [summary = "", ...rest] = contentLines;
+  const body = rest.map((line) => (line ? `${indent}${line}` : ""));
+  return [`${indent}"""${summary}`, ...body, `${indent}"""`].join("\n");
+}
+
+/**
+ * Purpose: Prefix content lines with "///" (C# XML documentation, Rust doc comments).
+ * @example (["<summary>", "", "</summary>"], "    ")
+ *          -> "    /// <summary>\n    ///\n    /// </summary>"
+ */
+export function formatTripleSlashComment(contentLines: readonly string[], indent: string): string {
+  return contentLines.map((line) => (line ? `${indent}/// ${line}` : `${indent}///`)).join("\n");
+}
+
+/**
+ * An empty <summary>, then one element per parameter and the result; C# has no throws clause.
+ * @example (int id) -> User  =>  ["<summary>", "", "</summary>", '<param name="id"></param>', "<returns></returns>"]
+ */
+function buildXmlDocStub(signature: SignatureInfo | null): string[] {
+  const lines = ["<summary>", "", "</summary>"];
+  if (!signature) {
+    return lines;
+  }
+  for (const name of signature.params ?? []) {
+    lines.push(`<param name="${name}"></param>`);
+  }
+  if (needsReturnTag(signature)) {
+    lines.push("<returns></returns>");
+  }
+  return lines;
+}
+
+/**
+ * Rust documents parameters in prose; only the failure modes of a Result get a section.
+ * @example (path: &Path) -> io::Result<Config>  =>  ["", "", "# Errors", ""]
+ */
+function buildRustDocStub(signature: SignatureInfo | null): string[] {
+  const lines = [""];
+  if (signature?.returnType && /^(?:[\w:]*::)?Result\b/.test(signature.returnType)) {
+    lines.push("", "# Errors", "");
+  }
+  return lines;
+}
+
+/**
+ * Google-style sections separated by blank lines; Python has no throws clause.
+ * @example (self, user_id: int) -> User  =>  ["", "", "Args:", "    user_id:", "", "Returns:"]
+ */
+function buildDocstringStub(signature: SignatureInfo): string[] {
+  const lines = [""];
+  const params = signature.params ?? [];
+  if (params.length > 0) {
+    lines.push("", "Args:", ...params.map((name) => `    ${name}:`));
+  }
+  if (needsReturnTag(signature)) {
+    lines.push("", "Returns:");
+  }
+  return lines;
+}
+
+/**
+ * Split a raw comment into description lines and tag blocks.
+ * Leading "*" and one following space are removed; deeper indentation
+ * (code samples, wrapped descriptions) is kept.
+ */
+function splitComment(rawComment: string): {
+  description: string[];
+  blocks: TagBlock[];
+} {
+  const lines = rawComment
+    .replace(/\r\n/g, "\n")
+    .replace(/^\s*\/\*\*/, "")
+    .replace(/\*\/\s*$/, "")
+    .split("\n")
+    .map((line) => line.replace(/^\s*\*(?!\/)\s?/, "").replace(/\s+$/, ""));
+
+  while (lines.length > 0 && !lines[0]?.trim()) lines.shift();
+  while (lines.length > 0 && !lines[lines.length - 1]?.trim()) lines.pop();
+
+  const description: string[] = [];
+  const blocks: { tag: string; argument: string; lines: string[] }[] = [];
+
+  for (const line of lines) {
+    const match = /^\s*@([A-Za-z]+)\s*(.*)$/.exec(line);
+    if (match?.[1]) {
+      const tag = match[1].toLowerCase();
+      blocks.push({
+        tag,
+        argument: readTagArgument(tag, match[2] ?? ""),
+        lines: [line.trim()],
+      });
+      continue;
+    }
+
+    const current = blocks[blocks.length - 1];
+    if (current) {
+      current.lines.push(line);
+    } else {
+      description.push(line);
+    }
+  }
+
+  return { description, blocks };
+}
+
+function renameParamBlock(block: TagBlock, name: string): TagBlock {
+  const [first = "", ...rest] = block.lines;
+  return {
+    tag: block.tag,
+    argument: name,
+    lines: [first.replace(block.argument, name), ...rest],
+  };
+}
+
+function createBlock(tag: string, argument: string, line: string): TagBlock {
+  return { tag, argument, lines: [line] };
+}
+
+function needsReturnTag(signature: SignatureInfo): boolean {
+  return signature.returnType !== null && signature.returnType !== "void";
+}
+
+/**
+ * JSDoc conventionally uses @returns, Javadoc @return.
+ */
+function returnTagName(dialect: DocDialect): string {
+  return dialect === "jsdoc" ? "@returns" : "@return";
+}
+
+function simpleName(type: string): string {
+  return type.slice(type.lastIndexOf(".") + 1);
+}
@@ -0,0 +1,905 @@
+/**
+ * DocstringParser.ts - Python docstrings and the signatures they document
+ *
+ * Purpose:
+ * - Find the docstring that follows a def / class / attribute.
+ * - Parse Google, NumPy and reST (Sphinx) sections into the shared TagTable.
+ * - Read parameter and return types from the annotations of a def header.
+ *
+ * Why:
+ * - Python documents a declaration with the string literal after it, not a
+ *   comment above it, and none of the section styles uses "@" tags.
+ * - Mapping them onto TagTable keeps the sidebar, linter and coverage
+ *   language-agnostic.
+ *
+ * Styles may be mixed in one docstring. A line starts a section when it is a
+ * Google header ("Args:"), a NumPy header underlined with dashes, a reST
+ * field (":param x:") or a directive (".. versionadded:: 1.2").
+ * Annotation types win over types written in the docstring.
+ */
+
+import type { ParamTag, ReturnTag, TagTable, ThrowsTag } from "../types.js";
+import { createEmptyTagTable, findMatchingIndex } from "./TagParser.js";
+import type { SignatureParam } from "./JsDocTagParser.js";
+
+/**
+ * A docstring as written in the source, quotes included.
+ */
+export interface DocstringBlock {
+  readonly raw: string;
+  readonly startLine: number; // Line of the opening quotes
+}
+
+/**
+ * One source line with string literals and the comment blanked out.
+ */
+export interface MaskedLine {
+  readonly code: string; // Same length as the line, so columns still match
+  readonly commentStart: number; // -1 when the line has no comment
+  readonly quote: string | null; // Triple quote still open at the end of the line
+}
+
+type SectionKind =
+  | "params"
+  | "attributes"
+  | "returns"
+  | "yields"
+  | "raises"
+  | "example"
+  | "see"
+  | "notes"
+  | "deprecated"
+  | "since"
+  | "type" // reST ":type x:", adds a type to a parameter
+  | "rtype"; // reST ":rtype:", adds a type to the return value
+
+interface Section {
+  readonly kind: SectionKind;
+  readonly style: "google" | "numpy" | "rest";
+  readonly indent: number; // Lines indented at most this much end the section (not NumPy)
+  readonly argument: string; // ":param int x:" -> "int x", ".. versionadded:: 1.2" -> "1.2"
+  readonly lines: string[];
+}
+
+interface Entry {
+  readonly head: string;
+  readonly body: string[];
+}
+
+const MAX_HEADER_LINES = 30;
+
+// f-strings are never docstrings
+const STRING_START = /^[rRuUbB]{0,2}("""|'''|"|')/;
+
+const COMPOUND_HEADER = /^\s*(?:async\s+def|def|class)\b/;
+
+const SECTION_HEADERS: ReadonlyMap<string, SectionKind> = new Map([
+  ["args", "params"],
+  ["arguments", "params"],
+  ["parameters", "params"],
+  ["params", "params"],
+  ["keyword args", "params"],
+  ["keyword arguments", "params"],
+  ["other parameters", "params"],
+  ["attributes", "attributes"],
+  ["returns", "returns"],
+  ["return", "returns"],
+  ["yields", "yields"],
+  ["yield", "yields"],
+  ["raises", "raises"],
+  ["exceptions", "raises"],
+  ["example", "example"],
+  ["examples", "example"],
+  ["see also", "see"],
+  ["note", "notes"],
+  ["notes", "notes"],
+  ["warning", "notes"],
+  ["warnings", "notes"],
+  ["deprecated", "deprecated"],
+]);
+
+const REST_FIELDS: ReadonlyMap<string, SectionKind> = new Map([
+  ["param", "params"],
+  ["parameter", "params"],
+  ["arg", "params"],
+  ["argument", "params"],
+  ["key", "params"],
+  ["keyword", "params"],
+  ["type", "type"],
+  ["ivar", "attributes"],
+  ["cvar", "attributes"],
+  ["var", "attributes"],
+  ["returns", "returns"],
+  ["return", "returns"],
+  ["yields", "yields"],
+  ["yield", "yields"],
+  ["rtype", "rtype"],
+  ["ytype", "rtype"],
+  ["raises", "raises"],
+  ["raise", "raises"],
+  ["except", "raises"],
+  ["exception", "raises"],
+]);
+
+const REST_DIRECTIVES: ReadonlyMap<string, SectionKind> = new Map([
+  ["versionadded", "since"],
+  ["deprecated", "deprecated"],
+  ["seealso", "see"],
+  ["note", "notes"],
+  ["warning", "notes"],
+]);
+
+// "int", "list[str]", "Optional[Dict[str, int]]", "str | None"
+const TYPE_LIKE = /^[A-Za-z_][\w.]*(?:\[.*\])?(?:\s*\|\s*[A-Za-z_][\w.]*(?:\[.*\])?)*$/;
+
+// ========== Source scanning ==========
+
+/**
+ * Purpose: Blank out string literals and the comment of one source line.
+ * @param quote - Triple quote left open by the previous line, or null.
+ * Side effects: None.
+ */
+export function maskPythonLine(line: string, quote: string | null): MaskedLine {
+  let code = "";
+  let open = quote;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line.charAt(i);
+    if (open) {
+      if (ch === "\\") {
+        code += line.charAt(i + 1) ? "  " : " ";
+        i++;
+        continue;
+      }
+      if (line.startsWith(open, i)) {
+        code += " ".repeat(open.length);
+        i += open.length - 1;
+        open = null;
+        continue;
+      }
+      code += " ";
+      continue;
+    }
+    if (ch === "#") {
+      return { code: code.padEnd(line.length), commentStart: i, quote: null };
+    }
+    if (ch === '"' || ch === "'") {
+      open = line.startsWith(ch.repeat(3), i) ? ch.repeat(3) : ch;
+      code += " ".repeat(open.length);
+      i += open.length - 1;
+      continue;
+    }
+    code += ch;
+  }
+
+  // Single-quoted strings end with the line
+  return { code, commentStart: -1, quote: open && open.length === 3 ? open : null };
+}
+
+/**
+ * Purpose: Find the docstring of a def / class, or the attribute docstring of
+ * an assignment.
+ * @param declarationLine - Line of "def" / "class" / the assignment (not a decorator).
+ * @returns The string literal that is the first statement after the header, or null.
+ * Side effects: None.
+ */
+export function extractDocstring(
+  lines: readonly string[],
+  declarationLine: number,
+): DocstringBlock | null {
+  const end = findStatementEnd(lines, declarationLine);
+  if (!end) {
+    return null;
+  }
+
+  const compound = COMPOUND_HEADER.test(lines[declarationLine] ?? "");
+  if (compound) {
+    // def f(): """Doc."""
+    const rest = (lines[end.line] ?? "").slice(end.column + 1);
+    const trimmed = rest.trimStart();
+    if (trimmed && !trimmed.startsWith("#")) {
+      return readStringLiteral(lines, end.line, end.column + 1 + rest.length - trimmed.length);
+    }
+  }
+
+  const next = nextStatementLine(lines, end.line + 1);
+  if (next === null) {
+    return null;
+  }
+  const declarationIndent = indentOf(lines[declarationLine] ?? "");
+  const nextIndent = indentOf(lines[next] ?? "");
+  // A body is indented deeper; an attribute docstring sits at the same level
+  if (compound ? nextIndent <= declarationIndent : nextIndent !== declarationIndent) {
+    return null;
+  }
+  return readStringLiteral(lines, next, nextIndent);
+}
+
+/**
+ * Purpose: Find the module docstring (first statement of the file).
+ * Side effects: None.
+ */
+export function extractModuleDocstring(lines: readonly string[]): DocstringBlock | null {
+  const first = nextStatementLine(lines, 0);
+  return first === null ? null : readStringLiteral(lines, first, indentOf(lines[first] ?? ""));
+}
+
+/**
+ * Purpose: Read a def header up to (not including) the ":" before its body.
+ * Comments are dropped and whitespace is normalized.
+ * @example "def find(self, id: int,  # key\n         limit=10) -> User:" -> "def find(self, id: int, limit=10) -> User"
+ * Side effects: None.
+ */
+export function readPythonHeader(lines: readonly string[], startLine: number): string {
+  const end = findStatementEnd(lines, startLine);
+  const lastLine = end?.line ?? Math.min(lines.length, startLine + MAX_HEADER_LINES) - 1;
+  const parts: string[] = [];
+  let quote: string | null = null;
+
+  for (let lineIndex = startLine; lineIndex <= lastLine; lineIndex++) {
+    const line = lines[lineIndex] ?? "";
+    const masked = maskPythonLine(line, quote);
+    quote = masked.quote;
+    const stop = lineIndex === end?.line ? end.column : masked.commentStart;
+    // Drop the comment and a trailing line-continuation backslash
+    parts.push((stop >= 0 ? line.slice(0, stop) : line).replace(/\\\s*$/, ""));
+  }
+
+  return parts.join(" ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Purpose: Find where a docstring for a declaration should be inserted.
+ * @returns The line to insert before and the indentation of the docstring, or
+ *          null when the body shares the header line ("def f(): pass").
+ * Side effects: None.
+ */
+export function findDocstringInsertion(
+  lines: readonly string[],
+  declarationLine: number,
+): { line: number; indent: string } | null {
+  const end = findStatementEnd(lines, declarationLine);
+  if (!end) {
+    return null;
+  }
+
+  const declaration = lines[declarationLine] ?? "";
+  const declarationIndent = declaration.slice(0, indentOf(declaration));
+  if (!COMPOUND_HEADER.test(declaration)) {
+    return { line: end.line + 1, indent: declarationIndent };
+  }
+
+  const rest = (lines[end.line] ?? "").slice(end.column + 1).trim();
+  if (rest && !rest.startsWith("#")) {
+    return null;
+  }
+  const next = nextStatementLine(lines, end.line + 1);
+  const body = next === null ? "" : (lines[next] ?? "");
+  const indent =
+    next !== null && indentOf(body) > declarationIndent.length
+      ? body.slice(0, indentOf(body))
+      : `${declarationIndent}    `;
+  return { line: end.line + 1, indent };
+}
+
+// ========== Signatures ==========
+
+/**
+ * Purpose: Parse "name -> type" from a def header.
+ * "self" / "cls" in the first position and the "*" / "/" markers are skipped;
+ * "*args" / "**kwargs" are reported without their stars.
+ * @example "def find(self, id: int, limit=10, *, strict: bool = False)"
+ *          -> id: int / limit: "" (default 10) / strict: bool (default False)
+ */
+export function parsePythonSignatureParams(signature: string): Map<string, SignatureParam> {
+  const result = new Map<string, SignatureParam>();
+  const openParen = signature.indexOf("(");
+  const closeParen = openParen >= 0 ? findMatchingIndex(signature, openParen, "(", ")") : -1;
+  if (closeParen < 0) {
+    return result;
+  }
+
+  splitTopLevel(signature.slice(openParen + 1, closeParen), ",").forEach((declaration, index) => {
+    const cleaned = declaration.trim();
+    if (!cleaned || cleaned === "*" || cleaned === "/") {
+      return;
+    }
+
+    const colonIndex = findTopLevel(cleaned, ":");
+    const equalsIndex = findTopLevel(cleaned, "=");
+    // "key=lambda x: x" - the colon belongs to the default
+    const annotated = colonIndex >= 0 && (equalsIndex < 0 || colonIndex < equalsIndex);
+    const nameEnd = annotated ? colonIndex : equalsIndex >= 0 ? equalsIndex : cleaned.length;
+    const name = cleaned.slice(0, nameEnd).trim().replace(/^\*{1,2}/, "");
+    if (!name || (index === 0 && (name === "self" || name === "cls"))) {
+      return;
+    }
+
+    const type = annotated
+      ? unquote(cleaned.slice(colonIndex + 1, equalsIndex >= 0 ? equalsIndex : undefined).trim())
+      : "";
+    const defaultValue = equalsIndex >= 0 ? cleaned.slice(equalsIndex + 1).trim() : null;
+    result.set(name, { type, optional: defaultValue !== null, defaultValue });
+  });
+
+  return result;
+}
+
+/**
+ * Purpose: Read the return annotation of a def header.
+ * @example "async def load(self, id: int) -> Optional[User]" -> "Optional[User]"
+ * @returns Annotation text, or null when the header has none.
+ */
+export function parsePythonReturnType(signature: string): string | null {
+  const openParen = signature.indexOf("(");
+  const closeParen = openParen >= 0 ? findMatchingIndex(signature, openParen, "(", ")") : -1;
+  if (closeParen < 0) {
+    return null;
+  }
+  const tail = signature.slice(closeParen + 1).trim();
+  if (!tail.startsWith("->")) {
+    return null;
+  }
+  return unquote(tail.slice(2).replace(/:\s*$/, "").trim()) || null;
+}
+
+/**
+ * Purpose: Python visibility by naming convention.
+ * "__name" (name-mangled) is private, "_name" is internal, dunder methods are public.
+ */
+export function pythonAccessModifier(name: string): "public" | "protected" | "private" {
+  if (/^__\w+__$/.test(name)) {
+    return "public";
+  }
+  if (name.startsWith("__")) {
+    return "private";
+  }
+  return name.startsWith("_") ? "protected" : "public";
+}
+
+// ========== Docstring text ==========
+
+/**
+ * Purpose: Strip the quotes and the common indentation (like inspect.cleandoc).
+ * Side effects: None.
+ */
+export function cleanDocstring(raw: string): string {
+  let body = raw.replace(/\r\n/g, "\n").trim();
+  const match = STRING_START.exec(body);
+  if (match?.[1]) {
+    body = body.slice(match[0].length);
+    if (body.endsWith(match[1])) {
+      body = body.slice(0, -match[1].length);
+    }
+  }
+
+  const [first = "", ...rest] = body.split("\n");
+  const margin = Math.min(
+    ...rest.filter((line) => line.trim()).map(indentOf),
+    Number.MAX_SAFE_INTEGER,
+  );
+  const lines = [first.trim(), ...rest.map((line) => line.slice(margin).trimEnd())];
+
+  while (lines.length > 0 && !lines[0]?.trim()) lines.shift();
+  while (lines.length > 0 && !lines[lines.length - 1]?.trim()) lines.pop();
+  return lines.join("\n");
+}
+
+/**
+ * Purpose: Parse a docstring into a description and a TagTable.
+ * @param raw - The docstring as written in the source, quotes included.
+ * @param signature - The def header (readPythonHeader), for annotation types.
+ * Side effects: None.
+ */
+export function parseDocstring(
+  raw: string,
+  signature: string,
+): { description: string; tags: TagTable } {
+  const { description, sections } = splitSections(cleanDocstring(raw).split("\n"));
+  const signatureParams = parsePythonSignatureParams(signature);
+  const returnAnnotation = parsePythonReturnType(signature);
+
+  const params: ParamTag[] = [];
+  const properties: ParamTag[] = [];
+  const throwsTags: ThrowsTag[] = [];
+  const see: string[] = [];
+  const notes: string[] = [];
+  const fieldTypes = new Map<string, string>(); // reST ":type x:"
+  let returnTag: ReturnTag | null = null;
+  let yieldTag: ReturnTag | null = null;
+  let returnFieldType: string | null = null; // reST ":rtype:"
+  let since: string | null = null;
+  let deprecated: string | null = null;
+  let example: string | null = null;
+
+  for (const section of sections) {
+    switch (section.kind) {
+      case "params":
+        params.push(...readParams(section));
+        break;
+      case "attributes":
+        properties.push(...readParams(section));
+        break;
+      case "returns":
+        returnTag ??= readReturn(section);
+        break;
+      case "yields":
+        yieldTag ??= readReturn(section);
+        break;
+      case "raises":
+        throwsTags.push(...readRaises(section));
+        break;
+      case "example":
+        example = joinBlock(section.lines) || example;
+        break;
+      case "see":
+        see.push(...readSeeAlso(section));
+        break;
+      case "notes": {
+        const note = joinBlock(section.lines);
+        if (note) notes.push(note);
+        break;
+      }
+      case "deprecated":
+        deprecated = [section.argument, joinText(section.lines)].filter(Boolean).join(" ");
+        break;
+      case "since":
+        since = section.argument.split(/\s+/)[0] || null;
+        break;
+      case "type":
+        fieldTypes.set(stripStars(section.argument), joinText(section.lines));
+        break;
+      case "rtype":
+        returnFieldType = joinText(section.lines) || null;
+        break;
+    }
+  }
+
+  const typedParams = params.map((param): ParamTag => {
+    const fromSignature = signatureParams.get(param.name);
+    const type =
+      fromSignature?.type || param.type || fieldTypes.get(param.name) || "unknown";
+    const defaultValue = fromSignature?.defaultValue ?? param.defaultValue ?? null;
+    const optional = (param.optional ?? false) || (fromSignature?.optional ?? false);
+    return {
+      name: param.name,
+      type,
+      description: param.description,
+      ...(optional ? { optional } : {}),
+      ...(defaultValue !== null ? { defaultValue } : {}),
+    };
+  });
+
+  const documentedReturn = returnTag ?? yieldTag;
+  const returns = documentedReturn
+    ? {
+        type: returnAnnotation || documentedReturn.type || returnFieldType || "unknown",
+        description: documentedReturn.description,
+      }
+    : null;
+
+  return {
+    description,
+    tags: {
+      ...createEmptyTagTable(),
+      params: typedParams,
+      returns,
+      throws: throwsTags,
+      since,
+      deprecated,
+      see,
+      example,
+      properties: properties.map((property) => ({
+        ...property,
+        type: property.type || fieldTypes.get(property.name) || "unknown",
+      })),
+      remarks: notes.length > 0 ? notes.join("\n\n") : null,
+    },
+  };
+}
+
+// ========== Sections ==========
+
+/**
+ * Split cleaned docstring lines into the description and the sections.
+ * Text that follows a Google section at the section's own indentation goes
+ * back to the description.
+ */
+function splitSections(lines: readonly string[]): {
+  description: string;
+  sections: Section[];
+} {
+  const description: string[] = [];
+  const sections: Section[] = [];
+  let current: Section | null = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i] ?? "";
+    const trimmed = line.trim();
+    const indent = indentOf(line);
+
+    const started = startSection(trimmed, indent, lines[i + 1]?.trim() ?? "");
+    if (started) {
+      current = started.section;
+      sections.push(current);
+      i += started.skip;
+      continue;
+    }
+
+    if (current && (trimmed === "" || current.style === "numpy" || indent > current.indent)) {
+      current.lines.push(line);
+      continue;
+    }
+    current = null;
+    description.push(line);
+  }
+
+  return {
+    description: description.join("\n").replace(/\n{3,}/g, "\n\n").trim(),
+    sections,
+  };
+}
+
+function startSection(
+  trimmed: string,
+  indent: number,
+  nextLine: string,
+): { section: Section; skip: number } | null {
+  const header = SECTION_HEADERS.get(trimmed.replace(/:$/, "").toLowerCase());
+  if (header && /^-{3,}$/.test(nextLine) && !trimmed.endsWith(":")) {
+    return { section: { kind: header, style: "numpy", indent, argument: "", lines: [] }, skip: 1 };
+  }
+  if (header && trimmed.endsWith(":")) {
+    return { section: { kind: header, style: "google", indent, argument: "", lines: [] }, skip: 0 };
+  }
+
+  const field = /^:(\w+)(?:\s+([^:]+?))?\s*:(?:\s+(.*)|$)/.exec(trimmed);
+  const fieldKind = field?.[1] ? REST_FIELDS.get(field[1].toLowerCase()) : undefined;
+  if (field && fieldKind) {
+    const section = {
+      kind: fieldKind,
+      style: "rest" as const,
+      indent,
+      argument: field[2]?.trim() ?? "",
+      lines: field[3] ? [field[3]] : [],
+    };
+    return { section, skip: 0 };
+  }
+
+  const directive = /^\.\.\s+([\w-]+)::\s*(.*)$/.exec(trimmed);
+  const directiveKind = directive?.[1] ? REST_DIRECTIVES.get(directive[1].toLowerCase()) : undefined;
+  if (directive && directiveKind) {
+    const argument = directive[2]?.trim() ?? "";
+    // ".. seealso:: other" / ".. note:: text" carry content, not an argument
+    const inline = directiveKind === "see" || directiveKind === "notes";
+    return {
+      section: {
+        kind: directiveKind,
+        style: "rest",
+        indent,
+        argument: inline ? "" : argument,
+        lines: inline && argument ? [argument] : [],
+      },
+      skip: 0,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Google "name (type, optional): text", NumPy "name : type" + indented text,
+ * reST ":param type name: text".
+ */
+function readParams(section: Section): ParamTag[] {
+  if (section.style === "rest") {
+    const words = section.argument.split(/\s+/);
+    const name = stripStars(words.pop() ?? "");
+    return name
+      ? [{ name, type: words.join(" "), description: joinText(section.lines) }]
+      : [];
+  }
+
+  return splitEntries(section.lines).flatMap((entry): ParamTag[] => {
+    if (section.style === "google") {
+      const match = /^(\*{0,2}[A-Za-z_]\w*)\s*(?:\(([^)]*)\))?\s*:\s*(.*)$/.exec(entry.head);
+      if (!match?.[1]) {
+        return [];
+      }
+      const spec = readTypeSpec(match[2] ?? "");
+      return [paramTag(stripStars(match[1]), spec, joinText([match[3] ?? "", ...entry.body]))];
+    }
+
+    // NumPy: "x, y : int, optional"
+    const colonIndex = findTopLevel(entry.head, ":");
+    const names = colonIndex >= 0 ? entry.head.slice(0, colonIndex) : entry.head;
+    const spec = readTypeSpec(colonIndex >= 0 ? entry.head.slice(colonIndex + 1) : "");
+    const description = joinText(entry.body);
+    return names
+      .split(",")
+      .map((name) => stripStars(name.trim()))
+      .filter((name) => /^[A-Za-z_]\w*$/.test(name))
+      .map((name) => paramTag(name, spec, description));
+  });
+}
+
+/**
+ * Google "type: text" (or just text), NumPy "type" / "name : type" + indented text,
+ * reST ":returns: text".
+ */
+function readReturn(section: Section): ReturnTag {
+  if (section.style === "rest") {
+    return { type: "", description: joinText(section.lines) };
+  }
+
+  const entries = splitEntries(section.lines);
+  if (section.style === "numpy") {
+    const types = entries.map((entry) => {
+      const colonIndex = findTopLevel(entry.head, ":");
+      return (colonIndex >= 0 ? entry.head.slice(colonIndex + 1) : entry.head).trim();
+    });
+    return {
+      type: types.join(", "),
+      description: joinText(entries.flatMap((entry) => entry.body)),
+    };
+  }
+
+  const text = joinText(section.lines);
+  const colonIndex = findTopLevel(text, ":");
+  const head = colonIndex >= 0 ? text.slice(0, colonIndex).trim() : "";
+  return TYPE_LIKE.test(head)
+    ? { type: head, description: text.slice(colonIndex + 1).trim() }
+    : { type: "", description: text };
+}
+
+/**
+ * Google "ValueError: text", NumPy "ValueError" + indented text,
+ * reST ":raises ValueError: text".
+ */
+function readRaises(section: Section): ThrowsTag[] {
+  if (section.style === "rest") {
+    return section.argument
+      ? [{ type: section.argument, description: joinText(section.lines) }]
+      : [];
+  }
+
+  return splitEntries(section.lines).map((entry) => {
+    const colonIndex = section.style === "google" ? findTopLevel(entry.head, ":") : -1;
+    return colonIndex >= 0
+      ? {
+          type: entry.head.slice(0, colonIndex).trim(),
+          description: joinText([entry.head.slice(colonIndex + 1), ...entry.body]),
+        }
+      : { type: entry.head.trim(), description: joinText(entry.body) };
+  });
+}
+
+/**
+ * One reference per entry; NumPy "func : text" keeps its explanation.
+ */
+function readSeeAlso(section: Section): string[] {
+  return splitEntries(section.lines).flatMap((entry) => {
+    const text = joinText([entry.head, ...entry.body]);
+    return entry.body.length === 0 && !entry.head.includes(":")
+      ? text.split(",").map((item) => item.trim()).filter(Boolean)
+      : [text];
+  });
+}
+
+/**
+ * Entries start at the smallest indentation of the section; deeper lines
+ * continue the previous entry.
+ */
+function splitEntries(lines: readonly string[]): Entry[] {
+  const content = lines.filter((line) => line.trim());
+  const base = Math.min(...content.map(indentOf), Number.MAX_SAFE_INTEGER);
+  const entries: { head: string; body: string[] }[] = [];
+
+  for (const line of content) {
+    const last = entries[entries.length - 1];
+    if (indentOf(line) > base && last) {
+      last.body.push(line.trim());
+    } else {
+      entries.push({ head: line.trim(), body: [] });
+    }
+  }
+  return entries;
+}
+
+/**
+ * "int, optional", "str, default 'utf-8'", "optional"
+ */
+function readTypeSpec(spec: string): { type: string; optional: boolean; defaultValue: string | null } {
+  let optional = false;
+  let defaultValue: string | null = null;
+  const types: string[] = [];
+
+  for (const part of splitTopLevel(spec, ",")) {
+    const trimmed = part.trim();
+    const defaultMatch = /^default(?:s to|\s*[:=]|\s+is)?\s+(.+)$/i.exec(trimmed);
+    if (/^optional$/i.test(trimmed)) {
+      optional = true;
+    } else if (defaultMatch?.[1]) {
+      optional = true;
+      defaultValue = defaultMatch[1].trim();
+    } else if (trimmed) {
+      types.push(trimmed);
+    }
+  }
+  return { type: types.join(", "), optional, defaultValue };
+}
+
+function paramTag(
+  name: string,
+  spec: { type: string; optional: boolean; defaultValue: string | null },
+  description: string,
+): ParamTag {
+  return {
+    name,
+    type: spec.type,
+    description,
+    ...(spec.optional ? { optional: true } : {}),
+    ...(spec.defaultValue !== null ? { defaultValue: spec.defaultValue } : {}),
+  };
+}
+
+// ========== Helpers ==========
+
+/**
+ * The ":" ending a def / class header, or the last code character of any
+ * other statement (continuation lines included).
+ */
+function findStatementEnd(
+  lines: readonly string[],
+  startLine: number,
+): { line: number; column: number } | null {
+  const compound = COMPOUND_HEADER.test(lines[startLine] ?? "");
+  const lastLine = Math.min(lines.length, startLine + MAX_HEADER_LINES);
+  let depth = 0;
+  let quote: string | null = null;
+
+  for (let lineIndex = startLine; lineIndex < lastLine; lineIndex++) {
+    const masked = maskPythonLine(lines[lineIndex] ?? "", quote);
+    quote = masked.quote;
+
+    for (let i = 0; i < masked.code.length; i++) {
+      const ch = masked.code.charAt(i);
+      if ("([{".includes(ch)) {
+        depth++;
+      } else if (")]}".includes(ch)) {
+        depth = Math.max(0, depth - 1);
+      } else if (compound && ch === ":" && depth === 0 && masked.code.charAt(i + 1) !== "=") {
+        return { line: lineIndex, column: i };
+      }
+    }
+
+    const code = masked.code.trimEnd();
+    if (!compound && depth === 0 && quote === null && !code.endsWith("\\")) {
+      return { line: lineIndex, column: Math.max(0, code.length - 1) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the string literal starting at (line, column).
+ */
+function readStringLiteral(
+  lines: readonly string[],
+  line: number,
+  column: number,
+): DocstringBlock | null {
+  const first = (lines[line] ?? "").slice(column);
+  const match = STRING_START.exec(first);
+  const quote = match?.[1];
+  if (!match || !quote) {
+    return null;
+  }
+
+  let from = column + match[0].length;
+  for (let lineIndex = line; lineIndex < lines.length; lineIndex++) {
+    const current = lines[lineIndex] ?? "";
+    const close = findClosingQuote(current, from, quote);
+    if (close >= 0) {
+      const end = close + quote.length;
+      const raw =
+        lineIndex === line
+          ? current.slice(column, end)
+          : [first, ...lines.slice(line + 1, lineIndex), current.slice(0, end)].join("\n");
+      return { raw, startLine: line };
+    }
+    if (quote.length === 1) {
+      return null;
+    }
+    from = 0;
+  }
+  return null;
+}
+
+function findClosingQuote(line: string, from: number, quote: string): number {
+  for (let i = from; i < line.length; i++) {
+    if (line.charAt(i) === "\\") {
+      i++;
+    } else if (line.startsWith(quote, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * First line at or after `from` that is neither blank nor a comment.
+ */
+function nextStatementLine(lines: readonly string[], from: number): number | null {
+  for (let i = from; i < lines.length; i++) {
+    const trimmed = lines[i]?.trim() ?? "";
+    if (trimmed && !trimmed.startsWith("#")) {
+      return i;
+    }
+  }
+  return null;
+}
+
+/**
+ * Split by a separator at bracket depth 0, outside string literals.
+ */
+function splitTopLevel(text: string, separator: string): string[] {
+  const parts: string[] = [];
+  let start = 0;
+  let index = findTopLevel(text, separator);
+  while (index >= 0) {
+    parts.push(text.slice(start, index));
+    start = index + 1;
+    const next = findTopLevel(text.slice(start), separator);
+    index = next < 0 ? -1 : start + next;
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+function findTopLevel(text: string, target: string): number {
+  const code = maskPythonLine(text, null).code;
+  let depth = 0;
+  for (let i = 0; i < code.length; i++) {
+    const ch = code.charAt(i);
+    if ("([{".includes(ch)) depth++;
+    else if (")]}".includes(ch)) depth = Math.max(0, depth - 1);
+    else if (ch === target && depth === 0) return i;
+  }
+  return -1;
+}
+
+function joinText(lines: readonly string[]): string {
+  return lines
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Keep line breaks and relative indentation (examples, notes).
+ */
+function joinBlock(lines: readonly string[]): string {
+  const content = lines.filter((line) => line.trim());
+  const margin = Math.min(...content.map(indentOf), Number.MAX_SAFE_INTEGER);
+  return lines
+    .map((line) => line.slice(margin).trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Forward references are written as strings: "User" -> User
+ */
+function unquote(annotation: string): string {
+  return annotation.replace(/^(["'])(.*)\1$/, "$2");
+}
+
+function stripStars(name: string): string {
+  return name.replace(/^\*{1,2}/, "");
+}
+
+function indentOf(line: string): number {
+  return line.length - line.trimStart().length;
+}
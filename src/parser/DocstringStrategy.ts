@@ -0,0 +1,67 @@
+/**
+ * DocstringStrategy.ts - Python as JavaDocParser reads it
+ *
+ * Purpose:
+ * - Take the docstring after a def / class / attribute as its comment.
+ * - Read the def header up to its ":" ("-> Type" included).
+ * - Name a module without classes after its file, documented by the module docstring.
+ *
+ * Why:
+ * - Python has no access modifiers: "_name" / "__name" mark members private
+ *   by convention, and the Language Server reports "__init__" as a method.
+ * - Python has no overloads, so methods are matched by name alone.
+ * - There is no "final": upper-case class attributes are constants by
+ *   convention, and their type comes from the "name: Type = ..." annotation.
+ */
+
+import * as path from "path";
+import { isConstructorSymbol } from "./SymbolResolver.js";
+import {
+  cleanDocstring,
+  extractDocstring,
+  extractModuleDocstring,
+  parseDocstring,
+  parsePythonSignatureParams,
+  pythonAccessModifier,
+  readPythonHeader,
+} from "./DocstringParser.js";
+import { paramTypes } from "./DialectStrategy.js";
+import type { DialectStrategy } from "./DialectStrategy.js";
+import { javadocStrategy } from "./JavadocStrategy.js";
+
+export const docstringStrategy: DialectStrategy = {
+  ...javadocStrategy,
+  dialect: "docstring",
+  hasOverloads: false,
+
+  readFileClassInfo: (text, filePath) => {
+    const docstring = extractModuleDocstring(text.split("\n"));
+    return {
+      className: path.basename(filePath, path.extname(filePath)),
+      classLine: docstring?.startLine ?? 0,
+      classComment: docstring?.raw ?? "",
+    };
+  },
+  isConstructor: (symbol) => isConstructorSymbol(symbol) || symbol.name === "__init__",
+
+  findComment: extractDocstring,
+  cleanComment: cleanDocstring,
+  parseComment: parseDocstring,
+  // ".. versionadded::" is the docstring form of @since
+  parseClassTags: (comment) => {
+    const { tags } = parseDocstring(comment, "");
+    return { author: tags.author ?? undefined, since: tags.since ?? undefined };
+  },
+
+  readSignature: readPythonHeader,
+  readSignatureParams: (signature) => paramTypes(parsePythonSignatureParams(signature)),
+  displaySignature: (symbol, signature) => symbol.detail || signature,
+  readAccessModifier: (_declaration, name) => pythonAccessModifier(name),
+  // "_name" members are internal by convention even to subclasses
+  isPublicApi: (access) => access === "public",
+  readField: (lineText, { symbol }) => ({
+    type: symbol.detail || (/^[\w.]+\s*:\s*([^=]+?)\s*(?:=|$)/.exec(lineText)?.[1] ?? ""),
+    isConstant: /^[A-Z][A-Z0-9_]*$/.test(symbol.name),
+    accessModifier: pythonAccessModifier(symbol.name),
+  }),
+};
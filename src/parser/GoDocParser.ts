@@ -0,0 +1,502 @@
+/**
+ * GoDocParser.ts - Go doc comments and the declarations they document
+ *
+ * Purpose:
+ * - Collect the "//" lines directly above a declaration.
+ * - Split a comment into paragraphs, headings, lists and code blocks
+ *   (go.dev/doc/comment), and pick out link definitions and "Deprecated:".
+ * - Read parameters, results and the receiver from a func header.
+ * - Map exported / unexported names onto AccessModifier.
+ *
+ * Why:
+ * - Go has neither "/** *\/" blocks nor tags: structure comes from blank lines
+ *   and indentation, so the Javadoc cleaning and "@" tag parsing do not apply.
+ * - gopls reports methods as top-level symbols named "(*User).Save"; grouping
+ *   them by receiver needs the receiver type.
+ * - An unexported name is visible in its whole package, which is what
+ *   "default" (package-private) means for Java.
+ *
+ * Parameters and results are listed from the signature with empty
+ * descriptions, since Go describes them in prose.
+ */
+
+import type { AccessModifier, DocBlock, ParamTag, TagTable } from "../types.js";
+import { createEmptyTagTable, findMatchingIndex } from "./TagParser.js";
+import type { SignatureParam } from "./JsDocTagParser.js";
+import { tokenizeGoDocText } from "./InlineTagParser.js";
+
+/**
+ * A doc comment as written in the source, comment markers included.
+ */
+export interface GoDocComment {
+  readonly raw: string;
+  readonly startLine: number; // Line of the first "//" (or "/*")
+}
+
+/**
+ * Result of parsing a doc comment.
+ */
+export interface GoDoc {
+  readonly description: string; // Without link definitions and the Deprecated paragraph
+  readonly tags: TagTable;
+  readonly blocks: readonly DocBlock[];
+}
+
+/**
+ * Lines of a comment between blank lines or indentation changes.
+ */
+interface Span {
+  readonly indented: boolean;
+  readonly lines: readonly string[];
+}
+
+/**
+ * "//go:generate", "//nolint:errcheck", "//line a.go:1", "//export F" are
+ * directives for tools, not documentation.
+ */
+const DIRECTIVE = /^\/\/(?:line |extern |export |[a-z0-9]+:[a-z0-9])/;
+
+const LINK_DEFINITION = /^\[([^[\]\n]+)\]:\s*(\S+)$/;
+
+const LIST_MARKER = /^(?:[-*+•]|(\d+)[.)])[ \t]+/;
+
+/**
+ * A heading without "#" (before Go 1.19): one line, capitalized, no
+ * punctuation besides parentheses, commas and "'s".
+ */
+const OLD_HEADING = /^\p{Lu}(?:[\p{L}\p{N} (),]|'s\b)*[\p{L}\p{N})]$/u;
+
+/**
+ * Words that start a type, so "chan int" in "func(chan int)" is not "name Type".
+ */
+const TYPE_KEYWORDS: ReadonlySet<string> = new Set(["chan", "func", "map", "struct", "interface"]);
+
+const MAX_HEADER_LINES = 15;
+
+// ========== Comments ==========
+
+/**
+ * Purpose: Find the doc comment directly above a declaration.
+ * Why: Go attaches a comment only when no blank line separates it from the
+ *      declaration; directive lines inside it are skipped when cleaning.
+ * @returns null when there is no comment, or it only holds directives.
+ */
+export function extractGoDocComment(
+  lines: readonly string[],
+  targetLine: number,
+): GoDocComment | null {
+  const above = lines[targetLine - 1]?.trim() ?? "";
+
+  if (above.endsWith("*/")) {
+    for (let start = targetLine - 1; start >= 0; start--) {
+      if ((lines[start] ?? "").trim().startsWith("/*")) {
+        return { raw: lines.slice(start, targetLine).join("\n"), startLine: start };
+      }
+    }
+    return null;
+  }
+
+  let start = targetLine;
+  while (start > 0 && (lines[start - 1] ?? "").trim().startsWith("//")) {
+    start--;
+  }
+  const commentLines = lines.slice(start, targetLine);
+  if (commentLines.every((line) => DIRECTIVE.test(line.trim()))) {
+    return null;
+  }
+  return { raw: commentLines.join("\n"), startLine: start };
+}
+
+/**
+ * Purpose: Strip comment markers, keeping the indentation that marks code
+ *          blocks and lists.
+ * @example "// Save stores u.\n//\n//\tu.Save()" -> "Save stores u.\n\n\tu.Save()"
+ */
+export function cleanGoDoc(raw: string): string {
+  const text = raw.replace(/\r\n/g, "\n").trim();
+  if (text.startsWith("/*")) {
+    const body = text.replace(/^\/\*/, "").replace(/\*\/$/, "").split("\n");
+    return trimBlankLines(dedent(body)).join("\n");
+  }
+
+  const lines = text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => !DIRECTIVE.test(line))
+    .map((line) => line.replace(/^\/\/ ?/, "").trimEnd());
+  return trimBlankLines(lines).join("\n");
+}
+
+/**
+ * Purpose: Parse a doc comment into description, tags and blocks.
+ * @param signature - Header read by readGoSignature; "" for types and values.
+ * Side effects: None.
+ */
+export function parseGoDoc(raw: string, signature: string): GoDoc {
+  const spans = splitSpans(cleanGoDoc(raw).split("\n"));
+
+  const definitions = new Map<string, string>();
+  let deprecated: string | null = null;
+  const kept: Span[] = [];
+  for (const span of spans) {
+    if (!span.indented && span.lines.every((line) => LINK_DEFINITION.test(line))) {
+      for (const line of span.lines) {
+        const [, text = "", url = ""] = LINK_DEFINITION.exec(line) ?? [];
+        definitions.set(text, url);
+      }
+    } else if (!span.indented && /^Deprecated:/.test(span.lines[0] ?? "")) {
+      deprecated = span.lines.join(" ").replace(/^Deprecated:\s*/, "");
+    } else {
+      kept.push(span);
+    }
+  }
+
+  const results = parseGoResults(signature);
+  const params: ParamTag[] = [...parseGoSignatureParams(signature)].map(([name, param]) => ({
+    name,
+    type: param.type,
+    description: "",
+  }));
+
+  return {
+    description: kept.map((span) => span.lines.join("\n")).join("\n\n"),
+    tags: {
+      ...createEmptyTagTable(),
+      params,
+      returns: results ? { type: results, description: "" } : null,
+      deprecated,
+    },
+    blocks: kept.map((span, index) => toBlock(span, kept[index + 1], index, definitions)),
+  };
+}
+
+/**
+ * Paragraphs end at a blank or indented line. An indented span (code block or
+ * list) runs over blank lines to the next unindented line; a list also ends
+ * at a blank line followed by a line without a marker, which starts a code block.
+ */
+function splitSpans(lines: readonly string[]): Span[] {
+  const spans: Span[] = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i] ?? "";
+    if (line.trim() === "") {
+      i++;
+      continue;
+    }
+
+    const indented = isIndented(line);
+    const isList = indented && LIST_MARKER.test(line.trim());
+    let end = i + 1;
+    while (end < lines.length) {
+      const next = lines[end] ?? "";
+      const blank = next.trim() === "";
+      if (indented ? !blank && !isIndented(next) : blank || isIndented(next)) {
+        break;
+      }
+      const following = lines[end + 1] ?? "";
+      if (isList && blank && following.trim() !== "" && !LIST_MARKER.test(following.trim())) {
+        break;
+      }
+      end++;
+    }
+    spans.push({ indented, lines: trimBlankLines(lines.slice(i, end)) });
+    i = end;
+  }
+  return spans;
+}
+
+function toBlock(
+  span: Span,
+  next: Span | undefined,
+  index: number,
+  definitions: ReadonlyMap<string, string>,
+): DocBlock {
+  if (span.indented) {
+    const lines = dedent(span.lines);
+    return LIST_MARKER.test(lines[0] ?? "")
+      ? toList(lines, definitions)
+      : { kind: "code", text: lines.join("\n") };
+  }
+
+  const [first = ""] = span.lines;
+  if (span.lines.length === 1) {
+    const heading = /^#[ \t]+(\S.*)$/.exec(first)?.[1];
+    if (heading) {
+      return { kind: "heading", tokens: tokenizeGoDocText(heading, definitions) };
+    }
+    if (index > 0 && next && !next.indented && OLD_HEADING.test(first)) {
+      return { kind: "heading", tokens: tokenizeGoDocText(first, definitions) };
+    }
+  }
+  return { kind: "paragraph", tokens: tokenizeGoDocText(span.lines.join("\n"), definitions) };
+}
+
+/**
+ * A line with a marker starts an item; other lines continue the current one.
+ */
+function toList(lines: readonly string[], definitions: ReadonlyMap<string, string>): DocBlock {
+  const items: string[] = [];
+  for (const line of lines) {
+    const trimmed = line.trim();
+    const marker = LIST_MARKER.exec(trimmed);
+    if (marker) {
+      items.push(trimmed.slice(marker[0].length));
+    } else if (trimmed !== "" && items.length > 0) {
+      items[items.length - 1] += ` ${trimmed}`;
+    }
+  }
+  return {
+    kind: "list",
+    ordered: LIST_MARKER.exec(lines[0]?.trim() ?? "")?.[1] !== undefined,
+    items: items.map((item) => tokenizeGoDocText(item, definitions)),
+  };
+}
+
+// ========== Signatures ==========
+
+/**
+ * Purpose: Read a func header (or interface method) up to its body.
+ * Why: Parameter lists may span lines, and "struct{" / "interface{" in a
+ *      result type is not the body.
+ * @example "func (s *Server) Start(ctx context.Context) error {" -> "func (s *Server) Start(ctx context.Context) error"
+ */
+export function readGoSignature(lines: readonly string[], startLine: number): string {
+  let signature = "";
+  let depth = 0;
+  const lastLine = Math.min(lines.length, startLine + MAX_HEADER_LINES);
+
+  for (let lineIndex = startLine; lineIndex < lastLine; lineIndex++) {
+    const line = (lines[lineIndex] ?? "").replace(/\/\/.*$/, "");
+    for (const ch of line) {
+      if (ch === "{" && depth === 0 && !/\b(?:struct|interface)\s*$/.test(signature)) {
+        return collapse(signature);
+      }
+      if ("([{".includes(ch)) {
+        depth++;
+      } else if (")]}".includes(ch)) {
+        depth = Math.max(0, depth - 1);
+      }
+      signature += ch;
+    }
+    if (depth === 0 && !/[,(]\s*$/.test(signature)) {
+      break;
+    }
+    signature += " ";
+  }
+  return collapse(signature);
+}
+
+/**
+ * Purpose: Read parameter names and types from a func header.
+ * @example "func Copy(dst, src string, opts ...Option) error"
+ *          -> dst: string, src: string, opts: ...Option
+ * @returns An empty map when the parameters are unnamed ("Get(int64) error").
+ */
+export function parseGoSignatureParams(signature: string): Map<string, SignatureParam> {
+  const params = new Map<string, SignatureParam>();
+  const list = findParameterList(signature);
+  if (!list) {
+    return params;
+  }
+
+  const entries = splitTopLevel(signature.slice(list.open + 1, list.close));
+  if (!entries.some(isNamedParam)) {
+    return params;
+  }
+
+  // "a, b int": names without a type take the type of the next entry
+  let pending: string[] = [];
+  for (const entry of entries) {
+    const named = /^([A-Za-z_]\w*)\s+(.+)$/.exec(entry);
+    if (!named?.[1] || !named[2]) {
+      pending.push(entry);
+      continue;
+    }
+    for (const name of [...pending, named[1]]) {
+      params.set(name, { type: named[2], optional: false, defaultValue: null });
+    }
+    pending = [];
+  }
+  return params;
+}
+
+/**
+ * Purpose: Read the result list after the parameters.
+ * @example "func Load(path string) (*Config, error)" -> "(*Config, error)"
+ * @returns null when the func returns nothing.
+ */
+export function parseGoResults(signature: string): string | null {
+  const list = findParameterList(signature);
+  const results = list ? signature.slice(list.close + 1).trim() : "";
+  return results || null;
+}
+
+/**
+ * Purpose: Split a gopls method name into receiver type and method name.
+ * @example "(*List[T]).Push" -> { receiver: "List", name: "Push" }
+ * @returns null for names without a receiver.
+ */
+export function splitGoMethodName(
+  symbolName: string,
+): { readonly receiver: string; readonly name: string } | null {
+  const match = /^\(\*?\s*([A-Za-z_]\w*)(?:\[[^\]]*\])?\)\.([A-Za-z_]\w*)$/.exec(symbolName);
+  return match?.[1] && match[2] ? { receiver: match[1], name: match[2] } : null;
+}
+
+/**
+ * Purpose: Find the type a plain func constructs, as "go doc" groups it.
+ * @example "func NewServer(addr string) (*Server, error)" -> "Server"
+ * @returns The first result type without "*" and type arguments, or null.
+ */
+export function parseGoConstructedType(signature: string): string | null {
+  const results = parseGoResults(signature);
+  if (!results) {
+    return null;
+  }
+  const [first = ""] = results.startsWith("(")
+    ? splitTopLevel(results.slice(1, findMatchingIndex(results, 0, "(", ")")))
+    : [results];
+  // A named result "(s *Server, err error)" has its name before the type
+  const type = isNamedParam(first) ? first.replace(/^\w+\s+/, "") : first;
+  return /^\*?\s*([A-Za-z_]\w*)(?:\[.*\])?$/.exec(type)?.[1] ?? null;
+}
+
+/**
+ * Purpose: Exported names (upper-case first letter) are public; the others
+ *          are visible in their package only.
+ */
+export function goAccessModifier(name: string): AccessModifier {
+  return /^\p{Lu}/u.test(name) ? "public" : "default";
+}
+
+/**
+ * Purpose: Read the type of a struct field, constant or variable.
+ * @example ("Name, Email string `json:\"name\"`", "Email") -> "string"
+ *          ("*Base", "Base") -> "*Base" (embedded field)
+ *          ("MaxSize = 10", "MaxSize") -> ""
+ *          ("inner struct {", "inner") -> "struct"
+ */
+export function extractGoFieldType(line: string, name: string): string {
+  const code = line.replace(/\/\/.*$/, "").replace(/`[^`]*`/g, "").trim();
+  const nameIndex = code.search(new RegExp(`\\b${name}\\b`));
+  if (nameIndex < 0) {
+    return "";
+  }
+  const rest = code
+    .slice(nameIndex + name.length)
+    .replace(/^(?:\s*,\s*[A-Za-z_]\w*)*/, "")
+    .replace(/=.*$/, "")
+    .replace(/\s*\{.*$/, "")
+    .trim();
+  if (rest === "" && /[*.]/.test(code.slice(0, nameIndex))) {
+    return code.replace(/^(?:const|var)\s+/, "");
+  }
+  return rest;
+}
+
+/**
+ * Purpose: Find the package clause of a Go file.
+ */
+export function findGoPackageClause(
+  lines: readonly string[],
+): { readonly name: string; readonly line: number } | null {
+  for (let line = 0; line < lines.length; line++) {
+    const name = /^\s*package\s+([A-Za-z_]\w*)/.exec(lines[line] ?? "")?.[1];
+    if (name) {
+      return { name, line };
+    }
+  }
+  return null;
+}
+
+/**
+ * Receiver, name and type parameters come before the parameter list:
+ * "func (s *Server) Start(", "func Map[T, U any](", "Get(" (interface method)
+ */
+function findParameterList(signature: string): { open: number; close: number } | null {
+  let index = /^\s*func\b\s*/.exec(signature)?.[0].length ?? 0;
+  if (signature[index] === "(") {
+    const receiverEnd = findMatchingIndex(signature, index, "(", ")");
+    if (receiverEnd < 0) {
+      return null;
+    }
+    index = receiverEnd + 1;
+  }
+
+  const name = /^\s*[A-Za-z_]\w*\s*/.exec(signature.slice(index));
+  if (!name) {
+    return null;
+  }
+  index += name[0].length;
+  if (signature[index] === "[") {
+    index = findMatchingIndex(signature, index, "[", "]") + 1;
+    while (signature[index] === " ") index++;
+  }
+  if (index <= 0 || signature[index] !== "(") {
+    return null;
+  }
+
+  const close = findMatchingIndex(signature, index, "(", ")");
+  return close < 0 ? null : { open: index, close };
+}
+
+function isNamedParam(entry: string): boolean {
+  const match = /^([A-Za-z_]\w*)\s+\S/.exec(entry);
+  return match?.[1] !== undefined && !TYPE_KEYWORDS.has(match[1]);
+}
+
+/**
+ * Split by top-level commas; "<-chan int" must not open a bracket level.
+ */
+function splitTopLevel(text: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of text) {
+    if ("([{".includes(ch)) depth++;
+    else if (")]}".includes(ch)) depth = Math.max(0, depth - 1);
+    if (ch === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+function isIndented(line: string): boolean {
+  return /^[ \t]/.test(line);
+}
+
+/**
+ * Remove the indentation shared by all non-blank lines.
+ */
+function dedent(lines: readonly string[]): string[] {
+  const indents = lines
+    .filter((line) => line.trim() !== "")
+    .map((line) => /^[ \t]*/.exec(line)?.[0] ?? "");
+  const common = indents.reduce(
+    (prefix, indent) => {
+      let length = 0;
+      while (length < prefix.length && prefix[length] === indent[length]) length++;
+      return prefix.slice(0, length);
+    },
+    indents[0] ?? "",
+  );
+  return lines.map((line) => line.slice(Math.min(common.length, line.length)).trimEnd());
+}
+
+function trimBlankLines(lines: readonly string[]): string[] {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && (lines[start] ?? "").trim() === "") start++;
+  while (end > start && (lines[end - 1] ?? "").trim() === "") end--;
+  return lines.slice(start, end);
+}
+
+function collapse(text: string): string {
+  return text.replace(/\s+/g, " ").trim();
+}
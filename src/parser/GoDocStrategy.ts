@@ -0,0 +1,134 @@
+/**
+ * GoDocStrategy.ts - Go as JavaDocParser reads it
+ *
+ * Purpose:
+ * - Take the "//" lines right above a declaration as its comment, split into
+ *   blocks by GoDocParser; parameters and results come from the signature.
+ * - Name the file after itself, documented by the package comment.
+ * - Group members as "go doc" does: methods under their receiver type,
+ *   functions returning a local type under that type, the rest under the package.
+ *
+ * Why:
+ * - Go has no classes, no inheritance and no tags (so no @since to infer).
+ * - gopls reports methods as top-level symbols named with their receiver,
+ *   "(*User).Save", and gives types the kind of their underlying type.
+ * - Exported (upper-case) names are public, the others package-private.
+ */
+
+import * as path from "path";
+import type { DocumentSymbol } from "vscode";
+import {
+  isClassLikeSymbol,
+  isConstantSymbol,
+  isFieldSymbol,
+  isMethodSymbol,
+  isVariableSymbol,
+} from "./SymbolResolver.js";
+import {
+  extractGoDocComment,
+  extractGoFieldType,
+  findGoPackageClause,
+  goAccessModifier,
+  parseGoConstructedType,
+  parseGoDoc,
+  parseGoSignatureParams,
+  readGoSignature,
+  splitGoMethodName,
+} from "./GoDocParser.js";
+import { flattenSymbols, paramTypes, symbolLine } from "./DialectStrategy.js";
+import type { DialectStrategy, FlattenedSymbol } from "./DialectStrategy.js";
+import { javadocStrategy } from "./JavadocStrategy.js";
+
+export const goDocStrategy: DialectStrategy = {
+  ...javadocStrategy,
+  dialect: "godoc",
+  fileIsClass: true,
+  inheritsDocs: false,
+  hasSinceTag: false,
+
+  readFileClassInfo: (text, filePath) => {
+    const lines = text.split("\n");
+    const classLine = findGoPackageClause(lines)?.line ?? 0;
+    return {
+      className: path.basename(filePath, path.extname(filePath)),
+      classLine,
+      classComment: extractGoDocComment(lines, classLine)?.raw ?? "",
+    };
+  },
+  flattenSymbols: (symbols, lines, { packageName }) =>
+    flattenGoSymbols(symbols, lines, packageName || "Unknown"),
+  // Package-level variables are listed with the constants
+  isField: (symbol) => isFieldSymbol(symbol) || isVariableSymbol(symbol),
+  memberName: (symbol) => splitGoMethodName(symbol.name)?.name ?? symbol.name,
+
+  findComment: extractGoDocComment,
+  cleanComment: (raw) => parseGoDoc(raw, "").description,
+  parseComment: parseGoDoc,
+  parseBlocks: (raw) => parseGoDoc(raw, "").blocks,
+
+  readSignature: readGoSignature,
+  readSignatureParams: (signature) => paramTypes(parseGoSignatureParams(signature)),
+  displaySignature: (_symbol, signature) => signature,
+  // The first parenthesis after "func" and the receiver is the parameter list
+  readDeclaration: (signature) => signature.replace(/^func\s*(?:\([^)]*\)\s*)?/, ""),
+  readAccessModifier: (_declaration, name) => goAccessModifier(name),
+  readField: (lineText, { symbol }) => ({
+    type: symbol.detail || extractGoFieldType(lineText, symbol.name),
+    isConstant: isConstantSymbol(symbol),
+    accessModifier: goAccessModifier(symbol.name),
+  }),
+};
+
+/**
+ * Methods go to their receiver type; functions returning a local T / *T go to
+ * T (the NewT convention); struct fields and interface methods go to their
+ * type; other functions and package-level constants and variables go to the package.
+ */
+function flattenGoSymbols(
+  symbols: readonly DocumentSymbol[],
+  lines: readonly string[],
+  packageName: string,
+): FlattenedSymbol[] {
+  const types = new Map(
+    symbols.filter((s) => isGoTypeSymbol(s, lines)).map((s) => [s.name, s]),
+  );
+  const result: FlattenedSymbol[] = [];
+
+  for (const symbol of symbols) {
+    if (types.has(symbol.name)) {
+      result.push(...flattenSymbols(symbol.children, symbol.name, symbol));
+      continue;
+    }
+    if (!isMethodSymbol(symbol) && !isFieldSymbol(symbol) && !isVariableSymbol(symbol)) {
+      continue;
+    }
+
+    const owner = isMethodSymbol(symbol)
+      ? (splitGoMethodName(symbol.name)?.receiver ??
+        parseGoConstructedType(readGoSignature(lines, symbolLine(symbol))))
+      : null;
+    result.push({
+      symbol,
+      belongsTo: owner ?? packageName,
+      container: owner ? types.get(owner) : undefined,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * gopls gives a type the kind of its underlying type ("type Status int" is a
+ * Number, "type HandlerFunc func(...)" a Function): apart from methods,
+ * constants and variables, a top-level symbol whose line does not start with
+ * "func" is a type.
+ */
+function isGoTypeSymbol(symbol: DocumentSymbol, lines: readonly string[]): boolean {
+  if (isClassLikeSymbol(symbol)) {
+    return true;
+  }
+  if (splitGoMethodName(symbol.name) || isFieldSymbol(symbol) || isVariableSymbol(symbol)) {
+    return false;
+  }
+  return !/^\s*func\b/.test(lines[symbolLine(symbol)] ?? "");
+}
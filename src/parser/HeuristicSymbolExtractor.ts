@@ -0,0 +1,1634 @@
+/**
+ * HeuristicSymbolExtractor.ts - 无 Language Server 时的文本降级提取器
+ *
+ * 【使用场景】
+ * resolveSymbols 返回空列表时（未安装 Java 扩展、LS 仍在启动、受限环境下的纯 JS），
+ * 仅凭源码文本构造一棵与 DocumentSymbolProvider 结构相同的符号树，
+ * 让 JavaDocParser 沿用 parseMethod / parseField / parseEnumConstant 同一条解析管线。
+ *
+ * 【扫描策略】
+ * 逐行调用 parseLineForStructure 剔除注释和字符串，维护花括号深度：
+ *   - 只在“容器体”这一层（类体 / 顶层）识别声明，方法体内部的代码一律跳过
+ *   - 每个声明记录起始行，等花括号回到声明前的深度（或遇到 ";"）时确定结束行
+ *
+ * Kotlin 沿用花括号扫描，另外：
+ *   - 没有类体的类（data class User(val id: Long)）在语句结束时结束
+ *   - companion object 作为名为 Companion（或自身名称）的内部类
+ *   - 主构造函数中的 val / var 参数作为类的字段
+ *
+ * Python 没有花括号，改由缩进决定结构（extractPythonSymbols）：
+ *   - 逻辑行（括号、三引号字符串、反斜杠续行合并后）的缩进不大于某个声明时，该声明结束
+ *   - 类体中识别 def / class / 属性赋值，函数体内部一律跳过
+ *
+ * Go 只在顶层识别声明（extractGoSymbols），符号与 gopls 的报告方式一致：
+ *   - 方法是顶层符号，名称带接收者："(*User).Save"
+ *   - struct 的字段、interface 的方法作为子符号；其它类型声明为 Class
+ *   - const / var 分组 "const ( ... )" 中每个名称各为一个符号
+ *
+ * C# 沿用花括号扫描（与 Java 一样以 ";" 结束语句），另外：
+ *   - namespace 块作为 Namespace 容器，文件范围的 "namespace X;" 忽略
+ *   - 属性（{ get; set; } / =>）记为 Property，事件记为 Event
+ *   - 没有类体的 record（record User(string Name);）在语句结束时结束，位置参数作为 Property
+ *
+ * Rust 用独立的花括号扫描（extractRustSymbols），符号与 rust-analyzer 的报告方式一致：
+ *   - impl 块是名为 "impl User" / "impl Display for User" 的 Object 容器，方法是其子符号
+ *   - struct 的字段、enum 的变体在本行结束（以 "," 分隔，不等 ";"）
+ *   - 生命周期 'a 不是字符字面量，扫描前先换掉引号
+ *
+ * 结果是启发式的：能覆盖常规写法，但不保证与编译器一致
+ */
+
+import * as vscode from "vscode";
+import type { DocumentSymbol } from "vscode";
+import { maskPythonLine } from "./DocstringParser.js";
+
+/**
+ * 跨行扫描状态（块注释 / 字符串可能跨越多行）
+ */
+export interface ParseState {
+  readonly inBlockComment: boolean;
+  readonly inString: boolean;
+  readonly inChar: boolean;
+  readonly inTemplate: boolean;
+}
+
+export const INITIAL_PARSE_STATE: ParseState = {
+  inBlockComment: false,
+  inString: false,
+  inChar: false,
+  inTemplate: false,
+};
+
+/**
+ * 单行扫描结果
+ */
+export interface StructureLine {
+  readonly code: string; // 剔除注释和字符串内容后的代码
+  readonly openBraces: number;
+  readonly closeBraces: number;
+  readonly state: ParseState;
+}
+
+// ========== 声明匹配规则 ==========
+
+const JAVA_MODIFIERS =
+  "(?:(?:public|protected|private|static|final|abstract|synchronized|native|default|strictfp|transient|volatile|sealed|non-sealed)\\s+)*";
+
+const JAVA_ANNOTATIONS = "(?:@[\\w.]+(?:\\([^)]*\\))?\\s+)*";
+
+const JAVA_TYPE_PATTERN = new RegExp(
+  `^\\s*${JAVA_ANNOTATIONS}${JAVA_MODIFIERS}(class|interface|enum|record|@interface)\\s+([A-Za-z_$][\\w$]*)`,
+);
+
+const JAVA_METHOD_PATTERN = new RegExp(
+  `^\\s*${JAVA_ANNOTATIONS}${JAVA_MODIFIERS}(?:<[^>]*>\\s*)?(?:([\\w$.<>\\[\\]?,\\s]+?)\\s+)?([A-Za-z_$][\\w$]*)\\s*\\(`,
+);
+
+const JAVA_COMPACT_CONSTRUCTOR_PATTERN = new RegExp(
+  `^\\s*${JAVA_ANNOTATIONS}${JAVA_MODIFIERS}([A-Za-z_$][\\w$]*)\\s*\\{`,
+);
+
+const JAVA_FIELD_PATTERN = new RegExp(
+  `^\\s*${JAVA_ANNOTATIONS}(${JAVA_MODIFIERS})([\\w$.<>\\[\\]?,\\s]+?)\\s+([A-Za-z_$][\\w$]*)\\s*(?:=|;|,|\\[)`,
+);
+
+const ENUM_CONSTANT_PATTERN =
+  /^\s*(?:@[\w.]+(?:\([^)]*\))?\s+)*([A-Za-z_$][\w$]*)\s*(?:\(|\{|,|;|=|$)/;
+
+const TS_TYPE_PATTERN =
+  /^\s*(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(class|interface|enum)\s+([A-Za-z_$][\w$]*)/;
+
+const TS_MEMBER_MODIFIERS =
+  "(?:(?:public|private|protected|static|async|readonly|abstract|override|declare|get|set)\\s+)*";
+
+const TS_METHOD_PATTERN = new RegExp(
+  `^\\s*(?:@[\\w.]+(?:\\([^)]*\\))?\\s+)*${TS_MEMBER_MODIFIERS}\\*?\\s*(#?[A-Za-z_$][\\w$]*)\\s*\\??\\s*(?:<[^>]*>)?\\s*\\(`,
+);
+
+const TS_FIELD_PATTERN = new RegExp(
+  `^\\s*(?:@[\\w.]+(?:\\([^)]*\\))?\\s+)*(${TS_MEMBER_MODIFIERS})(#?[A-Za-z_$][\\w$]*)\\s*[?!]?\\s*(?::|=|;|$)`,
+);
+
+const TS_FUNCTION_PATTERN =
+  /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*\(/;
+
+const TS_ARROW_FUNCTION_PATTERN =
+  /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|(?:<[^>]*>)?\([^)]*\)?|[A-Za-z_$][\w$]*\s*=>)/;
+
+const KT_ANNOTATIONS = "(?:@(?:\\w+:)?[\\w.]+(?:\\([^)]*\\))?\\s+)*";
+
+const KT_MODIFIERS =
+  "(?:(?:public|protected|private|internal|open|abstract|final|sealed|data|enum|annotation|inner|value|inline|override|suspend|operator|infix|tailrec|external|lateinit|const|expect|actual)\\s+)*";
+
+const KT_TYPE_PATTERN = new RegExp(
+  `^\\s*${KT_ANNOTATIONS}(${KT_MODIFIERS})(?:fun\\s+)?(class|interface|object)\\s+([A-Za-z_]\\w*)`,
+);
+
+const KT_COMPANION_PATTERN = new RegExp(
+  `^\\s*${KT_ANNOTATIONS}${KT_MODIFIERS}companion\\s+object\\b(?:\\s+([A-Za-z_]\\w*))?`,
+);
+
+// fun name( / fun <T> Receiver<T>.name(
+const KT_FUN_PATTERN = new RegExp(
+  `^\\s*${KT_ANNOTATIONS}${KT_MODIFIERS}fun\\s+(?:<.*?>\\s*)?(?:[^(=]*\\.)?([A-Za-z_]\\w*)\\s*\\(`,
+);
+
+const KT_CONSTRUCTOR_PATTERN = new RegExp(
+  `^\\s*${KT_ANNOTATIONS}${KT_MODIFIERS}constructor\\s*\\(`,
+);
+
+const KT_PROPERTY_PATTERN = new RegExp(
+  `^\\s*${KT_ANNOTATIONS}(${KT_MODIFIERS})(?:val|var)\\s+(?:<.*?>\\s*)?(?:[^=:(]*\\.)?([A-Za-z_]\\w*)\\s*(?::\\s*([^=]+?))?\\s*(?:=|\\bby\\b|$)`,
+);
+
+// 主构造函数参数：[注解] [可见性] val|var name: Type
+const KT_CONSTRUCTOR_PROPERTY_PATTERN =
+  /^\s*(?:@(?:\w+:)?[\w.]+(?:\([^)]*\))?\s+)*(?:(?:public|protected|private|internal|override|open|final)\s+)*(?:val|var)\s+([A-Za-z_]\w*)\s*:\s*([^=]+?)\s*(?:=|$)/;
+
+const MAX_CONSTRUCTOR_LINES = 30;
+
+/**
+ * 行尾是这些符号时语句延续到下一行（TS/JS、Kotlin 没有分号时用来判断语句结束）
+ */
+const SCRIPT_CONTINUATION_PATTERN = /[=,(:|&{<>.?+\-*/]\s*$/;
+
+const KT_CONTINUATION_PATTERN = /(?:[=,(:|&{<.+\-*/]|->)\s*$/;
+
+const PY_DEF_PATTERN = /^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)\s*\(/;
+
+const PY_CLASS_PATTERN = /^\s*class\s+([A-Za-z_]\w*)\s*(?:\((.*))?/;
+
+// name = value / name: Type = value / name: Type
+const PY_ATTRIBUTE_PATTERN = /^\s*([A-Za-z_]\w*)\s*(?::\s*([^=]+?)\s*)?(?:=(?!=)|$)/;
+
+const PY_ENUM_BASES = /\b(?:Enum|IntEnum|StrEnum|Flag|IntFlag)\b/;
+
+// func Name( / func Name[T any](
+const GO_FUNC_PATTERN = /^\s*func\s+([A-Za-z_]\w*)\s*[[(]/;
+
+// func (u *User) Name( / func (l *List[T]) Name(
+const GO_METHOD_PATTERN =
+  /^\s*func\s*\(\s*(?:[A-Za-z_]\w*\s+)?(\*?\s*[A-Za-z_]\w*(?:\[[^\]]*\])?)\s*\)\s*([A-Za-z_]\w*)\s*\(/;
+
+// type / const / var，后面是单个声明或 "(" 开始的分组
+const GO_DECL_PATTERN = /^\s*(type|const|var)\b\s*(\()?(.*)$/;
+
+// Name[T any] struct {
+const GO_TYPE_SPEC_PATTERN = /^\s*([A-Za-z_]\w*)\s*(?:\[[^\]]*\])?\s*=?\s*(struct|interface)?\b/;
+
+// a, b = 1, 2 / x int
+const GO_VALUE_SPEC_PATTERN = /^\s*([A-Za-z_]\w*(?:\s*,\s*[A-Za-z_]\w*)*)/;
+
+// 字段列表 "Name, Email string"；嵌入字段 "*pkg.Base"
+const GO_FIELD_PATTERN = /^\s*([A-Za-z_]\w*(?:\s*,\s*[A-Za-z_]\w*)*)\s+[^\s=]/;
+
+// 结构标签在扫描后只剩 "``"
+const GO_EMBEDDED_FIELD_PATTERN =
+  /^\s*\*?\s*(?:[A-Za-z_]\w*\.)?([A-Za-z_]\w*)\s*(?:\[.*\])?\s*(?:``)?\s*$/;
+
+const GO_INTERFACE_METHOD_PATTERN = /^\s*([A-Za-z_]\w*)\s*\(/;
+
+const CS_ATTRIBUTES = "(?:\\[[^\\]]*\\]\\s*)*";
+
+const CS_MODIFIERS =
+  "(?:(?:public|private|protected|internal|static|sealed|abstract|partial|readonly|unsafe|new|virtual|override|async|extern|const|volatile|required|file|ref|fixed)\\s+)*";
+
+// 类型引用：List<int>、int[]、int?、(int, string)
+const CS_TYPE_REF = "[\\w.<>\\[\\]?,()\\s]+?";
+
+const CS_TYPE_PATTERN = new RegExp(
+  `^\\s*${CS_ATTRIBUTES}${CS_MODIFIERS}(class|interface|enum|struct|record(?:\\s+class|\\s+struct)?)\\s+([A-Za-z_]\\w*)`,
+);
+
+// namespace App.Services { / namespace App.Services（"{" 在下一行）
+const CS_NAMESPACE_PATTERN = /^\s*namespace\s+([\w.]+)\s*(?:\{|$)/;
+
+// 显式接口实现 "void IDisposable.Dispose()" 的名称取最后一段
+const CS_METHOD_PATTERN = new RegExp(
+  `^\\s*${CS_ATTRIBUTES}${CS_MODIFIERS}(?:(${CS_TYPE_REF})\\s+)?(?:[\\w.<>]+\\.)?([A-Za-z_]\\w*)\\s*(?:<[^()]*>)?\\s*\\(`,
+);
+
+const CS_EVENT_PATTERN = new RegExp(
+  `^\\s*${CS_ATTRIBUTES}${CS_MODIFIERS}event\\s+(${CS_TYPE_REF})\\s+([A-Za-z_]\\w*)\\s*(?:[;={,]|$)`,
+);
+
+const CS_PROPERTY_PATTERN = new RegExp(
+  `^\\s*${CS_ATTRIBUTES}${CS_MODIFIERS}(${CS_TYPE_REF})\\s+(?:[\\w.<>]+\\.)?([A-Za-z_]\\w*)\\s*(?:\\{|=>|$)`,
+);
+
+const CS_FIELD_PATTERN = new RegExp(
+  `^\\s*${CS_ATTRIBUTES}(${CS_MODIFIERS})(${CS_TYPE_REF})\\s+([A-Za-z_]\\w*)\\s*(?:=(?!>)|;|,|\\[)`,
+);
+
+// record 的位置参数：[特性] Type Name [= 默认值]
+const CS_RECORD_PARAMETER_PATTERN =
+  /^\s*(?:\[[^\]]*\]\s*)*([^=]+?)\s+@?([A-Za-z_]\w*)\s*(?:=|$)/;
+
+const RUST_ATTRIBUTES = "(?:#\\[[^\\]]*\\]\\s*)*";
+
+// pub / pub(crate) / pub(in crate::a)
+const RUST_VISIBILITY = "(?:pub(?:\\s*\\([^)]*\\))?\\s+)?";
+
+const RUST_TYPE_PATTERN = new RegExp(
+  `^\\s*${RUST_ATTRIBUTES}${RUST_VISIBILITY}(?:(?:unsafe|auto)\\s+)*(struct|enum|union|trait)\\s+([A-Za-z_]\\w*)`,
+);
+
+const RUST_IMPL_PATTERN = new RegExp(`^\\s*${RUST_ATTRIBUTES}(?:unsafe\\s+)?impl\\b`);
+
+// const async unsafe extern "C" fn name（字符串在扫描后只剩 ""）
+const RUST_FN_PATTERN = new RegExp(
+  `^\\s*${RUST_ATTRIBUTES}${RUST_VISIBILITY}(?:default\\s+)?(?:(?:const|async|unsafe|extern(?:\\s*"")?)\\s+)*fn\\s+(?:r#)?([A-Za-z_]\\w*)`,
+);
+
+const RUST_CONST_PATTERN = new RegExp(
+  `^\\s*${RUST_ATTRIBUTES}${RUST_VISIBILITY}(?:const|static(?:\\s+mut)?)\\s+([A-Za-z_]\\w*)\\s*:`,
+);
+
+const RUST_MOD_PATTERN = new RegExp(
+  `^\\s*${RUST_ATTRIBUTES}${RUST_VISIBILITY}mod\\s+([A-Za-z_]\\w*)\\s*\\{`,
+);
+
+const RUST_FIELD_PATTERN = new RegExp(
+  `^\\s*${RUST_ATTRIBUTES}${RUST_VISIBILITY}(?:r#)?([A-Za-z_]\\w*)\\s*:(?!:)`,
+);
+
+const RUST_VARIANT_PATTERN = new RegExp(`^\\s*${RUST_ATTRIBUTES}([A-Za-z_]\\w*)\\s*(?:[({,=]|$)`);
+
+// 'a / 'static，不匹配字符字面量 'a'；扫描时引号换成 LIFETIME_MARK，impl 名称中再换回
+const RUST_LIFETIME = /'[A-Za-z_]\w*(?!['\w])/g;
+const LIFETIME_MARK = "\u0001";
+
+/**
+ * 行尾是这些符号时 Go 语句延续到下一行
+ */
+const GO_CONTINUATION_PATTERN = /[,([{.+\-*/%&|^=<>:!]\s*$/;
+
+/**
+ * 单独成行时会被 PY_ATTRIBUTE_PATTERN 误认为属性的语句关键字（pass、return 等）
+ */
+const PY_STATEMENT_KEYWORDS: ReadonlySet<string> = new Set([
+  "pass",
+  "break",
+  "continue",
+  "return",
+  "raise",
+  "yield",
+  "else",
+  "try",
+  "finally",
+]);
+
+/**
+ * 形如方法调用的控制语句关键字，不能被识别为方法名
+ */
+const NON_MEMBER_KEYWORDS: ReadonlySet<string> = new Set([
+  "if",
+  "for",
+  "while",
+  "switch",
+  "catch",
+  "synchronized",
+  "return",
+  "new",
+  "throw",
+  "else",
+  "do",
+  "try",
+  "super",
+  "this",
+  "function",
+]);
+
+// ========== 内部类型 ==========
+
+type ScopeRole = "container" | "member" | "block";
+
+/**
+ * 尚未闭合的作用域
+ *
+ * depth    : 声明所在行开始前的花括号深度，回到该深度即视为结束
+ * isRecord : Java record 的类体，其中的 "Name {" 是紧凑构造函数
+ * opened   : 是否已经遇到自身的 "{"（抽象方法 / 字段可能从不打开）
+ */
+interface OpenScope {
+  readonly role: ScopeRole;
+  readonly symbol: DocumentSymbol | null;
+  readonly depth: number;
+  readonly isRecord: boolean;
+  opened: boolean;
+  enumConstantsDone: boolean;
+}
+
+/**
+ * 从源码文本中提取符号树（LS 不可用时的降级方案）
+ *
+ * @param text - 文档全文
+ * @param languageId - 文档语言，决定使用 Java 还是 TS/JS 声明规则
+ * @returns 与 DocumentSymbolProvider 结构一致的符号树
+ */
+export function extractSymbolsFromText(
+  text: string,
+  languageId: string,
+): DocumentSymbol[] {
+  if (languageId === "python") {
+    return extractPythonSymbols(text.split("\n"));
+  }
+  if (languageId === "go") {
+    return extractGoSymbols(text.split("\n"));
+  }
+  if (languageId === "rust") {
+    return extractRustSymbols(text.split("\n"));
+  }
+
+  const isJava = languageId === "java";
+  const isKotlin = languageId === "kotlin";
+  const isCSharp = languageId === "csharp";
+  const lines = text.split("\n");
+  const roots: DocumentSymbol[] = [];
+  const scopes: OpenScope[] = [];
+
+  let state = INITIAL_PARSE_STATE;
+  let braceDepth = 0;
+  // 跨行的圆括号（多行注解参数、跨行签名）内部不识别新声明
+  let parenDepth = 0;
+
+  for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+    const rawLine = lines[lineIndex] ?? "";
+    const parsed = parseLineForStructure(rawLine, state);
+    state = parsed.state;
+
+    const code = parsed.code;
+    const trimmed = code.trim();
+    const depthBefore = braceDepth;
+    const innermost = scopes[scopes.length - 1];
+    const container = findInnermostContainer(scopes);
+    const bodyDepth = container ? container.depth + 1 : 0;
+
+    const insideMemberBody =
+      innermost !== undefined && innermost.role !== "container";
+    const atDeclarationLevel =
+      !insideMemberBody &&
+      depthBefore === bodyDepth &&
+      (container === null || container.opened);
+
+    if (trimmed !== "" && atDeclarationLevel && parenDepth === 0) {
+      const declared = isJava
+        ? matchJavaDeclaration(code, container, lineIndex, rawLine)
+        : isKotlin
+          ? matchKotlinDeclaration(code, container, lineIndex, rawLine)
+          : isCSharp
+            ? matchCSharpDeclaration(code, container, lineIndex, rawLine)
+            : matchScriptDeclaration(code, container, lineIndex, rawLine);
+
+      // 同一行声明多个枚举常量：RED, GREEN, BLUE; / RED("r"), GREEN("g") {
+      // 行尾打开 "{" 时只有最后一个常量带类体，由它进入成员作用域
+      const enumConstants =
+        declared?.symbol.kind === vscode.SymbolKind.EnumMember
+          ? splitEnumConstants(code)
+          : [];
+      const multipleConstants = enumConstants.length > 1;
+      const bodyConstant =
+        multipleConstants && parsed.openBraces > 0 ? enumConstants.pop() : undefined;
+      const scoped: DeclaredSymbol | null = !multipleConstants
+        ? declared
+        : bodyConstant
+          ? {
+              role: "member",
+              symbol: createSymbol(bodyConstant, vscode.SymbolKind.EnumMember, lineIndex, rawLine),
+            }
+          : null;
+
+      if (multipleConstants) {
+        for (const name of enumConstants) {
+          attachSymbol(
+            createSymbol(name, vscode.SymbolKind.EnumMember, lineIndex, rawLine),
+            container,
+            roots,
+          );
+        }
+      }
+
+      if (scoped) {
+        attachSymbol(scoped.symbol, container, roots);
+        if (isKotlin && scoped.role === "container") {
+          scoped.symbol.children.push(...extractKotlinConstructorProperties(lines, lineIndex));
+        }
+        if (isCSharp && scoped.role === "container" && /\brecord\b/.test(code)) {
+          scoped.symbol.children.push(...extractRecordProperties(lines, lineIndex));
+        }
+        scopes.push({
+          role: scoped.role,
+          symbol: scoped.symbol,
+          depth: depthBefore,
+          isRecord: scoped.isRecord === true,
+          opened: false,
+          enumConstantsDone: false,
+        });
+      } else if (parsed.openBraces > 0) {
+        // 初始化块 / static {} 等：只需跳过其内部
+        scopes.push({
+          role: "block",
+          symbol: null,
+          depth: depthBefore,
+          isRecord: false,
+          opened: false,
+          enumConstantsDone: false,
+        });
+      }
+    }
+
+    parenDepth = Math.max(0, parenDepth + countParens(code));
+    braceDepth = Math.max(0, braceDepth + parsed.openBraces - parsed.closeBraces);
+
+    if (container && atDeclarationLevel && /;/.test(trimmed)) {
+      container.enumConstantsDone = true;
+    }
+
+    // Kotlin 的类型常以 ">" / "?" 结尾（List<User>、String?），不代表语句未完
+    const continuation = isKotlin ? KT_CONTINUATION_PATTERN : SCRIPT_CONTINUATION_PATTERN;
+    const statementEnded =
+      trimmed !== "" &&
+      parenDepth === 0 &&
+      (/;/.test(trimmed) || (!isJava && !isCSharp && !continuation.test(trimmed)));
+
+    closeFinishedScopes(
+      scopes,
+      {
+        braceDepth,
+        openBraces: parsed.openBraces,
+        statementEnded,
+        code,
+        line: lineIndex,
+        rawLine,
+      },
+      isKotlin || isCSharp,
+    );
+  }
+
+  // 文件被截断时，未闭合的声明延伸到最后一行
+  const lastLine = Math.max(0, lines.length - 1);
+  for (const scope of scopes) {
+    setEndLine(scope.symbol, lastLine, lines[lastLine] ?? "");
+  }
+
+  return roots;
+}
+
+/**
+ * 用于结构扫描时剔除注释、清空字符串内容，避免 braceDepth 计算误差
+ */
+export function parseLineForStructure(
+  line: string,
+  state: ParseState,
+): StructureLine {
+  let code = "";
+  let openBraces = 0;
+  let closeBraces = 0;
+
+  let inBlockComment = state.inBlockComment;
+  let inString = state.inString;
+  let inChar = state.inChar;
+  let inTemplate = state.inTemplate;
+  let escaped = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i] ?? "";
+    const next = line[i + 1] ?? "";
+
+    if (inBlockComment) {
+      if (ch === "*" && next === "/") {
+        inBlockComment = false;
+        i++;
+      }
+      continue;
+    }
+
+    if (inString || inChar || inTemplate) {
+      if (escaped) {
+        escaped = false;
+        continue;
+      }
+      if (ch === "\\") {
+        escaped = true;
+        continue;
+      }
+      if (inString && ch === '"') {
+        inString = false;
+      } else if (inChar && ch === "'") {
+        inChar = false;
+      } else if (inTemplate && ch === "`") {
+        inTemplate = false;
+      } else {
+        continue;
+      }
+      // 留下空字面量占位：= "x" 结尾的语句不能被当成以 = 结尾的未完语句
+      code += ch + ch;
+      continue;
+    }
+
+    // 行注释：忽略剩余内容
+    if (ch === "/" && next === "/") {
+      break;
+    }
+
+    // 块注释开始
+    if (ch === "/" && next === "*") {
+      inBlockComment = true;
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+      continue;
+    }
+    if (ch === "'") {
+      inChar = true;
+      continue;
+    }
+    if (ch === "`") {
+      inTemplate = true;
+      continue;
+    }
+
+    if (ch === "{") openBraces++;
+    if (ch === "}") closeBraces++;
+
+    code += ch;
+  }
+
+  return {
+    code,
+    openBraces,
+    closeBraces,
+    state: { inBlockComment, inString, inChar, inTemplate },
+  };
+}
+
+// ========== 声明识别 ==========
+
+interface DeclaredSymbol {
+  readonly role: ScopeRole;
+  readonly symbol: DocumentSymbol;
+  readonly isRecord?: boolean;
+}
+
+function matchJavaDeclaration(
+  code: string,
+  container: OpenScope | null,
+  line: number,
+  rawLine: string,
+): DeclaredSymbol | null {
+  const typeMatch = JAVA_TYPE_PATTERN.exec(code);
+  if (typeMatch?.[1] && typeMatch[2]) {
+    return {
+      role: "container",
+      symbol: createSymbol(typeMatch[2], javaTypeKind(typeMatch[1]), line, rawLine),
+      isRecord: typeMatch[1] === "record",
+    };
+  }
+
+  // 顶层只允许出现类型声明（package / import 等忽略）
+  const containerSymbol = container?.symbol;
+  if (!containerSymbol) {
+    return null;
+  }
+
+  if (
+    containerSymbol.kind === vscode.SymbolKind.Enum &&
+    !container.enumConstantsDone
+  ) {
+    const constant = ENUM_CONSTANT_PATTERN.exec(code);
+    if (constant?.[1] && !NON_MEMBER_KEYWORDS.has(constant[1])) {
+      return {
+        role: "member",
+        symbol: createSymbol(constant[1], vscode.SymbolKind.EnumMember, line, rawLine),
+      };
+    }
+  }
+
+  // record 的紧凑构造函数没有参数列表：public Point {
+  const compactName = container.isRecord
+    ? JAVA_COMPACT_CONSTRUCTOR_PATTERN.exec(code)?.[1]
+    : undefined;
+  if (compactName === containerSymbol.name) {
+    return {
+      role: "member",
+      symbol: createSymbol(compactName, vscode.SymbolKind.Constructor, line, rawLine),
+    };
+  }
+
+  const methodMatch = JAVA_METHOD_PATTERN.exec(code);
+  const methodName = methodMatch?.[2];
+  if (methodMatch && methodName && !NON_MEMBER_KEYWORDS.has(methodName)) {
+    const returnType = methodMatch[1]?.trim();
+    const isConstructor = !returnType && methodName === containerSymbol.name;
+    if (returnType || isConstructor) {
+      const kind = isConstructor
+        ? vscode.SymbolKind.Constructor
+        : vscode.SymbolKind.Method;
+      return { role: "member", symbol: createSymbol(methodName, kind, line, rawLine) };
+    }
+  }
+
+  const fieldMatch = JAVA_FIELD_PATTERN.exec(code);
+  if (fieldMatch?.[3] && !NON_MEMBER_KEYWORDS.has(fieldMatch[2]?.trim() ?? "")) {
+    const modifiers = fieldMatch[1] ?? "";
+    const isConstant =
+      /\bstatic\b/.test(modifiers) && /\bfinal\b/.test(modifiers);
+    const kind = isConstant
+      ? vscode.SymbolKind.Constant
+      : vscode.SymbolKind.Field;
+    const symbol = createSymbol(fieldMatch[3], kind, line, rawLine);
+    return { role: "member", symbol: withDetail(symbol, fieldMatch[2]?.trim() ?? "") };
+  }
+
+  return null;
+}
+
+function matchScriptDeclaration(
+  code: string,
+  container: OpenScope | null,
+  line: number,
+  rawLine: string,
+): DeclaredSymbol | null {
+  const typeMatch = TS_TYPE_PATTERN.exec(code);
+  if (typeMatch?.[1] && typeMatch[2]) {
+    return {
+      role: "container",
+      symbol: createSymbol(typeMatch[2], scriptTypeKind(typeMatch[1]), line, rawLine),
+    };
+  }
+
+  const containerSymbol = container?.symbol;
+  if (!containerSymbol) {
+    // 顶层函数：function foo() / const foo = () =>
+    const fn = TS_FUNCTION_PATTERN.exec(code) ?? TS_ARROW_FUNCTION_PATTERN.exec(code);
+    return fn?.[1]
+      ? { role: "member", symbol: createSymbol(fn[1], vscode.SymbolKind.Function, line, rawLine) }
+      : null;
+  }
+
+  if (containerSymbol.kind === vscode.SymbolKind.Enum) {
+    const constant = ENUM_CONSTANT_PATTERN.exec(code);
+    return constant?.[1]
+      ? { role: "member", symbol: createSymbol(constant[1], vscode.SymbolKind.EnumMember, line, rawLine) }
+      : null;
+  }
+
+  const methodMatch = TS_METHOD_PATTERN.exec(code);
+  const methodName = methodMatch?.[1];
+  if (methodName && !NON_MEMBER_KEYWORDS.has(methodName)) {
+    const kind =
+      methodName === "constructor"
+        ? vscode.SymbolKind.Constructor
+        : vscode.SymbolKind.Method;
+    return { role: "member", symbol: createSymbol(methodName, kind, line, rawLine) };
+  }
+
+  const fieldMatch = TS_FIELD_PATTERN.exec(code);
+  if (fieldMatch?.[2] && !NON_MEMBER_KEYWORDS.has(fieldMatch[2])) {
+    const isConstant =
+      /\bstatic\b/.test(fieldMatch[1] ?? "") && /\breadonly\b/.test(fieldMatch[1] ?? "");
+    const kind = isConstant
+      ? vscode.SymbolKind.Constant
+      : vscode.SymbolKind.Field;
+    return { role: "member", symbol: createSymbol(fieldMatch[2], kind, line, rawLine) };
+  }
+
+  return null;
+}
+
+// ========== Kotlin ==========
+
+function matchKotlinDeclaration(
+  code: string,
+  container: OpenScope | null,
+  line: number,
+  rawLine: string,
+): DeclaredSymbol | null {
+  const companion = KT_COMPANION_PATTERN.exec(code);
+  if (companion) {
+    const name = companion[1] ?? "Companion";
+    return { role: "container", symbol: createSymbol(name, vscode.SymbolKind.Class, line, rawLine) };
+  }
+
+  const typeMatch = KT_TYPE_PATTERN.exec(code);
+  if (typeMatch?.[2] && typeMatch[3]) {
+    const kind =
+      typeMatch[2] === "interface"
+        ? vscode.SymbolKind.Interface
+        : /\benum\b/.test(typeMatch[1] ?? "")
+          ? vscode.SymbolKind.Enum
+          : vscode.SymbolKind.Class;
+    return { role: "container", symbol: createSymbol(typeMatch[3], kind, line, rawLine) };
+  }
+
+  const funName = KT_FUN_PATTERN.exec(code)?.[1];
+  const containerSymbol = container?.symbol;
+  if (!containerSymbol) {
+    // 顶层只识别类型和函数，顶层属性与 TS 顶层常量一样忽略
+    return funName
+      ? { role: "member", symbol: createSymbol(funName, vscode.SymbolKind.Function, line, rawLine) }
+      : null;
+  }
+
+  if (containerSymbol.kind === vscode.SymbolKind.Enum && !container.enumConstantsDone) {
+    const constant = ENUM_CONSTANT_PATTERN.exec(code);
+    if (constant?.[1] && !NON_MEMBER_KEYWORDS.has(constant[1])) {
+      return {
+        role: "member",
+        symbol: createSymbol(constant[1], vscode.SymbolKind.EnumMember, line, rawLine),
+      };
+    }
+  }
+
+  if (funName) {
+    return { role: "member", symbol: createSymbol(funName, vscode.SymbolKind.Method, line, rawLine) };
+  }
+
+  // 次构造函数
+  if (KT_CONSTRUCTOR_PATTERN.test(code)) {
+    return {
+      role: "member",
+      symbol: createSymbol("constructor", vscode.SymbolKind.Constructor, line, rawLine),
+    };
+  }
+
+  const property = KT_PROPERTY_PATTERN.exec(code);
+  if (property?.[2]) {
+    const kind = /\bconst\b/.test(property[1] ?? "")
+      ? vscode.SymbolKind.Constant
+      : vscode.SymbolKind.Field;
+    const symbol = createSymbol(property[2], kind, line, rawLine);
+    return { role: "member", symbol: withDetail(symbol, property[3]?.trim() ?? "") };
+  }
+
+  return null;
+}
+
+/**
+ * C# 的类型、namespace 和成员
+ *
+ * namespace 中只有类型；record 的位置参数由 extractRecordProperties 补充
+ */
+function matchCSharpDeclaration(
+  code: string,
+  container: OpenScope | null,
+  line: number,
+  rawLine: string,
+): DeclaredSymbol | null {
+  const typeMatch = CS_TYPE_PATTERN.exec(code);
+  if (typeMatch?.[1] && typeMatch[2]) {
+    return {
+      role: "container",
+      symbol: createSymbol(typeMatch[2], csharpTypeKind(typeMatch[1]), line, rawLine),
+    };
+  }
+
+  const containerSymbol = container?.symbol;
+  if (!containerSymbol || containerSymbol.kind === vscode.SymbolKind.Namespace) {
+    const namespace = CS_NAMESPACE_PATTERN.exec(code)?.[1];
+    return namespace
+      ? { role: "container", symbol: createSymbol(namespace, vscode.SymbolKind.Namespace, line, rawLine) }
+      : null;
+  }
+
+  // 委托是类型而不是成员，与 LS 一样不展示
+  if (/\bdelegate\b/.test(code)) {
+    return null;
+  }
+
+  if (containerSymbol.kind === vscode.SymbolKind.Enum) {
+    const constant = ENUM_CONSTANT_PATTERN.exec(code.replace(/^\s*(?:\[[^\]]*\]\s*)+/, ""));
+    return constant?.[1]
+      ? { role: "member", symbol: createSymbol(constant[1], vscode.SymbolKind.EnumMember, line, rawLine) }
+      : null;
+  }
+
+  const event = CS_EVENT_PATTERN.exec(code);
+  if (event?.[2]) {
+    const symbol = createSymbol(event[2], vscode.SymbolKind.Event, line, rawLine);
+    return { role: "member", symbol: withDetail(symbol, event[1]?.trim() ?? "") };
+  }
+
+  const methodMatch = CS_METHOD_PATTERN.exec(code);
+  const methodName = methodMatch?.[2];
+  if (methodMatch && methodName && !NON_MEMBER_KEYWORDS.has(methodName)) {
+    const returnType = methodMatch[1]?.trim();
+    const isConstructor = !returnType && methodName === containerSymbol.name;
+    if (returnType || isConstructor) {
+      const kind = isConstructor ? vscode.SymbolKind.Constructor : vscode.SymbolKind.Method;
+      return { role: "member", symbol: createSymbol(methodName, kind, line, rawLine) };
+    }
+  }
+
+  const property = CS_PROPERTY_PATTERN.exec(code);
+  if (property?.[2] && !NON_MEMBER_KEYWORDS.has(property[1]?.trim() ?? "")) {
+    const symbol = createSymbol(property[2], vscode.SymbolKind.Property, line, rawLine);
+    return { role: "member", symbol: withDetail(symbol, property[1]?.trim() ?? "") };
+  }
+
+  const fieldMatch = CS_FIELD_PATTERN.exec(code);
+  if (fieldMatch?.[3] && !NON_MEMBER_KEYWORDS.has(fieldMatch[2]?.trim() ?? "")) {
+    const kind = /\bconst\b/.test(fieldMatch[1] ?? "")
+      ? vscode.SymbolKind.Constant
+      : vscode.SymbolKind.Field;
+    const symbol = createSymbol(fieldMatch[3], kind, line, rawLine);
+    return { role: "member", symbol: withDetail(symbol, fieldMatch[2]?.trim() ?? "") };
+  }
+
+  return null;
+}
+
+/**
+ * 主构造函数中声明为 val / var 的参数："class User(val id: Long, private var name: String)"
+ */
+function extractKotlinConstructorProperties(
+  lines: readonly string[],
+  classLine: number,
+): DocumentSymbol[] {
+  const code = readCodeFrom(lines, classLine);
+
+  // 类名（和类型参数）之后紧跟的括号才是主构造函数："class A<T>(...)"、"class A @Inject constructor(...)"
+  const header = /^[^\n]*?\bclass\s+[A-Za-z_]\w*\s*/.exec(code);
+  if (!header) {
+    return [];
+  }
+  let cursor = header[0].length;
+  if (code[cursor] === "<") {
+    cursor = skipBracketed(code, cursor, "<", ">");
+  }
+  const constructorKeyword = /^\s*(?:(?:@[\w.]+(?:\([^)]*\))?|public|protected|private|internal)\s+)*constructor\s*/.exec(
+    code.slice(cursor),
+  );
+  cursor += constructorKeyword?.[0].length ?? 0;
+  while (code[cursor] === " " || code[cursor] === "\t") cursor++;
+  if (code[cursor] !== "(") {
+    return [];
+  }
+
+  return collectParameterProperties(code, cursor, lines, classLine, vscode.SymbolKind.Field, (param) => {
+    const match = KT_CONSTRUCTOR_PROPERTY_PATTERN.exec(param);
+    if (!match?.[1]) {
+      return null;
+    }
+    return {
+      name: match[1],
+      type: match[2] ?? "",
+      offset: param.search(new RegExp(`\\b${match[1]}\\s*:`)),
+    };
+  });
+}
+
+/**
+ * record 的位置参数都是公开属性："record User(string Name, int Age);"
+ */
+function extractRecordProperties(lines: readonly string[], recordLine: number): DocumentSymbol[] {
+  const code = readCodeFrom(lines, recordLine);
+
+  const header = /^[^\n]*?\brecord\s+(?:class\s+|struct\s+)?[A-Za-z_]\w*\s*/.exec(code);
+  if (!header) {
+    return [];
+  }
+  let cursor = header[0].length;
+  if (code[cursor] === "<") {
+    cursor = skipBracketed(code, cursor, "<", ">");
+  }
+  while (code[cursor] === " " || code[cursor] === "\t") cursor++;
+  if (code[cursor] !== "(") {
+    return [];
+  }
+
+  return collectParameterProperties(code, cursor, lines, recordLine, vscode.SymbolKind.Property, (param) => {
+    const match = CS_RECORD_PARAMETER_PATTERN.exec(param);
+    if (!match?.[1] || !match[2]) {
+      return null;
+    }
+    return {
+      name: match[2],
+      type: match[1],
+      offset: param.search(new RegExp(`\\b${match[2]}\\s*(?:=|$)`)),
+    };
+  });
+}
+
+/**
+ * 剔除注释和字符串后，从 startLine 起按行拼接（最多 MAX_CONSTRUCTOR_LINES 行）
+ */
+function readCodeFrom(lines: readonly string[], startLine: number): string {
+  const codeLines: string[] = [];
+  let state = INITIAL_PARSE_STATE;
+  const lastLine = Math.min(lines.length, startLine + MAX_CONSTRUCTOR_LINES);
+  for (let i = startLine; i < lastLine; i++) {
+    const parsed = parseLineForStructure(lines[i] ?? "", state);
+    state = parsed.state;
+    codeLines.push(parsed.code);
+  }
+  return codeLines.join("\n");
+}
+
+/**
+ * 逐个读取 cursor 处 "(" 开始的参数列表，readProperty 识别其中声明属性的参数
+ *
+ * 参数列表可能跨越多行，每个属性的行号取其名称所在行
+ */
+function collectParameterProperties(
+  code: string,
+  cursor: number,
+  lines: readonly string[],
+  firstLine: number,
+  kind: vscode.SymbolKind,
+  readProperty: (param: string) => { name: string; type: string; offset: number } | null,
+): DocumentSymbol[] {
+  const properties: DocumentSymbol[] = [];
+  let depth = 0;
+  let paramStart = cursor + 1;
+  for (let i = cursor; i < code.length; i++) {
+    const ch = code[i];
+    if (ch === "(" || ch === "<" || ch === "[" || ch === "{") {
+      depth++;
+    } else if (ch === ")" || ch === "]" || ch === "}" || (ch === ">" && code[i - 1] !== "-")) {
+      depth--;
+    }
+    const endsParam = (ch === "," && depth === 1) || depth === 0;
+    if (!endsParam) {
+      continue;
+    }
+
+    const param = code.slice(paramStart, i);
+    const property = readProperty(param);
+    if (property) {
+      const nameOffset = paramStart + Math.max(0, property.offset);
+      const line = firstLine + (code.slice(0, nameOffset).match(/\n/g)?.length ?? 0);
+      const symbol = createSymbol(property.name, kind, line, lines[line] ?? "");
+      properties.push(withDetail(symbol, property.type.replace(/\s+/g, " ").trim()));
+    }
+    paramStart = i + 1;
+    if (depth === 0) {
+      break;
+    }
+  }
+  return properties;
+}
+
+function skipBracketed(code: string, start: number, open: string, close: string): number {
+  let depth = 0;
+  for (let i = start; i < code.length; i++) {
+    if (code[i] === open) depth++;
+    else if (code[i] === close && --depth === 0) return i + 1;
+  }
+  return code.length;
+}
+
+// ========== Python ==========
+
+/**
+ * Python 中尚未结束的声明（缩进回到 indent 或更小即结束）
+ */
+interface PythonScope {
+  readonly role: ScopeRole;
+  readonly symbol: DocumentSymbol;
+  readonly indent: number;
+}
+
+/**
+ * 按缩进提取 Python 的类、方法、函数和类属性
+ *
+ * 顶层只识别 class / def；模块级变量不属于任何类，与 TS 顶层常量一样忽略
+ */
+function extractPythonSymbols(lines: readonly string[]): DocumentSymbol[] {
+  const roots: DocumentSymbol[] = [];
+  const scopes: PythonScope[] = [];
+
+  let quote: string | null = null; // 跨行的三引号字符串
+  let bracketDepth = 0; // 跨行的括号
+  let continued = false; // 上一行以反斜杠结尾
+  let lastCodeLine = 0;
+
+  for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+    const rawLine = lines[lineIndex] ?? "";
+    const logicalLineStart = quote === null && bracketDepth === 0 && !continued;
+    const masked = maskPythonLine(rawLine, quote);
+    quote = masked.quote;
+    const trimmed = masked.code.trim();
+
+    if (logicalLineStart && trimmed !== "") {
+      const indent = rawLine.length - rawLine.trimStart().length;
+      let top = scopes[scopes.length - 1];
+      while (top && indent <= top.indent) {
+        setEndLine(top.symbol, lastCodeLine, lines[lastCodeLine] ?? "");
+        scopes.pop();
+        top = scopes[scopes.length - 1];
+      }
+
+      const innermost = scopes[scopes.length - 1];
+      // 函数体内部的嵌套函数 / 类不属于文档结构
+      const declared =
+        !innermost || innermost.role === "container"
+          ? matchPythonDeclaration(masked.code, innermost?.symbol ?? null, lineIndex, rawLine)
+          : null;
+      if (declared) {
+        (innermost?.symbol.children ?? roots).push(declared.symbol);
+        // 类属性没有代码块，不需要等待缩进结束
+        if (declared.role === "container" || PY_DEF_PATTERN.test(masked.code)) {
+          scopes.push({ role: declared.role, symbol: declared.symbol, indent });
+        }
+      }
+    }
+
+    if (rawLine.trim() !== "" && (quote !== null || !rawLine.trim().startsWith("#"))) {
+      lastCodeLine = lineIndex;
+    }
+    bracketDepth = Math.max(0, bracketDepth + countBrackets(masked.code));
+    continued = masked.code.trimEnd().endsWith("\\");
+  }
+
+  for (const scope of scopes) {
+    setEndLine(scope.symbol, lastCodeLine, lines[lastCodeLine] ?? "");
+  }
+  return roots;
+}
+
+function matchPythonDeclaration(
+  code: string,
+  containerSymbol: DocumentSymbol | null,
+  line: number,
+  rawLine: string,
+): DeclaredSymbol | null {
+  const classMatch = PY_CLASS_PATTERN.exec(code);
+  if (classMatch?.[1]) {
+    const kind = PY_ENUM_BASES.test(classMatch[2] ?? "")
+      ? vscode.SymbolKind.Enum
+      : vscode.SymbolKind.Class;
+    return { role: "container", symbol: createSymbol(classMatch[1], kind, line, rawLine) };
+  }
+
+  const defName = PY_DEF_PATTERN.exec(code)?.[1];
+  if (defName) {
+    const kind = !containerSymbol
+      ? vscode.SymbolKind.Function
+      : defName === "__init__"
+        ? vscode.SymbolKind.Constructor
+        : vscode.SymbolKind.Method;
+    return { role: "member", symbol: createSymbol(defName, kind, line, rawLine) };
+  }
+
+  const attribute = containerSymbol ? PY_ATTRIBUTE_PATTERN.exec(code) : null;
+  if (!attribute?.[1] || !containerSymbol || PY_STATEMENT_KEYWORDS.has(attribute[1])) {
+    return null;
+  }
+  const name = attribute[1];
+  const kind =
+    containerSymbol.kind === vscode.SymbolKind.Enum
+      ? vscode.SymbolKind.EnumMember
+      : /^[A-Z][A-Z0-9_]*$/.test(name)
+        ? vscode.SymbolKind.Constant
+        : vscode.SymbolKind.Field;
+  const symbol = createSymbol(name, kind, line, rawLine);
+  return { role: "member", symbol: withDetail(symbol, attribute[2]?.trim() ?? "") };
+}
+
+function countBrackets(code: string): number {
+  let balance = 0;
+  for (const ch of code) {
+    if ("([{".includes(ch)) balance++;
+    else if (")]}".includes(ch)) balance--;
+  }
+  return balance;
+}
+
+/**
+ * 提取 Go 的顶层声明，以及 struct 字段和 interface 方法
+ *
+ * 函数体、字面量内部一律跳过；分组内（parenDepth 为 1）的每一行视为一个声明
+ */
+function extractGoSymbols(lines: readonly string[]): DocumentSymbol[] {
+  const roots: DocumentSymbol[] = [];
+  const scopes: OpenScope[] = [];
+
+  let state = INITIAL_PARSE_STATE;
+  let braceDepth = 0;
+  let parenDepth = 0;
+  let group: string | null = null; // 当前 "const (" / "var (" / "type (" 分组的关键字
+
+  for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+    const rawLine = lines[lineIndex] ?? "";
+    const parsed = parseLineForStructure(rawLine, state);
+    state = parsed.state;
+
+    const code = parsed.code;
+    const trimmed = code.trim();
+    const depthBefore = braceDepth;
+    const innermost = scopes[scopes.length - 1];
+    const groupLevel = group ? 1 : 0;
+
+    if (trimmed !== "" && !innermost && braceDepth === 0 && parenDepth === groupLevel) {
+      const declared: GoDeclaration | null = group
+        ? matchGoSpec(group, code, lineIndex, rawLine)
+        : matchGoDeclaration(code, lineIndex, rawLine);
+      if (declared?.group) {
+        group = declared.group;
+      }
+      for (const symbol of declared?.symbols ?? []) {
+        roots.push(symbol);
+      }
+      const [primary] = declared?.symbols ?? [];
+      if (primary && declared?.role) {
+        scopes.push({
+          role: declared.role,
+          symbol: primary,
+          depth: depthBefore,
+          isRecord: false,
+          opened: false,
+          enumConstantsDone: false,
+        });
+      }
+    } else if (
+      trimmed !== "" &&
+      innermost?.role === "container" &&
+      innermost.opened &&
+      braceDepth === innermost.depth + 1 &&
+      innermost.symbol
+    ) {
+      for (const member of matchGoMember(innermost.symbol, code, lineIndex, rawLine)) {
+        innermost.symbol.children.push(member);
+      }
+      // 匿名 struct 字段等：跳过其内部
+      if (parsed.openBraces > parsed.closeBraces) {
+        scopes.push({
+          role: "block",
+          symbol: null,
+          depth: depthBefore,
+          isRecord: false,
+          opened: false,
+          enumConstantsDone: false,
+        });
+      }
+    }
+
+    parenDepth = Math.max(0, parenDepth + countParens(code));
+    braceDepth = Math.max(0, braceDepth + parsed.openBraces - parsed.closeBraces);
+    if (group && parenDepth === 0 && braceDepth === 0) {
+      group = null;
+    }
+
+    const statementEnded =
+      trimmed !== "" &&
+      parenDepth <= (group ? 1 : 0) &&
+      !GO_CONTINUATION_PATTERN.test(trimmed);
+
+    closeFinishedScopes(
+      scopes,
+      {
+        braceDepth,
+        openBraces: parsed.openBraces,
+        statementEnded,
+        code,
+        line: lineIndex,
+        rawLine,
+      },
+      false,
+    );
+  }
+
+  const lastLine = Math.max(0, lines.length - 1);
+  for (const scope of scopes) {
+    setEndLine(scope.symbol, lastLine, lines[lastLine] ?? "");
+  }
+  return roots;
+}
+
+/**
+ * 顶层声明的识别结果；role 为空表示声明在本行结束（分组的开头）
+ */
+interface GoDeclaration {
+  readonly symbols: readonly DocumentSymbol[];
+  readonly role: ScopeRole | null;
+  readonly group?: string;
+}
+
+function matchGoDeclaration(code: string, line: number, rawLine: string): GoDeclaration | null {
+  const method = GO_METHOD_PATTERN.exec(code);
+  if (method?.[1] && method[2]) {
+    const receiver = method[1].replace(/\s+/g, "");
+    const symbol = createSymbol(method[2], vscode.SymbolKind.Method, line, rawLine);
+    symbol.name = `(${receiver}).${method[2]}`;
+    return { symbols: [symbol], role: "member" };
+  }
+
+  const funcName = GO_FUNC_PATTERN.exec(code)?.[1];
+  if (funcName) {
+    return {
+      symbols: [createSymbol(funcName, vscode.SymbolKind.Function, line, rawLine)],
+      role: "member",
+    };
+  }
+
+  const decl = GO_DECL_PATTERN.exec(code);
+  if (!decl?.[1]) {
+    return null;
+  }
+  if (decl[2]) {
+    // "const (" 后同一行可能已经有第一个声明，少见，忽略
+    return { symbols: [], role: null, group: decl[1] };
+  }
+  return matchGoSpec(decl[1], decl[3] ?? "", line, rawLine);
+}
+
+/**
+ * 单个 type / const / var 规格（分组中的一行，或去掉关键字后的单行声明）
+ */
+function matchGoSpec(keyword: string, code: string, line: number, rawLine: string): GoDeclaration | null {
+  if (keyword === "type") {
+    const spec = GO_TYPE_SPEC_PATTERN.exec(code);
+    if (!spec?.[1]) {
+      return null;
+    }
+    const kind =
+      spec[2] === "struct"
+        ? vscode.SymbolKind.Struct
+        : spec[2] === "interface"
+          ? vscode.SymbolKind.Interface
+          : vscode.SymbolKind.Class;
+    return {
+      symbols: [createSymbol(spec[1], kind, line, rawLine)],
+      role: spec[2] ? "container" : "member",
+    };
+  }
+
+  const names = GO_VALUE_SPEC_PATTERN.exec(code)?.[1];
+  if (!names) {
+    return null;
+  }
+  const kind = keyword === "const" ? vscode.SymbolKind.Constant : vscode.SymbolKind.Variable;
+  const symbols = names
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name !== "_")
+    .map((name) => createSymbol(name, kind, line, rawLine));
+  return { symbols, role: "member" };
+}
+
+function matchGoMember(
+  container: DocumentSymbol,
+  code: string,
+  line: number,
+  rawLine: string,
+): DocumentSymbol[] {
+  if (container.kind === vscode.SymbolKind.Interface) {
+    const name = GO_INTERFACE_METHOD_PATTERN.exec(code)?.[1];
+    return name ? [createSymbol(name, vscode.SymbolKind.Method, line, rawLine)] : [];
+  }
+
+  const fields = GO_FIELD_PATTERN.exec(code)?.[1];
+  const names = fields
+    ? fields.split(",").map((name) => name.trim())
+    : [GO_EMBEDDED_FIELD_PATTERN.exec(code)?.[1]];
+  return names
+    .filter((name): name is string => name !== undefined && name !== "_")
+    .map((name) => createSymbol(name, vscode.SymbolKind.Field, line, rawLine));
+}
+
+// ========== Rust ==========
+
+/**
+ * Rust 项的识别结果；role 为 null 表示声明在本行结束（字段、没有花括号的枚举变体）
+ */
+interface RustDeclaration {
+  readonly symbol: DocumentSymbol;
+  readonly role: ScopeRole | null;
+}
+
+/**
+ * 提取 Rust 的项：顶层和内联模块中的类型、impl 块、函数和常量，以及它们的成员
+ *
+ * 函数体内部一律跳过；use 分组、宏定义、extern 块等带花括号的其它项作为 block 跳过
+ */
+function extractRustSymbols(lines: readonly string[]): DocumentSymbol[] {
+  const masked = lines.map((line) =>
+    line.replace(RUST_LIFETIME, (lifetime) => LIFETIME_MARK + lifetime.slice(1)),
+  );
+  const roots: DocumentSymbol[] = [];
+  const scopes: OpenScope[] = [];
+
+  let state = INITIAL_PARSE_STATE;
+  let braceDepth = 0;
+  let parenDepth = 0;
+
+  for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+    const rawLine = lines[lineIndex] ?? "";
+    const parsed = parseLineForStructure(masked[lineIndex] ?? "", state);
+    state = parsed.state;
+
+    const code = parsed.code;
+    const trimmed = code.trim();
+    const depthBefore = braceDepth;
+    const innermost = scopes[scopes.length - 1];
+    const container = findInnermostContainer(scopes);
+    const atDeclarationLevel =
+      (innermost === undefined || innermost.role === "container") &&
+      depthBefore === (container ? container.depth + 1 : 0) &&
+      (container === null || container.opened);
+
+    if (trimmed !== "" && atDeclarationLevel && parenDepth === 0) {
+      const opensBody = parsed.openBraces > parsed.closeBraces;
+      const declared = matchRustDeclaration(
+        code,
+        container?.symbol ?? null,
+        { lines: masked, line: lineIndex, rawLine },
+        opensBody,
+      );
+      if (declared) {
+        attachSymbol(declared.symbol, container, roots);
+      }
+      const role = declared ? declared.role : opensBody ? "block" : null;
+      if (role) {
+        scopes.push({
+          role,
+          symbol: declared?.symbol ?? null,
+          depth: depthBefore,
+          isRecord: false,
+          opened: false,
+          enumConstantsDone: false,
+        });
+      }
+    }
+
+    parenDepth = Math.max(0, parenDepth + countParens(code));
+    braceDepth = Math.max(0, braceDepth + parsed.openBraces - parsed.closeBraces);
+
+    const statementEnded = trimmed !== "" && parenDepth === 0 && /;/.test(trimmed);
+    closeFinishedScopes(
+      scopes,
+      {
+        braceDepth,
+        openBraces: parsed.openBraces,
+        statementEnded,
+        code,
+        line: lineIndex,
+        rawLine,
+      },
+      true,
+    );
+  }
+
+  const lastLine = Math.max(0, lines.length - 1);
+  for (const scope of scopes) {
+    setEndLine(scope.symbol, lastLine, lines[lastLine] ?? "");
+  }
+  return roots;
+}
+
+/**
+ * @param source - 已覆盖生命周期的全部行（impl 头部可能跨行）、当前行号和原始行
+ * @param opensBody - 本行留下未闭合的 "{"（结构体变体 "Move {" 的字段需要跳过）
+ */
+function matchRustDeclaration(
+  code: string,
+  container: DocumentSymbol | null,
+  source: { readonly lines: readonly string[]; readonly line: number; readonly rawLine: string },
+  opensBody: boolean,
+): RustDeclaration | null {
+  const { line, rawLine } = source;
+
+  if (container?.kind === vscode.SymbolKind.Struct) {
+    const field = RUST_FIELD_PATTERN.exec(code)?.[1];
+    return field
+      ? { symbol: createSymbol(field, vscode.SymbolKind.Field, line, rawLine), role: null }
+      : null;
+  }
+  if (container?.kind === vscode.SymbolKind.Enum) {
+    const variant = RUST_VARIANT_PATTERN.exec(code)?.[1];
+    return variant
+      ? {
+          symbol: createSymbol(variant, vscode.SymbolKind.EnumMember, line, rawLine),
+          role: opensBody ? "member" : null,
+        }
+      : null;
+  }
+
+  const type = RUST_TYPE_PATTERN.exec(code);
+  if (type?.[1] && type[2]) {
+    const kind =
+      type[1] === "trait"
+        ? vscode.SymbolKind.Interface
+        : type[1] === "enum"
+          ? vscode.SymbolKind.Enum
+          : vscode.SymbolKind.Struct;
+    return { symbol: createSymbol(type[2], kind, line, rawLine), role: "container" };
+  }
+
+  if (RUST_IMPL_PATTERN.test(code)) {
+    const header = readCodeFrom(source.lines, line).split(/[{;]/)[0] ?? "";
+    return {
+      symbol: createSymbol(rustImplName(header), vscode.SymbolKind.Object, line, rawLine),
+      role: "container",
+    };
+  }
+
+  const module = RUST_MOD_PATTERN.exec(code)?.[1];
+  if (module) {
+    return { symbol: createSymbol(module, vscode.SymbolKind.Module, line, rawLine), role: "container" };
+  }
+
+  const fn = RUST_FN_PATTERN.exec(code)?.[1];
+  if (fn) {
+    const kind =
+      container && container.kind !== vscode.SymbolKind.Module
+        ? vscode.SymbolKind.Method
+        : vscode.SymbolKind.Function;
+    return { symbol: createSymbol(fn, kind, line, rawLine), role: "member" };
+  }
+
+  const constant = RUST_CONST_PATTERN.exec(code)?.[1];
+  if (constant && constant !== "_") {
+    return { symbol: createSymbol(constant, vscode.SymbolKind.Constant, line, rawLine), role: "member" };
+  }
+
+  return null;
+}
+
+/**
+ * rust-analyzer 的 impl 块名称：去掉 impl 的泛型参数和 where 子句
+ * @example "impl<T: Clone> From<Vec<T>> for Stack<T> where T: Debug" -> "impl From<Vec<T>> for Stack<T>"
+ */
+function rustImplName(header: string): string {
+  let rest = header
+    .replace(/#\[[^\]]*\]/g, "")
+    .replace(/^\s*(?:unsafe\s+)?impl\b\s*/, "");
+  if (rest.startsWith("<")) {
+    rest = rest.slice(skipBracketed(rest, 0, "<", ">"));
+  }
+  const type = rest.replace(/\bwhere\b[\s\S]*$/, "").replace(/\s+/g, " ").trim();
+  return `impl ${type.split(LIFETIME_MARK).join("'")}`;
+}
+
+// ========== 作用域管理 ==========
+
+/**
+ * 关闭所有已经结束的作用域
+ *
+ * - 已打开的作用域：花括号深度回到声明前的深度即结束
+ * - 未打开的成员：语句结束即结束（抽象方法、接口方法、字段）
+ * - 未打开的容器：bodylessContainers 为 true 时（Kotlin）语句结束即结束
+ * - 外层容器已闭合时，内部残留的作用域一并结束
+ */
+function closeFinishedScopes(
+  scopes: OpenScope[],
+  line: {
+    readonly braceDepth: number;
+    readonly openBraces: number;
+    readonly statementEnded: boolean;
+    readonly code: string;
+    readonly line: number;
+    readonly rawLine: string;
+  },
+  bodylessContainers: boolean,
+): void {
+  const top = scopes[scopes.length - 1];
+  if (top && !top.opened && line.openBraces > 0) {
+    top.opened = true;
+  }
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (!scope) continue;
+
+    const closedByBrace =
+      (scope.opened && line.braceDepth <= scope.depth) ||
+      line.braceDepth < scope.depth;
+    const closedByStatement =
+      !scope.opened &&
+      (scope.role === "member" || (bodylessContainers && scope.role === "container")) &&
+      line.statementEnded;
+    const enumConstantWithoutBody =
+      !scope.opened &&
+      scope.symbol?.kind === vscode.SymbolKind.EnumMember &&
+      /[,;]|^\s*[A-Za-z_$][\w$]*\s*(?:\([^)]*\))?\s*$/.test(line.code);
+
+    if (closedByBrace || closedByStatement || enumConstantWithoutBody) {
+      setEndLine(scope.symbol, line.line, line.rawLine);
+      scopes.splice(i, 1);
+      continue;
+    }
+    break;
+  }
+}
+
+function findInnermostContainer(scopes: readonly OpenScope[]): OpenScope | null {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope?.role === "container") {
+      return scope;
+    }
+  }
+  return null;
+}
+
+function attachSymbol(
+  symbol: DocumentSymbol,
+  container: OpenScope | null,
+  roots: DocumentSymbol[],
+): void {
+  if (container?.symbol) {
+    container.symbol.children.push(symbol);
+  } else {
+    roots.push(symbol);
+  }
+}
+
+function createSymbol(
+  name: string,
+  kind: vscode.SymbolKind,
+  line: number,
+  rawLine: string,
+): DocumentSymbol {
+  // 按整词查找："A, AB" 中的 AB 不会落到 A 上（同一行的多个枚举常量各自带列号）
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const wordIndex = rawLine.search(new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`));
+  const nameIndex = Math.max(0, wordIndex === -1 ? rawLine.indexOf(name) : wordIndex);
+  const selection = new vscode.Range(line, nameIndex, line, nameIndex + name.length);
+  const range = new vscode.Range(line, 0, line, rawLine.length);
+  return new vscode.DocumentSymbol(name, "", kind, range, selection);
+}
+
+function withDetail(symbol: DocumentSymbol, detail: string): DocumentSymbol {
+  symbol.detail = detail;
+  return symbol;
+}
+
+function setEndLine(
+  symbol: DocumentSymbol | null,
+  line: number,
+  rawLine: string,
+): void {
+  if (!symbol) return;
+  symbol.range = new vscode.Range(symbol.range.start, new vscode.Position(line, rawLine.length));
+}
+
+function javaTypeKind(keyword: string): vscode.SymbolKind {
+  switch (keyword) {
+    case "interface":
+    case "@interface":
+      return vscode.SymbolKind.Interface;
+    case "enum":
+      return vscode.SymbolKind.Enum;
+    default:
+      return vscode.SymbolKind.Class;
+  }
+}
+
+function csharpTypeKind(keyword: string): vscode.SymbolKind {
+  if (keyword === "interface") {
+    return vscode.SymbolKind.Interface;
+  }
+  if (keyword === "enum") {
+    return vscode.SymbolKind.Enum;
+  }
+  return /struct$/.test(keyword) ? vscode.SymbolKind.Struct : vscode.SymbolKind.Class;
+}
+
+function scriptTypeKind(keyword: string): vscode.SymbolKind {
+  switch (keyword) {
+    case "interface":
+      return vscode.SymbolKind.Interface;
+    case "enum":
+      return vscode.SymbolKind.Enum;
+    default:
+      return vscode.SymbolKind.Class;
+  }
+}
+
+function countParens(code: string): number {
+  let balance = 0;
+  for (const ch of code) {
+    if (ch === "(") balance++;
+    else if (ch === ")") balance--;
+  }
+  return balance;
+}
+
+/**
+ * 拆分同一行上的多个枚举常量，忽略构造参数中的逗号
+ * @example "RED(1), GREEN(2), BLUE;" -> ["RED", "GREEN", "BLUE"]
+ */
+function splitEnumConstants(code: string): string[] {
+  const names: string[] = [];
+  let depth = 0;
+  let current = "";
+
+  for (const ch of `${code.replace(/;[\s\S]*$/, "")},`) {
+    if (ch === "(") depth++;
+    if (ch === ")") depth = Math.max(0, depth - 1);
+    if (ch === "," && depth === 0) {
+      const name = /^\s*([A-Za-z_$][\w$]*)/.exec(current)?.[1];
+      if (name) names.push(name);
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+
+  return names;
+}
@@ -0,0 +1,279 @@
+/**
+ * InheritDocMerger.ts - Javadoc inheritance rules
+ *
+ * Purpose:
+ * - Fill the missing parts of an overriding method's documentation from the
+ *   documentation of the methods it overrides.
+ *
+ * Why:
+ * - Implementations often carry only @Override or {@inheritDoc}; the
+ *   interface holds the real documentation.
+ * - Kept free of VS Code APIs: the parser finds the overridden methods,
+ *   this module only decides what to take from them.
+ *
+ * Rules (same as the javadoc tool):
+ * - Empty main description            -> inherited.
+ * - {@inheritDoc} in a description     -> replaced by the inherited text.
+ * - Missing @param / @return           -> inherited (params match by name,
+ *                                         then by position).
+ * - @throws                            -> inherited via {@inheritDoc}, or as a
+ *                                         whole when the method has no comment.
+ * - Rust "# Errors" / "# Panics" / "# Safety" sections -> inherited as a whole
+ *                                         when the method has no comment.
+ * - Sources are tried in order; a source that still contains {@inheritDoc}
+ *   is resolved by the next one.
+ */
+
+import type {
+  DocBlock,
+  DocDialect,
+  DocSection,
+  InheritedDocInfo,
+  MethodDoc,
+  ParamTag,
+  ReturnTag,
+  ThrowsTag,
+} from "../types.js";
+import { tokenizeInlineTags, withInlineTokens } from "./InlineTagParser.js";
+
+/**
+ * Matches "{@inheritDoc}" and the TSDoc form "{@inheritDoc Base.method}".
+ */
+const INHERIT_DOC_PATTERN = /\{@inheritDoc(?:\s[^}]*)?\}/gi;
+
+/**
+ * One overridden declaration, in search order.
+ */
+export interface InheritSource {
+  readonly typeName: string; // Supertype providing the documentation
+  readonly method: MethodDoc;
+  readonly paramNames: readonly string[]; // Parameter names of the overridden signature
+}
+
+/**
+ * Purpose: Decide whether looking up overridden methods can add anything.
+ * Why: Resolving the type hierarchy is expensive; fully documented methods skip it.
+ * @param paramNames - Parameter names from the method's own signature.
+ * @param returnType - Return type from the signature ("void" for none, null when unknown);
+ *                     a missing @return only counts for a known non-void result.
+ */
+export function needsInheritedDoc(
+  method: MethodDoc,
+  paramNames: readonly string[],
+  returnType: string | null,
+): boolean {
+  if (method.kind === "constructor" || method.accessModifier === "private") {
+    return false;
+  }
+  if (!method.hasComment || !method.description.trim()) {
+    return true;
+  }
+
+  const documented = new Set(method.tags.params.map((p) => p.name));
+  return (
+    mentionsInheritDoc(method) ||
+    paramNames.some((name) => !documented.has(name)) ||
+    (method.tags.returns === null && returnType !== null && returnType !== "void")
+  );
+}
+
+/**
+ * Purpose: Whether a method's comment only defers to its supertype
+ *          ("{@inheritDoc}", C# "<inheritdoc/>") and no documentation was merged into it.
+ * Why: Its parameters and result are documented on a supertype that could not be
+ *      resolved, so their absence here is not a mismatch.
+ */
+export function defersToUnresolvedSupertype(method: MethodDoc): boolean {
+  return (
+    method.inherited === undefined &&
+    hasInheritDoc(method.description) &&
+    replaceInheritDoc(method.description, "") === ""
+  );
+}
+
+/**
+ * Purpose: Merge inherited documentation into a method.
+ * @param ownParams - Parameter name -> type from the method's own signature.
+ * @param sources - Overridden declarations, nearest first.
+ * @param dialect - Dialect of the method's file, for tokenizing the merged descriptions.
+ * @returns The method unchanged when nothing was inherited.
+ * Side effects: None.
+ */
+export function mergeInheritedDoc(
+  method: MethodDoc,
+  ownParams: ReadonlyMap<string, string>,
+  sources: readonly InheritSource[],
+  dialect?: DocDialect,
+): MethodDoc {
+  const ownNames =
+    ownParams.size > 0
+      ? [...ownParams.keys()]
+      : method.tags.params.map((p) => p.name);
+  const inheritAll = !method.hasComment;
+
+  let description = method.description;
+  let descriptionBlocks: readonly DocBlock[] | undefined = method.descriptionBlocks;
+  let descriptionFrom: string | null = null;
+  const params = new Map(method.tags.params.map((p) => [p.name, p]));
+  const paramsFrom: Record<string, string> = {};
+  let returns: ReturnTag | null = method.tags.returns;
+  let returnsFrom: string | null = null;
+  let throwsTags: ThrowsTag[] = [...method.tags.throws];
+  const throwsFrom: Record<string, string> = {};
+  let sections: readonly DocSection[] | undefined = method.tags.sections;
+
+  for (const source of sources) {
+    const inherited = source.method;
+    if (!inherited.hasComment) {
+      continue;
+    }
+    const from = source.typeName;
+
+    if (inherited.description) {
+      if (!description.trim()) {
+        description = inherited.description;
+        descriptionBlocks = inherited.descriptionBlocks;
+        descriptionFrom = from;
+      } else if (hasInheritDoc(description)) {
+        description = replaceInheritDoc(description, inherited.description);
+        descriptionFrom = from;
+      }
+    }
+
+    ownNames.forEach((name, index) => {
+      const current = params.get(name);
+      if (current && !hasInheritDoc(current.description)) {
+        return;
+      }
+      const positionalName = source.paramNames[index];
+      const match =
+        inherited.tags.params.find((p) => p.name === name) ??
+        inherited.tags.params.find((p) => p.name === positionalName);
+      if (!match) {
+        return;
+      }
+      params.set(name, inheritParam(name, current, match, ownParams));
+      paramsFrom[name] = from;
+    });
+
+    const inheritedReturns = inherited.tags.returns;
+    if (inheritedReturns && (!returns || hasInheritDoc(returns.description))) {
+      returns = {
+        type: returns?.type ?? inheritedReturns.type,
+        description: returns
+          ? replaceInheritDoc(returns.description, inheritedReturns.description)
+          : inheritedReturns.description,
+      };
+      returnsFrom = from;
+    }
+
+    throwsTags = throwsTags.map((tag) => {
+      if (!hasInheritDoc(tag.description)) {
+        return tag;
+      }
+      const match = inherited.tags.throws.find((t) => sameType(t.type, tag.type));
+      if (!match) {
+        return tag;
+      }
+      throwsFrom[tag.type] = from;
+      return {
+        type: tag.type,
+        description: replaceInheritDoc(tag.description, match.description),
+      };
+    });
+    if (inheritAll) {
+      for (const tag of inherited.tags.throws) {
+        if (!throwsTags.some((t) => sameType(t.type, tag.type))) {
+          throwsTags.push({ type: tag.type, description: tag.description });
+          throwsFrom[tag.type] = from;
+        }
+      }
+      sections ??= inherited.tags.sections;
+    }
+  }
+
+  const info: InheritedDocInfo = {
+    description: descriptionFrom,
+    params: paramsFrom,
+    returns: returnsFrom,
+    throws: throwsFrom,
+  };
+  if (!hasInheritedParts(info)) {
+    return method;
+  }
+
+  const orderedParams: ParamTag[] = [
+    ...ownNames.flatMap((name) => params.get(name) ?? []),
+    ...method.tags.params.filter((p) => !ownNames.includes(p.name)),
+  ];
+
+  return {
+    ...method,
+    hasComment: true,
+    description,
+    descriptionTokens: tokenizeInlineTags(description, dialect),
+    descriptionBlocks,
+    tags: withInlineTokens(
+      {
+        ...method.tags,
+        params: orderedParams,
+        returns,
+        throws: throwsTags,
+        ...(sections && { sections }),
+      },
+      dialect,
+    ),
+    inherited: info,
+  };
+}
+
+function inheritParam(
+  name: string,
+  current: ParamTag | undefined,
+  inherited: ParamTag,
+  ownParams: ReadonlyMap<string, string>,
+): ParamTag {
+  return {
+    ...inherited,
+    name,
+    type: ownParams.get(name) || current?.type || inherited.type,
+    description: current
+      ? replaceInheritDoc(current.description, inherited.description)
+      : inherited.description,
+  };
+}
+
+function mentionsInheritDoc(method: MethodDoc): boolean {
+  return (
+    hasInheritDoc(method.description) ||
+    method.tags.params.some((p) => hasInheritDoc(p.description)) ||
+    (method.tags.returns !== null && hasInheritDoc(method.tags.returns.description)) ||
+    method.tags.throws.some((t) => hasInheritDoc(t.description))
+  );
+}
+
+function hasInheritDoc(text: string): boolean {
+  INHERIT_DOC_PATTERN.lastIndex = 0;
+  return INHERIT_DOC_PATTERN.test(text);
+}
+
+function replaceInheritDoc(text: string, inherited: string): string {
+  return text.replace(INHERIT_DOC_PATTERN, () => inherited).trim();
+}
+
+/**
+ * "java.io.IOException" and "IOException" name the same exception.
+ */
+function sameType(a: string, b: string): boolean {
+  const simple = (type: string): string => type.slice(type.lastIndexOf(".") + 1);
+  return simple(a) === simple(b);
+}
+
+function hasInheritedParts(info: InheritedDocInfo): boolean {
+  return (
+    info.description !== null ||
+    info.returns !== null ||
+    Object.keys(info.params).length > 0 ||
+    Object.keys(info.throws).length > 0
+  );
+}
@@ -0,0 +1,411 @@
+/**
+ * InlineTagParser.ts - Javadoc / JSDoc inline tag tokenizer
+ *
+ * Purpose:
+ * - Split description text into text / code / link / value tokens.
+ *
+ * Why:
+ * - The webview escapes raw text, so "{@link UserService#findById(Long)}" and
+ *   "{@code null}" would otherwise be shown verbatim.
+ * - Structured tokens let the webview render code spans and clickable links
+ *   without re-implementing the Javadoc grammar in the frontend.
+ *
+ * KDoc links are Markdown-style: "[UserService]", "[UserService.findById]"
+ * and "[the lookup][UserService.findById]". They are only recognized for the
+ * kdoc dialect, since "[x]" is ordinary text in Javadoc and JSDoc.
+ *
+ * Go doc links are "[Name]", "[Type.Method]" and "[pkg.Name]"; "[text]" with a
+ * "[text]: URL" definition in the same comment is a hyperlink. Go comments
+ * have no inline tags, so the godoc dialect only looks for brackets.
+ *
+ * Rust doc comments are Markdown: "`code`" spans, intra-doc links
+ * ("[`Vec::push`]", "[Self::len]", "[label](crate::io::Error)"), reference
+ * links resolved through "[label]: target" definitions and "<https://...>".
+ */
+
+import type {
+  DocDialect,
+  InlineToken,
+  ParamTag,
+  ReturnTag,
+  TagTable,
+  ThrowsTag,
+} from "../types.js";
+import { findMatchingIndex } from "./TagParser.js";
+
+/**
+ * Matches the start of an inline tag: "{@link", "{@code", ...
+ */
+const INLINE_TAG_START = /\{@([A-Za-z]+)/g;
+
+/**
+ * "[Target]" or "[label][Target]"; "[text](url)" is a Markdown hyperlink, not a symbol.
+ */
+const KDOC_LINK = /\[([^[\]\n]+)\](?:\[([^[\]\n]+)\])?(?!\()/g;
+
+const KDOC_LINK_TARGET = /^[A-Za-z_][\w.]*$/;
+
+/**
+ * "[...]" not glued to a word ("a[i]") and not followed by "(" or "[".
+ */
+const GO_LINK = /(?<![\w\]])\[([^[\]\n]+)\](?![\w([])/g;
+
+/**
+ * "Name", "Type.Method", "pkg.Type.Method", "*Type", "encoding/json.Marshal"
+ */
+const GO_LINK_TARGET = /^\*?(?:[\w.-]+\/)*[A-Za-z_]\w*(?:\.[A-Za-z_]\w*){0,2}$/;
+
+/**
+ * "`code`", "[label](destination)", "[label][reference]", "[label]" and "<https://...>"
+ */
+const RUST_INLINE =
+  /`([^`\n]+)`|\[((?:`[^`\n]*`|[^[\]\n])+)\](?:\(([^()\s]+)\)|\[([^[\]\n]*)\])?|<(https?:\/\/[^>\s]+)>/g;
+
+/**
+ * "Vec", "std::vec::Vec", "Self::len", "struct@Config", "Vec::<T>::new", "println!", "len()"
+ */
+const RUST_LINK_TARGET =
+  /^(?:[a-z]+@)?(?:[A-Za-z_]\w*(?:<[^<>]*>)?::)*[A-Za-z_]\w*(?:<[^<>]*>)?(?:\(\)|!)?$/;
+
+/**
+ * Purpose: Tokenize inline tags in a description.
+ * Why: Braces inside {@code ...} may be nested, so a plain regex is not enough.
+ * @example "Use {@link #findById(Long)} or {@code null}"
+ *          -> text, link(#findById(Long)), text, code(null)
+ * @param dialect - "kdoc" also turns "[Symbol]" into links; "godoc" only has Go doc links;
+ *                  "rustdoc" reads Markdown code spans and links.
+ * Side effects: None.
+ */
+export function tokenizeInlineTags(text: string, dialect?: DocDialect): InlineToken[] {
+  if (dialect === "godoc") {
+    return tokenizeGoDocText(text);
+  }
+  if (dialect === "rustdoc") {
+    return tokenizeRustDocText(text);
+  }
+
+  const tokens: InlineToken[] = [];
+  let cursor = 0;
+
+  INLINE_TAG_START.lastIndex = 0;
+  let match: RegExpExecArray | null;
+  while ((match = INLINE_TAG_START.exec(text)) !== null) {
+    const start = match.index;
+    const end = findMatchingIndex(text, start, "{", "}");
+    if (end < 0) {
+      break;
+    }
+
+    const tagName = (match[1] ?? "").toLowerCase();
+    const body = text.slice(start + match[0].length, end).trim();
+    const token = createInlineToken(tagName, body, text.slice(start, end + 1));
+
+    pushText(tokens, text.slice(cursor, start), dialect);
+    pushToken(tokens, token);
+    cursor = end + 1;
+    INLINE_TAG_START.lastIndex = end + 1;
+  }
+
+  pushText(tokens, text.slice(cursor), dialect);
+  return tokens;
+}
+
+/**
+ * Purpose: Tokenize Go doc text.
+ * @param definitions - "[text]: URL" link definitions of the same comment.
+ * @example "Save writes [User] to [the spec]." with "the spec" defined
+ *          -> text, link(User), text, link(https://...), text
+ * Side effects: None.
+ */
+export function tokenizeGoDocText(
+  text: string,
+  definitions: ReadonlyMap<string, string> = new Map(),
+): InlineToken[] {
+  const tokens: InlineToken[] = [];
+  let cursor = 0;
+  for (const match of text.matchAll(GO_LINK)) {
+    const body = match[1] ?? "";
+    const url = definitions.get(body);
+    let token: InlineToken | null = null;
+    if (url !== undefined) {
+      token = { kind: "link", target: url, label: body, plain: true };
+    } else if (GO_LINK_TARGET.test(body) && /\p{Lu}/u.test(body)) {
+      token = { kind: "link", target: goLinkTarget(body), label: body, plain: false };
+    }
+    if (!token) {
+      continue;
+    }
+    pushText(tokens, text.slice(cursor, match.index));
+    pushToken(tokens, token);
+    cursor = match.index + match[0].length;
+  }
+  pushText(tokens, text.slice(cursor));
+  return tokens;
+}
+
+/**
+ * Purpose: Tokenize Rust doc Markdown.
+ * Why: "[x]" is a link only when x looks like a path; a shortcut link
+ *      without backticks must name a type, a path or a fn ("[Vec]",
+ *      "[io::Error]", "[len()]"), so "[optional]" in prose stays text.
+ * @param definitions - "[label]: target" definitions of the same comment, lower-cased labels.
+ * @example "Returns [`None`] if `id` is unknown" -> text, link(None), text, code(id), text
+ * Side effects: None.
+ */
+export function tokenizeRustDocText(
+  text: string,
+  definitions: ReadonlyMap<string, string> = new Map(),
+): InlineToken[] {
+  const tokens: InlineToken[] = [];
+  let cursor = 0;
+  for (const match of text.matchAll(RUST_INLINE)) {
+    const [, code, label, destination, reference, autolink] = match;
+    let token: InlineToken | null = null;
+    if (code !== undefined) {
+      token = { kind: "code", text: code };
+    } else if (autolink !== undefined) {
+      token = { kind: "link", target: autolink, label: autolink, plain: true };
+    } else if (label !== undefined) {
+      const target =
+        destination ?? definitions.get((reference || label).toLowerCase()) ?? null;
+      token =
+        target !== null
+          ? createRustLink(target, label)
+          : !reference && isRustPath(label)
+            ? createRustLink(label, label)
+            : null;
+    }
+    if (!token) {
+      continue;
+    }
+    pushText(tokens, text.slice(cursor, match.index));
+    pushToken(tokens, token);
+    cursor = match.index + match[0].length;
+  }
+  pushText(tokens, text.slice(cursor));
+  return tokens;
+}
+
+/**
+ * Purpose: Tokenize an @see reference.
+ * Why: "@see #findById(Long) lookup" is an implicit link, "@see "Book"" is text.
+ */
+export function tokenizeSeeReference(content: string): InlineToken[] {
+  const trimmed = content.trim();
+  if (trimmed.startsWith('"') || trimmed.startsWith("<") || trimmed.includes("{@")) {
+    return tokenizeInlineTags(trimmed);
+  }
+
+  const { target, label } = splitLinkBody(trimmed);
+  return target ? [{ kind: "link", target, label, plain: false }] : [];
+}
+
+/**
+ * Purpose: Attach inline tokens to every description inside a TagTable.
+ */
+export function withInlineTokens(tags: TagTable, dialect?: DocDialect): TagTable {
+  return {
+    ...tags,
+    params: tags.params.map((tag) => tokenizeDescription(tag, dialect)),
+    returns: tags.returns ? tokenizeDescription(tags.returns, dialect) : null,
+    throws: tags.throws.map((tag) => tokenizeDescription(tag, dialect)),
+    properties: tags.properties.map((tag) => tokenizeDescription(tag, dialect)),
+    deprecatedTokens: tags.deprecated ? tokenizeInlineTags(tags.deprecated, dialect) : null,
+    seeTokens: tags.see.map(tokenizeSeeReference),
+    ...(tags.receiver && { receiver: tokenizeDescription(tags.receiver, dialect) }),
+  };
+}
+
+/**
+ * Purpose: Split a link body into target and label.
+ * Supports Javadoc "Type#member(args) label" and JSDoc "Type|label".
+ */
+export function splitLinkBody(body: string): { target: string; label: string } {
+  const pipe = body.indexOf("|");
+  if (pipe >= 0) {
+    return {
+      target: body.slice(0, pipe).trim(),
+      label: body.slice(pipe + 1).trim(),
+    };
+  }
+
+  // The target may contain spaces inside the parameter list: #find(Long, String)
+  const openParen = body.indexOf("(");
+  const firstSpace = body.search(/\s/);
+  if (openParen >= 0 && (firstSpace < 0 || openParen < firstSpace)) {
+    const closeParen = findMatchingIndex(body, openParen, "(", ")");
+    if (closeParen >= 0) {
+      return {
+        target: body.slice(0, closeParen + 1).trim(),
+        label: body.slice(closeParen + 1).trim(),
+      };
+    }
+  }
+
+  if (firstSpace < 0) {
+    return { target: body, label: "" };
+  }
+  return {
+    target: body.slice(0, firstSpace),
+    label: body.slice(firstSpace).trim(),
+  };
+}
+
+function createInlineToken(
+  tagName: string,
+  body: string,
+  raw: string,
+): InlineToken {
+  switch (tagName) {
+    case "code":
+    case "literal":
+      return { kind: "code", text: body };
+
+    case "link":
+    case "linkplain":
+    case "linkcode": {
+      const { target, label } = splitLinkBody(body);
+      return { kind: "link", target, label, plain: tagName === "linkplain" };
+    }
+
+    case "value":
+      return { kind: "value", target: body };
+
+    default:
+      // {@inheritDoc}, {@docRoot} ... keep the original text
+      return { kind: "text", text: raw };
+  }
+}
+
+function tokenizeDescription<T extends ParamTag | ReturnTag | ThrowsTag>(
+  tag: T,
+  dialect: DocDialect | undefined,
+): T {
+  return { ...tag, descriptionTokens: tokenizeInlineTags(tag.description, dialect) };
+}
+
+function pushText(tokens: InlineToken[], text: string, dialect?: DocDialect): void {
+  if (dialect === "kdoc") {
+    pushKDocText(tokens, text);
+  } else if (text) {
+    pushToken(tokens, { kind: "text", text });
+  }
+}
+
+/**
+ * Split KDoc "[Symbol]" links out of plain text; `code spans` are left alone,
+ * so "`ids[index]`" stays text.
+ */
+function pushKDocText(tokens: InlineToken[], text: string): void {
+  let cursor = 0;
+  for (const span of text.matchAll(/`[^`\n]*`/g)) {
+    pushKDocLinks(tokens, text.slice(cursor, span.index));
+    pushText(tokens, span[0]);
+    cursor = span.index + span[0].length;
+  }
+  pushKDocLinks(tokens, text.slice(cursor));
+}
+
+function pushKDocLinks(tokens: InlineToken[], text: string): void {
+  let cursor = 0;
+  for (const match of text.matchAll(KDOC_LINK)) {
+    const first = (match[1] ?? "").trim();
+    const target = (match[2] ?? first).trim();
+    if (!KDOC_LINK_TARGET.test(target)) {
+      continue;
+    }
+    pushText(tokens, text.slice(cursor, match.index));
+    pushToken(tokens, createKDocLink(target, match[2] ? first : ""));
+    cursor = match.index + match[0].length;
+  }
+  pushText(tokens, text.slice(cursor));
+}
+
+/**
+ * A bare lower-case name ("[findById]") refers to a member of the current
+ * class; it is linked as "#findById" and keeps its written name as the label.
+ */
+function createKDocLink(target: string, label: string): InlineToken {
+  const isMember = /^[a-z_]\w*$/.test(target);
+  return {
+    kind: "link",
+    target: isMember ? `#${target}` : target,
+    label: label || (isMember ? target : ""),
+    plain: false,
+  };
+}
+
+/**
+ * "[*bytes.Buffer]" -> "bytes.Buffer", "[Reader.Read]" -> "Reader#Read",
+ * "[io.Reader.Read]" -> "io.Reader#Read"; a lower-case first segment is a package.
+ */
+function goLinkTarget(body: string): string {
+  const name = body.replace(/^\*/, "").replace(/^.*\//, "");
+  const segments = name.split(".");
+  const hasPackage = segments.length > 1 && /^[a-z_]/.test(segments[0] ?? "");
+  const prefix = hasPackage ? `${segments.shift() ?? ""}.` : "";
+  const [type = "", member] = segments;
+  return member ? `${prefix}${type}#${member}` : `${prefix}${type}`;
+}
+
+/**
+ * A shortcut link names a path when written as code or when it is clearly
+ * not a word: an upper-case name, "::", "()" or a macro "!".
+ */
+function isRustPath(label: string): boolean {
+  const path = label.replace(/^`(.*)`$/, "$1");
+  if (!RUST_LINK_TARGET.test(path)) {
+    return false;
+  }
+  return path !== label || /^(?:[a-z]+@)?\p{Lu}|::|\(\)$|!$/u.test(path);
+}
+
+/**
+ * A URL is a hyperlink and a path an intra-doc link; a relative page
+ * ("struct.Config.html", "#examples") cannot be opened, so only its label is kept.
+ */
+function createRustLink(target: string, label: string): InlineToken {
+  const text = label.replace(/`/g, "");
+  if (/^[a-z][\w+.-]*:(?!:)/.test(target)) {
+    return { kind: "link", target, label: text, plain: true };
+  }
+  const path = target.replace(/^`(.*)`$/, "$1");
+  return RUST_LINK_TARGET.test(path)
+    ? { kind: "link", target: rustLinkTarget(path), label: text, plain: false }
+    : { kind: "text", text };
+}
+
+/**
+ * "crate::io::Error" -> "Error", "Vec::push" -> "Vec#push", "Self::len" -> "#len",
+ * "fn@parse" -> "#parse"; disambiguators, "()", "!" and generics are dropped.
+ */
+function rustLinkTarget(path: string): string {
+  const segments = path
+    .replace(/^[a-z]+@/, "")
+    .replace(/(?:\(\)|!)$/, "")
+    .replace(/<[^<>]*>/g, "")
+    .replace(/^(?:(?:crate|self|super)::)+/, "")
+    .split("::")
+    .filter(Boolean);
+  const member = segments.pop() ?? "";
+  const owner = segments.pop();
+  if (owner === "Self") {
+    return `#${member}`;
+  }
+  if (owner && /^\p{Lu}/u.test(owner)) {
+    return `${owner}#${member}`;
+  }
+  return /^\p{Lu}/u.test(member) ? member : `#${member}`;
+}
+
+/**
+ * Merge adjacent text tokens so the webview renders fewer spans.
+ */
+function pushToken(tokens: InlineToken[], token: InlineToken): void {
+  const last = tokens[tokens.length - 1];
+  if (token.kind === "text" && last?.kind === "text") {
+    tokens[tokens.length - 1] = { kind: "text", text: last.text + token.text };
+    return;
+  }
+  tokens.push(token);
+}
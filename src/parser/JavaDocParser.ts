@@ -11,51 +11,115 @@
  * 【解析流程】
  * TextDocument → Symbol树 → 扁平化符号列表 → 按类别分别解析 → ClassDoc
  *
+ * 【Symbol 来源】
+ * 优先使用 Language Server 提供的符号；为空时由 HeuristicSymbolExtractor
+ * 从文本构造同结构的符号树，ClassDoc.symbolSource 标记为 "heuristic"
+ *
+ * 【继承文档】
+ * 重写方法缺少的描述 / @param / @return，以及 {@inheritDoc}，
+ * 由 SupertypeResolver 找到被重写的声明后交给 InheritDocMerger 合并
+ *
  * 【符号分类】
  * Symbol 树中的符号被分为四类：
  *   Container（类/接口/枚举）→ 递归展开子符号
  *   Method / Constructor     → parseMethod（通过 kind 字段区分）
  *   Field / Constant         → parseField
  *   EnumMember               → parseEnumConstant（独立解析路径）
+ *
+ * 【方言】
+ * 各语言的差异由 DialectStrategy 描述，策略对象与对应的解析模块相邻（KDocStrategy.ts / KDocParser.ts 等）：
+ * 没有类符号时的类信息、符号树的扁平化与归组、注释的提取 / 清理 / 解析、签名读取、访问修饰符和字段形态。
+ * 本解析器只按同一流程组装 ClassDoc，新增语言时补充一个策略对象即可
  */
 
-import type { TextDocument, DocumentSymbol } from "vscode";
+import type { CancellationToken, TextDocument, DocumentSymbol, Uri } from "vscode";
 import * as path from "path";
 import {
   resolveSymbols,
   isClassLikeSymbol,
   isMethodSymbol,
-  isFieldSymbol,
   isEnumMemberSymbol,
-  isConstructorSymbol,
 } from "./SymbolResolver.js";
-import { parseTagTable } from "./TagParser.js";
-import { gitService } from "../services/GitService.js";
+import { extractSymbolsFromText } from "./HeuristicSymbolExtractor.js";
+import { tokenizeInlineTags, withInlineTokens } from "./InlineTagParser.js";
+import { mergeInheritedDoc, needsInheritedDoc } from "./InheritDocMerger.js";
+import { findTagLine, lintMethodDoc } from "./DocLinter.js";
+import { detectStaleDoc } from "./StaleDocDetector.js";
+import type { StaleDocThresholds } from "./StaleDocDetector.js";
+import { checkSince } from "./SinceInference.js";
+import { MAX_SIGNATURE_LINES, symbolLine } from "./DialectStrategy.js";
+import { getDialectStrategy } from "./DialectRegistry.js";
+import type { DialectStrategy, FlattenedSymbol, ParsedComment } from "./DialectStrategy.js";
+import { readSignatureInfo } from "./SignatureInfo.js";
+import type { SignatureInfo } from "./SignatureInfo.js";
+import type { InheritSource } from "./InheritDocMerger.js";
+import {
+  classifyChange,
+  computeOwnership,
+  gitService,
+  summarizeBlameRange,
+} from "../services/GitService.js";
+import type { FileBlame, FileChanges } from "../services/GitService.js";
+import { sinceInferenceService } from "../services/SinceInferenceService.js";
+import { collectCoverageMembers, computeCoverage } from "../utils/coverage.js";
+import { throwIfCancelled } from "../utils/cancellation.js";
+import { resolveSupertypes } from "../services/SupertypeResolver.js";
+import type { ResolvedSupertype } from "../services/SupertypeResolver.js";
 import type {
   ClassDoc,
   MethodDoc,
   MethodKind,
   FieldDoc,
   EnumConstantDoc,
-  TagTable,
-  AccessModifier,
   GitAuthorInfo,
+  InferredSince,
+  DocDialect,
+  SymbolSource,
 } from "../types.js";
-import { MethodId, LineNumber, FilePath } from "../types.js";
+import { MethodId, LineNumber, FilePath, getDocDialect } from "../types.js";
 import { createEmptyTagTable } from "../parser/TagParser.js";
 
 // ========== 内部类型 ==========
 
+
+/**
+ * 已解析的方法及其来源符号（继承文档需要所属类的 Symbol）
+ */
+interface ParsedMethod {
+  readonly flattened: FlattenedSymbol;
+  readonly doc: MethodDoc;
+}
+
 /**
- * 扁平化后的符号信息
+ * 解析选项
  *
- * 【为什么需要扁平化？】
- * Symbol 树是嵌套的（类 → 内部类 → 方法），
- * 我们需要把所有成员提取到同一层级，附带 belongsTo 记录归属关系
+ * 代码操作等只需要成员结构的场景可以关闭较慢的步骤
  */
-interface FlattenedSymbol {
-  readonly symbol: DocumentSymbol;
-  readonly belongsTo: string; // 所属类名，如 "OuterClass.InnerClass"
+export interface ParseOptions {
+  readonly resolveInheritedDocs?: boolean; // 查找父类型补全 {@inheritDoc}，默认 true
+  readonly includeGitInfo?: boolean; // 读取 Git 作者信息，默认 true
+  readonly token?: CancellationToken | undefined; // 取消后在下一个异步步骤抛出 CancellationError，并结束 git 子进程
+  readonly diffBase?: string | undefined; // 标记成员改动的比较基准："" 为未提交的修改，分支名为相对其 merge-base；不传则不比较（需要 includeGitInfo）
+  readonly staleDocThresholds?: StaleDocThresholds | undefined; // 过期文档检测的阈值；不传则不检测（需要 includeGitInfo）
+  readonly sinceTagPattern?: string | undefined; // 发布标签的正则，用于推断并检查 @since；不传或为空则不推断（需要 includeGitInfo）
+}
+
+/**
+ * 未在编辑器中打开的文件（文档索引用 workspace.fs 读取，不打开文档）
+ */
+export interface TextSource {
+  readonly uri: Uri;
+  readonly languageId: string;
+  readonly text: string;
+}
+
+/**
+ * getGitInfo 的结果：类的作者信息 + 供成员汇总的整文件 blame 和改动
+ */
+interface FileGitInfo {
+  readonly classInfo: GitAuthorInfo | undefined;
+  readonly blame: FileBlame | null;
+  readonly changes: FileChanges | null;
 }
 
 // ========== 解析器 ==========
@@ -64,186 +128,237 @@ interface FlattenedSymbol {
  * Javadoc 解析器
  */
 export class JavaDocParser {
-  // 匹配 Javadoc 注释块 /** ... */
-  private readonly javadocPattern = /\/\*\*[\s\S]*?\*\//;
-
-  // 匹配 Java 注解 @Override, @Transactional 等
-  private readonly annotationPattern = /^\s*@[\w.]+/;
-
-  // 顶层类型声明（class/interface/enum/record/@interface）匹配
-  private readonly topLevelTypePattern =
-    /^\s*(?:@[\w.]+(?:\([^)]*\))?\s+)*(?:(?:public|protected|private|abstract|final|static|sealed|non-sealed|strictfp)\s+)*(?:class|interface|enum|record|@interface)\s+([A-Za-z_$][\w$]*)\b/;
-
   /**
    * 解析 Java 文档
    *
    * @param document - VS Code 的文档对象
+   * @param options - 解析选项（默认全部开启）
    * @returns 解析后的类文档结构
+   * @throws CancellationError options.token 被取消时
+   */
+  public async parse(
+    document: TextDocument,
+    options: ParseOptions = {},
+  ): Promise<ClassDoc> {
+    return this.parseSource(
+      { uri: document.uri, languageId: document.languageId, text: document.getText() },
+      document,
+      options,
+    );
+  }
+
+  /**
+   * 解析未打开的文件：只用启发式符号（请求符号会让 Language Server 打开文档），不查找继承文档
+   */
+  public async parseText(source: TextSource, options: ParseOptions = {}): Promise<ClassDoc> {
+    return this.parseSource(source, null, options);
+  }
+
+  /**
+   * @param document - 编辑器中的文档（查询符号和类型层级需要），未打开的文件为 null
    */
-  public async parse(document: TextDocument): Promise<ClassDoc> {
-    const symbols = await resolveSymbols(document.uri);
-    const text = document.getText();
-    const filePath = document.uri.fsPath;
+  private async parseSource(
+    source: TextSource,
+    document: TextDocument | null,
+    options: ParseOptions,
+  ): Promise<ClassDoc> {
+    const {
+      resolveInheritedDocs = true,
+      includeGitInfo = true,
+      token,
+      diffBase,
+      staleDocThresholds,
+      sinceTagPattern,
+    } = options;
+    const { text, languageId } = source;
+    const filePath = source.uri.fsPath;
+    const strategy = getDialectStrategy(getDocDialect(languageId));
+    const lines = text.split("\n");
+
+    // 步骤 1：获取 Symbol 树，LS 无结果（或文件未打开）时降级为文本启发式提取
+    const lsSymbols = document ? await resolveSymbols(document.uri, token) : [];
+    const symbolSource: SymbolSource =
+      lsSymbols.length > 0 ? "languageServer" : "heuristic";
+    const symbols = strategy.topLevelSymbols(
+      symbolSource === "languageServer"
+        ? lsSymbols
+        : extractSymbolsFromText(text, languageId),
+    );
 
-    // 步骤 2：提取类信息
-    const classSymbol = this.findClassSymbol(symbols, filePath);
+    // 步骤 2：提取类信息（Go 和 Rust 文件没有主类型，总是以文件名 / 模块名为类名）
+    const classSymbol = strategy.fileIsClass
+      ? undefined
+      : this.findClassSymbol(symbols, filePath);
     const fallbackClassInfo = classSymbol
       ? null
-      : this.extractPrimaryTypeInfoFromText(text, filePath);
+      : strategy.readFileClassInfo(text, filePath);
 
     const className =
       classSymbol?.name ??
       fallbackClassInfo?.className ??
       this.extractClassNameFromText(text);
-    const packageName = this.extractPackageName(text);
-    const classLine =
-      classSymbol?.selectionRange?.start.line ??
-      classSymbol?.range.start.line ??
-      fallbackClassInfo?.classLine ??
-      0;
+    const packageName = strategy.readPackageName(text);
+    const classLine = classSymbol
+      ? symbolLine(classSymbol)
+      : (fallbackClassInfo?.classLine ?? 0);
 
     // 提取类注释
     const classComment =
-      (classSymbol ? this.extractComment(text, classLine) : "") ||
+      (classSymbol ? this.extractComment(lines, classLine, strategy) : "") ||
       fallbackClassInfo?.classComment ||
       "";
     const { author: javadocAuthor, since: javadocSince } =
-      this.parseClassJavadoc(classComment);
+      strategy.parseClassTags(classComment);
 
     // ---- 扁平化 Symbol 树 ----
-    const flattenedSymbols = this.flattenSymbols(symbols, "");
+    const flattenedSymbols = strategy.flattenSymbols(symbols, lines, {
+      packageName,
+      className,
+    });
 
     // ---- 按类别分别解析 ----
     // 传入 classComment 用于排除 Lombok 等工具生成的符号误关联类注释的情况
     // 例如 @Slf4j 生成的 log 字段，Language Server 将其位置报告在类声明附近，
     // extractComment 向上搜索会错误地找到类 Javadoc
-    const methods = flattenedSymbols
+    const parsedMethods = flattenedSymbols
       .filter((fs) => isMethodSymbol(fs.symbol))
-      .map((fs) => this.parseMethod(text, fs, classComment))
-      .filter((m): m is MethodDoc => m !== null)
+      .flatMap((fs): ParsedMethod[] => {
+        const doc = this.parseMethod(lines, fs, classComment, strategy);
+        return doc ? [{ flattened: fs, doc }] : [];
+      });
+
+    // 启发式符号没有可用的类型层级，跳过继承文档查找
+    const methods = (
+      document && symbolSource === "languageServer" && resolveInheritedDocs && strategy.inheritsDocs
+        ? await this.resolveInheritedDocs(document, parsedMethods, strategy, token)
+        : parsedMethods.map((entry) => entry.doc)
+    )
+      .map((method) => this.lintMethod(lines, method, classComment, strategy))
       .sort((a, b) => a.startLine - b.startLine);
 
     const fields = flattenedSymbols
-      .filter((fs) => isFieldSymbol(fs.symbol))
-      .map((fs) => this.parseField(text, fs, classComment))
+      .filter((fs) => strategy.isField(fs.symbol))
+      .map((fs) => this.parseField(lines, fs, classComment, strategy))
       .filter((f): f is FieldDoc => f !== null)
       .sort((a, b) => a.startLine - b.startLine);
 
     const enumConstants = flattenedSymbols
       .filter((fs) => isEnumMemberSymbol(fs.symbol))
-      .map((fs) => this.parseEnumConstant(text, fs, classComment))
+      .map((fs) => this.parseEnumConstant(lines, fs, classComment, strategy))
       .filter((e): e is EnumConstantDoc => e !== null)
       .sort((a, b) => a.startLine - b.startLine);
 
-    // ---- Git 信息（异步，不阻塞主流程） ----
-    const gitInfo = await this.getGitInfo(filePath, classLine);
+    // ---- Git 信息：整个文件 blame / diff 一次，类和各成员按行范围汇总 ----
+    const git = includeGitInfo
+      ? await this.getGitInfo(filePath, classLine, diffBase, token)
+      : undefined;
+    const inferredSince =
+      git && sinceTagPattern && strategy.hasSinceTag
+        ? await this.inferSince(filePath, lines, methods, strategy, sinceTagPattern, token)
+        : undefined;
+    throwIfCancelled(token);
+
+    const cleanedClassComment = strategy.cleanComment(classComment);
+    const classCommentBlocks = classComment ? strategy.parseBlocks?.(classComment) : undefined;
 
     return {
       className,
-      classComment: this.cleanComment(classComment),
+      classLine: LineNumber(classLine),
+      classComment: cleanedClassComment,
+      classCommentTokens: tokenizeInlineTags(cleanedClassComment, strategy.dialect),
+      ...(classCommentBlocks && { classCommentBlocks }),
       packageName,
       filePath: FilePath(filePath),
-      methods,
-      fields,
+      methods: git
+        ? methods
+            .map((m) => this.withMethodGitInfo(lines, m, git, staleDocThresholds, strategy))
+            .map((m) =>
+              this.withInferredSince(lines, m, inferredSince?.get(m.id), javadocSince, strategy),
+            )
+        : methods,
+      fields: git
+        ? fields.map((f) => ({
+            ...f,
+            ...this.memberGitInfo(git, f.startLine, f.startLine, f.startLine),
+          }))
+        : fields,
       enumConstants,
-      gitInfo,
+      gitInfo: git?.classInfo,
+      changeBase: git?.changes?.base,
+      ownership: git?.blame
+        ? computeOwnership(git.blame, 0, git.blame.lines.length - 1)
+        : undefined,
       javadocAuthor,
       javadocSince,
+      symbolSource,
+      coverage: computeCoverage(
+        collectCoverageMembers({ methods, fields, enumConstants }, strategy),
+      ),
     };
   }
 
-  // ========== Symbol 树处理 ==========
-
-  /**
-   * 递归扁平化 Symbol 树
-   *
-   * 遇到容器（类/接口/枚举）→ 递归处理其子符号，记录完整类名
-   * 遇到方法/字段/枚举常量     → 收集到结果中
-   */
-  private flattenSymbols(
-    symbols: readonly DocumentSymbol[],
-    parentName: string,
-  ): readonly FlattenedSymbol[] {
-    const result: FlattenedSymbol[] = [];
-
-    for (const symbol of symbols) {
-      if (isClassLikeSymbol(symbol)) {
-        const currentClass = parentName
-          ? `${parentName}.${symbol.name}`
-          : symbol.name;
-
-        if (symbol.children.length > 0) {
-          result.push(...this.flattenSymbols(symbol.children, currentClass));
-        }
-      } else if (
-        isMethodSymbol(symbol) ||
-        isFieldSymbol(symbol) ||
-        isEnumMemberSymbol(symbol)
-      ) {
-        result.push({
-          symbol,
-          belongsTo: parentName || "Unknown",
-        });
-      }
-    }
-
-    return result;
-  }
-
   // ========== 方法解析 ==========
 
   /**
    * 解析单个方法（包括构造函数）
    *
    * 构造函数与普通方法走同一解析路径，
-   * 仅在最终赋值 kind 时通过 isConstructorSymbol 区分
+   * 仅在最终赋值 kind 时由方言判断（Python 的 __init__ 被报告为普通方法）
    */
   private parseMethod(
-    text: string,
+    lines: readonly string[],
     flattened: FlattenedSymbol,
     classComment: string,
+    strategy: DialectStrategy,
   ): MethodDoc | null {
     try {
       const { symbol, belongsTo } = flattened;
-      const lines = text.split("\n");
 
-      const startLine = LineNumber(
-        symbol.selectionRange?.start.line ?? symbol.range.start.line,
-      );
+      const startLine = LineNumber(symbolLine(symbol));
       const endLine = LineNumber(symbol.range.end.line);
 
-      const fullSignature = this.extractFullSignature(lines, startLine);
+      const fullSignature = strategy.readSignature(lines, startLine);
       const rawComment = this.extractMemberComment(
-        text,
+        lines,
         startLine,
         classComment,
+        strategy,
       );
       const hasComment = rawComment.length > 0;
-
-      const { description, tags } = hasComment
-        ? this.parseJavadoc(rawComment, fullSignature)
-        : { description: "", tags: createEmptyTagTable() };
-
-      const accessModifier = this.extractAccessModifierFromLine(fullSignature);
-      const kind: MethodKind = isConstructorSymbol(symbol)
-        ? "constructor"
-        : "method";
-
-      const displaySignature =
-        symbol.detail || this.extractSignatureFromLine(lines[startLine] ?? "");
+      const commentStartLine = hasComment
+        ? strategy.findComment(lines, startLine)?.startLine
+        : undefined;
+
+      const { description, tags, blocks } = hasComment
+        ? this.parseComment(rawComment, fullSignature, strategy)
+        : { description: "", tags: createEmptyTagTable(), blocks: undefined };
+
+      const name = strategy.memberName(symbol);
+      const accessModifier = strategy.readAccessModifier(
+        fullSignature,
+        name,
+        flattened.container,
+      );
+      const kind: MethodKind = strategy.isConstructor(symbol) ? "constructor" : "method";
 
       return {
-        id: MethodId(`${symbol.name}_${startLine}`),
+        id: MethodId(`${name}_${startLine}`),
         kind,
-        name: symbol.name,
-        signature: displaySignature,
+        name,
+        signature: strategy.displaySignature(symbol, fullSignature, lines[startLine] ?? ""),
         startLine,
         endLine,
         hasComment,
         description,
+        descriptionTokens: tokenizeInlineTags(description, strategy.dialect),
+        ...(blocks && { descriptionBlocks: blocks }),
         tags,
         belongsTo,
         accessModifier,
+        ...(commentStartLine !== undefined && {
+          commentStartLine: LineNumber(commentStartLine),
+        }),
+        diagnostics: [],
       };
     } catch (error) {
       console.error(
@@ -254,45 +369,232 @@ export class JavaDocParser {
     }
   }
 
+  // ========== 继承文档 ==========
+
+  /**
+   * 为重写方法补全从父类型继承的文档
+   *
+   * 父类型按所属类缓存：同一个类的多个方法只查找一次类型层级
+   */
+  private async resolveInheritedDocs(
+    document: TextDocument,
+    parsedMethods: readonly ParsedMethod[],
+    strategy: DialectStrategy,
+    token: CancellationToken | undefined,
+  ): Promise<MethodDoc[]> {
+    const lines = document.getText().split("\n");
+    const supertypeCache = new Map<DocumentSymbol, Promise<ResolvedSupertype[]>>();
+    const result: MethodDoc[] = [];
+
+    for (const { flattened, doc } of parsedMethods) {
+      throwIfCancelled(token);
+      const { container } = flattened;
+      const signature = strategy.readSignature(lines, doc.startLine);
+      const ownParams = strategy.readSignatureParams(signature);
+
+      if (
+        !container ||
+        /\bstatic\b/.test(signature) ||
+        !needsInheritedDoc(
+          doc,
+          [...ownParams.keys()],
+          this.readMethodSignature(lines, doc, strategy).returnType,
+        )
+      ) {
+        result.push(doc);
+        continue;
+      }
+
+      let supertypes = supertypeCache.get(container);
+      if (!supertypes) {
+        supertypes = resolveSupertypes(document, container).catch(
+          (error: unknown) => {
+            console.error("[JavaDocParser] Failed to resolve supertypes:", error);
+            return [];
+          },
+        );
+        supertypeCache.set(container, supertypes);
+      }
+
+      const sources = this.findOverriddenMethods(
+        await supertypes,
+        doc.name,
+        ownParams.size,
+      );
+      result.push(mergeInheritedDoc(doc, ownParams, sources, strategy.dialect));
+    }
+
+    return result;
+  }
+
+  /**
+   * 在父类型中查找被重写的方法（按名称 + 参数个数匹配）
+   */
+  private findOverriddenMethods(
+    supertypes: readonly ResolvedSupertype[],
+    methodName: string,
+    paramCount: number,
+  ): InheritSource[] {
+    const sources: InheritSource[] = [];
+
+    for (const supertype of supertypes) {
+      const superLines = supertype.document.getText().split("\n");
+      const superStrategy = getDialectStrategy(getDocDialect(supertype.document.languageId));
+
+      for (const member of supertype.symbol.children) {
+        // 部分 Language Server 的方法名带参数列表，如 "findById(Long)"
+        if (
+          !isMethodSymbol(member) ||
+          member.name.replace(/\(.*$/, "").trim() !== methodName
+        ) {
+          continue;
+        }
+
+        const paramNames = [
+          ...superStrategy.readSignatureParams(
+            superStrategy.readSignature(superLines, symbolLine(member)),
+          ).keys(),
+        ];
+        if (paramNames.length !== paramCount) {
+          continue;
+        }
+
+        const method = this.parseMethod(
+          superLines,
+          { symbol: member, belongsTo: supertype.name, container: supertype.symbol },
+          "",
+          superStrategy,
+        );
+        if (method) {
+          sources.push({ typeName: supertype.name, method, paramNames });
+        }
+        break;
+      }
+    }
+
+    return sources;
+  }
+
+  // ========== 文档诊断 ==========
+
+  /**
+   * 检查方法注释与签名是否一致，结果写入 MethodDoc.diagnostics
+   *
+   * 在合并继承文档之后执行：{@inheritDoc} 补全的参数不算缺失
+   * 没有自身注释的方法不检查（缺少注释不属于标签不一致）
+   */
+  private lintMethod(
+    lines: readonly string[],
+    method: MethodDoc,
+    classComment: string,
+    strategy: DialectStrategy,
+  ): MethodDoc {
+    if (method.commentStartLine === undefined) {
+      return method;
+    }
+
+    const rawComment = this.extractMemberComment(
+      lines,
+      method.startLine,
+      classComment,
+      strategy,
+    );
+    if (!rawComment) {
+      return method;
+    }
+
+    const diagnostics = lintMethodDoc(method, {
+      rawComment,
+      commentStartLine: method.commentStartLine,
+      signature: this.readMethodSignature(lines, method, strategy),
+    });
+
+    return diagnostics.length > 0 ? { ...method, diagnostics } : method;
+  }
+
+  /**
+   * 读取方法声明中与文档相关的部分（参数名、返回类型、throws 子句）
+   *
+   * 供诊断和注释模板生成共用
+   */
+  public readSignatureInfo(
+    text: string,
+    method: MethodDoc,
+    dialect: DocDialect,
+  ): SignatureInfo {
+    return this.readMethodSignature(text.split("\n"), method, getDialectStrategy(dialect));
+  }
+
+  private readMethodSignature(
+    lines: readonly string[],
+    method: MethodDoc,
+    strategy: DialectStrategy,
+  ): SignatureInfo {
+    const signature = strategy.readSignature(lines, method.startLine);
+    // throws 子句位于参数列表之后，读取的签名不包含它
+    const declaration = lines
+      .slice(method.startLine, method.startLine + MAX_SIGNATURE_LINES)
+      .join(" ");
+    return readSignatureInfo(
+      signature,
+      declaration,
+      strategy.dialect,
+      method.kind === "constructor",
+    );
+  }
+
+  /**
+   * 方法声明：修饰符、返回类型、名称和参数列表（去掉注解，空白归一）
+   *
+   * 供 API 变更报告比较两个版本的签名；Go 去掉 func 和接收者，第一个括号即参数列表
+   */
+  public readDeclaration(
+    text: string,
+    method: MethodDoc,
+    dialect: DocDialect,
+  ): string {
+    const strategy = getDialectStrategy(dialect);
+    return strategy.readDeclaration(strategy.readSignature(text.split("\n"), method.startLine));
+  }
+
   // ========== 字段解析 ==========
 
   /**
-   * 解析单个字段（普通字段 / static final 常量）
+   * 解析单个字段（普通字段 / static final 常量，以及各方言一同列出的属性、事件和包级变量）
    */
   private parseField(
-    text: string,
+    lines: readonly string[],
     flattened: FlattenedSymbol,
     classComment: string,
+    strategy: DialectStrategy,
   ): FieldDoc | null {
     try {
       const { symbol, belongsTo } = flattened;
-      const lines = text.split("\n");
 
-      const startLine = LineNumber(
-        symbol.selectionRange?.start.line ?? symbol.range.start.line,
-      );
+      const startLine = LineNumber(symbolLine(symbol));
       const lineText = lines[startLine]?.trim() ?? "";
 
-      const rawComment = this.extractMemberComment(
-        text,
-        startLine,
-        classComment,
-      );
-      const hasComment = rawComment.length > 0;
-      const description = hasComment ? this.cleanComment(rawComment) : "";
-
-      const isConstant =
-        lineText.includes("static") && lineText.includes("final");
-      const accessModifier = this.extractAccessModifierFromLine(lineText);
-      const fieldType = symbol.detail || this.extractFieldType(lineText);
+      // record 的位置参数、Kotlin 的构造函数属性与类同一行，上方的注释属于类
+      const rawComment = strategy.isPositionalParameter?.(flattened)
+        ? ""
+        : this.extractMemberComment(lines, startLine, classComment, strategy);
+      // Kotlin 主构造函数属性通常由类注释的 @property 说明，C# record 的位置参数由 <param> 说明
+      const description = rawComment
+        ? strategy.cleanComment(rawComment)
+        : this.findPropertyDoc(lines, flattened, strategy);
+      const hasComment = description.length > 0 || rawComment.length > 0;
+      const descriptionBlocks = rawComment ? strategy.parseBlocks?.(rawComment) : undefined;
+      const { type, isConstant, accessModifier } = strategy.readField(lineText, flattened);
 
       return {
         name: symbol.name,
-        type: fieldType,
+        type,
         signature: lineText,
         startLine,
         hasComment,
         description,
+        descriptionTokens: tokenizeInlineTags(description, strategy.dialect),
+        ...(descriptionBlocks && { descriptionBlocks }),
         isConstant,
         accessModifier,
         belongsTo,
@@ -319,36 +621,43 @@ export class JavaDocParser {
    * 因此不复用 parseField，而是独立解析
    */
   private parseEnumConstant(
-    text: string,
+    lines: readonly string[],
     flattened: FlattenedSymbol,
     classComment: string,
+    strategy: DialectStrategy,
   ): EnumConstantDoc | null {
     try {
       const { symbol, belongsTo } = flattened;
-      const lines = text.split("\n");
 
-      const startLine = LineNumber(
-        symbol.selectionRange?.start.line ?? symbol.range.start.line,
-      );
-      const lineText = lines[startLine]?.trim() ?? "";
+      const startLine = LineNumber(symbolLine(symbol));
 
       const rawComment = this.extractMemberComment(
-        text,
+        lines,
         startLine,
         classComment,
+        strategy,
       );
       const hasComment = rawComment.length > 0;
-      const description = hasComment ? this.cleanComment(rawComment) : "";
+      const description = hasComment ? strategy.cleanComment(rawComment) : "";
 
-      const args = this.extractEnumArguments(lineText);
+      // 一行可能声明多个常量（RED("r"), GREEN("g")），从本常量的名称开始截取
+      const nameColumn = (symbol.selectionRange ?? symbol.range).start.character;
+      const args = this.extractEnumArguments(lines[startLine]?.slice(nameColumn) ?? "");
+      // 常量随枚举可见：包内可见 / private 的枚举中的常量不属于对外 API
+      const { container } = flattened;
+      const accessModifier = container
+        ? strategy.readAccessModifier(lines[symbolLine(container)]?.trim() ?? "", container.name)
+        : "public";
 
       return {
         name: symbol.name,
         startLine,
         hasComment,
         description,
+        descriptionTokens: tokenizeInlineTags(description, strategy.dialect),
         arguments: args,
         belongsTo,
+        accessModifier,
       };
     } catch (error) {
       console.error(
@@ -362,16 +671,18 @@ export class JavaDocParser {
   /**
    * 提取枚举常量的构造参数
    *
-   * 使用括号深度匹配，正确处理嵌套括号
+   * 使用括号深度匹配，正确处理嵌套括号；参数须紧跟常量名
    *
+   * @param lineText - 从常量名开始的行文本
    * @example
    *   "SUCCESS(200, \"OK\")" → "(200, \"OK\")"
-   *   "PENDING,"             → ""
+   *   "PENDING, ACTIVE(1)," → ""
    *   "UNKNOWN;"             → ""
    */
   private extractEnumArguments(lineText: string): string {
-    const openIndex = lineText.indexOf("(");
-    if (openIndex === -1) return "";
+    const match = /^[\w$]*\s*\(/.exec(lineText);
+    if (!match) return "";
+    const openIndex = match[0].length - 1;
 
     let depth = 0;
     for (let i = openIndex; i < lineText.length; i++) {
@@ -403,11 +714,12 @@ export class JavaDocParser {
    * 如果提取到的注释与类注释完全相同，说明是误关联，返回空字符串。
    */
   private extractMemberComment(
-    text: string,
+    lines: readonly string[],
     targetLine: number,
     classComment: string,
+    strategy: DialectStrategy,
   ): string {
-    const raw = this.extractComment(text, targetLine);
+    const raw = this.extractComment(lines, targetLine, strategy);
     if (raw.length === 0) return "";
 
     // 如果与类注释相同，说明是 Lombok 生成符号的误关联
@@ -417,182 +729,30 @@ export class JavaDocParser {
   }
 
   /**
-   * 解析 Javadoc 注释内容
-   */
-  private parseJavadoc(
-    rawComment: string,
-    signature: string,
-  ): { description: string; tags: TagTable } {
-    const cleaned = this.cleanComment(rawComment);
-    const tagIndex = cleaned.search(/@\w+/);
-
-    const description =
-      tagIndex === -1 ? cleaned : cleaned.slice(0, tagIndex).trim();
-    const rawTags = tagIndex === -1 ? "" : cleaned.slice(tagIndex);
-    const tags = parseTagTable(rawTags, signature);
-
-    return { description, tags };
-  }
-
-  /**
-   * 解析类注释中的 @author 和 @since
-   */
-  private parseClassJavadoc(comment: string): {
-    author: string | undefined;
-    since: string | undefined;
-  } {
-    const authorMatch = /@author\s+(.+?)(?:\n|$)/.exec(comment);
-    const sinceMatch = /@since\s+(.+?)(?:\n|$)/.exec(comment);
-
-    return {
-      author: authorMatch?.[1]?.trim(),
-      since: sinceMatch?.[1]?.trim(),
-    };
-  }
-
-  /**
-   * 清理 Javadoc 注释格式
+   * 提取目标行对应的文档注释（Javadoc 在声明上方，文档字符串在声明之后）
    */
-  private cleanComment(raw: string): string {
-    return raw
-      .replace(/\r\n/g, "\n")
-      .replace(/\/\*\*|\*\//g, "")
-      .split("\n")
-      .map((line) => line.replace(/^\s*\*\s?/, ""))
-      .join("\n")
-      .replace(/\n{3,}/g, "\n\n")
-      .trim();
-  }
-
-  /**
-   * 提取完整的方法签名（处理跨行声明）
-   *
-   * Spring Controller 方法带多个注解参数时，签名可能跨越 8-10 行，例如：
-   *   public ResponseEntity<User> updateUser(
-   *       @PathVariable Long id,
-   *       @RequestBody @Valid UserUpdateDTO dto,
-   *       @RequestParam(required = false) String reason,
-   *       @AuthenticationPrincipal UserDetails principal
-   *   ) {
-   *
-   * 上限设为 15 行，覆盖绝大多数实际方法签名
-   */
-  private static readonly MAX_SIGNATURE_LINES = 15;
-
-  private extractFullSignature(lines: string[], startLine: number): string {
-    let signature = "";
-    let lineIndex = startLine;
-    let parenDepth = 0;
-    let foundOpenParen = false;
-    const maxLine = Math.min(
-      lines.length,
-      startLine + JavaDocParser.MAX_SIGNATURE_LINES,
-    );
-
-    while (lineIndex < maxLine) {
-      const line = lines[lineIndex] ?? "";
-
-      for (const char of line) {
-        signature += char;
-
-        if (char === "(") {
-          foundOpenParen = true;
-          parenDepth++;
-        } else if (char === ")") {
-          parenDepth--;
-          if (foundOpenParen && parenDepth === 0) {
-            return signature.replace(/\s+/g, " ").trim();
-          }
-        }
-      }
-
-      signature += " ";
-      lineIndex++;
-    }
-
-    return signature.replace(/\s+/g, " ").trim();
-  }
-
-  /**
-   * 提取目标行上方最近的 Javadoc 注释块
-   */
-  private extractComment(text: string, targetLine: number): string {
-    const lines = text.split("\n");
-
-    // 从目标行向上找最近的 "*/"，并要求注释后到目标行之间仅包含空行或注解块。
-    for (let endLine = targetLine - 1; endLine >= 0; endLine--) {
-      const trimmed = lines[endLine]?.trim() ?? "";
-      if (trimmed === "") continue;
-      if (!trimmed.endsWith("*/")) continue;
-
-      const between = lines.slice(endLine + 1, targetLine);
-      if (!this.onlyBlankOrAnnotations(between)) continue;
-
-      // 从 endLine 向上找对应的 "/**"
-      for (let startLine = endLine; startLine >= 0; startLine--) {
-        const line = lines[startLine] ?? "";
-        if (line.includes("/**")) {
-          return lines.slice(startLine, endLine + 1).join("\n");
-        }
-        // 遇到另一个块注释结束，说明不在同一个注释块内了
-        if (startLine !== endLine && line.includes("*/")) break;
-      }
-    }
-
-    return "";
+  private extractComment(
+    lines: readonly string[],
+    targetLine: number,
+    strategy: DialectStrategy,
+  ): string {
+    return strategy.findComment(lines, targetLine)?.raw ?? "";
   }
 
   /**
-   * 判断一段代码是否仅由空行或注解（含多行注解参数）构成
+   * 解析注释内容，标签中的行内标签一并切分
    */
-  private onlyBlankOrAnnotations(lines: readonly string[]): boolean {
-    let i = 0;
-    while (i < lines.length) {
-      const line = lines[i]?.trim() ?? "";
-      if (line === "") {
-        i++;
-        continue;
-      }
-
-      if (!this.annotationPattern.test(line)) {
-        return false;
-      }
-
-      // 处理多行注解：@Anno( ... ) 可能跨多行
-      const openParens = lines[i]?.match(/\(/g)?.length ?? 0;
-      const closeParens = lines[i]?.match(/\)/g)?.length ?? 0;
-      let parenDepth = openParens - closeParens;
-      i++;
-
-      while (i < lines.length && parenDepth > 0) {
-        const next = lines[i] ?? "";
-        const nextOpen = next.match(/\(/g)?.length ?? 0;
-        const nextClose = next.match(/\)/g)?.length ?? 0;
-        parenDepth += nextOpen - nextClose;
-        i++;
-      }
-    }
-    return true;
+  private parseComment(
+    rawComment: string,
+    signature: string,
+    strategy: DialectStrategy,
+  ): ParsedComment {
+    const { description, tags, blocks } = strategy.parseComment(rawComment, signature);
+    return { description, tags: withInlineTokens(tags, strategy.dialect), blocks };
   }
 
   // ========== 辅助方法 ==========
 
-  private extractAccessModifierFromLine(line: string): AccessModifier {
-    if (line.includes("public ")) return "public";
-    if (line.includes("protected ")) return "protected";
-    if (line.includes("private ")) return "private";
-    return "default";
-  }
-
-  /**
-   * 从代码行中提取方法签名
-   */
-  private extractSignatureFromLine(line: string): string {
-    // 移除方法体部分（如果在同一行）
-    const withoutBody = line.replace(/\{.*$/, "").trim();
-    return withoutBody || line;
-  }
-
   /**
    * 从 Symbol 列表中找到类符号
    */
@@ -617,200 +777,196 @@ export class JavaDocParser {
   }
 
   /**
-   * 当符号解析失败时，从源码文本中提取“主类型”(top-level)信息
-   *
-   * - 只识别 braceDepth===0 的类型声明，避免误选内部类
-   * - 优先选择与文件名同名的类型（常见 Java 约定）
+   * 所属类注释中 @property / @param（C# record 为 <param>）对该属性的说明（没有时返回空字符串）
    */
-  private extractPrimaryTypeInfoFromText(
-    text: string,
-    filePath: string,
-  ): { className: string; classLine: number; classComment: string } {
-    const lines = text.split("\n");
-    const baseName = path.basename(filePath, path.extname(filePath));
-
-    let braceDepth = 0;
-    let state: ParseState = {
-      inBlockComment: false,
-      inString: false,
-      inChar: false,
-    };
-
-    let first: { name: string; line: number } | null = null;
-    let preferred: { name: string; line: number } | null = null;
-
-    for (let i = 0; i < lines.length; i++) {
-      const rawLine = lines[i] ?? "";
-      const parsed = this.parseLineForStructure(rawLine, state);
-      state = parsed.state;
-
-      if (braceDepth === 0) {
-        const match = this.topLevelTypePattern.exec(parsed.code);
-        if (match?.[1]) {
-          const name = match[1];
-          const line = i;
-
-          first ??= { name, line };
-          if (name === baseName) {
-            preferred = { name, line };
-            break;
-          }
-        }
+  private findPropertyDoc(
+    lines: readonly string[],
+    flattened: FlattenedSymbol,
+    strategy: DialectStrategy,
+  ): string {
+    const { container, symbol } = flattened;
+    if (!container || !strategy.propertyTags) {
+      return "";
+    }
+    const comment = this.extractComment(lines, symbolLine(container), strategy);
+    if (!comment) {
+      return "";
+    }
+    const { tags } = this.parseComment(comment, "", strategy);
+    for (const tagName of strategy.propertyTags) {
+      const property = tags[tagName].find((entry) => entry.name === symbol.name);
+      if (property) {
+        return property.description;
       }
-
-      braceDepth += parsed.openBraces - parsed.closeBraces;
     }
-
-    const chosen = preferred ?? first;
-    const className = chosen?.name ?? "Unknown";
-    const classLine = chosen?.line ?? 0;
-    const classComment = this.extractComment(text, classLine);
-    return { className, classLine, classComment };
+    return "";
   }
 
+  // ========== Git 集成 ==========
+
   /**
-   * 用于顶层扫描时剔除注释/字符串，避免 braceDepth 计算误差
+   * 类的作者信息 + 整文件 blame 和改动（成员的信息由它们按行范围汇总）
    */
-  private parseLineForStructure(
-    line: string,
-    state: ParseState,
-  ): {
-    code: string;
-    openBraces: number;
-    closeBraces: number;
-    state: ParseState;
-  } {
-    let code = "";
-    let openBraces = 0;
-    let closeBraces = 0;
-
-    let inBlockComment = state.inBlockComment;
-    let inString = state.inString;
-    let inChar = state.inChar;
-    let escaped = false;
-
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i] ?? "";
-      const next = line[i + 1] ?? "";
-
-      if (inBlockComment) {
-        if (ch === "*" && next === "/") {
-          inBlockComment = false;
-          i++;
-        }
-        continue;
-      }
-
-      if (inString) {
-        if (escaped) {
-          escaped = false;
-          continue;
-        }
-        if (ch === "\\") {
-          escaped = true;
-          continue;
-        }
-        if (ch === '"') {
-          inString = false;
-        }
-        continue;
-      }
-
-      if (inChar) {
-        if (escaped) {
-          escaped = false;
-          continue;
-        }
-        if (ch === "\\") {
-          escaped = true;
-          continue;
-        }
-        if (ch === "'") {
-          inChar = false;
-        }
-        continue;
-      }
-
-      // 行注释：忽略剩余内容
-      if (ch === "/" && next === "/") {
-        break;
-      }
-
-      // 块注释开始
-      if (ch === "/" && next === "*") {
-        inBlockComment = true;
-        i++;
-        continue;
-      }
-
-      if (ch === '"') {
-        inString = true;
-        continue;
-      }
-      if (ch === "'") {
-        inChar = true;
-        continue;
-      }
+  private async getGitInfo(
+    filePath: string,
+    classLine: number,
+    diffBase: string | undefined,
+    token: CancellationToken | undefined,
+  ): Promise<FileGitInfo | undefined> {
+    try {
+      const isGitRepo = await gitService.isGitRepository(filePath);
+      if (!isGitRepo) return undefined;
 
-      if (ch === "{") openBraces++;
-      if (ch === "}") closeBraces++;
+      const blame = await gitService.getFileBlame(filePath, token);
+      const info = await gitService.getClassGitInfo(filePath, classLine, token, blame);
+      const changes =
+        diffBase === undefined
+          ? null
+          : await gitService.getFileChanges(filePath, diffBase, token);
 
-      code += ch;
+      return {
+        classInfo: info
+          ? {
+              author: info.author,
+              lastModifier: info.lastModifier,
+              lastModifyDate: info.lastModifyDate,
+              commitHash: info.commitHash || undefined,
+            }
+          : undefined,
+        blame,
+        changes,
+      };
+    } catch {
+      return undefined;
     }
-
-    return {
-      code,
-      openBraces,
-      closeBraces,
-      state: { inBlockComment, inString, inChar },
-    };
   }
 
   /**
-   * 从字段声明行提取类型
-   * 例如: "private static final int MAX_SIZE = 100;" → "int"
+   * 方法的作者信息、改动状态、代码归属（注释 + 方法体），以及注释是否落后于代码
    */
-  private extractFieldType(line: string): string {
-    const withoutAssign = line.split("=")[0] ?? "";
-    const withoutSemicolon = withoutAssign.replace(/;$/, "").trim();
-    const parts = withoutSemicolon.split(/\s+/);
-    if (parts.length >= 2) {
-      return parts[parts.length - 2] ?? "unknown";
+  private withMethodGitInfo(
+    lines: readonly string[],
+    method: MethodDoc,
+    git: FileGitInfo,
+    staleDocThresholds: StaleDocThresholds | undefined,
+    strategy: DialectStrategy,
+  ): MethodDoc {
+    // 文档字符串在声明之后，起始行取两者中较早的一行
+    const docStartLine = Math.min(method.commentStartLine ?? method.startLine, method.startLine);
+    const annotated: MethodDoc = {
+      ...method,
+      ...this.memberGitInfo(git, docStartLine, method.startLine, method.endLine),
+      ownership: git.blame
+        ? computeOwnership(git.blame, docStartLine, method.endLine)
+        : undefined,
+    };
+
+    const comment =
+      method.commentStartLine !== undefined
+        ? strategy.findComment(lines, method.startLine)
+        : null;
+    if (!git.blame || !staleDocThresholds || !comment) {
+      return annotated;
     }
-    return "unknown";
-  }
 
-  private extractPackageName(text: string): string {
-    const match = /package\s+([\w.]+);/.exec(text);
-    return match?.[1] ?? "";
+    const staleDoc = detectStaleDoc(
+      git.blame,
+      {
+        start: comment.startLine,
+        end: comment.startLine + comment.raw.split("\n").length - 1,
+      },
+      { start: method.startLine, end: method.endLine },
+      staleDocThresholds,
+    );
+    return staleDoc
+      ? { ...annotated, diagnostics: [...annotated.diagnostics, staleDoc] }
+      : annotated;
   }
 
-  // ========== Git 集成 ==========
-
-  private async getGitInfo(
+  /**
+   * 推断有注释的公开方法第一次出现的发布标签（见 SinceInferenceService）
+   *
+   * 私有方法不属于对外 API，不要求 @since（公开与否由方言判断，见 DialectStrategy.isPublicApi）
+   */
+  private async inferSince(
     filePath: string,
-    classLine: number,
-  ): Promise<GitAuthorInfo | undefined> {
-    try {
-      const isGitRepo = await gitService.isGitRepository(filePath);
-      if (!isGitRepo) return undefined;
+    lines: readonly string[],
+    methods: readonly MethodDoc[],
+    strategy: DialectStrategy,
+    sinceTagPattern: string,
+    token: CancellationToken | undefined,
+  ): Promise<ReadonlyMap<MethodId, InferredSince>> {
+    const candidates = methods.filter(
+      (method) => method.hasComment && strategy.isPublicApi(method.accessModifier, method.name),
+    );
+    const inferred = await sinceInferenceService.infer(
+      filePath,
+      candidates.map((method) => ({
+        name: method.name,
+        // 没有重载的语言（Python）只按名称匹配，也不必区分 self / cls
+        paramCount: strategy.hasOverloads
+          ? (this.readMethodSignature(lines, method, strategy).params?.length ?? null)
+          : null,
+      })),
+      sinceTagPattern,
+      token,
+    );
 
-      const info = await gitService.getClassGitInfo(filePath, classLine);
-      if (!info) return undefined;
+    const result = new Map<MethodId, InferredSince>();
+    candidates.forEach((method, index) => {
+      const since = inferred[index];
+      if (since) {
+        result.set(method.id, since);
+      }
+    });
+    return result;
+  }
 
-      return {
-        author: info.author,
-        lastModifier: info.lastModifier,
-        lastModifyDate: info.lastModifyDate,
-      };
-    } catch {
-      return undefined;
+  /**
+   * 附加推断的 @since，并在 @since 缺失或与推断不一致时添加诊断
+   *
+   * @param classSince - 类的 @since；方法没有自己的 @since 时沿用类的
+   */
+  private withInferredSince(
+    lines: readonly string[],
+    method: MethodDoc,
+    inferred: InferredSince | undefined,
+    classSince: string | undefined,
+    strategy: DialectStrategy,
+  ): MethodDoc {
+    const comment = inferred ? strategy.findComment(lines, method.startLine) : null;
+    if (!inferred || !comment) {
+      return method;
     }
+
+    const diagnostic = checkSince(
+      method.tags.since,
+      classSince,
+      inferred,
+      comment.startLine,
+      findTagLine(comment.raw, comment.startLine, "since"),
+    );
+    return {
+      ...method,
+      inferredSince: inferred,
+      diagnostics: diagnostic ? [...method.diagnostics, diagnostic] : method.diagnostics,
+    };
   }
-}
 
-interface ParseState {
-  readonly inBlockComment: boolean;
-  readonly inString: boolean;
-  readonly inChar: boolean;
+  /**
+   * 成员的作者信息（只看声明和方法体）和改动状态（注释的改动也算）
+   */
+  private memberGitInfo(
+    git: FileGitInfo,
+    commentStartLine: number,
+    startLine: number,
+    endLine: number,
+  ): Pick<MethodDoc, "gitInfo" | "changeStatus"> {
+    return {
+      gitInfo: git.blame ? summarizeBlameRange(git.blame, startLine, endLine) : undefined,
+      changeStatus: git.changes
+        ? classifyChange(git.changes, commentStartLine, endLine)
+        : undefined,
+    };
+  }
 }
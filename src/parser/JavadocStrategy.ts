@@ -0,0 +1,358 @@
+/**
+ * JavadocStrategy.ts - Java as JavaDocParser reads it, and the block-comment basics
+ *
+ * Purpose:
+ * - Find the "/** ... *\/" comment above a declaration, clean it and split it
+ *   into description and block tags.
+ * - Read a declaration across lines up to the end of its parameter list.
+ * - Read access modifiers; interface members without one are public.
+ * - Find the primary type in the text when the symbol tree has none.
+ *
+ * Why:
+ * - JSDoc and KDoc use the same comment form and reuse these helpers; each
+ *   strategy only swaps the tag parser and the signature rules.
+ * - Annotations may sit between a comment and its declaration, and Spring
+ *   handlers with annotated parameters span many lines.
+ */
+
+import * as path from "path";
+import type { DocumentSymbol } from "vscode";
+import { isConstructorSymbol, isFieldSymbol, isInterfaceSymbol } from "./SymbolResolver.js";
+import { INITIAL_PARSE_STATE, parseLineForStructure } from "./HeuristicSymbolExtractor.js";
+import { parseSignatureParams, parseTagTable } from "./TagParser.js";
+import { flattenSymbols, MAX_SIGNATURE_LINES } from "./DialectStrategy.js";
+import type {
+  ClassInfo,
+  CommentBlock,
+  DialectStrategy,
+  FieldShape,
+  ParsedComment,
+} from "./DialectStrategy.js";
+import type { AccessModifier, TagTable } from "../types.js";
+
+const ANNOTATION_PATTERN = /^\s*@[\w.]+/;
+
+// Top-level class / interface / enum / record / @interface declaration
+const TOP_LEVEL_TYPE_PATTERN =
+  /^\s*(?:@[\w.]+(?:\([^)]*\))?\s+)*(?:(?:public|protected|private|abstract|final|static|sealed|non-sealed|strictfp)\s+)*(?:class|interface|enum|record|@interface)\s+([A-Za-z_$][\w$]*)\b/;
+
+/**
+ * Purpose: Find the nearest "/** ... *\/" above targetLine.
+ *
+ * Only blank lines and annotations (multi-line arguments included) may
+ * separate the comment from the declaration.
+ */
+export function findBlockComment(
+  lines: readonly string[],
+  targetLine: number,
+): CommentBlock | null {
+  for (let endLine = targetLine - 1; endLine >= 0; endLine--) {
+    const trimmed = lines[endLine]?.trim() ?? "";
+    if (trimmed === "") continue;
+    if (!trimmed.endsWith("*/")) continue;
+
+    const between = lines.slice(endLine + 1, targetLine);
+    if (!onlyBlankOrAnnotations(between)) continue;
+
+    for (let startLine = endLine; startLine >= 0; startLine--) {
+      const line = lines[startLine] ?? "";
+      if (line.includes("/**")) {
+        return { raw: lines.slice(startLine, endLine + 1).join("\n"), startLine };
+      }
+      // Another block comment ends here: the "*/" found above was not ours
+      if (startLine !== endLine && line.includes("*/")) break;
+    }
+  }
+
+  return null;
+}
+
+function onlyBlankOrAnnotations(lines: readonly string[]): boolean {
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i]?.trim() ?? "";
+    if (line === "") {
+      i++;
+      continue;
+    }
+
+    if (!ANNOTATION_PATTERN.test(line)) {
+      return false;
+    }
+
+    // @Anno( ... ) may span several lines
+    let parenDepth = countParens(lines[i] ?? "");
+    i++;
+    while (i < lines.length && parenDepth > 0) {
+      parenDepth += countParens(lines[i] ?? "");
+      i++;
+    }
+  }
+  return true;
+}
+
+function countParens(line: string): number {
+  return (line.match(/\(/g)?.length ?? 0) - (line.match(/\)/g)?.length ?? 0);
+}
+
+/**
+ * Purpose: Strip "/**", "*\/" and leading "*" from a block comment.
+ */
+export function cleanBlockComment(raw: string): string {
+  return raw
+    .replace(/\r\n/g, "\n")
+    .replace(/\/\*\*|\*\//g, "")
+    .split("\n")
+    .map((line) => line.replace(/^\s*\*\s?/, ""))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Purpose: Split a block comment into description and tags.
+ *
+ * Only tags at the start of a line are block tags; "{@link ...}" in the
+ * description is an inline tag.
+ */
+export function parseBlockTagComment(
+  raw: string,
+  signature: string,
+  parseTags: (rawTags: string, signature: string) => TagTable,
+): ParsedComment {
+  const cleaned = cleanBlockComment(raw);
+  const tagIndex = cleaned.search(/^@\w+/m);
+  const description = tagIndex === -1 ? cleaned : cleaned.slice(0, tagIndex).trim();
+  const rawTags = tagIndex === -1 ? "" : cleaned.slice(tagIndex);
+  return { description, tags: parseTags(rawTags, signature) };
+}
+
+/**
+ * Purpose: Read @author and @since from a class comment.
+ */
+export function parseAuthorAndSince(
+  comment: string,
+): { author: string | undefined; since: string | undefined } {
+  return {
+    author: /@author\s+(.+?)(?:\n|$)/.exec(comment)?.[1]?.trim(),
+    since: /@since\s+(.+?)(?:\n|$)/.exec(comment)?.[1]?.trim(),
+  };
+}
+
+/**
+ * Purpose: Read a declaration up to the end of its parameter list (Java: or
+ * up to the body when there is none).
+ *
+ * TS / JS write the return type after the list ("find(id: string): Promise<User> {");
+ * with includeReturnAnnotation the ": Type" is read too, up to the body, "=>" or ";".
+ */
+export function extractFullSignature(
+  lines: readonly string[],
+  startLine: number,
+  includeReturnAnnotation = false,
+): string {
+  let signature = "";
+  let lineIndex = startLine;
+  let parenDepth = 0;
+  let foundOpenParen = false;
+  // Where the parameter list closed (null: still open), and the nesting of
+  // <>()[]{} inside the return type annotation
+  let annotationStart: number | null = null;
+  let annotationDepth = 0;
+  const maxLine = Math.min(lines.length, startLine + MAX_SIGNATURE_LINES);
+
+  while (lineIndex < maxLine) {
+    const line = lines[lineIndex] ?? "";
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i] ?? "";
+
+      if (annotationStart !== null) {
+        const annotation = signature.slice(annotationStart).trim();
+        if (annotation === "") {
+          // Something other than ":" after the list: no return type annotation
+          if (char.trim() !== "" && char !== ":") {
+            return signature.replace(/\s+/g, " ").trim();
+          }
+        } else {
+          const typeStarted = annotation.length > 1;
+          const endsAtTopLevel =
+            annotationDepth === 0 &&
+            (char === ";" ||
+              (char === "=" && line[i + 1] === ">") ||
+              (char === "{" && typeStarted));
+          if (endsAtTopLevel) {
+            return signature.replace(/\s+/g, " ").trim();
+          }
+          if ("<([{".includes(char)) annotationDepth++;
+          if (")]}".includes(char) || (char === ">" && line[i - 1] !== "=")) {
+            annotationDepth = Math.max(0, annotationDepth - 1);
+          }
+        }
+        signature += char;
+        continue;
+      }
+
+      // No parameter list before the body: a record's compact constructor
+      // ("public Point {"), whose body must not be read as parameters
+      if (!foundOpenParen && !includeReturnAnnotation && (char === "{" || char === ";")) {
+        return signature.replace(/\s+/g, " ").trim();
+      }
+
+      signature += char;
+
+      if (char === "(") {
+        foundOpenParen = true;
+        parenDepth++;
+      } else if (char === ")") {
+        parenDepth--;
+        if (foundOpenParen && parenDepth === 0) {
+          if (!includeReturnAnnotation) {
+            return signature.replace(/\s+/g, " ").trim();
+          }
+          annotationStart = signature.length;
+        }
+      }
+    }
+
+    signature += " ";
+    lineIndex++;
+  }
+
+  return signature.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Purpose: The declaration without annotations and the opening brace.
+ */
+export function stripAnnotationsAndBody(signature: string): string {
+  return signature.replace(/^(?:@[\w.]+(?:\([^)]*\))?\s+)*/, "").replace(/\s*\{\s*$/, "");
+}
+
+/**
+ * Purpose: The declaration line without a body opened on the same line.
+ */
+export function extractSignatureFromLine(line: string): string {
+  const withoutBody = line.replace(/\{.*$/, "").trim();
+  return withoutBody || line;
+}
+
+/**
+ * Purpose: public / protected / private written in the declaration, else default.
+ */
+export function extractAccessModifierFromLine(line: string): AccessModifier {
+  if (line.includes("public ")) return "public";
+  if (line.includes("protected ")) return "protected";
+  if (line.includes("private ")) return "private";
+  return "default";
+}
+
+/**
+ * Purpose: The "package a.b;" name (Kotlin omits the semicolon).
+ */
+export function readPackageClause(text: string): string {
+  return /^\s*package\s+([\w.]+)\s*;?/m.exec(text)?.[1] ?? "";
+}
+
+/**
+ * Purpose: Find the primary type in the text when no symbols are available.
+ *
+ * Only declarations at brace depth 0 count, so nested classes are skipped;
+ * the type named like the file wins (the Java convention).
+ */
+export function readPrimaryTypeInfo(text: string, filePath: string): ClassInfo {
+  const lines = text.split("\n");
+  const baseName = path.basename(filePath, path.extname(filePath));
+
+  let braceDepth = 0;
+  let state = INITIAL_PARSE_STATE;
+  let first: { name: string; line: number } | null = null;
+  let preferred: { name: string; line: number } | null = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const parsed = parseLineForStructure(lines[i] ?? "", state);
+    state = parsed.state;
+
+    if (braceDepth === 0) {
+      const name = TOP_LEVEL_TYPE_PATTERN.exec(parsed.code)?.[1];
+      if (name) {
+        first ??= { name, line: i };
+        if (name === baseName) {
+          preferred = { name, line: i };
+          break;
+        }
+      }
+    }
+
+    braceDepth += parsed.openBraces - parsed.closeBraces;
+  }
+
+  const chosen = preferred ?? first;
+  const classLine = chosen?.line ?? 0;
+  return {
+    className: chosen?.name ?? "Unknown",
+    classLine,
+    classComment: findBlockComment(lines, classLine)?.raw ?? "",
+  };
+}
+
+/**
+ * Purpose: Type and constness of a "Type name" field; "static final" makes a constant.
+ */
+export function readTypedField(
+  lineText: string,
+  symbol: DocumentSymbol,
+  accessModifier: AccessModifier,
+): FieldShape {
+  return {
+    type: symbol.detail || extractFieldType(lineText),
+    isConstant: lineText.includes("static") && lineText.includes("final"),
+    accessModifier,
+  };
+}
+
+/**
+ * Purpose: The type in a field declaration.
+ * @example "private static final int MAX_SIZE = 100;" -> "int"
+ */
+function extractFieldType(line: string): string {
+  const withoutAssign = line.split("=")[0] ?? "";
+  const parts = withoutAssign.replace(/;$/, "").trim().split(/\s+/);
+  return parts.length >= 2 ? (parts[parts.length - 2] ?? "unknown") : "unknown";
+}
+
+export const javadocStrategy: DialectStrategy = {
+  dialect: "javadoc",
+  fileIsClass: false,
+  inheritsDocs: true,
+  hasSinceTag: true,
+  hasOverloads: true,
+
+  topLevelSymbols: (symbols) => symbols,
+  readFileClassInfo: readPrimaryTypeInfo,
+  readPackageName: readPackageClause,
+  flattenSymbols: (symbols) => flattenSymbols(symbols, ""),
+  isField: isFieldSymbol,
+  memberName: (symbol) => symbol.name,
+  isConstructor: isConstructorSymbol,
+
+  findComment: findBlockComment,
+  cleanComment: cleanBlockComment,
+  parseComment: (raw, signature) => parseBlockTagComment(raw, signature, parseTagTable),
+  parseClassTags: parseAuthorAndSince,
+
+  readSignature: (lines, startLine) => extractFullSignature(lines, startLine),
+  readSignatureParams: parseSignatureParams,
+  displaySignature: (symbol, _signature, declarationLine) =>
+    symbol.detail || extractSignatureFromLine(declarationLine),
+  readDeclaration: stripAnnotationsAndBody,
+  readAccessModifier: (declaration, _name, container) => {
+    const access = extractAccessModifierFromLine(declaration);
+    return access === "default" && container && isInterfaceSymbol(container) ? "public" : access;
+  },
+  readField: (lineText, { symbol, container }) =>
+    readTypedField(lineText, symbol, javadocStrategy.readAccessModifier(lineText, symbol.name, container)),
+  apiAccess: (access) => access,
+  // Protected members are part of the API subclasses build on; internal stays inside its module
+  isPublicApi: (access) => access === "public" || access === "protected",
+};
@@ -0,0 +1,46 @@
+/**
+ * JsDocStrategy.ts - JavaScript / TypeScript as JavaDocParser reads them
+ *
+ * Purpose:
+ * - Reuse the Javadoc block-comment handling with the JSDoc / TSDoc tag parser.
+ * - Read the return type annotation after the parameter list, and a field's
+ *   type from its annotation.
+ * - Treat every member but private and "#name" ones as public API.
+ *
+ * Why:
+ * - JS / TS have no package-private visibility: an unmarked member is public,
+ *   while "#name" is private whatever modifiers the line carries.
+ * - Interfaces describe shapes, not visibility, so they do not change the
+ *   access of their members as Java interfaces do.
+ */
+
+import { parseJsDocTagTable, parseTsFieldType, parseTsSignatureParams } from "./JsDocTagParser.js";
+import { paramTypes } from "./DialectStrategy.js";
+import type { DialectStrategy } from "./DialectStrategy.js";
+import {
+  extractAccessModifierFromLine,
+  extractFullSignature,
+  javadocStrategy,
+  parseBlockTagComment,
+  readTypedField,
+} from "./JavadocStrategy.js";
+
+export const jsDocStrategy: DialectStrategy = {
+  ...javadocStrategy,
+  dialect: "jsdoc",
+
+  parseComment: (raw, signature) => parseBlockTagComment(raw, signature, parseJsDocTagTable),
+  readSignature: (lines, startLine) => extractFullSignature(lines, startLine, true),
+  readSignatureParams: (signature) => paramTypes(parseTsSignatureParams(signature)),
+  // The signature read above stops at the body, past the braces of destructured
+  // parameters and object defaults ("find(id, { limit } = {})")
+  displaySignature: (symbol, signature) => symbol.detail || signature,
+  readAccessModifier: (declaration) => extractAccessModifierFromLine(declaration),
+  readField: (lineText, { symbol }) => ({
+    ...readTypedField(lineText, symbol, extractAccessModifierFromLine(lineText)),
+    // "private readonly cache = new Map()" has no annotation, and its type is not "readonly"
+    type: symbol.detail || parseTsFieldType(lineText),
+  }),
+  apiAccess: (access) => (access === "default" ? "public" : access),
+  isPublicApi: (access, name) => access !== "private" && !name.startsWith("#"),
+};
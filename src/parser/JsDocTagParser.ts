@@ -0,0 +1,545 @@
+/**
+ * JsDocTagParser.ts - JSDoc / TSDoc tag parser
+ *
+ * Purpose:
+ * - Parse JSDoc / TSDoc tag text into the same TagTable used by the Java path.
+ *
+ * Why:
+ * - JS/TS put types in "{Type}" braces or in "name: Type" annotations,
+ *   so the Java "Type name" signature parsing in TagParser yields "unknown".
+ * - Reusing TagTable keeps the webview params/returns tables language-agnostic.
+ */
+
+import type {
+  ParamTag,
+  ReturnTag,
+  TagTable,
+  TemplateTag,
+  ThrowsTag,
+  TypedefTag,
+} from "../types.js";
+import {
+  createEmptyTagTable,
+  extractParenContent,
+  findMatchingIndex,
+  splitByTopLevelComma,
+  stripLeadingAnnotation,
+  tokenizeTagBlocks,
+} from "./TagParser.js";
+
+type JsDocTag =
+  | "param"
+  | "arg"
+  | "argument"
+  | "return"
+  | "returns"
+  | "throws"
+  | "exception"
+  | "template"
+  | "typeparam"
+  | "typedef"
+  | "callback"
+  | "property"
+  | "prop"
+  | "remarks"
+  | "since"
+  | "author"
+  | "deprecated"
+  | "see"
+  | "doc"
+  | "example";
+
+const JSDOC_TAGS: ReadonlySet<string> = new Set<JsDocTag>([
+  "param",
+  "arg",
+  "argument",
+  "return",
+  "returns",
+  "throws",
+  "exception",
+  "template",
+  "typeparam",
+  "typedef",
+  "callback",
+  "property",
+  "prop",
+  "remarks",
+  "since",
+  "author",
+  "deprecated",
+  "see",
+  "doc",
+  "example",
+]);
+
+/**
+ * TS parameter-property modifiers: constructor(private readonly repo: Repo)
+ */
+const TS_PARAM_MODIFIERS =
+  /^(?:(?:public|private|protected|readonly|override)\s+)+/;
+
+const TS_FIELD_MODIFIERS =
+  /^(?:(?:public|private|protected|readonly|override|static|declare|abstract|accessor)\s+)+/;
+
+/**
+ * Parameter info read from a TS/JS signature.
+ */
+export interface SignatureParam {
+  readonly type: string;
+  readonly optional: boolean;
+  readonly defaultValue: string | null;
+}
+
+/**
+ * Purpose: Parse JSDoc / TSDoc tag section into TagTable.
+ * Why: Types come from "{Type}" first, then from TS annotations in the signature.
+ * @param rawTags - Raw tag text (starting at first @tag line).
+ * @param signature - Declaration head including the return annotation, e.g.
+ *                    "async findById(id: string): Promise<User>".
+ * @returns Structured TagTable.
+ * Side effects: None.
+ */
+export function parseJsDocTagTable(
+  rawTags: string,
+  signature: string,
+): TagTable {
+  if (!rawTags.trim()) {
+    return createEmptyTagTable();
+  }
+
+  const blocks = tokenizeTagBlocks(rawTags, isJsDocTag);
+  if (blocks.length === 0) {
+    return createEmptyTagTable();
+  }
+
+  const signatureParams = parseTsSignatureParams(signature);
+  const returnAnnotation = parseTsReturnType(signature);
+
+  const params: ParamTag[] = [];
+  const throwsTags: ThrowsTag[] = [];
+  const seeTags: string[] = [];
+  const templates: TemplateTag[] = [];
+  const typedefs: TypedefTag[] = [];
+  const properties: ParamTag[] = [];
+
+  let returnTag: ReturnTag | null = null;
+  let since: string | null = null;
+  let author: string | null = null;
+  let deprecated: string | null = null;
+  let doc: string | null = null;
+  let example: string | null = null;
+  let remarks: string | null = null;
+
+  // @property 紧跟在 @typedef 之后时归属于该 typedef
+  let openTypedef: { properties: ParamTag[] } | null = null;
+
+  for (const block of blocks) {
+    const content = block.content.trim();
+    if (block.tag !== "property" && block.tag !== "prop") {
+      openTypedef = null;
+    }
+
+    switch (block.tag) {
+      case "param":
+      case "arg":
+      case "argument": {
+        const parsed = parseNamedTypedTag(content, signatureParams);
+        if (parsed) {
+          params.push(parsed);
+        }
+        break;
+      }
+
+      case "return":
+      case "returns": {
+        const { type, rest } = readBracedType(content);
+        returnTag = {
+          type: type ?? returnAnnotation ?? "unknown",
+          description: stripHyphen(rest),
+        };
+        break;
+      }
+
+      case "throws":
+      case "exception":
+        throwsTags.push(parseJsThrowsTag(content));
+        break;
+
+      case "template":
+      case "typeparam":
+        templates.push(...parseTemplateTag(content));
+        break;
+
+      case "typedef":
+      case "callback": {
+        const parsed = parseTypedefTag(content, block.tag);
+        if (parsed) {
+          const entry = { ...parsed, properties: [] as ParamTag[] };
+          typedefs.push(entry);
+          openTypedef = entry;
+        }
+        break;
+      }
+
+      case "property":
+      case "prop": {
+        const parsed = parseNamedTypedTag(content, new Map());
+        if (parsed) {
+          (openTypedef?.properties ?? properties).push(parsed);
+        }
+        break;
+      }
+
+      case "remarks":
+        remarks = content || null;
+        break;
+
+      case "since":
+        since = content || null;
+        break;
+
+      case "author":
+        author = content || null;
+        break;
+
+      case "deprecated":
+        deprecated = content || null;
+        break;
+
+      case "see":
+        if (content) {
+          seeTags.push(content);
+        }
+        break;
+
+      case "doc":
+        doc = content || null;
+        break;
+
+      case "example":
+        example = content || null;
+        break;
+    }
+  }
+
+  return {
+    params,
+    returns: returnTag,
+    throws: throwsTags,
+    since,
+    author,
+    deprecated,
+    see: seeTags,
+    doc,
+    example,
+    templates,
+    typedefs,
+    properties,
+    remarks,
+  };
+}
+
+/**
+ * Purpose: Parse "name -> type" mapping from a TS/JS signature.
+ * Handles optional "name?", defaults "name = 1", rest "...args", decorators
+ * and constructor parameter properties.
+ * @example "find(id: string, opts?: Options, limit = 10)"
+ *          -> id: string / opts: Options (optional) / limit: "" (default 10)
+ */
+export function parseTsSignatureParams(
+  signature: string,
+): Map<string, SignatureParam> {
+  const result = new Map<string, SignatureParam>();
+  const paramsText = extractParenContent(stripLeadingDecorators(signature));
+  if (!paramsText) {
+    return result;
+  }
+
+  for (const declaration of splitByTopLevelComma(paramsText)) {
+    let cleaned = declaration.trim();
+    while (cleaned.startsWith("@")) {
+      cleaned = stripLeadingAnnotation(cleaned).trim();
+    }
+    cleaned = cleaned.replace(TS_PARAM_MODIFIERS, "").replace(/^\.\.\./, "");
+    if (!cleaned) {
+      continue;
+    }
+
+    const colonIndex = findTopLevelChar(cleaned, ":");
+    const equalsIndex = findTopLevelChar(cleaned, "=");
+    const nameEnd = minIndex(colonIndex, equalsIndex, cleaned.length);
+
+    const rawName = cleaned.slice(0, nameEnd).trim();
+    const optional = rawName.endsWith("?") || equalsIndex >= 0;
+    const name = rawName.replace(/\?$/, "");
+
+    const type =
+      colonIndex >= 0
+        ? cleaned
+            .slice(colonIndex + 1, equalsIndex > colonIndex ? equalsIndex : undefined)
+            .trim()
+        : "";
+    const defaultValue =
+      equalsIndex >= 0 ? cleaned.slice(equalsIndex + 1).trim() : null;
+
+    if (name) {
+      result.set(name, { type, optional, defaultValue });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Purpose: Read the TS return annotation after the parameter list.
+ * @example "async load(id: string): Promise<User>" -> "Promise<User>"
+ * @returns Annotation text, or null when the signature has none.
+ */
+export function parseTsReturnType(signature: string): string | null {
+  const head = stripLeadingDecorators(signature);
+  const openParen = head.indexOf("(");
+  if (openParen < 0) {
+    return null;
+  }
+
+  const closeParen = findMatchingIndex(head, openParen, "(", ")");
+  if (closeParen < 0) {
+    return null;
+  }
+
+  const tail = head.slice(closeParen + 1).trim();
+  if (!tail.startsWith(":")) {
+    return null;
+  }
+
+  const type = tail
+    .slice(1)
+    .replace(/(?:\{|=>)\s*$/, "")
+    .trim();
+  return type || null;
+}
+
+/**
+ * Purpose: Read the type annotation of a class field, after its modifiers.
+ * @example "private readonly cache: Map<string, User> = new Map();" -> "Map<string, User>"
+ * @returns Annotation text, or "" when the field has none ("private cache = new Map()").
+ */
+export function parseTsFieldType(line: string): string {
+  const declaration = stripLeadingDecorators(line).replace(TS_FIELD_MODIFIERS, "");
+  const colonIndex = findTopLevelChar(declaration, ":");
+  const equalsIndex = findTopLevelChar(declaration, "=");
+  if (colonIndex < 0 || (equalsIndex >= 0 && equalsIndex < colonIndex)) {
+    return "";
+  }
+  return declaration
+    .slice(colonIndex + 1, equalsIndex > colonIndex ? equalsIndex : undefined)
+    .replace(/;\s*$/, "")
+    .trim();
+}
+
+function isJsDocTag(value: string): value is JsDocTag {
+  return JSDOC_TAGS.has(value);
+}
+
+/**
+ * Purpose: Parse @param / @property content.
+ * Supports "{Type} name desc", "{Type} [name=default] desc", "name - desc"
+ * and dotted names such as "options.id".
+ */
+function parseNamedTypedTag(
+  content: string,
+  signatureParams: ReadonlyMap<string, SignatureParam>,
+): ParamTag | null {
+  const { type: bracedType, rest } = readBracedType(content);
+
+  let name: string;
+  let description: string;
+  let bracketOptional = false;
+  let bracketDefault: string | null = null;
+
+  if (rest.startsWith("[")) {
+    const close = findMatchingIndex(rest, 0, "[", "]");
+    if (close < 0) {
+      return null;
+    }
+    const inner = rest.slice(1, close);
+    const equals = inner.indexOf("=");
+    name = (equals >= 0 ? inner.slice(0, equals) : inner).trim();
+    bracketDefault = equals >= 0 ? inner.slice(equals + 1).trim() : null;
+    bracketOptional = true;
+    description = rest.slice(close + 1);
+  } else {
+    const match =
+      /^(?:\.\.\.)?([A-Za-z_$][\w$]*(?:\[\])?(?:\.[A-Za-z_$][\w$]*(?:\[\])?)*)(.*)$/s.exec(
+        rest,
+      );
+    if (!match) {
+      return null;
+    }
+    name = match[1] ?? "";
+    description = match[2] ?? "";
+  }
+
+  if (!name) {
+    return null;
+  }
+
+  const fromSignature = signatureParams.get(name);
+  const typeOptional = bracedType?.endsWith("=") ?? false;
+  const type =
+    bracedType?.replace(/=$/, "") || fromSignature?.type || "unknown";
+  const defaultValue = bracketDefault ?? fromSignature?.defaultValue ?? null;
+  const optional =
+    bracketOptional || typeOptional || (fromSignature?.optional ?? false);
+
+  return {
+    name,
+    type,
+    description: stripHyphen(description),
+    ...(optional ? { optional } : {}),
+    ...(defaultValue !== null ? { defaultValue } : {}),
+  };
+}
+
+/**
+ * Purpose: Parse one @throws/@exception block.
+ * Accepts "{Error} desc", "{@link HttpError} desc" and "ValidationError desc".
+ */
+function parseJsThrowsTag(content: string): ThrowsTag {
+  const { type, rest } = readBracedType(content);
+  if (type) {
+    return {
+      type: type.replace(/^@link(?:code|plain)?\s+/, "").trim(),
+      description: stripHyphen(rest),
+    };
+  }
+
+  const named = /^([\w$.]*(?:Error|Exception))\b\s*(.*)$/s.exec(content);
+  if (named) {
+    return {
+      type: named[1] ?? "",
+      description: stripHyphen(named[2] ?? ""),
+    };
+  }
+
+  return { type: "unknown", description: content };
+}
+
+/**
+ * Purpose: Parse @template / @typeParam, which may declare several names.
+ * @example "{string} K, V - key/value types" -> K, V with constraint "string"
+ */
+function parseTemplateTag(content: string): TemplateTag[] {
+  const { type: constraint, rest } = readBracedType(content);
+  const match = /^\[?([A-Za-z_$][\w$]*(?:\s*,\s*[A-Za-z_$][\w$]*)*)(?:=[^\]]*\])?(.*)$/s.exec(
+    rest,
+  );
+  if (!match) {
+    return [];
+  }
+
+  const description = stripHyphen(match[2] ?? "");
+  return (match[1] ?? "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name.length > 0)
+    .map((name) => ({
+      name,
+      constraint: constraint ?? "",
+      description,
+    }));
+}
+
+/**
+ * Purpose: Parse @typedef / @callback.
+ * @example "{Object} UserQuery filter options" -> UserQuery: Object
+ */
+function parseTypedefTag(
+  content: string,
+  tag: "typedef" | "callback",
+): Omit<TypedefTag, "properties"> | null {
+  const { type, rest } = readBracedType(content);
+  const match = /^([A-Za-z_$][\w$.]*)(.*)$/s.exec(rest);
+  if (!match?.[1]) {
+    return null;
+  }
+
+  return {
+    name: match[1],
+    type: type ?? (tag === "callback" ? "function" : "unknown"),
+    description: stripHyphen(match[2] ?? ""),
+  };
+}
+
+/**
+ * Purpose: Split a leading "{Type}" (nested braces allowed) from tag content.
+ * @returns type is null when content has no leading brace group.
+ */
+function readBracedType(content: string): {
+  type: string | null;
+  rest: string;
+} {
+  const trimmed = content.trim();
+  if (!trimmed.startsWith("{")) {
+    return { type: null, rest: trimmed };
+  }
+
+  const close = findMatchingIndex(trimmed, 0, "{", "}");
+  if (close < 0) {
+    return { type: null, rest: trimmed };
+  }
+
+  return {
+    type: trimmed.slice(1, close).trim() || null,
+    rest: trimmed.slice(close + 1).trim(),
+  };
+}
+
+/**
+ * Purpose: TSDoc separates name and description with " - ".
+ */
+function stripHyphen(text: string): string {
+  return text.trim().replace(/^-\s*/, "").trim();
+}
+
+/**
+ * Purpose: Drop same-line decorators such as "@Get(':id') find(id: string)".
+ */
+function stripLeadingDecorators(signature: string): string {
+  let remaining = signature.trim();
+  while (remaining.startsWith("@")) {
+    remaining = stripLeadingAnnotation(remaining).trim();
+  }
+  return remaining;
+}
+
+/**
+ * Purpose: Find a character outside of (), <>, [], {} groups.
+ * "=>" is skipped so arrow types are not mistaken for defaults.
+ */
+function findTopLevelChar(text: string, target: string): number {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i] ?? "";
+    if (ch === "(" || ch === "<" || ch === "[" || ch === "{") {
+      depth++;
+    } else if (ch === ")" || ch === "]" || ch === "}") {
+      depth = Math.max(0, depth - 1);
+    } else if (ch === ">") {
+      if (text[i - 1] !== "=") {
+        depth = Math.max(0, depth - 1);
+      }
+    } else if (ch === target && depth === 0) {
+      if (target === "=" && text[i + 1] === ">") {
+        continue;
+      }
+      return i;
+    }
+  }
+  return -1;
+}
+
+function minIndex(a: number, b: number, fallback: number): number {
+  const candidates = [a, b].filter((index) => index >= 0);
+  return candidates.length > 0 ? Math.min(...candidates) : fallback;
+}
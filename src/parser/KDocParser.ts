@@ -0,0 +1,413 @@
+/**
+ * KDocParser.ts - KDoc tags and the Kotlin signatures they document
+ *
+ * Purpose:
+ * - Parse KDoc block tags into the shared TagTable.
+ * - Read parameters, receiver and return type from a Kotlin "fun" header.
+ * - Map Kotlin visibility (default public, "internal") onto AccessModifier.
+ *
+ * Why:
+ * - Kotlin writes "name: Type" and puts the return type after the parameter
+ *   list, so the Java "Type name" parsing in TagParser yields "unknown".
+ * - An expression body ("fun answer() = 42") ends the header at "=", which
+ *   the Java / TS signature reader would run past.
+ * - Members without a modifier are public, not package-private as in Java.
+ *
+ * KDoc "[Symbol]" links are tokenized in InlineTagParser; "@property" tags of a
+ * class document its primary-constructor properties.
+ */
+
+import type { AccessModifier, ParamTag, ReturnTag, TagTable, ThrowsTag } from "../types.js";
+import { findMatchingIndex, splitByTopLevelComma, tokenizeTagBlocks } from "./TagParser.js";
+import type { SignatureParam } from "./JsDocTagParser.js";
+
+type KDocTag =
+  | "param"
+  | "return"
+  | "throws"
+  | "exception"
+  | "receiver"
+  | "property"
+  | "constructor"
+  | "sample"
+  | "see"
+  | "since"
+  | "author"
+  | "suppress";
+
+const KDOC_TAGS: ReadonlySet<string> = new Set<KDocTag>([
+  "param",
+  "return",
+  "throws",
+  "exception",
+  "receiver",
+  "property",
+  "constructor",
+  "sample",
+  "see",
+  "since",
+  "author",
+  "suppress",
+]);
+
+/**
+ * Parameter modifiers, including the "val" / "var" of constructor properties.
+ */
+const KOTLIN_PARAM_MODIFIERS =
+  /^(?:(?:vararg|noinline|crossinline|val|var|public|protected|private|internal|override|open|final)\s+)+/;
+
+/**
+ * Annotations, including use-site targets: @Throws(IOException::class), @get:JvmName("x")
+ */
+const KOTLIN_ANNOTATION = /^@(?:\w+:)?[\w.]+\s*/;
+
+const MAX_HEADER_LINES = 15;
+
+/**
+ * Purpose: Parse a KDoc tag section into TagTable.
+ * @param rawTags - Raw tag text (starting at the first @tag line).
+ * @param signature - Header read by readKotlinSignature, e.g.
+ *                    "fun String.toSlug(maxLength: Int = 40): String".
+ * @returns Structured TagTable; @receiver and @sample fill the KDoc-only fields.
+ * Side effects: None.
+ */
+export function parseKDocTagTable(rawTags: string, signature: string): TagTable {
+  const params: ParamTag[] = [];
+  const throwsTags: ThrowsTag[] = [];
+  const properties: ParamTag[] = [];
+  const seeTags: string[] = [];
+  const samples: string[] = [];
+
+  let returnTag: ReturnTag | null = null;
+  let receiver: ReturnTag | null = null;
+  let since: string | null = null;
+  let author: string | null = null;
+
+  const signatureParams = parseKotlinSignatureParams(signature);
+
+  for (const block of tokenizeTagBlocks(rawTags, isKDocTag)) {
+    const content = block.content.trim();
+
+    switch (block.tag) {
+      case "param":
+      case "property": {
+        const named = readNamedTag(content);
+        if (!named) break;
+        const param = signatureParams.get(named.name);
+        const tag: ParamTag = {
+          name: named.name,
+          type: param?.type ?? "",
+          description: named.description,
+          ...(param?.optional && { optional: true }),
+          ...(param?.defaultValue && { defaultValue: param.defaultValue }),
+        };
+        (block.tag === "param" ? params : properties).push(tag);
+        break;
+      }
+
+      case "return":
+        returnTag = {
+          type: parseKotlinReturnType(signature) ?? "unknown",
+          description: content,
+        };
+        break;
+
+      case "throws":
+      case "exception": {
+        const type = /^\S+/.exec(content)?.[0];
+        if (type) {
+          throwsTags.push({ type, description: content.slice(type.length).trim() });
+        }
+        break;
+      }
+
+      case "receiver":
+        receiver = { type: parseKotlinReceiverType(signature) ?? "", description: content };
+        break;
+
+      case "sample":
+        if (content) {
+          samples.push(content.split(/\s+/)[0] ?? content);
+        }
+        break;
+
+      case "see":
+        if (content) {
+          seeTags.push(content);
+        }
+        break;
+
+      case "since":
+        since = content || null;
+        break;
+
+      case "author":
+        author = content || null;
+        break;
+
+      // @constructor documents the primary constructor, @suppress hides the
+      // member from generated docs; neither maps onto a TagTable field
+      case "constructor":
+      case "suppress":
+        break;
+    }
+  }
+
+  return {
+    params,
+    returns: returnTag,
+    throws: throwsTags,
+    since,
+    author,
+    deprecated: null,
+    see: seeTags,
+    doc: null,
+    example: null,
+    templates: [],
+    typedefs: [],
+    properties,
+    remarks: null,
+    receiver,
+    samples,
+  };
+}
+
+/**
+ * Purpose: Read a Kotlin function / constructor header up to its body.
+ * Why: The header ends at the first top-level "{" or "=" (expression body),
+ *      or at the end of a line once the parameter list and return type are complete.
+ * @param startLine - Line of the declaration name.
+ * @returns Header with whitespace collapsed, e.g. "fun find(id: Long): User?".
+ * Side effects: None.
+ */
+export function readKotlinSignature(lines: readonly string[], startLine: number): string {
+  const lastLine = Math.min(lines.length, startLine + MAX_HEADER_LINES) - 1;
+  let header = "";
+
+  for (let lineIndex = startLine; lineIndex <= lastLine; lineIndex++) {
+    header = `${header} ${(lines[lineIndex] ?? "").replace(/\/\/.*$/, "")}`;
+    const list = findParameterList(header);
+    if (!list) {
+      continue;
+    }
+
+    const bodyStart = findBodyStart(header, list.close + 1);
+    if (bodyStart >= 0) {
+      return collapse(header.slice(0, bodyStart));
+    }
+    // The return type may continue on the next line: "): Map<String," / "):"
+    const tail = header.slice(list.close + 1).trim();
+    const next = (lines[lineIndex + 1] ?? "").trim();
+    if (!/(?:[:,<(]|->)$/.test(tail) && !(tail === "" && next.startsWith(":"))) {
+      return collapse(header);
+    }
+  }
+
+  return collapse(header);
+}
+
+/**
+ * Purpose: Parse "name -> type" mapping from a Kotlin signature.
+ * Handles defaults "limit: Int = 10", "vararg ids: Long", annotations and the
+ * "val" / "var" of constructor properties.
+ * @example "fun find(id: Long, vararg tags: String, limit: Int = 10): List<User>"
+ *          -> id: Long / tags: String / limit: Int (default 10)
+ */
+export function parseKotlinSignatureParams(signature: string): Map<string, SignatureParam> {
+  const result = new Map<string, SignatureParam>();
+  const list = findParameterList(signature);
+  if (!list) {
+    return result;
+  }
+
+  for (const declaration of splitByTopLevelComma(signature.slice(list.open + 1, list.close))) {
+    const cleaned = stripAnnotations(declaration.trim()).replace(KOTLIN_PARAM_MODIFIERS, "");
+    const colonIndex = findTopLevelChar(cleaned, ":");
+    if (colonIndex < 0) {
+      continue;
+    }
+
+    const name = cleaned.slice(0, colonIndex).trim().replace(/^`|`$/g, "");
+    const equalsIndex = findTopLevelChar(cleaned, "=", colonIndex);
+    const type = cleaned.slice(colonIndex + 1, equalsIndex >= 0 ? equalsIndex : undefined).trim();
+    const defaultValue = equalsIndex >= 0 ? cleaned.slice(equalsIndex + 1).trim() : null;
+
+    if (name) {
+      result.set(name, { type, optional: defaultValue !== null, defaultValue });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Purpose: Read the return type annotation after the parameter list.
+ * @example "fun <T> load(id: Long): Result<T> where T : Entity" -> "Result<T>"
+ * @returns Annotation text, or null when the header has none (Unit or an
+ *          inferred expression-body type).
+ */
+export function parseKotlinReturnType(signature: string): string | null {
+  const list = findParameterList(signature);
+  if (!list) {
+    return null;
+  }
+
+  const tail = signature.slice(list.close + 1);
+  const bodyStart = findBodyStart(tail, 0);
+  const annotation = (bodyStart >= 0 ? tail.slice(0, bodyStart) : tail)
+    .replace(/\swhere\s[\s\S]*$/, "")
+    .trim();
+  return annotation.startsWith(":") ? annotation.slice(1).trim() || null : null;
+}
+
+/**
+ * Purpose: Check whether a declaration has an expression body ("= ...").
+ * Why: Without a return annotation, a block body returns Unit while an
+ *      expression body returns an inferred type.
+ * @param declaration - Declaration text running past the header.
+ */
+export function hasExpressionBody(declaration: string): boolean {
+  const list = findParameterList(declaration);
+  if (!list) {
+    return false;
+  }
+  const bodyStart = findBodyStart(declaration, list.close + 1);
+  // A bodyless declaration ("abstract fun f()") is followed by the next member
+  const between = declaration.slice(list.close + 1, Math.max(bodyStart, 0));
+  return (
+    bodyStart >= 0 &&
+    declaration[bodyStart] === "=" &&
+    !/\b(?:fun|val|var|class|object)\b/.test(between)
+  );
+}
+
+/**
+ * Purpose: Read the receiver type of an extension function.
+ * @example "fun <T> List<T>.second(): T" -> "List<T>"
+ * @returns null for member and top-level functions without a receiver.
+ */
+export function parseKotlinReceiverType(signature: string): string | null {
+  const keyword = /\bfun\b/.exec(signature);
+  const list = findParameterList(signature);
+  if (!keyword || !list) {
+    return null;
+  }
+
+  const head = skipTypeParameters(signature, keyword.index + keyword[0].length);
+  const beforeName = signature.slice(head, list.open);
+  const dot = findLastTopLevelDot(beforeName);
+  return dot > 0 ? beforeName.slice(0, dot).trim() : null;
+}
+
+/**
+ * Purpose: Kotlin visibility of a declaration.
+ * Why: No modifier means public; "internal" is visible within the module only.
+ * @param declaration - Declaration text; only the modifiers before the keyword count.
+ */
+export function kotlinAccessModifier(declaration: string): AccessModifier {
+  const head = declaration.replace(
+    /\b(?:fun|val|var|constructor|class|interface|object)\b[\s\S]*$/,
+    "",
+  );
+  const match = /\b(public|protected|private|internal)\b/.exec(head);
+  return (match?.[1] as AccessModifier | undefined) ?? "public";
+}
+
+function isKDocTag(value: string): value is KDocTag {
+  return KDOC_TAGS.has(value);
+}
+
+/**
+ * "@param name description" and the bracketed form "@param[name] description".
+ */
+function readNamedTag(content: string): { name: string; description: string } | null {
+  const match = /^\[?\s*([\w`]+)\s*\]?\s*([\s\S]*)$/.exec(content);
+  if (!match?.[1]) {
+    return null;
+  }
+  return { name: match[1].replace(/`/g, ""), description: (match[2] ?? "").trim() };
+}
+
+/**
+ * Locate the value parameter list after "fun" / "constructor" and the name.
+ */
+function findParameterList(text: string): { open: number; close: number } | null {
+  const keyword = /\b(?:fun|constructor)\b/.exec(text);
+  const start = keyword ? skipTypeParameters(text, keyword.index + keyword[0].length) : 0;
+  const open = text.indexOf("(", start);
+  if (open < 0) {
+    return null;
+  }
+  const close = findMatchingIndex(text, open, "(", ")");
+  return close < 0 ? null : { open, close };
+}
+
+/**
+ * Skip whitespace and a "<T : Comparable<T>>" type parameter list.
+ */
+function skipTypeParameters(text: string, index: number): number {
+  let cursor = index;
+  while (/\s/.test(text[cursor] ?? "")) cursor++;
+  if (text[cursor] !== "<") {
+    return cursor;
+  }
+  const end = findMatchingIndex(text, cursor, "<", ">");
+  return end < 0 ? cursor : end + 1;
+}
+
+/**
+ * First top-level "{" or expression-body "=" at or after index; -1 if none.
+ */
+function findBodyStart(text: string, index: number): number {
+  return findTopLevelChar(text, "{=", index);
+}
+
+/**
+ * Purpose: Find any of the target characters outside of (), <>, [] groups.
+ * "->" in function types does not close a "<" group.
+ */
+function findTopLevelChar(text: string, targets: string, from = 0): number {
+  let depth = 0;
+  for (let i = from; i < text.length; i++) {
+    const ch = text[i] ?? "";
+    if (depth === 0 && targets.includes(ch)) {
+      return i;
+    }
+    if (ch === "(" || ch === "<" || ch === "[" || ch === "{") {
+      depth++;
+    } else if (ch === ")" || ch === "]" || ch === "}" || (ch === ">" && text[i - 1] !== "-")) {
+      depth = Math.max(0, depth - 1);
+    }
+  }
+  return -1;
+}
+
+function findLastTopLevelDot(text: string): number {
+  let depth = 0;
+  let last = -1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i] ?? "";
+    if (ch === "(" || ch === "<") depth++;
+    else if (ch === ")" || (ch === ">" && text[i - 1] !== "-")) depth = Math.max(0, depth - 1);
+    else if (ch === "." && depth === 0) last = i;
+  }
+  return last;
+}
+
+function stripAnnotations(text: string): string {
+  let remaining = text;
+  let match: RegExpExecArray | null;
+  while ((match = KOTLIN_ANNOTATION.exec(remaining)) !== null) {
+    remaining = remaining.slice(match[0].length);
+    if (remaining.startsWith("(")) {
+      const close = findMatchingIndex(remaining, 0, "(", ")");
+      remaining = close < 0 ? "" : remaining.slice(close + 1);
+    }
+    remaining = remaining.trimStart();
+  }
+  return remaining;
+}
+
+function collapse(text: string): string {
+  return text.replace(/\s+/g, " ").trim();
+}
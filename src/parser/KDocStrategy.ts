@@ -0,0 +1,91 @@
+/**
+ * KDocStrategy.ts - Kotlin as JavaDocParser reads it
+ *
+ * Purpose:
+ * - Reuse the Javadoc block-comment handling with the KDoc tag parser.
+ * - Read "fun" headers with KDocParser ("name: Type", return type after the
+ *   parameter list, up to "{" or the "=" of an expression body).
+ * - Document primary-constructor properties from the class's "@property" (or
+ *   "@param") tags only: a property on the class line sits under the class's KDoc.
+ * - Name a file of top-level functions after the file, as its "FileKt" facade.
+ *
+ * Why:
+ * - Members without a modifier are public, not package-private as in Java.
+ * - Several constructor properties may share a line, so only the modifiers
+ *   between the previous parameter and the property name count.
+ */
+
+import * as path from "path";
+import {
+  kotlinAccessModifier,
+  parseKDocTagTable,
+  parseKotlinSignatureParams,
+  readKotlinSignature,
+} from "./KDocParser.js";
+import { isOnContainerLine, paramTypes } from "./DialectStrategy.js";
+import type { DialectStrategy } from "./DialectStrategy.js";
+import { javadocStrategy, parseBlockTagComment } from "./JavadocStrategy.js";
+
+export const kdocStrategy: DialectStrategy = {
+  ...javadocStrategy,
+  dialect: "kdoc",
+  propertyTags: ["properties", "params"],
+
+  readFileClassInfo: (_text, filePath) => ({
+    className: path.basename(filePath, path.extname(filePath)),
+    classLine: 0,
+    classComment: "",
+  }),
+
+  parseComment: (raw, signature) => parseBlockTagComment(raw, signature, parseKDocTagTable),
+
+  readSignature: readKotlinSignature,
+  readSignatureParams: (signature) => paramTypes(parseKotlinSignatureParams(signature)),
+  displaySignature: (symbol, signature) => symbol.detail || signature,
+  readAccessModifier: kotlinAccessModifier,
+  isPositionalParameter: isOnContainerLine,
+  readField: (lineText, { symbol }) => {
+    const declaration = lineText
+      .slice(0, Math.max(0, lineText.indexOf(symbol.name)))
+      .replace(/^.*[(,]/, "");
+    return {
+      type: symbol.detail || extractKotlinPropertyType(lineText, symbol.name),
+      isConstant: /\bconst\b/.test(declaration),
+      accessModifier: kotlinAccessModifier(declaration),
+    };
+  },
+};
+
+/**
+ * Purpose: The type annotation of a property, up to a top-level "=", ",", ")",
+ *          "{" or a "by" delegate.
+ * @example ("val id: Long,", "id") -> "Long"
+ *          ("private val cache by lazy {", "cache") -> "" (inferred)
+ */
+function extractKotlinPropertyType(line: string, name: string): string {
+  const nameIndex = line.indexOf(name);
+  const rest = nameIndex >= 0 ? line.slice(nameIndex + name.length) : "";
+  if (!/^\s*:/.test(rest)) {
+    return "";
+  }
+
+  const annotation = rest.replace(/^\s*:/, "");
+  let depth = 0;
+  let end = annotation.length;
+  for (let i = 0; i < annotation.length; i++) {
+    const ch = annotation[i] ?? "";
+    if (ch === "<" || ch === "(") {
+      depth++;
+    } else if ((ch === ">" && annotation[i - 1] !== "-") || ch === ")") {
+      if (depth === 0) {
+        end = i;
+        break;
+      }
+      depth--;
+    } else if (depth === 0 && "=,{".includes(ch)) {
+      end = i;
+      break;
+    }
+  }
+  return annotation.slice(0, end).replace(/\s+by\b.*$/, "").trim();
+}
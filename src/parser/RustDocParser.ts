@@ -0,0 +1,825 @@
+/**
+ * RustDocParser.ts - Rust doc comments and the items they document
+ *
+ * Purpose:
+ * - Collect the "///" (or "/** *\/") comment above an item and the "//!"
+ *   module documentation at the top of a file.
+ * - Split the Markdown into paragraphs, headings, lists and code blocks, and
+ *   lift the conventional "# Examples", "# Errors", "# Panics" and "# Safety"
+ *   sections out of the description.
+ * - Read parameters and the return type from a fn header.
+ * - Map "pub" / "pub(crate)" onto AccessModifier and name impl blocks.
+ *
+ * Why:
+ * - Rust doc comments are Markdown without tags: the sections readers look
+ *   for are plain "#" headings, and parameters are described in prose.
+ * - rust-analyzer reports methods as children of "impl User" and
+ *   "impl Display for User" symbols; members are grouped by those blocks.
+ * - "pub(crate)" is visible in the whole crate, which is what "internal"
+ *   means for Kotlin and C#.
+ *
+ * Parameters are listed from the signature; an "# Arguments" list of
+ * "* `name` - text" items fills in their descriptions.
+ */
+
+import type { AccessModifier, DocBlock, DocSection, ParamTag, TagTable } from "../types.js";
+import { createEmptyTagTable, findMatchingIndex } from "./TagParser.js";
+import type { SignatureParam } from "./JsDocTagParser.js";
+import { tokenizeRustDocText } from "./InlineTagParser.js";
+
+/**
+ * A doc comment as written in the source, comment markers included.
+ */
+export interface RustDocComment {
+  readonly raw: string;
+  readonly startLine: number; // Line of the first "///" (or "/**")
+}
+
+/**
+ * Result of parsing a doc comment.
+ */
+export interface RustDoc {
+  readonly description: string; // Without link definitions and the lifted sections
+  readonly tags: TagTable;
+  readonly blocks: readonly DocBlock[];
+}
+
+/**
+ * Lines from one top-level "# Title" heading to the next; the lines before
+ * the first heading have no title.
+ */
+interface Section {
+  readonly title: string | null;
+  readonly lines: readonly string[];
+}
+
+/**
+ * "///" but not "////", which is an ordinary comment.
+ */
+const OUTER_LINE_DOC = /^\/\/\/(?!\/)/;
+
+const OUTER_BLOCK_DOC = /^\/\*\*(?![*/])/;
+
+const ATTRIBUTE = /^#!?\[/;
+
+const FENCE = /^(`{3,}|~{3,})\s*([^`]*)$/;
+
+const LINK_DEFINITION = /^ {0,3}\[([^[\]\n]+)\]:\s*(\S+)(?:\s+["'(].*)?$/;
+
+const LIST_MARKER = /^(?:[-*+]|(\d+)[.)])[ \t]+/;
+
+const HEADING = /^(#{1,6})[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/;
+
+const INDENTED_CODE = /^(?: {4}|\t)/;
+
+/**
+ * Code block attributes that keep a fence Rust code ("```" alone is Rust too).
+ */
+const RUST_FENCE_ATTRIBUTES: ReadonlySet<string> = new Set([
+  "rust",
+  "ignore",
+  "no_run",
+  "should_panic",
+  "compile_fail",
+  "test_harness",
+  "standalone_crate",
+]);
+
+type SectionKind = DocSection["kind"] | "examples" | "arguments" | "returns";
+
+/**
+ * Section titles (lower-cased) and what they become.
+ */
+const SECTION_TITLES: ReadonlyMap<string, SectionKind> = new Map([
+  ["examples", "examples"],
+  ["example", "examples"],
+  ["errors", "errors"],
+  ["panics", "panics"],
+  ["safety", "safety"],
+  ["arguments", "arguments"],
+  ["parameters", "arguments"],
+  ["returns", "returns"],
+]);
+
+const MAX_HEADER_LINES = 15;
+
+// ========== Comments ==========
+
+/**
+ * Purpose: Find the doc comment above an item.
+ * Why: Doc comments are attributes, so "#[derive(...)]" lines and blank lines
+ *      may stand between the comment and the item.
+ * @returns null when the item has no doc comment.
+ */
+export function extractRustDocComment(
+  lines: readonly string[],
+  targetLine: number,
+): RustDocComment | null {
+  let end = targetLine;
+  while (end > 0) {
+    const above = (lines[end - 1] ?? "").trim();
+    if (above === "") {
+      end--;
+    } else if (ATTRIBUTE.test(above)) {
+      end--;
+    } else if (above.endsWith("]") && !above.startsWith("//")) {
+      // Last line of an attribute spanning several lines
+      const start = findAttributeStart(lines, end - 1);
+      if (start < 0) {
+        break;
+      }
+      end = start;
+    } else {
+      break;
+    }
+  }
+
+  const last = (lines[end - 1] ?? "").trim();
+  if (last.endsWith("*/") && !last.startsWith("//")) {
+    for (let start = end - 1; start >= 0; start--) {
+      const line = (lines[start] ?? "").trim();
+      if (line.startsWith("/*")) {
+        return OUTER_BLOCK_DOC.test(line)
+          ? { raw: lines.slice(start, end).join("\n"), startLine: start }
+          : null;
+      }
+    }
+    return null;
+  }
+
+  let start = end;
+  while (start > 0 && OUTER_LINE_DOC.test((lines[start - 1] ?? "").trim())) {
+    start--;
+  }
+  return start < end ? { raw: lines.slice(start, end).join("\n"), startLine: start } : null;
+}
+
+/**
+ * Purpose: Find the "//!" (or "/*! *\/") documentation of the module a file defines.
+ * Why: It comes first in the file, after any plain comments (license
+ *      headers) and "#![...]" crate attributes.
+ */
+export function extractRustModuleDoc(lines: readonly string[]): RustDocComment | null {
+  for (let line = 0; line < lines.length; line++) {
+    const trimmed = (lines[line] ?? "").trim();
+    if (trimmed.startsWith("//!")) {
+      let end = line;
+      while (end < lines.length && (lines[end] ?? "").trim().startsWith("//!")) {
+        end++;
+      }
+      return { raw: lines.slice(line, end).join("\n"), startLine: line };
+    }
+    if (trimmed.startsWith("/*!")) {
+      let end = line;
+      while (end < lines.length - 1 && !(lines[end] ?? "").includes("*/")) {
+        end++;
+      }
+      return { raw: lines.slice(line, end + 1).join("\n"), startLine: line };
+    }
+    if (trimmed !== "" && !trimmed.startsWith("//") && !trimmed.startsWith("#![")) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Purpose: Strip comment markers and the indentation shared by all lines,
+ *          keeping the indentation of code blocks and nested lists.
+ * @example "/// Saves the user.\n///\n/// # Errors" -> "Saves the user.\n\n# Errors"
+ */
+export function cleanRustDoc(raw: string): string {
+  const text = raw.replace(/\r\n/g, "\n").trim();
+  if (/^\/\*[*!]/.test(text)) {
+    const body = text.replace(/^\/\*[*!]/, "").replace(/\*\/$/, "").split("\n");
+    // " * " at the start of every continuation line is decoration
+    const decorated = body
+      .slice(1)
+      .filter((line) => line.trim() !== "")
+      .every((line) => /^\s*\*/.test(line));
+    const lines = decorated
+      ? body.map((line, index) => (index === 0 ? line : line.replace(/^\s*\* ?/, "")))
+      : body;
+    return trimBlankLines(dedent(lines)).join("\n");
+  }
+
+  const lines = text.split("\n").map((line) => line.trim().replace(/^\/\/[/!]/, ""));
+  return trimBlankLines(dedent(lines)).join("\n");
+}
+
+/**
+ * Purpose: Parse a doc comment into description, tags and blocks.
+ * @param signature - Header read by readRustSignature; "" for types and values.
+ * Side effects: None.
+ */
+export function parseRustDoc(raw: string, signature: string): RustDoc {
+  const { lines, definitions } = removeLinkDefinitions(cleanRustDoc(raw).split("\n"));
+  const signatureParams = parseRustSignatureParams(signature);
+
+  const kept: string[] = [];
+  const sections: DocSection[] = [];
+  const paramDocs = new Map<string, string>();
+  let example: string | null = null;
+  let returnsDoc = "";
+  for (const section of splitSections(lines)) {
+    const kind = section.title ? SECTION_TITLES.get(section.title.toLowerCase()) : undefined;
+    const body = trimBlankLines(section.lines);
+    const text = body.join("\n");
+
+    if (kind === "examples") {
+      example = readExample(body);
+    } else if (kind === "errors" || kind === "panics" || kind === "safety") {
+      sections.push({ kind, text, blocks: toBlocks(body, definitions) });
+    } else if (kind === "returns") {
+      returnsDoc = text;
+    } else if (kind === "arguments" && readArgumentDocs(body, signatureParams, paramDocs)) {
+      // Descriptions moved to the params
+    } else {
+      kept.push(...(section.title ? [`# ${section.title}`, ...section.lines] : section.lines));
+    }
+  }
+
+  const returnType = parseRustReturnType(signature);
+  const params: ParamTag[] = [...signatureParams].map(([name, param]) => ({
+    name,
+    type: param.type,
+    description: paramDocs.get(name) ?? "",
+  }));
+  const description = trimBlankLines(kept);
+
+  return {
+    description: description.join("\n"),
+    tags: {
+      ...createEmptyTagTable(),
+      params,
+      returns:
+        returnType && returnType !== "()" && returnType !== "!"
+          ? { type: returnType, description: returnsDoc }
+          : null,
+      example,
+      ...(sections.length > 0 && { sections }),
+    },
+    blocks: toBlocks(description, definitions),
+  };
+}
+
+/**
+ * Purpose: Split a doc comment into blocks without lifting any section.
+ * Why: Module and field documentation is shown as written.
+ */
+export function parseRustDocBlocks(raw: string): DocBlock[] {
+  const { lines, definitions } = removeLinkDefinitions(cleanRustDoc(raw).split("\n"));
+  return toBlocks(trimBlankLines(lines), definitions);
+}
+
+/**
+ * "[label]: destination" lines outside code blocks; labels match case-insensitively.
+ */
+function removeLinkDefinitions(lines: readonly string[]): {
+  lines: string[];
+  definitions: Map<string, string>;
+} {
+  const kept: string[] = [];
+  const definitions = new Map<string, string>();
+  let fence: string | null = null;
+  for (const line of lines) {
+    fence = nextFenceState(fence, line);
+    const definition = fence === null ? LINK_DEFINITION.exec(line) : null;
+    if (definition?.[1] && definition[2]) {
+      definitions.set(definition[1].toLowerCase(), definition[2].replace(/^<|>$/g, ""));
+    } else {
+      kept.push(line);
+    }
+  }
+  return { lines: kept, definitions };
+}
+
+function splitSections(lines: readonly string[]): Section[] {
+  const sections: { title: string | null; lines: string[] }[] = [{ title: null, lines: [] }];
+  let fence: string | null = null;
+  for (const line of lines) {
+    const inFence = fence !== null;
+    fence = nextFenceState(fence, line);
+    const heading = inFence ? null : HEADING.exec(line);
+    if (heading?.[1] === "#" && heading[2]) {
+      sections.push({ title: heading[2], lines: [] });
+    } else {
+      sections[sections.length - 1]?.lines.push(line);
+    }
+  }
+  return sections;
+}
+
+/**
+ * The code of an "# Examples" section; its prose only when it has no code.
+ */
+function readExample(lines: readonly string[]): string | null {
+  const code = toBlocks(lines, new Map()).flatMap((block) =>
+    block.kind === "code" ? [block.text] : [],
+  );
+  const text = code.length > 0 ? code.join("\n\n") : lines.join("\n");
+  return text.trim() || null;
+}
+
+/**
+ * "* `name` - text", "- name: text" items of an "# Arguments" section.
+ * @returns false when no item names a parameter, so the section stays in the description.
+ */
+function readArgumentDocs(
+  lines: readonly string[],
+  params: ReadonlyMap<string, SignatureParam>,
+  docs: Map<string, string>,
+): boolean {
+  const items: string[] = [];
+  let inItem = false;
+  for (const line of lines) {
+    const trimmed = line.trim();
+    const marker = LIST_MARKER.exec(trimmed);
+    if (marker) {
+      items.push(trimmed.slice(marker[0].length));
+      inItem = true;
+    } else if (inItem && /^[ \t]/.test(line) && trimmed !== "") {
+      items[items.length - 1] += ` ${trimmed}`;
+    } else {
+      inItem = false;
+    }
+  }
+
+  for (const item of items) {
+    const match = /^`?([A-Za-z_]\w*)`?\s*(?:[-:–—]\s*)?(.*)$/.exec(item);
+    if (match?.[1] && params.has(match[1])) {
+      docs.set(match[1], (match[2] ?? "").trim());
+    }
+  }
+  return docs.size > 0;
+}
+
+// ========== Markdown blocks ==========
+
+function toBlocks(lines: readonly string[], definitions: ReadonlyMap<string, string>): DocBlock[] {
+  const blocks: DocBlock[] = [];
+  let paragraph: string[] = [];
+  const flush = (): void => {
+    if (paragraph.length > 0) {
+      const tokens = tokenizeRustDocText(paragraph.join("\n"), definitions);
+      blocks.push({ kind: "paragraph", tokens });
+      paragraph = [];
+    }
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i] ?? "";
+    const trimmed = line.trim();
+    const fence = FENCE.exec(trimmed);
+
+    if (fence?.[1]) {
+      flush();
+      const end = findFenceEnd(lines, i, fence[1]);
+      const text = readFencedCode(lines.slice(i + 1, end), fence[2] ?? "");
+      blocks.push({ kind: "code", text });
+      i = end + 1;
+    } else if (trimmed === "") {
+      flush();
+      i++;
+    } else if (paragraph.length === 0 && INDENTED_CODE.test(line)) {
+      let end = i;
+      while (
+        end < lines.length &&
+        (INDENTED_CODE.test(lines[end] ?? "") || (lines[end] ?? "").trim() === "")
+      ) {
+        end++;
+      }
+      blocks.push({ kind: "code", text: trimBlankLines(dedent(lines.slice(i, end))).join("\n") });
+      i = end;
+    } else if (HEADING.test(trimmed)) {
+      flush();
+      const title = HEADING.exec(trimmed)?.[2] ?? "";
+      blocks.push({ kind: "heading", tokens: tokenizeRustDocText(title, definitions) });
+      i++;
+    } else if (paragraph.length > 0 && /^(?:=+|-+)$/.test(trimmed)) {
+      // Setext heading: the paragraph above an "===" / "---" underline
+      const tokens = tokenizeRustDocText(paragraph.join(" "), definitions);
+      blocks.push({ kind: "heading", tokens });
+      paragraph = [];
+      i++;
+    } else if (/^(?:[-*_][ \t]*){3,}$/.test(trimmed)) {
+      flush();
+      i++;
+    } else if (LIST_MARKER.test(trimmed)) {
+      flush();
+      const end = findListEnd(lines, i);
+      blocks.push(toList(lines.slice(i, end), definitions));
+      i = end;
+    } else {
+      // Block quotes are shown as plain paragraphs
+      paragraph.push(trimmed.replace(/^>\s?/, ""));
+      i++;
+    }
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * A list runs over blank lines while the next line is an item or indented.
+ */
+function findListEnd(lines: readonly string[], start: number): number {
+  let end = start + 1;
+  while (end < lines.length) {
+    const line = lines[end] ?? "";
+    if (line.trim() === "") {
+      const next = lines[end + 1] ?? "";
+      if (next.trim() === "" || !(LIST_MARKER.test(next.trim()) || /^[ \t]/.test(next))) {
+        break;
+      }
+    } else if (FENCE.test(line.trim()) && !/^[ \t]/.test(line)) {
+      break;
+    }
+    end++;
+  }
+  return end;
+}
+
+/**
+ * Every marker line (nested ones too) starts an item; other lines continue it.
+ */
+function toList(lines: readonly string[], definitions: ReadonlyMap<string, string>): DocBlock {
+  const items: string[] = [];
+  for (const line of lines) {
+    const trimmed = line.trim();
+    const marker = LIST_MARKER.exec(trimmed);
+    if (marker) {
+      items.push(trimmed.slice(marker[0].length));
+    } else if (trimmed !== "" && items.length > 0) {
+      items[items.length - 1] += ` ${trimmed}`;
+    }
+  }
+  return {
+    kind: "list",
+    ordered: LIST_MARKER.exec(lines[0]?.trim() ?? "")?.[1] !== undefined,
+    items: items.map((item) => tokenizeRustDocText(item, definitions)),
+  };
+}
+
+function findFenceEnd(lines: readonly string[], start: number, fence: string): number {
+  const closing = new RegExp(`^${fence[0] === "`" ? "`" : "~"}{${fence.length},}\\s*$`);
+  for (let end = start + 1; end < lines.length; end++) {
+    if (closing.test((lines[end] ?? "").trim())) {
+      return end;
+    }
+  }
+  return lines.length;
+}
+
+/**
+ * Rust code blocks hide lines starting with "# " (setup shown only to the
+ * compiler); "##" escapes a line that really starts with "#".
+ */
+function readFencedCode(lines: readonly string[], info: string): string {
+  const attributes = info.split(/[\s,]+/).filter(Boolean);
+  const isRust = attributes.every(
+    (attribute) => RUST_FENCE_ATTRIBUTES.has(attribute) || /^edition\d+$/.test(attribute),
+  );
+  const code = isRust
+    ? lines
+        .filter((line) => !/^\s*#(?:\s|$)/.test(line))
+        .map((line) => line.replace(/^(\s*)##/, "$1#"))
+    : lines;
+  return trimBlankLines(dedent(code)).join("\n");
+}
+
+/**
+ * Tracks whether a line opens or closes a fenced code block.
+ * @param fence - The opening fence currently in effect, null outside code.
+ */
+function nextFenceState(fence: string | null, line: string): string | null {
+  const marker = /^(`{3,}|~{3,})/.exec(line.trim())?.[1];
+  if (!marker) {
+    return fence;
+  }
+  if (fence === null) {
+    return marker;
+  }
+  return marker[0] === fence[0] && marker.length >= fence.length && line.trim() === marker
+    ? null
+    : fence;
+}
+
+// ========== Signatures ==========
+
+/**
+ * Purpose: Read a fn header up to its body (or ";" in a trait), without
+ *          attributes and comments.
+ * @example "pub fn find(&self,\n    id: u64) -> Option<&User> {" -> "pub fn find(&self, id: u64) -> Option<&User>"
+ */
+export function readRustSignature(lines: readonly string[], startLine: number): string {
+  let signature = "";
+  let depth = 0;
+  const lastLine = Math.min(lines.length, startLine + MAX_HEADER_LINES);
+
+  for (let lineIndex = startLine; lineIndex < lastLine; lineIndex++) {
+    const line = (lines[lineIndex] ?? "").replace(/\/\/.*$/, "");
+    for (const ch of line) {
+      if ((ch === "{" || ch === ";") && depth === 0) {
+        return collapse(stripAttributes(signature));
+      }
+      if ("([{".includes(ch)) {
+        depth++;
+      } else if (")]}".includes(ch)) {
+        depth = Math.max(0, depth - 1);
+      }
+      signature += ch;
+    }
+    signature += " ";
+  }
+  return collapse(stripAttributes(signature));
+}
+
+/**
+ * Purpose: Read parameter names and types from a fn header; the receiver
+ *          ("self", "&mut self", "self: Box<Self>") is not a parameter.
+ * @example "fn insert(&mut self, key: K, mut value: V) -> Option<V>"
+ *          -> key: K, value: V
+ */
+export function parseRustSignatureParams(signature: string): Map<string, SignatureParam> {
+  const params = new Map<string, SignatureParam>();
+  const list = findParameterList(signature);
+  if (!list) {
+    return params;
+  }
+
+  for (const entry of splitTopLevel(signature.slice(list.open + 1, list.close))) {
+    const colon = findTopLevelColon(entry);
+    const pattern = (colon < 0 ? entry : entry.slice(0, colon)).trim();
+    if (/^&?\s*(?:'\w+\s+)?(?:mut\s+)?self$/.test(pattern)) {
+      continue;
+    }
+    const name = pattern.replace(/^(?:(?:mut|ref)\s+)+/, "");
+    params.set(name, {
+      type: colon < 0 ? "" : entry.slice(colon + 1).trim(),
+      optional: false,
+      defaultValue: null,
+    });
+  }
+  return params;
+}
+
+/**
+ * Purpose: Read the type after "->", without a where clause.
+ * @example "fn parse<T>(s: &str) -> Result<T, Error> where T: FromStr" -> "Result<T, Error>"
+ * @returns null when the fn returns "()".
+ */
+export function parseRustReturnType(signature: string): string | null {
+  const list = findParameterList(signature);
+  const rest = list ? signature.slice(list.close + 1) : "";
+  const type = /^\s*->\s*(.+)$/.exec(rest)?.[1]?.replace(/\s+where\s.*$/, "").trim();
+  return type || null;
+}
+
+/**
+ * Purpose: Map the visibility of an item onto AccessModifier.
+ * @param defaultAccess - Access without "pub": private, but public in a
+ *                        trait or trait implementation.
+ * @example "pub(crate) fn reset()" -> "internal"; "pub(super) fn x()" -> "default"
+ */
+export function rustAccessModifier(
+  declaration: string,
+  defaultAccess: AccessModifier,
+): AccessModifier {
+  const code = stripAttributes(declaration).trim();
+  const visibility = /^pub\b\s*(?:\(\s*([^)]*?)\s*\))?/.exec(code);
+  if (!visibility) {
+    return defaultAccess;
+  }
+  const scope = visibility[1];
+  if (scope === undefined) {
+    return "public";
+  }
+  if (scope === "crate") {
+    return "internal";
+  }
+  // pub(super) / pub(in path): visible in an enclosing module, like package-private
+  return scope === "self" ? "private" : "default";
+}
+
+/**
+ * Purpose: Split the name rust-analyzer gives an impl block.
+ * @example "impl<T> Wrapper<T>" -> { trait: null, selfType: "Wrapper<T>" }
+ *          "impl fmt::Display for User" -> { trait: "fmt::Display", selfType: "User" }
+ * @returns null when the name is not an impl block.
+ */
+export function parseRustImplName(
+  name: string,
+): { readonly trait: string | null; readonly selfType: string } | null {
+  const header = /^(?:unsafe\s+)?impl\b\s*(.*)$/.exec(collapse(name))?.[1];
+  if (header === undefined) {
+    return null;
+  }
+  const withoutGenerics = header.startsWith("<")
+    ? header.slice(skipAngles(header, 0) + 1).trim()
+    : header;
+  const forIndex = findTopLevelFor(withoutGenerics);
+  return forIndex < 0
+    ? { trait: null, selfType: withoutGenerics }
+    : {
+        trait: withoutGenerics.slice(0, forIndex).trim(),
+        selfType: withoutGenerics.slice(forIndex + 4).trim(),
+      };
+}
+
+/**
+ * Purpose: Name the group the members of an impl block belong to.
+ * Why: Inherent methods join the fields of their type ("User"); each trait
+ *      implementation is a group of its own, named as written.
+ * @example "impl Wrapper<T>" -> "Wrapper"; "impl Display for User" -> "impl Display for User"
+ */
+export function rustImplGroup(name: string): string | null {
+  const impl = parseRustImplName(name);
+  if (!impl) {
+    return null;
+  }
+  return impl.trait ? `impl ${impl.trait} for ${impl.selfType}` : simpleTypeName(impl.selfType);
+}
+
+/**
+ * Purpose: Name the type an impl block (inherent or trait) adds methods to.
+ * @example "impl<T> From<T> for Stack<T>" -> "Stack"
+ */
+export function rustImplSelfType(name: string): string | null {
+  const impl = parseRustImplName(name);
+  return impl ? simpleTypeName(impl.selfType) : null;
+}
+
+/**
+ * Purpose: Read the type of a struct field, constant or static.
+ * @example ("pub name: String,", "name") -> "String"
+ *          ("const MAX: usize = 10;", "MAX") -> "usize"
+ */
+export function extractRustFieldType(line: string, name: string): string {
+  const code = line.replace(/\/\/.*$/, "").trim();
+  const nameIndex = code.search(new RegExp(`\\b${name}\\b`));
+  if (nameIndex < 0) {
+    return "";
+  }
+  const rest = code.slice(nameIndex + name.length);
+  const match = /^\s*:(?!:)\s*(.*?)\s*(?:=[^>].*)?[,;]?\s*$/.exec(rest);
+  return match?.[1] ?? "";
+}
+
+/**
+ * "fn name" and its generic parameters come before the parameter list.
+ */
+function findParameterList(signature: string): { open: number; close: number } | null {
+  const name = /\bfn\s+(?:r#)?[A-Za-z_]\w*\s*/.exec(signature);
+  if (!name) {
+    return null;
+  }
+  let index = name.index + name[0].length;
+  if (signature[index] === "<") {
+    index = skipAngles(signature, index) + 1;
+    while (signature[index] === " ") index++;
+  }
+  if (index <= 0 || signature[index] !== "(") {
+    return null;
+  }
+
+  const close = findMatchingIndex(signature, index, "(", ")");
+  return close < 0 ? null : { open: index, close };
+}
+
+/**
+ * Index of the ">" closing the "<" at start; the ">" of "->" does not count.
+ */
+function skipAngles(text: string, start: number): number {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "<") {
+      depth++;
+    } else if (ch === ">" && text[i - 1] !== "-") {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return text.length - 1;
+}
+
+/**
+ * Split by top-level commas, counting "<...>" but not the ">" of "->".
+ */
+function splitTopLevel(text: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let current = "";
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i] ?? "";
+    if ("([{<".includes(ch)) {
+      depth++;
+    } else if (")]}".includes(ch) || (ch === ">" && text[i - 1] !== "-")) {
+      depth = Math.max(0, depth - 1);
+    }
+    if (ch === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * The ":" between a pattern and its type; "::" in a path is not one.
+ */
+function findTopLevelColon(entry: string): number {
+  let depth = 0;
+  for (let i = 0; i < entry.length; i++) {
+    const ch = entry[i] ?? "";
+    if ("([{".includes(ch)) depth++;
+    else if (")]}".includes(ch)) depth = Math.max(0, depth - 1);
+    else if (ch === ":" && depth === 0 && entry[i + 1] !== ":" && entry[i - 1] !== ":") {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * " for " outside "<...>": "impl<T> From<Vec<T>> for Stack<T>".
+ */
+function findTopLevelFor(header: string): number {
+  let depth = 0;
+  for (let i = 0; i < header.length; i++) {
+    const ch = header[i];
+    if (ch === "<" || ch === "(") depth++;
+    else if ((ch === ">" && header[i - 1] !== "-") || ch === ")") depth--;
+    else if (depth === 0 && header.startsWith(" for ", i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Start line of the attribute that ends on endLine ("#[cfg(any(\n  unix,\n))]").
+ */
+function findAttributeStart(lines: readonly string[], endLine: number): number {
+  for (let line = endLine; line >= Math.max(0, endLine - MAX_HEADER_LINES); line--) {
+    const trimmed = (lines[line] ?? "").trim();
+    if (ATTRIBUTE.test(trimmed)) {
+      return line;
+    }
+    if (trimmed === "" || trimmed.startsWith("//") || /[;{}]$/.test(trimmed)) {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Remove the indentation shared by all non-blank lines.
+ */
+function dedent(lines: readonly string[]): string[] {
+  const indents = lines
+    .filter((line) => line.trim() !== "")
+    .map((line) => /^[ \t]*/.exec(line)?.[0] ?? "");
+  const common = indents.reduce(
+    (prefix, indent) => {
+      let length = 0;
+      while (length < prefix.length && prefix[length] === indent[length]) length++;
+      return prefix.slice(0, length);
+    },
+    indents[0] ?? "",
+  );
+  return lines.map((line) => line.slice(Math.min(common.length, line.length)).trimEnd());
+}
+
+function trimBlankLines(lines: readonly string[]): string[] {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && (lines[start] ?? "").trim() === "") start++;
+  while (end > start && (lines[end - 1] ?? "").trim() === "") end--;
+  return lines.slice(start, end);
+}
+
+/**
+ * "crate::model::Stack<T>" -> "Stack"
+ */
+function simpleTypeName(type: string): string {
+  return type.replace(/<.*$/, "").replace(/^.*::/, "").trim() || type;
+}
+
+/**
+ * "#[inline] pub fn" -> "pub fn"
+ */
+function stripAttributes(text: string): string {
+  return text.replace(/^\s*(?:#!?\[[^\]]*\]\s*)+/, "");
+}
+
+function collapse(text: string): string {
+  return text.replace(/\s+/g, " ").trim();
+}
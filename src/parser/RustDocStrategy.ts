@@ -0,0 +1,144 @@
+/**
+ * RustDocStrategy.ts - Rust as JavaDocParser reads it
+ *
+ * Purpose:
+ * - Take the "///" Markdown above an item as its comment, split into blocks
+ *   and sections by RustDocParser; parameters and the return type come from the signature.
+ * - Name the file after its module, documented by the "//!" module comment.
+ * - Group methods by impl block: inherent impls join their type (with its
+ *   fields), each trait implementation is a group of its own
+ *   ("impl Display for User"); free functions and constants go to the module.
+ *
+ * Why:
+ * - rust-analyzer reports impl blocks as "impl User" objects holding the methods.
+ * - Items without "pub" are private, but trait items and trait
+ *   implementations are public. Rust documentation has no @since to infer.
+ * - Test modules (#[cfg(test)]) and macro definitions are not API.
+ */
+
+import * as path from "path";
+import type { DocumentSymbol } from "vscode";
+import {
+  isClassLikeSymbol,
+  isFieldSymbol,
+  isInterfaceSymbol,
+  isMethodSymbol,
+  isModuleSymbol,
+} from "./SymbolResolver.js";
+import {
+  cleanRustDoc,
+  extractRustDocComment,
+  extractRustFieldType,
+  extractRustModuleDoc,
+  parseRustDoc,
+  parseRustDocBlocks,
+  parseRustImplName,
+  parseRustSignatureParams,
+  readRustSignature,
+  rustAccessModifier,
+  rustImplGroup,
+} from "./RustDocParser.js";
+import { flattenSymbols, paramTypes, symbolLine } from "./DialectStrategy.js";
+import type { DialectStrategy, FlattenedSymbol } from "./DialectStrategy.js";
+import { javadocStrategy } from "./JavadocStrategy.js";
+
+export const rustDocStrategy: DialectStrategy = {
+  ...javadocStrategy,
+  dialect: "rustdoc",
+  fileIsClass: true,
+  hasSinceTag: false,
+
+  readFileClassInfo: (text, filePath) => {
+    const moduleDoc = extractRustModuleDoc(text.split("\n"));
+    return {
+      className: rustModuleName(filePath),
+      classLine: moduleDoc?.startLine ?? 0,
+      classComment: moduleDoc?.raw ?? "",
+    };
+  },
+  flattenSymbols: (symbols, lines, { className }) => flattenRustSymbols(symbols, lines, className),
+
+  findComment: extractRustDocComment,
+  cleanComment: cleanRustDoc,
+  parseComment: parseRustDoc,
+  parseBlocks: parseRustDocBlocks,
+
+  // Attributes and the body are already dropped while reading
+  readSignature: readRustSignature,
+  readSignatureParams: (signature) => paramTypes(parseRustSignatureParams(signature)),
+  displaySignature: (_symbol, signature) => signature,
+  readDeclaration: (signature) => signature,
+  readAccessModifier: (declaration, _name, container) => {
+    const isTraitMember =
+      container !== undefined &&
+      (isInterfaceSymbol(container) || !!parseRustImplName(container.name)?.trait);
+    return rustAccessModifier(declaration, isTraitMember ? "public" : "private");
+  },
+  readField: (lineText, { symbol, container }) => ({
+    type: extractRustFieldType(lineText, symbol.name),
+    // "static mut" can change, so it is not a constant
+    isConstant: /^(?:pub\b\S*\s+)?(?:const|static)\b(?!\s+mut\b)/.test(lineText),
+    accessModifier: rustDocStrategy.readAccessModifier(lineText, symbol.name, container),
+  }),
+};
+
+/**
+ * mod.rs is named after its directory, lib.rs / main.rs after the crate directory.
+ */
+function rustModuleName(filePath: string): string {
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const directory = path.dirname(filePath);
+  if (baseName === "mod") {
+    return path.basename(directory);
+  }
+  if (baseName === "lib" || baseName === "main") {
+    return path.basename(path.basename(directory) === "src" ? path.dirname(directory) : directory);
+  }
+  return baseName;
+}
+
+/**
+ * Members of inline modules are prefixed with the module path.
+ */
+function flattenRustSymbols(
+  symbols: readonly DocumentSymbol[],
+  lines: readonly string[],
+  moduleName: string,
+): FlattenedSymbol[] {
+  const result: FlattenedSymbol[] = [];
+
+  for (const symbol of symbols) {
+    const group = rustImplGroup(symbol.name);
+    if (group) {
+      result.push(...flattenSymbols(symbol.children, group, symbol));
+    } else if (isClassLikeSymbol(symbol)) {
+      result.push(...flattenSymbols([symbol], ""));
+    } else if (isModuleSymbol(symbol)) {
+      if (!isRustTestModule(lines, symbol)) {
+        result.push(
+          ...flattenRustSymbols(symbol.children, lines, `${moduleName}::${symbol.name}`),
+        );
+      }
+    } else if (
+      (isMethodSymbol(symbol) && !/^\s*macro_rules!/.test(lines[symbolLine(symbol)] ?? "")) ||
+      isFieldSymbol(symbol)
+    ) {
+      result.push({ symbol, belongsTo: moduleName, container: undefined });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * "#[cfg(test)] mod tests { ... }" holds only tests.
+ */
+function isRustTestModule(lines: readonly string[], symbol: DocumentSymbol): boolean {
+  const line = symbolLine(symbol);
+  for (let above = line; above >= Math.max(0, line - 3); above--) {
+    if (/#\[cfg\(test\)\]/.test(lines[above] ?? "")) {
+      return true;
+    }
+  }
+  return false;
+}
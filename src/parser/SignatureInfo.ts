@@ -0,0 +1,140 @@
+/**
+ * SignatureInfo.ts - What a declaration says about its documentation
+ *
+ * Purpose:
+ * - Read parameter names, return type and throws clause from a signature.
+ *
+ * Why:
+ * - Both the linter (tags vs. signature) and the stub generator
+ *   (tags from signature) need the same view of the declaration.
+ */
+
+import type { DocDialect } from "../types.js";
+import { findMatchingIndex, parseReturnType, parseSignatureParams } from "./TagParser.js";
+import { parseTsReturnType, parseTsSignatureParams } from "./JsDocTagParser.js";
+import { parsePythonReturnType, parsePythonSignatureParams } from "./DocstringParser.js";
+import {
+  hasExpressionBody,
+  parseKotlinReturnType,
+  parseKotlinSignatureParams,
+} from "./KDocParser.js";
+import { parseGoResults, parseGoSignatureParams } from "./GoDocParser.js";
+import { parseCSharpReturnType, parseCSharpSignatureParams } from "./XmlDocParser.js";
+import { parseRustReturnType, parseRustSignatureParams } from "./RustDocParser.js";
+
+/**
+ * Documentation-relevant parts of a method declaration.
+ */
+export interface SignatureInfo {
+  readonly params: readonly string[] | null; // null: destructured JS params, names unknown
+  readonly returnType: string | null; // "void" for void / constructors, null: unknown
+  readonly declaredThrows: readonly string[] | null; // null: the language has no throws clause
+}
+
+/**
+ * Purpose: Build SignatureInfo for a method.
+ * @param signature - Full signature (DialectStrategy.readSignature).
+ * @param declaration - Declaration text running past the parameter list
+ *                      (for "throws" and Kotlin expression bodies).
+ */
+export function readSignatureInfo(
+  signature: string,
+  declaration: string,
+  dialect: DocDialect,
+  isConstructor: boolean,
+): SignatureInfo {
+  return {
+    params: readParamNames(signature, dialect),
+    returnType: readReturnType(signature, declaration, dialect, isConstructor),
+    declaredThrows: dialect === "javadoc" ? parseThrowsClause(declaration) : null,
+  };
+}
+
+/**
+ * Purpose: Read the throws clause after a Java parameter list.
+ * @example "void save(User u) throws IOException, SQLException {" -> ["IOException", "SQLException"]
+ */
+export function parseThrowsClause(declaration: string): string[] {
+  const openParen = declaration.indexOf("(");
+  const closeParen = openParen >= 0 ? findMatchingIndex(declaration, openParen, "(", ")") : -1;
+  if (closeParen < 0) {
+    return [];
+  }
+
+  const match = /^\s*throws\s+([^{;]+)/.exec(declaration.slice(closeParen + 1));
+  if (!match?.[1]) {
+    return [];
+  }
+  return match[1]
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean);
+}
+
+function readParamNames(signature: string, dialect: DocDialect): string[] | null {
+  if (dialect === "docstring") {
+    return [...parsePythonSignatureParams(signature).keys()];
+  }
+  if (dialect === "kdoc") {
+    return [...parseKotlinSignatureParams(signature).keys()];
+  }
+  if (dialect === "godoc") {
+    return [...parseGoSignatureParams(signature).keys()];
+  }
+  if (dialect === "xmldoc") {
+    return [...parseCSharpSignatureParams(signature).keys()];
+  }
+  if (dialect === "rustdoc") {
+    return [...parseRustSignatureParams(signature).keys()];
+  }
+  const names =
+    dialect === "javadoc"
+      ? [...parseSignatureParams(signature).keys()]
+      : [...parseTsSignatureParams(signature).keys()];
+  return names.some((name) => /^[{[]/.test(name)) ? null : names;
+}
+
+function readReturnType(
+  signature: string,
+  declaration: string,
+  dialect: DocDialect,
+  isConstructor: boolean,
+): string | null {
+  if (isConstructor) {
+    return "void";
+  }
+  if (dialect === "javadoc") {
+    return parseReturnType(signature);
+  }
+  if (dialect === "docstring") {
+    const annotation = parsePythonReturnType(signature);
+    return annotation && /^(?:None|NoReturn|Never)$/.test(annotation) ? "void" : annotation;
+  }
+  if (dialect === "kdoc") {
+    // No annotation: a block body returns Unit, an expression body an inferred type
+    const type = parseKotlinReturnType(signature);
+    if (type === null) {
+      return hasExpressionBody(declaration) ? null : "void";
+    }
+    return /^(?:Unit|Nothing)$/.test(type) ? "void" : type;
+  }
+  if (dialect === "godoc") {
+    return parseGoResults(signature) ?? "void";
+  }
+  if (dialect === "xmldoc") {
+    // Task / ValueTask have no result, like void
+    return parseCSharpReturnType(signature) ?? "void";
+  }
+  if (dialect === "rustdoc") {
+    // No "->" returns (); "!" never returns
+    const type = parseRustReturnType(signature);
+    return type === null || type === "()" || type === "!" ? "void" : type;
+  }
+  const type = parseTsReturnType(signature);
+  if (type === null) {
+    return null;
+  }
+  return /^(?:void|never|undefined|Promise<void>)$/.test(type.replace(/\s+/g, ""))
+    ? "void"
+    : type;
+}
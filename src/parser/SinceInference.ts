@@ -0,0 +1,196 @@
+/**
+ * SinceInference.ts - @since checks against the release a method first shipped in
+ *
+ * Purpose:
+ * - Decide whether an old version of a file declares a given method.
+ * - Compare a declared @since with the inferred release.
+ *
+ * Why:
+ * - @since is written by hand and is often missing or copied from the class.
+ * - Reading the tagged file versions is the git side (SinceInferenceService);
+ *   the text heuristics here stay pure so they do not depend on VS Code.
+ *
+ * The declaration check is textual: a name followed by a parameter list whose
+ * closing parenthesis is followed by a body, a return annotation ("-> T" in
+ * Python), a Kotlin expression body or "throws".
+ * Calls are told apart by what precedes the name ("." / "new" / "return" ...).
+ */
+
+import type { DocDiagnostic, InferredSince } from "../types.js";
+import { LineNumber } from "../types.js";
+import { findMatchingIndex } from "./TagParser.js";
+
+/**
+ * Words that put a call, not a declaration, right after them.
+ */
+const CALL_PREFIXES: ReadonlySet<string> = new Set([
+  "new",
+  "return",
+  "throw",
+  "else",
+  "case",
+  "await",
+  "yield",
+  "typeof",
+  "in",
+  "of",
+  // Python: "if foo(x):" ends like "def foo(x):"
+  "if",
+  "elif",
+  "while",
+  "not",
+  "and",
+  "or",
+  "assert",
+  "with",
+]);
+
+const OPENING_BRACKETS = "(<[{";
+const CLOSING_BRACKETS = ")>]}";
+
+/**
+ * Purpose: Check whether a source text declares a method.
+ * @param paramCount - Number of parameters; null matches any overload.
+ * Side effects: None.
+ */
+export function containsMethodDeclaration(
+  source: string,
+  name: string,
+  paramCount: number | null,
+): boolean {
+  const pattern = new RegExp(`(^|[^\\w$.#])${escapeRegExp(name)}\\s*\\(`, "g");
+
+  for (const match of source.matchAll(pattern)) {
+    const nameStart = match.index + (match[1]?.length ?? 0);
+    const openParen = match.index + match[0].length - 1;
+    const closeParen = findMatchingIndex(source, openParen, "(", ")");
+    if (closeParen < 0 || isCallSite(source, nameStart)) {
+      continue;
+    }
+    if (!isFollowedByDeclarationTail(source.slice(closeParen + 1), source, nameStart)) {
+      continue;
+    }
+    if (paramCount === null || countParams(source.slice(openParen + 1, closeParen)) === paramCount) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Purpose: Compare the declared @since of a method with the inferred release.
+ * @param classSince - @since of the class; a method without its own tag inherits it.
+ * @param sinceLine - Line of the @since tag, if any.
+ * @returns "missingSince" on the comment, "sinceMismatch" on the tag, or undefined.
+ * Side effects: None.
+ */
+export function checkSince(
+  declared: string | null,
+  classSince: string | undefined,
+  inferred: InferredSince,
+  commentStartLine: number,
+  sinceLine: number | undefined,
+): DocDiagnostic | undefined {
+  const version = normalizeVersion(inferred.version);
+
+  if (declared === null || declared.trim() === "") {
+    if (classSince !== undefined && normalizeVersion(classSince) === version) {
+      return undefined;
+    }
+    return {
+      code: "missingSince",
+      message: `缺少 @since：方法首次出现于标签 ${inferred.tag}，建议 @since ${inferred.version}`,
+      line: LineNumber(commentStartLine),
+    };
+  }
+
+  if (normalizeVersion(declared) === version) {
+    return undefined;
+  }
+  return {
+    code: "sinceMismatch",
+    message: `@since ${declared.trim()} 与 Git 标签不一致：方法首次出现于 ${inferred.tag}`,
+    line: LineNumber(sinceLine ?? commentStartLine),
+  };
+}
+
+/**
+ * Purpose: Turn a release tag into the value written after @since.
+ * @example "v1.2.0" -> "1.2.0", "release-3" -> "release-3"
+ */
+export function versionFromTag(tag: string): string {
+  return tag.replace(/^v(?=\d)/i, "");
+}
+
+/**
+ * "v1.2" and "1.2" are the same release; only the first word of the tag
+ * value counts ("@since 1.2 (beta)").
+ */
+function normalizeVersion(value: string): string {
+  return versionFromTag(value.trim().split(/\s+/)[0] ?? "");
+}
+
+function isCallSite(source: string, nameStart: number): boolean {
+  const before = source.slice(Math.max(0, nameStart - 40), nameStart).trimEnd();
+  const previous = /([\w$]+)$/.exec(before)?.[1];
+  if (previous !== undefined) {
+    return CALL_PREFIXES.has(previous);
+  }
+  // "x = foo(1)", "bar(foo(1))", "a, foo(1)", "!foo(1)"
+  return /[=(,!&|?:+\-*/%]$/.test(before);
+}
+
+/**
+ * What may follow the parameter list of a declaration:
+ * - "{"                       body (Java, JS / TS class methods and functions)
+ * - "throws"                  Java throws clause
+ * - ": Type"                  TS return annotation, end of a Python def header
+ * - "-> Type"                 Python return annotation
+ * - "= expr"                  Kotlin expression body ("==" is a comparison)
+ * - ";"                       abstract / interface method, but only after a
+ *                             return type or modifier ("void foo();"), since a
+ *                             call statement "foo();" ends the same way
+ */
+function isFollowedByDeclarationTail(tail: string, source: string, nameStart: number): boolean {
+  const next = tail.trimStart();
+  if (
+    next.startsWith("{") ||
+    /^throws\b/.test(next) ||
+    next.startsWith(":") ||
+    next.startsWith("->") ||
+    /^=(?!=)/.test(next)
+  ) {
+    return true;
+  }
+  if (!next.startsWith(";")) {
+    return false;
+  }
+  const before = source.slice(Math.max(0, nameStart - 40), nameStart).trimEnd();
+  return /(?:[\w$]|[>\]])$/.test(before);
+}
+
+/**
+ * Count parameters by top-level commas; generics, array literals and
+ * destructuring patterns are skipped by bracket depth.
+ */
+function countParams(list: string): number {
+  if (list.trim() === "") {
+    return 0;
+  }
+  let depth = 0;
+  let count = 1;
+  for (const ch of list) {
+    if (OPENING_BRACKETS.includes(ch)) {
+      depth++;
+    } else if (CLOSING_BRACKETS.includes(ch)) {
+      depth = Math.max(0, depth - 1);
+    } else if (ch === "," && depth === 0) {
+      count++;
+    }
+  }
+  return count;
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
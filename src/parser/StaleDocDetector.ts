@@ -0,0 +1,104 @@
+/**
+ * StaleDocDetector.ts - Doc comments that fell behind their code
+ *
+ * Purpose:
+ * - Flag members whose declaration / body was committed to after the newest
+ *   commit that touched their doc comment.
+ *
+ * Why:
+ * - The usual way docs rot: the body changes, the comment does not.
+ * - Works on the whole-file blame the parser already has, so no extra git call.
+ *
+ * Only committed code lines count as "newer": a body that is being edited
+ * right now should not be reported until the change is committed. Uncommitted
+ * comment lines do count (author-time is "now"), so updating the comment
+ * clears the warning immediately.
+ */
+
+import type { FileBlame, GitBlameInfo } from "../services/GitService.js";
+import type { DocDiagnostic } from "../types.js";
+import { LineNumber } from "../types.js";
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const UNCOMMITTED_HASH = /^0+$/;
+
+/**
+ * How far the code has to run ahead of its comment; 0 disables a criterion.
+ */
+export interface StaleDocThresholds {
+  readonly commits: number; // Distinct commits touching the code after the comment
+  readonly days: number; // Days between the newest comment and the newest code commit
+}
+
+/**
+ * Inclusive 0-based line range.
+ */
+export interface LineRange {
+  readonly start: number;
+  readonly end: number;
+}
+
+/**
+ * Purpose: Compare the blame of a doc comment with the blame of its member.
+ * @param comment - Lines of the doc comment block.
+ * @param code - Declaration and body lines.
+ * @returns A "staleDoc" diagnostic on the first comment line, or undefined.
+ * Side effects: None.
+ */
+export function detectStaleDoc(
+  blame: FileBlame,
+  comment: LineRange,
+  code: LineRange,
+  thresholds: StaleDocThresholds,
+): DocDiagnostic | undefined {
+  if (thresholds.commits <= 0 && thresholds.days <= 0) {
+    return undefined;
+  }
+
+  const commentTime = newestTimestamp(blame, comment);
+  if (commentTime === undefined) {
+    return undefined;
+  }
+
+  const newerCommits = new Map<string, number>(); // hash → author-time
+  for (const info of linesOf(blame, code)) {
+    if (info.timestamp > commentTime && !UNCOMMITTED_HASH.test(info.commitHash)) {
+      newerCommits.set(info.commitHash, info.timestamp);
+    }
+  }
+  if (newerCommits.size === 0) {
+    return undefined;
+  }
+
+  const days = Math.floor((Math.max(...newerCommits.values()) - commentTime) / SECONDS_PER_DAY);
+  const staleByCommits = thresholds.commits > 0 && newerCommits.size >= thresholds.commits;
+  const staleByDays = thresholds.days > 0 && days >= thresholds.days;
+  if (!staleByCommits && !staleByDays) {
+    return undefined;
+  }
+
+  return {
+    code: "staleDoc",
+    message: `文档可能已过期：注释最后修改后，代码又有 ${newerCommits.size} 次提交（晚 ${days} 天）`,
+    line: LineNumber(comment.start),
+  };
+}
+
+function newestTimestamp(blame: FileBlame, range: LineRange): number | undefined {
+  let newest: number | undefined;
+  for (const info of linesOf(blame, range)) {
+    if (newest === undefined || info.timestamp > newest) {
+      newest = info.timestamp;
+    }
+  }
+  return newest;
+}
+
+function* linesOf(blame: FileBlame, range: LineRange): Generator<GitBlameInfo> {
+  for (let line = range.start; line <= range.end; line++) {
+    const info = blame.lines[line];
+    if (info) {
+      yield info;
+    }
+  }
+}
@@ -6,7 +6,13 @@
  */
 
 import * as vscode from "vscode";
-import type { DocumentSymbol, SymbolInformation, Uri } from "vscode";
+import type {
+  CancellationToken,
+  DocumentSymbol,
+  SymbolInformation,
+  Uri,
+} from "vscode";
+import { raceCancellation } from "../utils/cancellation.js";
 
 const EXECUTE_DOCUMENT_SYMBOL_PROVIDER = "vscode.executeDocumentSymbolProvider";
 const MAX_CACHE_ENTRIES = 128;
@@ -15,6 +21,8 @@ const CLASS_LIKE_KINDS: ReadonlySet<vscode.SymbolKind> = new Set([
   vscode.SymbolKind.Class,
   vscode.SymbolKind.Interface,
   vscode.SymbolKind.Enum,
+  vscode.SymbolKind.Object, // Kotlin object / companion object
+  vscode.SymbolKind.Struct, // Go struct
 ]);
 
 const METHOD_KINDS: ReadonlySet<vscode.SymbolKind> = new Set([
@@ -61,8 +69,13 @@ export function clearAllSymbolCache(): void {
  * - Return LRU cache hit for the same open-document version.
  * - Deduplicate concurrent requests for the same URI+version.
  * - Normalize provider output into DocumentSymbol[].
+ * - A cancelled token rejects this caller only; the shared request keeps
+ *   running and still fills the cache for the next caller.
  */
-export async function resolveSymbols(uri: Uri): Promise<DocumentSymbol[]> {
+export async function resolveSymbols(
+  uri: Uri,
+  token?: CancellationToken,
+): Promise<DocumentSymbol[]> {
   const cacheKey = uri.toString();
   const version = getOpenDocumentVersion(cacheKey);
 
@@ -76,7 +89,7 @@ export async function resolveSymbols(uri: Uri): Promise<DocumentSymbol[]> {
   const requestKey = `${cacheKey}#${version ?? "untracked"}`;
   const pending = inFlightRequests.get(requestKey);
   if (pending) {
-    return pending;
+    return raceCancellation(pending, token);
   }
 
   const request = fetchAndNormalizeSymbols(uri)
@@ -91,11 +104,11 @@ export async function resolveSymbols(uri: Uri): Promise<DocumentSymbol[]> {
     });
 
   inFlightRequests.set(requestKey, request);
-  return request;
+  return raceCancellation(request, token);
 }
 
 /**
- * Container kinds: Class / Interface / Enum.
+ * Container kinds: Class / Interface / Enum / Object / Struct.
  */
 export function isClassLikeSymbol(symbol: DocumentSymbol): boolean {
   return CLASS_LIKE_KINDS.has(symbol.kind);
@@ -115,6 +128,55 @@ export function isFieldSymbol(symbol: DocumentSymbol): boolean {
   return FIELD_KINDS.has(symbol.kind);
 }
 
+/**
+ * Constant kind (a Field may still be constant, e.g. Java static final).
+ */
+export function isConstantSymbol(symbol: DocumentSymbol): boolean {
+  return symbol.kind === vscode.SymbolKind.Constant;
+}
+
+/**
+ * Variable kind: package-level Go var (not a member of any class).
+ */
+export function isVariableSymbol(symbol: DocumentSymbol): boolean {
+  return symbol.kind === vscode.SymbolKind.Variable;
+}
+
+/**
+ * Interface kind: members without a modifier are public in a C# interface.
+ */
+export function isInterfaceSymbol(symbol: DocumentSymbol): boolean {
+  return symbol.kind === vscode.SymbolKind.Interface;
+}
+
+/**
+ * Property kind: C# property / TS accessor (not a field of Java).
+ */
+export function isPropertySymbol(symbol: DocumentSymbol): boolean {
+  return symbol.kind === vscode.SymbolKind.Property;
+}
+
+/**
+ * Event kind: C# event.
+ */
+export function isEventSymbol(symbol: DocumentSymbol): boolean {
+  return symbol.kind === vscode.SymbolKind.Event;
+}
+
+/**
+ * Namespace kind: C# namespace block wrapping the types of a file.
+ */
+export function isNamespaceSymbol(symbol: DocumentSymbol): boolean {
+  return symbol.kind === vscode.SymbolKind.Namespace;
+}
+
+/**
+ * Module kind: inline Rust "mod name { ... }" block.
+ */
+export function isModuleSymbol(symbol: DocumentSymbol): boolean {
+  return symbol.kind === vscode.SymbolKind.Module;
+}
+
 /**
  * Enum member kind.
  */
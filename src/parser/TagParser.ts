@@ -24,16 +24,19 @@ type SupportedTag =
   | "doc"
   | "example";
 
-interface ParsedTagBlock {
-  readonly tag: SupportedTag;
+/**
+ * One tag with its (possibly multi-line) content.
+ */
+export interface ParsedTagBlock<T extends string = string> {
+  readonly tag: T;
   readonly content: string;
 }
 
 /**
- * Regex pattern to identify Javadoc tag lines.
+ * Regex pattern to identify tag lines. Unknown tag names are filtered by the caller.
  */
 const TAG_LINE_PATTERN =
-  /^\s*\*?\s*@(?<tag>param|return|returns|throws|exception|since|author|deprecated|see|doc|example)\b\s*(?<content>.*)$/i;
+  /^\s*\*?\s*@(?<tag>[A-Za-z]+)\b\s*(?<content>.*)$/;
 
 /**
  * 参数前可忽略的修饰符集合
@@ -57,7 +60,7 @@ export function parseTagTable(rawTags: string, signature: string): TagTable {
     return createEmptyTagTable();
   }
 
-  const blocks = tokenizeTagBlocks(rawTags);
+  const blocks = tokenizeTagBlocks(rawTags, isSupportedTag);
   if (blocks.length === 0) {
     return createEmptyTagTable();
   }
@@ -147,6 +150,10 @@ export function parseTagTable(rawTags: string, signature: string): TagTable {
     see: seeTags,
     doc,
     example,
+    templates: [],
+    typedefs: [],
+    properties: [],
+    remarks: null,
   };
 }
 
@@ -165,18 +172,26 @@ export function createEmptyTagTable(): TagTable {
     see: [],
     doc: null,
     example: null,
+    templates: [],
+    typedefs: [],
+    properties: [],
+    remarks: null,
   };
 }
 
 /**
  * Purpose: Tokenize raw tag text by lines into stable blocks.
  * Why: Regex split can break when descriptions include "@tag" as plain text.
+ * @param isKnownTag - Dialect tag filter; unknown "@xxx" lines stay in the active block.
  */
-function tokenizeTagBlocks(rawTags: string): readonly ParsedTagBlock[] {
-  const blocks: ParsedTagBlock[] = [];
+export function tokenizeTagBlocks<T extends string>(
+  rawTags: string,
+  isKnownTag: (value: string) => value is T,
+): readonly ParsedTagBlock<T>[] {
+  const blocks: ParsedTagBlock<T>[] = [];
   const lines = rawTags.split(/\r?\n/);
 
-  let activeTag: SupportedTag | null = null;
+  let activeTag: T | null = null;
   let buffer: string[] = [];
 
   const flush = (): void => {
@@ -194,13 +209,11 @@ function tokenizeTagBlocks(rawTags: string): readonly ParsedTagBlock[] {
   for (const rawLine of lines) {
     const line = normalizeJavadocLine(rawLine);
     const match = TAG_LINE_PATTERN.exec(line);
-    if (match?.groups) {
+    const tagText = (match?.groups?.["tag"] ?? "").toLowerCase();
+    if (match?.groups && isKnownTag(tagText)) {
       flush();
-      const tagText = (match.groups["tag"] ?? "").toLowerCase();
-      if (isSupportedTag(tagText)) {
-        activeTag = tagText;
-        buffer.push((match.groups["content"] ?? "").trim());
-      }
+      activeTag = tagText;
+      buffer.push((match.groups["content"] ?? "").trim());
       continue;
     }
     if (activeTag) {
@@ -287,7 +300,7 @@ function parseThrowsTag(content: string): ThrowsTag | null {
  * Purpose: Parse parameter name -> type mapping from method signature.
  * Why: Enrich @param tags with concrete parameter types.
  */
-function parseSignatureParams(signature: string): Map<string, string> {
+export function parseSignatureParams(signature: string): Map<string, string> {
   //result map : name -> type
   const result = new Map<string, string>();
   const paramsText = extractParenContent(signature);
@@ -327,7 +340,7 @@ function parseSignatureParams(signature: string): Map<string, string> {
  * Purpose: Extract content inside the first top-level (...) pair.
  * @example : "public void foo(int x, String y)" -> "int x, String y"
  */
-function extractParenContent(signature: string): string | null {
+export function extractParenContent(signature: string): string | null {
   const openParen = signature.indexOf("(");
   if (openParen < 0) {
     return null;
@@ -385,7 +398,7 @@ function stripAnnotationsAndModifiers(paramDecl: string): string {
  * - @NotNull
  * - @RequestParam("id")
  */
-function stripLeadingAnnotation(text: string): string {
+export function stripLeadingAnnotation(text: string): string {
   // 1) Skip "@AnnotationName" (including package path).
   let index = 1; // skip '@'
   while (index < text.length && /[\w.]/.test(text[index] ?? "")) {
@@ -411,14 +424,15 @@ function stripLeadingAnnotation(text: string): string {
 
 /**
  * Purpose: Split by commas only at top level.
- * Why: Generic arguments can contain commas.
+ * Why: Generic arguments, TS object types and destructuring can contain commas.
  * @example: "Map<String, List<Integer>>, int[]" -> ["Map<String, List<Integer>>", "int[]"]
  */
-function splitByTopLevelComma(paramsText: string): string[] {
+export function splitByTopLevelComma(paramsText: string): string[] {
   const result: string[] = [];
   let current = "";
   let angleDepth = 0;
   let parenDepth = 0;
+  let braceDepth = 0;
 
   for (const ch of paramsText) {
     //enter the generic layer
@@ -427,9 +441,11 @@ function splitByTopLevelComma(paramsText: string): string[] {
       current += ch;
       continue;
     }
-    //exit the generic layer
+    //exit the generic layer ("=>" / "->" of a TS / Kotlin function type is not a generic close)
     if (ch === ">") {
-      angleDepth = Math.max(0, angleDepth - 1);
+      if (!current.endsWith("=") && !current.endsWith("-")) {
+        angleDepth = Math.max(0, angleDepth - 1);
+      }
       current += ch;
       continue;
     }
@@ -445,7 +461,23 @@ function splitByTopLevelComma(paramsText: string): string[] {
       current += ch;
       continue;
     }
-    if (ch === "," && angleDepth === 0 && parenDepth === 0) {
+    //enter/exit TS object type, destructuring or array pattern
+    if (ch === "{" || ch === "[") {
+      braceDepth++;
+      current += ch;
+      continue;
+    }
+    if (ch === "}" || ch === "]") {
+      braceDepth = Math.max(0, braceDepth - 1);
+      current += ch;
+      continue;
+    }
+    if (
+      ch === "," &&
+      angleDepth === 0 &&
+      parenDepth === 0 &&
+      braceDepth === 0
+    ) {
       result.push(current);
       current = "";
       continue;
@@ -469,7 +501,7 @@ function splitByTopLevelComma(paramsText: string): string[] {
  * - Constructor-like signatures fallback to "void".
  * @example : "public List<String> getItems()" -> "List<String>"
  */
-function parseReturnType(signature: string): string {
+export function parseReturnType(signature: string): string {
   const cleanSignature = signature.replace(/\{[\s\S]*$/, "").trim();
   const withoutGenericDecl = removeMethodGenericDecl(cleanSignature);
   const withoutModifiers = withoutGenericDecl.replace(
@@ -522,7 +554,7 @@ function removeMethodGenericDecl(signature: string): string {
  * Purpose: Find matching close token for an opening token at startIndex.
  * @returns Matched close index, or -1 if unmatched.
  */
-function findMatchingIndex(
+export function findMatchingIndex(
   text: string,
   startIndex: number,
   openToken: string,
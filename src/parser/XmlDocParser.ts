@@ -0,0 +1,529 @@
+/**
+ * XmlDocParser.ts - C# XML documentation comments and the declarations they document
+ *
+ * Purpose:
+ * - Collect the "///" lines above a declaration (attribute lines may sit in between).
+ * - Map <summary>, <param>, <typeparam>, <returns>, <exception>, <remarks>,
+ *   <example>, <seealso> and <inheritdoc/> onto TagTable.
+ * - Rewrite inline elements (<see cref>, <c>, <paramref>, <para>, <list>) as
+ *   Javadoc inline tags and plain text.
+ * - Read parameters and the return type from a C# method header.
+ * - Map C# accessibility onto AccessModifier.
+ *
+ * Why:
+ * - The sidebar, LinkResolver and InheritDocMerger already understand
+ *   {@link} / {@code} / {@inheritDoc}; translating once keeps them unchanged.
+ * - "protected internal" is also visible to derived types in other assemblies,
+ *   so it counts as protected; "private protected" never leaves the assembly,
+ *   so it counts as internal.
+ */
+
+import type {
+  AccessModifier,
+  ParamTag,
+  ReturnTag,
+  TagTable,
+  TemplateTag,
+  ThrowsTag,
+} from "../types.js";
+import { createEmptyTagTable, findMatchingIndex, splitByTopLevelComma } from "./TagParser.js";
+import type { SignatureParam } from "./JsDocTagParser.js";
+
+/**
+ * A doc comment as written in the source, "///" markers included.
+ */
+export interface XmlDocComment {
+  readonly raw: string;
+  readonly startLine: number; // Line of the first "///"
+}
+
+/**
+ * Result of parsing a doc comment.
+ */
+export interface XmlDoc {
+  readonly description: string;
+  readonly tags: TagTable;
+}
+
+const DOC_LINE = /^\s*\/\/\/(?!\/)/;
+
+const ATTRIBUTE_LINE = /^\s*\[.*\]\s*(?:\/\/.*)?$/;
+
+/**
+ * Top-level elements; the body is matched lazily up to the same closing tag.
+ */
+const SECTION =
+  /<(summary|remarks|returns|value|example|param|typeparam|exception|seealso|inheritdoc|permission|include)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
+
+const MODIFIERS =
+  /\b(?:public|private|protected|internal|static|virtual|override|abstract|sealed|async|extern|unsafe|new|partial|readonly|required|volatile|const|fixed)\b/g;
+
+/**
+ * Words followed by "(" that do not start a parameter list.
+ */
+const NON_NAME_WORDS: ReadonlySet<string> = new Set([
+  "public",
+  "private",
+  "protected",
+  "internal",
+  "static",
+  "virtual",
+  "override",
+  "abstract",
+  "sealed",
+  "async",
+  "extern",
+  "unsafe",
+  "new",
+  "partial",
+  "readonly",
+  "ref",
+]);
+
+const ENTITIES: Readonly<Record<string, string>> = {
+  lt: "<",
+  gt: ">",
+  amp: "&",
+  quot: '"',
+  apos: "'",
+};
+
+const MAX_HEADER_LINES = 15;
+
+// ========== Comments ==========
+
+/**
+ * Purpose: Find the "///" comment above a declaration.
+ * Why: Attributes usually stand between the comment and the declaration:
+ *      "/// <summary>..." / "[HttpGet]" / "public User Get(int id)".
+ * @returns null when there is no "///" comment.
+ */
+export function extractXmlDocComment(
+  lines: readonly string[],
+  targetLine: number,
+): XmlDocComment | null {
+  let end = targetLine;
+  while (end > 0 && ATTRIBUTE_LINE.test(lines[end - 1] ?? "")) {
+    end--;
+  }
+  let start = end;
+  while (start > 0 && DOC_LINE.test(lines[start - 1] ?? "")) {
+    start--;
+  }
+  return start < end ? { raw: lines.slice(start, end).join("\n"), startLine: start } : null;
+}
+
+/**
+ * Purpose: Strip the "///" markers.
+ * @example "/// <summary>\n/// Finds a user.\n/// </summary>"
+ *          -> "<summary>\nFinds a user.\n</summary>"
+ */
+export function cleanXmlDoc(raw: string): string {
+  return raw
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/^\s*\/\/\/ ?/, ""))
+    .join("\n")
+    .trim();
+}
+
+/**
+ * Purpose: Parse a doc comment into description and tags.
+ * Why: Text outside any element (a comment without <summary>) is the description;
+ *      a bare <inheritdoc/> becomes "{@inheritDoc}" so the merger fills it in.
+ * @param signature - Method signature, for parameter and return types.
+ */
+export function parseXmlDoc(raw: string, signature: string): XmlDoc {
+  const xml = cleanXmlDoc(raw);
+  const signatureParams = parseCSharpSignatureParams(signature);
+
+  const params: ParamTag[] = [];
+  const templates: TemplateTag[] = [];
+  const throwsTags: ThrowsTag[] = [];
+  const seeTags: string[] = [];
+
+  let summary: string | null = null;
+  let remarks: string | null = null;
+  let example: string | null = null;
+  let returnTag: ReturnTag | null = null;
+  let inherits = false;
+
+  for (const match of xml.matchAll(SECTION)) {
+    const element = match[1] ?? "";
+    const attributes = match[2] ?? "";
+    const body = toInlineText(match[3] ?? "");
+
+    switch (element) {
+      case "summary":
+        summary = body;
+        break;
+
+      case "remarks":
+        remarks = body || null;
+        break;
+
+      case "example":
+        example = toExampleText(match[3] ?? "") || null;
+        break;
+
+      case "returns":
+        returnTag = { type: parseCSharpReturnType(signature) ?? "unknown", description: body };
+        break;
+
+      case "param": {
+        const name = readAttribute(attributes, "name");
+        if (!name) break;
+        const param = signatureParams.get(name);
+        params.push({
+          name,
+          type: param?.type ?? "",
+          description: body,
+          ...(param?.optional && { optional: true }),
+          ...(param?.defaultValue && { defaultValue: param.defaultValue }),
+        });
+        break;
+      }
+
+      case "typeparam": {
+        const name = readAttribute(attributes, "name");
+        if (name) {
+          templates.push({ name, constraint: "", description: body });
+        }
+        break;
+      }
+
+      case "exception": {
+        const cref = readAttribute(attributes, "cref");
+        if (cref) {
+          throwsTags.push({ type: crefToLinkTarget(cref), description: body });
+        }
+        break;
+      }
+
+      case "seealso": {
+        const cref = readAttribute(attributes, "cref");
+        const href = readAttribute(attributes, "href");
+        if (cref) {
+          seeTags.push(body ? `${crefToLinkTarget(cref)} ${body}` : crefToLinkTarget(cref));
+        } else if (href) {
+          seeTags.push(`{@linkplain ${href} ${body || href}}`);
+        }
+        break;
+      }
+
+      case "inheritdoc":
+        inherits = true;
+        break;
+    }
+  }
+
+  const loose = toInlineText(xml.replace(SECTION, ""));
+  const description = summary ?? (loose || (inherits ? "{@inheritDoc}" : ""));
+  return {
+    description,
+    tags: {
+      ...createEmptyTagTable(),
+      params,
+      returns: returnTag,
+      throws: throwsTags,
+      see: seeTags,
+      example,
+      templates,
+      remarks,
+    },
+  };
+}
+
+/**
+ * Purpose: Turn a cref into a Javadoc link target.
+ * Why: LinkResolver reads "Type#member(args)"; crefs write "Type.Member(args)",
+ *      may carry an ID prefix ("M:") and write generics as "List{T}".
+ * @example "M:App.UserService.Find(System.Int32)" -> "App.UserService#Find(System.Int32)"
+ * @example "T:App.User" -> "App.User"
+ */
+export function crefToLinkTarget(cref: string): string {
+  const prefix = /^([A-Z]):/.exec(cref)?.[1];
+  const target = cref.replace(/^[A-Z]:/, "").replace(/\{/g, "<").replace(/\}/g, ">").trim();
+  const openParen = target.indexOf("(");
+  const name = openParen >= 0 ? target.slice(0, openParen) : target;
+
+  const isMember = openParen >= 0 || (prefix !== undefined && prefix !== "T" && prefix !== "N");
+  if (!isMember) {
+    return target;
+  }
+  const dot = name.lastIndexOf(".");
+  return dot < 0 ? `#${target}` : `${target.slice(0, dot)}#${target.slice(dot + 1)}`;
+}
+
+// ========== Signatures ==========
+
+/**
+ * Purpose: Read a member header, which may span several lines.
+ * @param startLine - Line of the member name.
+ * @example "public Task<User> FindAsync(\n    int id)\n{" -> "public Task<User> FindAsync( int id)"
+ */
+export function readCSharpSignature(lines: readonly string[], startLine: number): string {
+  const lastLine = Math.min(lines.length, startLine + MAX_HEADER_LINES) - 1;
+  let header = "";
+
+  for (let lineIndex = startLine; lineIndex <= lastLine; lineIndex++) {
+    header = stripAttributes(`${header} ${(lines[lineIndex] ?? "").replace(/\/\/.*$/, "")}`);
+    const list = findParameterList(header);
+    // Properties, fields and events end before any parameter list: "Count => _items.Count()"
+    const end = findDeclarationEnd(header);
+    if (end >= 0 && (!list || end < list.open)) {
+      return collapse(header.slice(0, end));
+    }
+    if (list) {
+      return collapse(header.slice(0, list.close + 1));
+    }
+  }
+
+  return collapse(header);
+}
+
+/**
+ * Purpose: Parse "name -> type" mapping from a C# signature.
+ * Handles attributes, "this" / "ref" / "out" / "in" / "params" (kept in the type)
+ * and defaults "int limit = 10".
+ * @example "Find(int id, params string[] tags, int limit = 10)"
+ *          -> id: int / tags: params string[] / limit: int (default 10)
+ */
+export function parseCSharpSignatureParams(signature: string): Map<string, SignatureParam> {
+  const params = new Map<string, SignatureParam>();
+  const list = findParameterList(stripAttributes(signature));
+  if (!list) {
+    return params;
+  }
+
+  const inner = stripAttributes(signature).slice(list.open + 1, list.close);
+  for (const entry of splitByTopLevelComma(inner)) {
+    const cleaned = stripAttributes(entry.trim());
+    const equals = cleaned.indexOf("=");
+    const declaration = (equals >= 0 ? cleaned.slice(0, equals) : cleaned).trim();
+    const defaultValue = equals >= 0 ? cleaned.slice(equals + 1).trim() : null;
+
+    const match = /^(.*\S)\s+@?([A-Za-z_]\w*)$/.exec(declaration);
+    if (!match?.[1] || !match[2]) {
+      continue;
+    }
+    params.set(match[2], {
+      type: match[1].replace(/^this\s+/, ""),
+      optional: defaultValue !== null,
+      defaultValue,
+    });
+  }
+  return params;
+}
+
+/**
+ * Purpose: Read the return type in front of the method name.
+ * @example "public async Task<User> FindAsync(int id)" -> "Task<User>"
+ * @returns "void" for void, Task and ValueTask; null for constructors.
+ */
+export function parseCSharpReturnType(signature: string): string | null {
+  const header = stripAttributes(signature);
+  const list = findParameterList(header);
+  if (!list) {
+    return null;
+  }
+
+  const beforeName = header.slice(0, list.nameStart).replace(MODIFIERS, "").trim();
+  if (!beforeName) {
+    return null;
+  }
+  return /^(?:void|Task|ValueTask)$/.test(beforeName) ? "void" : beforeName;
+}
+
+/**
+ * Purpose: C# accessibility of a declaration.
+ * Why: Members without a modifier are private, except interface members,
+ *      which are public (the caller passes the default).
+ */
+export function csharpAccessModifier(
+  declaration: string,
+  defaultAccess: AccessModifier,
+): AccessModifier {
+  const head = stripAttributes(declaration);
+  if (/\bprotected\s+internal\b|\binternal\s+protected\b/.test(head)) {
+    return "protected";
+  }
+  if (/\bprivate\s+protected\b|\bprotected\s+private\b/.test(head)) {
+    return "internal";
+  }
+  const match = /\b(public|protected|private|internal)\b/.exec(head);
+  return (match?.[1] as AccessModifier | undefined) ?? defaultAccess;
+}
+
+/**
+ * Purpose: Read the type of a field, property or event from its line.
+ * @example ("public string Name { get; set; }", "Name") -> "string"
+ * @example ("public event EventHandler Saved;", "Saved") -> "event EventHandler"
+ * @example ("public record User(string Name, int Age);", "Age") -> "int"
+ */
+export function extractCSharpMemberType(line: string, name: string): string {
+  const code = stripAttributes(line.replace(/\/\/.*$/, ""));
+  const nameIndex = code.search(new RegExp(`@?\\b${name}\\b`));
+  if (nameIndex < 0) {
+    return "";
+  }
+
+  const beforeName = code.slice(0, nameIndex);
+  // A positional record parameter: take the last entry of the parameter list
+  const openParen = beforeName.lastIndexOf("(");
+  if (openParen >= 0) {
+    const entries = splitByTopLevelComma(beforeName.slice(openParen + 1));
+    return stripAttributes((entries[entries.length - 1] ?? "").trim());
+  }
+  return beforeName.replace(MODIFIERS, "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Purpose: Locate the parameter list: the first "(" that follows a name which
+ *          is not a modifier, so a tuple return type "(int, string) Get()" is skipped.
+ * Why: Scanning back from "(" over "<...>" keeps "Task<T> Find<T>(" from
+ *      reading "Task" as the name.
+ */
+function findParameterList(
+  text: string,
+): { nameStart: number; open: number; close: number } | null {
+  for (let open = text.indexOf("("); open >= 0; open = text.indexOf("(", open + 1)) {
+    let end = open;
+    while (end > 0 && /\s/.test(text[end - 1] ?? "")) end--;
+    if (text[end - 1] === ">") {
+      end = skipTypeArgumentsBackward(text, end - 1);
+      while (end > 0 && /\s/.test(text[end - 1] ?? "")) end--;
+    }
+    const name = /@?[A-Za-z_]\w*$/.exec(text.slice(0, end));
+    if (!name || NON_NAME_WORDS.has(name[0])) {
+      continue;
+    }
+    const close = findMatchingIndex(text, open, "(", ")");
+    return close >= 0 ? { nameStart: name.index, open, close } : null;
+  }
+  return null;
+}
+
+/**
+ * Purpose: Index of the "<" matching the ">" at index close, or close when unbalanced.
+ */
+function skipTypeArgumentsBackward(text: string, close: number): number {
+  let depth = 0;
+  for (let i = close; i >= 0; i--) {
+    if (text[i] === ">") depth++;
+    else if (text[i] === "<" && --depth === 0) return i;
+  }
+  return close;
+}
+
+/**
+ * Purpose: Index of the first "{", "=", "=>" or ";" outside parentheses, or -1.
+ */
+function findDeclarationEnd(text: string): number {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "(") {
+      depth++;
+    } else if (ch === ")") {
+      depth--;
+    } else if (depth === 0 && (ch === "{" || ch === "=" || ch === ";")) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Purpose: Drop leading "[Attribute(...)]" groups.
+ */
+function stripAttributes(text: string): string {
+  let rest = text.trimStart();
+  while (rest.startsWith("[")) {
+    const close = findMatchingIndex(rest, 0, "[", "]");
+    if (close < 0) {
+      break;
+    }
+    rest = rest.slice(close + 1).trimStart();
+  }
+  return rest;
+}
+
+// ========== Inline elements ==========
+
+/**
+ * Purpose: Rewrite inline elements as Javadoc inline tags and plain text.
+ * @example 'Returns <see langword="null"/> when <paramref name="id"/> is unknown.'
+ *          -> "Returns {@code null} when {@code id} is unknown."
+ */
+function toInlineText(xml: string): string {
+  const text = xml
+    .replace(/<see\s+langword\s*=\s*["']([^"']*)["']\s*\/>/g, "{@code $1}")
+    .replace(
+      /<see\s+cref\s*=\s*["']([^"']*)["']\s*(?:\/>|>([\s\S]*?)<\/see>)/g,
+      (_, cref: string, label: string | undefined) =>
+        label?.trim()
+          ? `{@link ${crefToLinkTarget(cref)} ${label.trim()}}`
+          : `{@link ${crefToLinkTarget(cref)}}`,
+    )
+    .replace(
+      /<see\s+href\s*=\s*["']([^"']*)["']\s*(?:\/>|>([\s\S]*?)<\/see>)/g,
+      (_, href: string, label: string | undefined) => `{@linkplain ${href} ${label?.trim() || href}}`,
+    )
+    .replace(/<(?:paramref|typeparamref)\s+name\s*=\s*["']([^"']*)["']\s*\/>/g, "{@code $1}")
+    .replace(/<c>([\s\S]*?)<\/c>/g, "{@code $1}")
+    .replace(/<code>([\s\S]*?)<\/code>/g, (_, code: string) => `\n\n${code.replace(/^\n+|\s+$/g, "")}\n\n`)
+    .replace(/<list\b[^>]*>([\s\S]*?)<\/list>/g, (_, items: string) => `\n${toListText(items)}\n`)
+    .replace(/<\/?para\s*>|<para\s*\/>/g, "\n\n")
+    .replace(/<br\s*\/?>/g, "\n")
+    .replace(/<\/?[A-Za-z][^>]*>/g, "");
+
+  return decodeEntities(text)
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Purpose: "<item><term>a</term><description>b</description></item>" -> "- a — b"
+ */
+function toListText(items: string): string {
+  return [...items.matchAll(/<item>([\s\S]*?)<\/item>/g)]
+    .map((item) => {
+      const body = item[1] ?? "";
+      const term = /<term>([\s\S]*?)<\/term>/.exec(body)?.[1]?.trim();
+      const description = (/<description>([\s\S]*?)<\/description>/.exec(body)?.[1] ?? body)
+        .replace(/<term>[\s\S]*?<\/term>/, "")
+        .trim();
+      return term ? `- ${term} — ${description}` : `- ${description}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Purpose: <example> is shown verbatim, so only markup is removed.
+ */
+function toExampleText(xml: string): string {
+  return decodeEntities(
+    xml
+      .replace(/<\/?code\s*>/g, "\n")
+      .replace(/<\/?para\s*>/g, "\n")
+      .replace(/<\/?[A-Za-z][^>]*>/g, ""),
+  )
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function readAttribute(attributes: string, name: string): string | null {
+  return new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`).exec(attributes)?.[1] ?? null;
+}
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(lt|gt|amp|quot|apos);/g, (_, entity: string) => ENTITIES[entity] ?? "");
+}
+
+function collapse(text: string): string {
+  return text.replace(/\s+/g, " ").trim();
+}
@@ -0,0 +1,83 @@
+/**
+ * XmlDocStrategy.ts - C# as JavaDocParser reads it
+ *
+ * Purpose:
+ * - Take the "///" XML comment above a declaration, converted to tags by XmlDocParser.
+ * - Unwrap namespace blocks before looking for the class and flattening.
+ * - List properties and events with the fields; document the positional
+ *   parameters of a record from the record's <param> elements.
+ *
+ * Why:
+ * - A namespace block only wraps types; the types inside are what the file documents.
+ * - A record parameter shares the record's line, so the comment above that
+ *   line belongs to the record, and the parameter is a public property.
+ * - Members without a modifier are private, interface members public.
+ * - XML documentation has no @since to infer.
+ */
+
+import type { DocumentSymbol } from "vscode";
+import {
+  isEventSymbol,
+  isFieldSymbol,
+  isInterfaceSymbol,
+  isNamespaceSymbol,
+  isPropertySymbol,
+} from "./SymbolResolver.js";
+import {
+  csharpAccessModifier,
+  extractCSharpMemberType,
+  extractXmlDocComment,
+  parseCSharpSignatureParams,
+  parseXmlDoc,
+  readCSharpSignature,
+} from "./XmlDocParser.js";
+import { isOnContainerLine, paramTypes } from "./DialectStrategy.js";
+import type { DialectStrategy } from "./DialectStrategy.js";
+import { javadocStrategy } from "./JavadocStrategy.js";
+
+export const xmlDocStrategy: DialectStrategy = {
+  ...javadocStrategy,
+  dialect: "xmldoc",
+  hasSinceTag: false,
+  propertyTags: ["params"],
+
+  topLevelSymbols: unwrapNamespaces,
+  // The first namespace, block-scoped or file-scoped
+  readPackageName: (text) => /^\s*namespace\s+([\w.]+)/m.exec(text)?.[1] ?? "",
+  isField: (symbol) => isFieldSymbol(symbol) || isPropertySymbol(symbol) || isEventSymbol(symbol),
+
+  findComment: extractXmlDocComment,
+  cleanComment: (raw) => parseXmlDoc(raw, "").description,
+  parseComment: parseXmlDoc,
+
+  readSignature: readCSharpSignature,
+  readSignatureParams: (signature) => paramTypes(parseCSharpSignatureParams(signature)),
+  displaySignature: (_symbol, signature) => signature,
+  readAccessModifier: (declaration, _name, container) =>
+    csharpAccessModifier(
+      declaration,
+      container && isInterfaceSymbol(container) ? "public" : "private",
+    ),
+  isPositionalParameter: isOnContainerLine,
+  readField: (lineText, flattened) => {
+    const { symbol, container } = flattened;
+    return {
+      type: symbol.detail || extractCSharpMemberType(lineText, symbol.name),
+      isConstant:
+        /\bconst\b/.test(lineText) ||
+        (/\bstatic\b/.test(lineText) && /\breadonly\b/.test(lineText)),
+      accessModifier: isOnContainerLine(flattened)
+        ? "public"
+        : xmlDocStrategy.readAccessModifier(lineText, symbol.name, container),
+    };
+  },
+};
+
+/**
+ * Namespaces may nest, and one file may hold several.
+ */
+function unwrapNamespaces(symbols: readonly DocumentSymbol[]): DocumentSymbol[] {
+  return symbols.flatMap((symbol) =>
+    isNamespaceSymbol(symbol) ? unwrapNamespaces(symbol.children) : [symbol],
+  );
+}
@@ -0,0 +1,327 @@
+/**
+ * ApiChangeReportService.ts - 两个 Git 版本之间的公开 API 变更报告
+ *
+ * 【流程】
+ * 1. 选择旧版本和新版本（标签、分支或手动输入），解析为提交哈希
+ * 2. git diff --name-status 找到两版本之间改动的源文件（检测重命名）
+ * 3. 用 JavaDocParser 分别解析文件的两个版本（GitRevisionProvider 提供的只读文档），
+ *    收集 public / protected 成员并按声明比较（见 utils/apiDiff.ts）
+ * 4. 生成 Markdown 报告：可能的破坏性变更 → 按文件列出新增、删除、变更的成员
+ *
+ * 【为什么用提交哈希而不是分支名？】
+ * 虚拟文档按 URI 缓存内容，分支移动后同一 URI 会得到过期的内容；提交哈希指向的内容不变
+ *
+ * 解析时关闭继承文档和 Git；扫描在可取消的进度通知中进行，取消后不生成报告
+ */
+
+import * as vscode from "vscode";
+import type { CancellationToken, QuickPickItem } from "vscode";
+import type { JavaDocParser, ParseOptions } from "../parser/JavaDocParser.js";
+import { getDialectStrategy } from "../parser/DialectRegistry.js";
+import type { CommitFileChange } from "../types.js";
+import { getDocDialect } from "../types.js";
+import { collectApiMembers, diffApiMembers } from "../utils/apiDiff.js";
+import type { ApiChange, ApiMember } from "../utils/apiDiff.js";
+import { isCancellationError } from "../utils/cancellation.js";
+import { gitService } from "./GitService.js";
+import { toRevisionUri } from "./GitRevisionProvider.js";
+import { isSourceFilePath } from "./WorkspaceFiles.js";
+
+const SCAN_PARSE_OPTIONS: ParseOptions = {
+  resolveInheritedDocs: false,
+  includeGitInfo: false,
+};
+
+const KIND_LABELS: Readonly<Record<ApiMember["kind"], string>> = {
+  method: "方法",
+  constructor: "构造函数",
+  field: "字段",
+  enumConstant: "枚举常量",
+};
+
+/**
+ * 比较的一端
+ */
+interface ApiRevision {
+  readonly ref: string; // 用户选择的名称，如 "v1.2.0"
+  readonly commit: string;
+}
+
+/**
+ * 单个文件的比较结果
+ */
+interface FileApiChanges {
+  readonly path: string; // 新版本中的仓库相对路径（删除的文件为旧路径）
+  readonly previousPath: string | null; // 重命名前的路径
+  readonly changes: readonly ApiChange[];
+}
+
+interface RefItem extends QuickPickItem {
+  readonly ref: string | null; // null 表示手动输入
+}
+
+/**
+ * 选择两个版本并打开 API 变更报告
+ *
+ * @param cwd - 仓库内任意目录
+ */
+export async function runApiChangeReport(
+  parser: JavaDocParser,
+  cwd: string | undefined,
+): Promise<void> {
+  if (!cwd) {
+    void vscode.window.showWarningMessage("请先打开 Git 仓库中的文件或文件夹");
+    return;
+  }
+
+  const [tags, branches] = await Promise.all([
+    gitService.listTagNames(cwd),
+    gitService.listBranches(cwd),
+  ]);
+  const from = await pickRevision(cwd, "选择旧版本（比较起点）", [...tags, ...branches]);
+  if (!from) {
+    return;
+  }
+  const to = await pickRevision(cwd, `选择新版本（与 ${from.ref} 比较）`, [
+    "HEAD",
+    ...tags,
+    ...branches,
+  ]);
+  if (!to) {
+    return;
+  }
+
+  const results = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: `比较 API：${from.ref} → ${to.ref}`,
+      cancellable: true,
+    },
+    (progress, token) => compareRevisions(parser, cwd, from, to, progress, token),
+  );
+
+  if (results === "failed") {
+    void vscode.window.showErrorMessage(`无法列出 ${from.ref} 和 ${to.ref} 之间改动的文件`);
+    return;
+  }
+  if (!results) {
+    void vscode.window.showInformationMessage("已取消 API 变更报告");
+    return;
+  }
+
+  const document = await vscode.workspace.openTextDocument({
+    language: "markdown",
+    content: buildApiChangeReport(from, to, results.files, results.compared),
+  });
+  await vscode.window.showTextDocument(document, { preview: false });
+}
+
+/**
+ * 选择版本（列表或手动输入），返回解析后的提交；取消或版本不存在时返回 null
+ */
+async function pickRevision(
+  cwd: string,
+  placeHolder: string,
+  refs: readonly string[],
+): Promise<ApiRevision | null> {
+  const items: RefItem[] = [
+    ...refs.map((ref) => ({ label: ref, ref })),
+    { label: "$(edit) 输入分支、标签或提交…", ref: null },
+  ];
+  const selected = await vscode.window.showQuickPick(items, { placeHolder });
+  if (!selected) {
+    return null;
+  }
+
+  const ref = (
+    selected.ref ?? (await vscode.window.showInputBox({ prompt: placeHolder })) ?? ""
+  ).trim();
+  if (!ref) {
+    return null;
+  }
+
+  const commit = await gitService.resolveCommit(cwd, ref);
+  if (!commit) {
+    void vscode.window.showErrorMessage(`找不到版本 ${ref}`);
+    return null;
+  }
+  return { ref, commit };
+}
+
+/**
+ * 逐个比较改动的源文件，取消时返回 null，git diff 失败时返回 "failed"
+ */
+async function compareRevisions(
+  parser: JavaDocParser,
+  cwd: string,
+  from: ApiRevision,
+  to: ApiRevision,
+  progress: vscode.Progress<{ message?: string; increment?: number }>,
+  token: CancellationToken,
+): Promise<{ files: FileApiChanges[]; compared: number } | "failed" | null> {
+  const changed = await gitService.getChangedFiles(cwd, from.commit, to.commit, token);
+  if (!changed) {
+    return token.isCancellationRequested ? null : "failed";
+  }
+  const sourceFiles = changed.filter(
+    (file) =>
+      isSourceFilePath(file.path) ||
+      (file.previousPath !== null && isSourceFilePath(file.previousPath)),
+  );
+
+  const files: FileApiChanges[] = [];
+  for (const [index, file] of sourceFiles.entries()) {
+    if (token.isCancellationRequested) {
+      return null;
+    }
+    progress.report({
+      increment: 100 / sourceFiles.length,
+      message: `${index + 1}/${sourceFiles.length} ${file.path}`,
+    });
+
+    try {
+      const beforePath = file.status === "A" ? null : (file.previousPath ?? file.path);
+      const afterPath = file.status === "D" ? null : file.path;
+      const changes = diffApiMembers(
+        beforePath ? await readApiMembers(parser, cwd, from.commit, beforePath, token) : [],
+        afterPath ? await readApiMembers(parser, cwd, to.commit, afterPath, token) : [],
+      );
+      if (changes.length > 0) {
+        files.push({ path: file.path, previousPath: renamedFrom(file), changes });
+      }
+    } catch (error) {
+      if (!isCancellationError(error)) {
+        console.error(`[ApiChangeReport] Failed to compare ${file.path}:`, error);
+      }
+    }
+  }
+
+  return token.isCancellationRequested ? null : { files, compared: sourceFiles.length };
+}
+
+/**
+ * 解析文件在某个提交中的版本，收集公开成员
+ */
+async function readApiMembers(
+  parser: JavaDocParser,
+  cwd: string,
+  commit: string,
+  repoPath: string,
+  token: CancellationToken,
+): Promise<ApiMember[]> {
+  const document = await vscode.workspace.openTextDocument(
+    toRevisionUri({ cwd, ref: commit, path: repoPath }),
+  );
+  const classDoc = await parser.parse(document, { ...SCAN_PARSE_OPTIONS, token });
+  const text = document.getText();
+  const dialect = getDocDialect(document.languageId);
+  return collectApiMembers(classDoc, getDialectStrategy(dialect), (method) => ({
+    declaration: parser.readDeclaration(text, method, dialect),
+    returnType: parser.readSignatureInfo(text, method, dialect).returnType,
+  }));
+}
+
+function renamedFrom(file: CommitFileChange): string | null {
+  return file.status === "R" && file.previousPath !== file.path ? file.previousPath : null;
+}
+
+// ========== 报告生成 ==========
+
+/**
+ * 生成 Markdown 报告
+ *
+ * 总览 → 可能的破坏性变更 → 按文件（新增 / 删除 / 变更）
+ */
+function buildApiChangeReport(
+  from: ApiRevision,
+  to: ApiRevision,
+  files: readonly FileApiChanges[],
+  compared: number,
+): string {
+  const all = files.flatMap((file) => file.changes.map((change) => ({ file, change })));
+  const count = (kind: ApiChange["kind"]): number =>
+    all.filter(({ change }) => change.kind === kind).length;
+  const breaking = all.filter(({ change }) => change.breaking);
+  const lines: string[] = [];
+
+  lines.push("# API 变更报告", "");
+  lines.push(
+    `${code(from.ref)}（${from.commit.slice(0, 7)}）→ ${code(to.ref)}（${to.commit.slice(0, 7)}）`,
+    "",
+  );
+  lines.push(`生成时间：${new Date().toLocaleString()}，比较源文件 ${compared} 个`, "");
+
+  lines.push("## 总览", "");
+  lines.push("| 新增 | 删除 | 变更 | 可能的破坏性变更 |", "| --- | --- | --- | --- |");
+  lines.push(`| ${count("added")} | ${count("removed")} | ${count("changed")} | ${breaking.length} |`);
+  lines.push("");
+
+  if (all.length === 0) {
+    lines.push("两个版本之间没有公开 API 变化。", "");
+    return lines.join("\n");
+  }
+
+  lines.push("## 可能的破坏性变更", "");
+  if (breaking.length === 0) {
+    lines.push("没有发现删除的成员、参数列表或返回类型变化、可见性收窄。", "");
+  } else {
+    for (const { file, change } of breaking) {
+      const member = change.after ?? change.before;
+      const reason = change.kind === "removed" ? "删除" : change.notes.join("；");
+      lines.push(
+        `- ${code(memberName(member))}（${file.path}）：${escapeMarkdown(reason)}`,
+      );
+    }
+    lines.push("");
+  }
+
+  lines.push("## 按文件", "");
+  for (const file of files) {
+    const renamed = file.previousPath ? `（重命名自 ${file.previousPath}）` : "";
+    lines.push(`### ${file.path}${renamed}`, "");
+    renderSection(lines, "新增", file.changes.filter((c) => c.kind === "added"));
+    renderSection(lines, "删除", file.changes.filter((c) => c.kind === "removed"));
+    renderSection(lines, "变更", file.changes.filter((c) => c.kind === "changed"));
+  }
+
+  return lines.join("\n");
+}
+
+function renderSection(lines: string[], title: string, changes: readonly ApiChange[]): void {
+  if (changes.length === 0) {
+    return;
+  }
+  lines.push(`#### ${title}（${changes.length}）`, "");
+  for (const change of changes) {
+    const member = change.after ?? change.before;
+    if (!member) continue;
+    const mark = change.breaking ? " ⚠️" : "";
+    const label = `${KIND_LABELS[member.kind]} ${code(memberName(member))}${mark}`;
+
+    if (change.kind !== "changed" || !change.before || !change.after) {
+      lines.push(`- ${label}：${code(member.declaration)}`);
+      continue;
+    }
+    lines.push(`- ${label}：${escapeMarkdown(change.notes.join("；"))}`);
+    if (change.before.declaration !== change.after.declaration) {
+      lines.push(`  - 旧：${code(change.before.declaration)}`);
+      lines.push(`  - 新：${code(change.after.declaration)}`);
+    }
+  }
+  lines.push("");
+}
+
+function memberName(member: ApiMember | null): string {
+  return member ? `${member.belongsTo}#${member.name}` : "";
+}
+
+/**
+ * 行内代码；内容含反引号时用双反引号包围
+ */
+function code(text: string): string {
+  return text.includes("`") ? `\`\` ${text} \`\`` : `\`${text}\``;
+}
+
+function escapeMarkdown(text: string): string {
+  return text.replace(/([\\`*_[\]<>|])/g, "\\$1");
+}
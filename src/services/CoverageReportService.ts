@@ -0,0 +1,257 @@
+/**
+ * CoverageReportService.ts - 工作区文档覆盖率报告
+ *
+ * 【流程】
+ * 1. findFiles 找到工作区内所有支持的源文件（排除依赖和构建产物）
+ * 2. 逐个解析（关闭继承文档和 Git，只需要 hasComment；未打开的文件读取文本解析，见 parseWorkspaceFile）
+ * 3. 汇总为 类 → 包 → 工作区 三级覆盖率
+ * 4. 生成 Markdown 报告并在编辑器中打开，列出未注释的公开 API 成员（由方言判断，如 Java 的 public / protected、JS / TS 中未标记 private 的成员）
+ *
+ * 扫描在可取消的进度通知中进行；取消后不生成报告
+ */
+
+import * as vscode from "vscode";
+import * as path from "path";
+import type { CancellationToken, Uri } from "vscode";
+import type { JavaDocParser, ParseOptions } from "../parser/JavaDocParser.js";
+import { getDialectStrategy } from "../parser/DialectRegistry.js";
+import type { AccessModifier, ClassDoc, CoverageSummary } from "../types.js";
+import { ACCESS_MODIFIERS, getDocDialect } from "../types.js";
+import {
+  collectCoverageMembers,
+  computeCoverage,
+  formatCoverage,
+  mergeCoverage,
+} from "../utils/coverage.js";
+import type { CoverageMember } from "../utils/coverage.js";
+import { isCancellationError } from "../utils/cancellation.js";
+import { findWorkspaceSourceFiles, languageIdForPath, parseWorkspaceFile } from "./WorkspaceFiles.js";
+
+const SCAN_PARSE_OPTIONS: ParseOptions = {
+  resolveInheritedDocs: false,
+  includeGitInfo: false,
+};
+
+// JS / TS 未标记的成员已计为 public，default 只来自 Java 的包内可见和 Go 未导出的名称
+const ACCESS_LABELS: Readonly<Record<AccessModifier, string>> = {
+  public: "public",
+  protected: "protected",
+  default: "default（包内可见）",
+  internal: "internal（模块内可见）",
+  private: "private",
+};
+
+const KIND_LABELS: Readonly<Record<CoverageMember["kind"], string>> = {
+  method: "方法",
+  constructor: "构造函数",
+  field: "字段",
+  enumConstant: "枚举常量",
+};
+
+/**
+ * 单个文件的统计结果
+ */
+interface FileCoverage {
+  readonly uri: Uri;
+  readonly packageName: string; // Java 包名；TS/JS 为相对目录
+  readonly members: readonly CoverageMember[];
+  readonly coverage: CoverageSummary;
+}
+
+/**
+ * 扫描工作区并打开覆盖率报告
+ */
+export async function runCoverageReport(parser: JavaDocParser): Promise<void> {
+  const results = await vscode.window.withProgress(
+    {
+      location: vscode.ProgressLocation.Notification,
+      title: "统计文档覆盖率",
+      cancellable: true,
+    },
+    (progress, token) => scanWorkspace(parser, progress, token),
+  );
+
+  if (!results) {
+    void vscode.window.showInformationMessage("已取消文档覆盖率统计");
+    return;
+  }
+  if (results.length === 0) {
+    void vscode.window.showInformationMessage("工作区中没有可统计的源文件");
+    return;
+  }
+
+  const document = await vscode.workspace.openTextDocument({
+    language: "markdown",
+    content: buildCoverageReport(results),
+  });
+  await vscode.window.showTextDocument(document, { preview: false });
+}
+
+/**
+ * 逐个文件解析，取消时返回 null
+ */
+async function scanWorkspace(
+  parser: JavaDocParser,
+  progress: vscode.Progress<{ message?: string; increment?: number }>,
+  token: CancellationToken,
+): Promise<FileCoverage[] | null> {
+  const files = await findWorkspaceSourceFiles(token);
+
+  const results: FileCoverage[] = [];
+  for (const [index, uri] of files.entries()) {
+    if (token.isCancellationRequested) {
+      return null;
+    }
+    progress.report({
+      increment: 100 / files.length,
+      message: `${index + 1}/${files.length} ${path.basename(uri.fsPath)}`,
+    });
+
+    try {
+      const classDoc = await parseWorkspaceFile(parser, uri, { ...SCAN_PARSE_OPTIONS, token });
+      if (classDoc && classDoc.coverage.total > 0) {
+        results.push(toFileCoverage(uri, classDoc));
+      }
+    } catch (error) {
+      if (!isCancellationError(error)) {
+        console.error(`[CoverageReport] Failed to parse ${uri.fsPath}:`, error);
+      }
+    }
+  }
+
+  return token.isCancellationRequested ? null : results;
+}
+
+function toFileCoverage(uri: Uri, classDoc: ClassDoc): FileCoverage {
+  const packageName =
+    classDoc.packageName ||
+    vscode.workspace.asRelativePath(path.dirname(uri.fsPath), false) ||
+    "(default)";
+  return {
+    uri,
+    packageName,
+    // 工作区文件都带有支持的扩展名（见 findWorkspaceSourceFiles）
+    members: collectCoverageMembers(
+      classDoc,
+      getDialectStrategy(getDocDialect(languageIdForPath(uri.fsPath) ?? "")),
+    ),
+    coverage: classDoc.coverage,
+  };
+}
+
+// ========== 报告生成 ==========
+
+/**
+ * 生成 Markdown 报告
+ *
+ * 总览（按访问修饰符）→ 各包覆盖率 → 未注释的公开 API 成员（包 → 类 → 成员，可点击跳转）
+ */
+function buildCoverageReport(files: readonly FileCoverage[]): string {
+  const packages = groupBy(files, (file) => file.packageName);
+  const workspace = mergeCoverage(files.map((file) => file.coverage));
+  const lines: string[] = [];
+
+  lines.push("# 文档覆盖率报告", "");
+  lines.push(`生成时间：${new Date().toLocaleString()}，统计文件 ${files.length} 个`, "");
+
+  lines.push("## 总览", "");
+  lines.push("| 范围 | 覆盖率 | 已注释 / 总数 |", "| --- | --- | --- |");
+  lines.push(`| 全部 | ${formatCoverage(workspace)} | ${workspace.documented} / ${workspace.total} |`);
+  for (const access of ACCESS_MODIFIERS) {
+    const counts = workspace.byAccess[access];
+    if (counts.total > 0) {
+      lines.push(
+        `| ${ACCESS_LABELS[access]} | ${formatCoverage(counts)} | ${counts.documented} / ${counts.total} |`,
+      );
+    }
+  }
+  lines.push("");
+
+  // 覆盖率低的包排在前面
+  const packageSummaries = [...packages.entries()]
+    .map(([name, packageFiles]) => ({
+      name,
+      files: packageFiles,
+      coverage: mergeCoverage(packageFiles.map((file) => file.coverage)),
+    }))
+    .sort((a, b) => ratio(a.coverage) - ratio(b.coverage) || a.name.localeCompare(b.name));
+
+  lines.push("## 按包", "");
+  lines.push("| 包 | 覆盖率 | 已注释 / 总数 | public 覆盖率 |", "| --- | --- | --- | --- |");
+  for (const pkg of packageSummaries) {
+    lines.push(
+      `| ${escapeCell(pkg.name)} | ${formatCoverage(pkg.coverage)} | ${pkg.coverage.documented} / ${pkg.coverage.total} | ${formatCoverage(pkg.coverage.byAccess.public)} |`,
+    );
+  }
+  lines.push("");
+
+  lines.push("## 未注释的公开 API 成员", "");
+  let undocumentedCount = 0;
+  for (const pkg of packageSummaries) {
+    const classLines = renderUndocumentedByClass(pkg.files);
+    if (classLines.count === 0) {
+      continue;
+    }
+    undocumentedCount += classLines.count;
+    lines.push(`### ${pkg.name}（${classLines.count}）`, "", ...classLines.lines);
+  }
+  if (undocumentedCount === 0) {
+    lines.push("所有公开 API 成员都有注释。", "");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * 按类列出未注释的公开 API 成员，链接带行号（#L42）
+ */
+function renderUndocumentedByClass(files: readonly FileCoverage[]): {
+  lines: string[];
+  count: number;
+} {
+  const lines: string[] = [];
+  let count = 0;
+
+  for (const file of files) {
+    const undocumented = file.members.filter((m) => !m.documented && m.isApi);
+    for (const [className, members] of groupBy(undocumented, (m) => m.belongsTo)) {
+      const classCoverage = computeCoverage(
+        file.members.filter((m) => m.belongsTo === className),
+      );
+      lines.push(
+        `#### ${className} — ${formatCoverage(classCoverage)}（${path.basename(file.uri.fsPath)}）`,
+        "",
+      );
+      for (const member of members) {
+        const link = `${file.uri.toString()}#L${member.line + 1}`;
+        lines.push(`- [${member.name}](${link}) ${KIND_LABELS[member.kind]}`);
+      }
+      lines.push("");
+      count += members.length;
+    }
+  }
+
+  return { lines, count };
+}
+
+function groupBy<T>(items: readonly T[], keyOf: (item: T) => string): Map<string, T[]> {
+  const groups = new Map<string, T[]>();
+  for (const item of items) {
+    const key = keyOf(item);
+    const group = groups.get(key);
+    if (group) {
+      group.push(item);
+    } else {
+      groups.set(key, [item]);
+    }
+  }
+  return groups;
+}
+
+function ratio(summary: CoverageSummary): number {
+  return summary.total === 0 ? 1 : summary.documented / summary.total;
+}
+
+function escapeCell(text: string): string {
+  return text.replace(/\|/g, "\\|");
+}
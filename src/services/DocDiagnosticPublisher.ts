@@ -0,0 +1,86 @@
+/**
+ * DocDiagnosticPublisher.ts - 文档诊断发布
+ *
+ * 【职责】
+ * 把 ClassDoc 中各方法的 diagnostics 转换为 vscode.Diagnostic，
+ * 发布到 Problems 面板（与侧边栏共用同一次解析结果，不重复解析）
+ *
+ * 【生命周期】
+ * - 每次 refresh 覆盖该文档的全部诊断
+ * - 文档关闭时清除
+ *
+ * 同时记录发布时的解析结果：@since 快速修复直接使用其中推断的版本，不再重新推断
+ */
+
+import * as vscode from "vscode";
+import type { Disposable, TextDocument, Uri } from "vscode";
+import type { ClassDoc, DocDiagnostic } from "../types.js";
+
+const DIAGNOSTIC_SOURCE = "Doc Sidebar";
+
+export class DocDiagnosticPublisher implements Disposable {
+  private readonly collection: vscode.DiagnosticCollection;
+  private readonly published = new Map<string, { version: number; classDoc: ClassDoc }>(); // key: uri.toString()
+
+  constructor() {
+    this.collection = vscode.languages.createDiagnosticCollection("javaDocSidebar");
+  }
+
+  /**
+   * 发布一个文档的诊断（覆盖旧结果）
+   */
+  public publish(document: TextDocument, classDoc: ClassDoc): void {
+    const diagnostics = classDoc.methods.flatMap((method) =>
+      method.diagnostics.map((item) => this.toDiagnostic(document, item)),
+    );
+    this.collection.set(document.uri, diagnostics);
+    this.published.set(document.uri.toString(), { version: document.version, classDoc });
+  }
+
+  /**
+   * 发布诊断时的解析结果；文档此后又被修改时返回 undefined（诊断的行号已不可信）
+   */
+  public getPublished(document: TextDocument): ClassDoc | undefined {
+    const entry = this.published.get(document.uri.toString());
+    return entry?.version === document.version ? entry.classDoc : undefined;
+  }
+
+  /**
+   * 清除一个文档的诊断
+   */
+  public clear(uri: Uri): void {
+    this.collection.delete(uri);
+    this.published.delete(uri.toString());
+  }
+
+  public dispose(): void {
+    this.collection.dispose();
+    this.published.clear();
+  }
+
+  /**
+   * 诊断范围为整行（去掉行首缩进）
+   */
+  private toDiagnostic(
+    document: TextDocument,
+    item: DocDiagnostic,
+  ): vscode.Diagnostic {
+    const line = Math.min(item.line, document.lineCount - 1);
+    const textLine = document.lineAt(line);
+    const range = new vscode.Range(
+      line,
+      textLine.firstNonWhitespaceCharacterIndex,
+      line,
+      textLine.text.length,
+    );
+
+    const diagnostic = new vscode.Diagnostic(
+      range,
+      item.message,
+      vscode.DiagnosticSeverity.Warning,
+    );
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = item.code;
+    return diagnostic;
+  }
+}
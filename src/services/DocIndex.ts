@@ -0,0 +1,348 @@
+/**
+ * DocIndex.ts - 工作区文档索引
+ *
+ * 【生命周期】
+ * 1. start()：激活后延迟 INDEX_START_DELAY_MS 开始（startDeferred），后台逐个解析工作区源文件建立索引，
+ *    最多 MAX_INDEXED_FILES 个；延迟期间就搜索（侧边栏搜索框或搜索命令）时立即开始
+ * 2. FileSystemWatcher：文件保存 / 新建后重新解析，删除后移出索引
+ * 3. search()：在内存中匹配成员名、签名、描述和标签文本
+ *
+ * 【为什么解析时关闭继承文档和 Git？】
+ * 索引只需要注释文本；对每个文件调用 git 和类型层级查询代价太高
+ *
+ * 【为什么未打开的文件用 workspace.fs 读取？】
+ * openTextDocument 和符号查询会让每个 Language Server 收到 didOpen 并常驻这些文档；
+ * 未打开的文件直接读取文本、用启发式符号解析，已打开的文件照常使用 Language Server 的符号（见 parseWorkspaceFile）
+ *
+ * 【为什么只有一个解析队列？】
+ * 解析依赖 Language Server，并发解析会拖慢编辑器；
+ * 启动时的全量扫描和 watcher 触发的增量更新共用同一个队列，逐个处理
+ */
+
+import * as vscode from "vscode";
+import * as path from "path";
+import type { Disposable, Event, Uri } from "vscode";
+import type { JavaDocParser, ParseOptions } from "../parser/JavaDocParser.js";
+import type {
+  ClassDoc,
+  DocSearchKind,
+  DocSearchResult,
+  TagTable,
+} from "../types.js";
+import { LineNumber } from "../types.js";
+import {
+  findWorkspaceSourceFiles,
+  isWorkspaceSourceFile,
+  parseWorkspaceFile,
+  SOURCE_FILE_GLOB,
+} from "./WorkspaceFiles.js";
+
+const INDEX_PARSE_OPTIONS: ParseOptions = {
+  resolveInheritedDocs: false,
+  includeGitInfo: false,
+};
+
+const MAX_INDEXED_FILES = 5000;
+const INDEX_START_DELAY_MS = 5000; // 避开启动时 Language Server 的初始化
+const DEFAULT_SEARCH_LIMIT = 50;
+const SNIPPET_LENGTH = 120;
+
+/**
+ * 单个成员的索引项，*Key 为小写形式，避免每次搜索重复转换
+ */
+interface IndexEntry {
+  readonly result: Omit<DocSearchResult, "snippet">;
+  readonly nameKey: string;
+  readonly signatureKey: string;
+  readonly textLines: readonly string[]; // 描述 + 标签文本，每行一条
+  readonly textKeys: readonly string[];
+}
+
+export class DocIndex implements Disposable {
+  private readonly files = new Map<string, readonly IndexEntry[]>(); // key: uri.toString()
+  private readonly queue = new Map<string, Uri>();
+  private readonly disposables: Disposable[] = [];
+  private readonly changeEmitter = new vscode.EventEmitter<void>();
+  private started = false;
+  private startTimer: ReturnType<typeof setTimeout> | undefined;
+  private scanning = false; // 正在查找工作区文件，队列尚未填充
+  private draining = false;
+  private disposed = false;
+
+  /**
+   * 索引内容变化（每处理完一批文件触发一次）
+   */
+  public readonly onDidChange: Event<void> = this.changeEmitter.event;
+
+  constructor(private readonly parser: JavaDocParser) {}
+
+  /**
+   * 是否仍有文件在等待解析（此时搜索结果可能不全）
+   */
+  public get isIndexing(): boolean {
+    return this.scanning || this.draining || this.queue.size > 0;
+  }
+
+  /**
+   * 延迟一段时间后开始索引（激活时调用，不阻塞启动）
+   */
+  public startDeferred(delayMs = INDEX_START_DELAY_MS): void {
+    if (this.started || this.disposed || this.startTimer) {
+      return;
+    }
+    this.startTimer = setTimeout(() => this.start(), delayMs);
+  }
+
+  /**
+   * 注册文件监听并开始后台全量扫描（重复调用无效；搜索时也会调用，延迟尚未结束时立即开始）
+   */
+  public start(): void {
+    if (this.started || this.disposed) {
+      return;
+    }
+    clearTimeout(this.startTimer);
+    this.startTimer = undefined;
+    this.started = true;
+    this.scanning = true;
+
+    const watcher = vscode.workspace.createFileSystemWatcher(SOURCE_FILE_GLOB);
+    this.disposables.push(
+      watcher,
+      watcher.onDidChange((uri) => this.schedule(uri)),
+      watcher.onDidCreate((uri) => this.schedule(uri)),
+      watcher.onDidDelete((uri) => this.remove(uri)),
+    );
+
+    void findWorkspaceSourceFiles(undefined, MAX_INDEXED_FILES)
+      .then((uris) => {
+        for (const uri of uris) {
+          this.queue.set(uri.toString(), uri);
+        }
+      })
+      .finally(() => {
+        this.scanning = false;
+        void this.drain();
+      });
+  }
+
+  /**
+   * 搜索工作区文档
+   *
+   * 查询按空白拆分为多个词，每个词都需要命中名称、签名或文本之一；
+   * 名称命中的权重最高，其次是签名，最后是描述 / 标签文本
+   *
+   * @example search("find user") → findById（描述含 "user"）、findUserByName ...
+   */
+  public search(query: string, limit = DEFAULT_SEARCH_LIMIT): DocSearchResult[] {
+    this.start();
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const matches: { entry: IndexEntry; score: number }[] = [];
+    for (const entries of this.files.values()) {
+      for (const entry of entries) {
+        const score = scoreEntry(entry, terms);
+        if (score > 0) {
+          matches.push({ entry, score });
+        }
+      }
+    }
+
+    return matches
+      .sort(
+        (a, b) =>
+          b.score - a.score || a.entry.result.name.localeCompare(b.entry.result.name),
+      )
+      .slice(0, limit)
+      .map(({ entry }) => ({ ...entry.result, snippet: buildSnippet(entry, terms) }));
+  }
+
+  public dispose(): void {
+    this.disposed = true;
+    clearTimeout(this.startTimer);
+    this.queue.clear();
+    this.files.clear();
+    for (const disposable of this.disposables) {
+      disposable.dispose();
+    }
+    this.disposables.length = 0;
+    this.changeEmitter.dispose();
+  }
+
+  private schedule(uri: Uri): void {
+    if (!isWorkspaceSourceFile(uri)) {
+      return;
+    }
+    this.queue.set(uri.toString(), uri);
+    void this.drain();
+  }
+
+  private remove(uri: Uri): void {
+    const key = uri.toString();
+    this.queue.delete(key);
+    if (this.files.delete(key)) {
+      this.changeEmitter.fire();
+    }
+  }
+
+  /**
+   * 逐个处理队列（Map 迭代时新加入的项也会被访问到）
+   */
+  private async drain(): Promise<void> {
+    if (this.draining) {
+      return;
+    }
+    this.draining = true;
+    try {
+      for (const [key, uri] of this.queue) {
+        this.queue.delete(key);
+        if (this.disposed) {
+          return;
+        }
+        await this.indexFile(key, uri);
+      }
+    } finally {
+      this.draining = false;
+    }
+    if (!this.disposed) {
+      this.changeEmitter.fire();
+    }
+  }
+
+  private async indexFile(key: string, uri: Uri): Promise<void> {
+    try {
+      const classDoc = await parseWorkspaceFile(this.parser, uri, INDEX_PARSE_OPTIONS);
+      if (!this.disposed && classDoc) {
+        this.files.set(key, buildEntries(uri, classDoc));
+      }
+    } catch (error) {
+      // 文件在排队期间被删除，或无法解析
+      this.files.delete(key);
+      console.warn(`[DocIndex] Failed to index ${uri.fsPath}:`, error);
+    }
+  }
+}
+
+/**
+ * 打开搜索结果所在的文件并定位到声明行
+ */
+export async function openDocSearchResult(uri: string, line: LineNumber): Promise<void> {
+  const position = new vscode.Position(line, 0);
+  await vscode.window.showTextDocument(vscode.Uri.parse(uri), {
+    selection: new vscode.Range(position, position),
+    preview: true,
+  });
+}
+
+// ========== 索引项构建 ==========
+
+function buildEntries(fileUri: Uri, classDoc: ClassDoc): IndexEntry[] {
+  const uri = fileUri.toString();
+  const fileName = path.basename(fileUri.fsPath);
+  const entry = (
+    kind: DocSearchKind,
+    name: string,
+    className: string,
+    signature: string,
+    line: LineNumber,
+    textLines: string[],
+  ): IndexEntry => {
+    const lines = textLines.map((text) => text.replace(/\s+/g, " ").trim()).filter(Boolean);
+    return {
+      result: { uri, fileName, className, name, kind, signature, line },
+      nameKey: name.toLowerCase(),
+      signatureKey: signature.toLowerCase(),
+      textLines: lines,
+      textKeys: lines.map((text) => text.toLowerCase()),
+    };
+  };
+
+  return [
+    entry(
+      "class",
+      classDoc.className,
+      classDoc.className,
+      "",
+      classDoc.classLine,
+      [classDoc.classComment],
+    ),
+    ...classDoc.methods.map((m) =>
+      entry(m.kind, m.name, m.belongsTo, m.signature, m.startLine, [
+        m.description,
+        ...tagLines(m.tags),
+      ]),
+    ),
+    ...classDoc.fields.map((f) =>
+      entry("field", f.name, f.belongsTo, f.signature, f.startLine, [f.description]),
+    ),
+    ...classDoc.enumConstants.map((e) =>
+      entry("enumConstant", e.name, e.belongsTo, `${e.name}${e.arguments}`, e.startLine, [
+        e.description,
+      ]),
+    ),
+  ];
+}
+
+/**
+ * 标签转为可搜索的文本行，保留标签名便于在结果中识别
+ */
+function tagLines(tags: TagTable): string[] {
+  return [
+    ...tags.params.map((p) => `@param ${p.name} ${p.description}`),
+    ...(tags.returns ? [`@return ${tags.returns.description}`] : []),
+    ...tags.throws.map((t) => `@throws ${t.type} ${t.description}`),
+    ...(tags.deprecated ? [`@deprecated ${tags.deprecated}`] : []),
+    ...(tags.remarks ? [`@remarks ${tags.remarks}`] : []),
+    ...(tags.sections ?? []).map((section) => `# ${section.kind} ${section.text}`),
+    ...tags.see.map((see) => `@see ${see}`),
+  ];
+}
+
+// ========== 匹配与评分 ==========
+
+function scoreEntry(entry: IndexEntry, terms: readonly string[]): number {
+  let total = 0;
+  for (const term of terms) {
+    const score = scoreTerm(entry, term);
+    if (score === 0) {
+      return 0;
+    }
+    total += score;
+  }
+  return total;
+}
+
+function scoreTerm(entry: IndexEntry, term: string): number {
+  if (entry.nameKey === term) return 100;
+  if (entry.nameKey.startsWith(term)) return 60;
+  if (entry.nameKey.includes(term)) return 40;
+  if (entry.signatureKey.includes(term)) return 20;
+  if (entry.textKeys.some((text) => text.includes(term))) return 10;
+  return 0;
+}
+
+/**
+ * 结果片段：第一条命中的文本行（截取命中位置附近），没有命中时取描述开头
+ */
+function buildSnippet(entry: IndexEntry, terms: readonly string[]): string {
+  for (const [index, key] of entry.textKeys.entries()) {
+    const position = Math.min(
+      ...terms.map((term) => key.indexOf(term)).filter((i) => i >= 0),
+    );
+    if (Number.isFinite(position)) {
+      return truncateAround(entry.textLines[index] ?? "", position);
+    }
+  }
+  return truncateAround(entry.textLines[0] ?? "", 0);
+}
+
+function truncateAround(text: string, position: number): string {
+  if (text.length <= SNIPPET_LENGTH) {
+    return text;
+  }
+  const start = Math.max(0, position - 30);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+}
@@ -0,0 +1,301 @@
+/**
+ * DocStubService.ts - 注释模板的生成与同步（编辑器侧）
+ *
+ * 【职责】
+ * 1. 定位光标 / 侧边栏按钮对应的成员
+ * 2. 调用 DocStubGenerator 生成文本
+ * 3. 构造 WorkspaceEdit（由 CodeActionProvider 或 SidebarProvider 应用）
+ *
+ * 【Python】
+ * 文档字符串插在 def 头部（或属性赋值）之后、按方法体缩进；同步和 @since 只处理 "@" 标签，
+ * 不对文档字符串提供
+ *
+ * 【Go】
+ * Go 的文档以被说明的名称开头、没有标签："// Save ..."；生成时只插入这一行开头，
+ * 不提供同步和 @since
+ *
+ * 【C#】
+ * 生成 /// <summary> / <param> / <returns> 模板，插在特性（[HttpGet] 等）之上；
+ * 同步和 @since 只处理 "/**" 注释，不对 XML 文档提供
+ *
+ * 【Rust】
+ * 生成 "///" 开头的说明行，返回 Result 时附带 "# Errors" 段落，插在属性（#[inline] 等）之上；
+ * rustdoc 没有标签，不提供同步和 @since
+ *
+ * 【为什么解析时关闭继承文档和 Git？】
+ * 代码操作在每次光标移动时都会请求，只需要成员结构和注释位置
+ */
+
+import * as vscode from "vscode";
+import type { CancellationToken, TextDocument } from "vscode";
+import type { JavaDocParser, ParseOptions } from "../parser/JavaDocParser.js";
+import {
+  buildDocStub,
+  formatDocComment,
+  formatDocstring,
+  formatTripleSlashComment,
+  setSinceTag,
+  syncDocComment,
+} from "../parser/DocStubGenerator.js";
+import { findDocstringInsertion } from "../parser/DocstringParser.js";
+import type { SignatureInfo } from "../parser/SignatureInfo.js";
+import type { DocDialect, MethodDoc } from "../types.js";
+import { getDocDialect } from "../types.js";
+
+const STUB_PARSE_OPTIONS: ParseOptions = {
+  resolveInheritedDocs: false,
+  includeGitInfo: false,
+};
+
+/**
+ * 可生成注释的成员
+ */
+export interface DocStubTarget {
+  readonly name: string;
+  readonly startLine: number; // 声明所在行
+  readonly hasComment: boolean;
+  readonly commentStartLine: number | undefined;
+  readonly signature: SignatureInfo | null; // 字段 / 枚举常量为 null
+  readonly dialect: DocDialect;
+}
+
+export class DocStubService {
+  constructor(private readonly parser: JavaDocParser) {}
+
+  /**
+   * 查找某一行所属的成员
+   *
+   * 方法：从注释起始行到方法结束行都算；字段 / 枚举常量：仅声明行
+   *
+   * @throws CancellationError token 被取消时
+   */
+  public async findTarget(
+    document: TextDocument,
+    line: number,
+    token?: CancellationToken,
+  ): Promise<DocStubTarget | null> {
+    const classDoc = await this.parser.parse(document, { ...STUB_PARSE_OPTIONS, token });
+    const text = document.getText();
+    const dialect = getDocDialect(document.languageId);
+
+    const method = this.findMethodAt(classDoc.methods, line);
+    if (method) {
+      return {
+        name: method.name,
+        startLine: method.startLine,
+        hasComment: method.hasComment,
+        commentStartLine: method.commentStartLine,
+        signature: this.parser.readSignatureInfo(text, method, dialect),
+        dialect,
+      };
+    }
+
+    const member =
+      classDoc.fields.find((f) => f.startLine === line) ??
+      classDoc.enumConstants.find((e) => e.startLine === line);
+    if (!member) {
+      return null;
+    }
+    return {
+      name: member.name,
+      startLine: member.startLine,
+      hasComment: member.hasComment,
+      commentStartLine: undefined,
+      signature: null,
+      dialect,
+    };
+  }
+
+  /**
+   * 为无注释的成员插入注释模板（插在注解 / 装饰器之上）
+   */
+  public createGenerateEdit(
+    document: TextDocument,
+    target: DocStubTarget,
+  ): vscode.WorkspaceEdit | null {
+    if (target.hasComment) {
+      return null;
+    }
+    if (target.dialect === "docstring") {
+      return this.createDocstringEdit(document, target);
+    }
+    if (target.dialect === "godoc") {
+      const indent = this.readIndent(document, target.startLine);
+      const edit = new vscode.WorkspaceEdit();
+      edit.insert(
+        document.uri,
+        new vscode.Position(target.startLine, 0),
+        `${indent}// ${target.name}\n`,
+      );
+      return edit;
+    }
+
+    const insertLine = this.findInsertLine(document, target.startLine, target.dialect);
+    const indent = this.readIndent(document, insertLine);
+    const format =
+      target.dialect === "xmldoc" || target.dialect === "rustdoc"
+        ? formatTripleSlashComment
+        : formatDocComment;
+    const comment = format(buildDocStub(target.signature, target.dialect), indent);
+
+    const edit = new vscode.WorkspaceEdit();
+    edit.insert(document.uri, new vscode.Position(insertLine, 0), `${comment}\n`);
+    return edit;
+  }
+
+  /**
+   * 按签名同步已有注释的 @param / @return / @throws，已同步时返回 null
+   */
+  public createSyncEdit(
+    document: TextDocument,
+    target: DocStubTarget,
+  ): vscode.WorkspaceEdit | null {
+    const range =
+      target.signature && this.supportsTagEdits(target.dialect)
+        ? this.getCommentRange(document, target)
+        : null;
+    if (!target.signature || !range) {
+      return null;
+    }
+
+    const synced = syncDocComment(
+      document.getText(range),
+      target.signature,
+      target.dialect,
+    );
+    if (!synced) {
+      return null;
+    }
+
+    const indent = this.readIndent(document, range.start.line);
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(document.uri, range, formatDocComment(synced, indent));
+    return edit;
+  }
+
+  /**
+   * 把注释的 @since 设为 version（没有时追加在最后一个标签之后），已是该值时返回 null
+   */
+  public createSinceEdit(
+    document: TextDocument,
+    target: DocStubTarget,
+    version: string,
+  ): vscode.WorkspaceEdit | null {
+    const range = this.supportsTagEdits(target.dialect)
+      ? this.getCommentRange(document, target)
+      : null;
+    if (!range) {
+      return null;
+    }
+
+    const updated = setSinceTag(document.getText(range), version);
+    if (!updated) {
+      return null;
+    }
+
+    const indent = this.readIndent(document, range.start.line);
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(document.uri, range, formatDocComment(updated, indent));
+    return edit;
+  }
+
+  /**
+   * 在 def 头部之后插入 Google 风格的文档字符串（"def f(): pass" 这类单行定义不支持）
+   */
+  private createDocstringEdit(
+    document: TextDocument,
+    target: DocStubTarget,
+  ): vscode.WorkspaceEdit | null {
+    const lines = document.getText().split("\n");
+    const insertion = findDocstringInsertion(lines, target.startLine);
+    if (!insertion) {
+      return null;
+    }
+
+    const docstring = formatDocstring(
+      buildDocStub(target.signature, target.dialect),
+      insertion.indent,
+    );
+    const edit = new vscode.WorkspaceEdit();
+    edit.insert(document.uri, new vscode.Position(insertion.line, 0), `${docstring}\n`);
+    return edit;
+  }
+
+  /**
+   * 光标落在注释内或方法声明 / 方法体内都视为该方法
+   */
+  private findMethodAt(
+    methods: readonly MethodDoc[],
+    line: number,
+  ): MethodDoc | undefined {
+    // 文档字符串在声明之后，起始行取两者中较早的一行
+    const candidates = methods.filter(
+      (m) => Math.min(m.commentStartLine ?? m.startLine, m.startLine) <= line && line <= m.endLine,
+    );
+    // 内部类 / 匿名类中的方法范围更小，优先选择最内层
+    return candidates.sort(
+      (a, b) => a.endLine - a.startLine - (b.endLine - b.startLine),
+    )[0];
+  }
+
+  /**
+   * 注释应插在注解 / 装饰器（C# / Rust 为特性）之前
+   */
+  private findInsertLine(
+    document: TextDocument,
+    declarationLine: number,
+    dialect: DocDialect,
+  ): number {
+    const marker = dialect === "xmldoc" ? "[" : dialect === "rustdoc" ? "#[" : "@";
+    let line = declarationLine;
+    while (line > 0 && document.lineAt(line - 1).text.trim().startsWith(marker)) {
+      line--;
+    }
+    return line;
+  }
+
+  /**
+   * 同步和 @since 只理解 "/**" 注释中的 "@" 标签
+   */
+  private supportsTagEdits(dialect: DocDialect): boolean {
+    return (
+      dialect !== "docstring" &&
+      dialect !== "godoc" &&
+      dialect !== "xmldoc" &&
+      dialect !== "rustdoc"
+    );
+  }
+
+  /**
+   * 成员注释的完整范围（"/**" 所在行行首到 "*\/" 所在行行尾），没有注释时返回 null
+   */
+  private getCommentRange(document: TextDocument, target: DocStubTarget): vscode.Range | null {
+    if (target.commentStartLine === undefined) {
+      return null;
+    }
+    const endLine = this.findCommentEndLine(document, target.commentStartLine);
+    if (endLine < 0) {
+      return null;
+    }
+    return new vscode.Range(
+      target.commentStartLine,
+      0,
+      endLine,
+      document.lineAt(endLine).text.length,
+    );
+  }
+
+  private findCommentEndLine(document: TextDocument, startLine: number): number {
+    for (let line = startLine; line < document.lineCount; line++) {
+      if (document.lineAt(line).text.includes("*/")) {
+        return line;
+      }
+    }
+    return -1;
+  }
+
+  private readIndent(document: TextDocument, line: number): string {
+    const text = document.lineAt(line).text;
+    return text.slice(0, text.length - text.trimStart().length);
+  }
+}
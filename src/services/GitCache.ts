@@ -0,0 +1,100 @@
+/**
+ * GitCache.ts - Git 查询结果缓存
+ *
+ * 【缓存键】
+ * 每个文件一个条目，条目带有版本戳 "HEAD 提交:文件修改时间:文件大小"；
+ * 查询时版本戳不一致说明提交过或文件变了，整个条目作废。
+ * 条目内按查询类型（blame、diff、原始作者 ...）保存结果，类级别和成员级别的查询共用同一份 blame
+ *
+ * 【为什么缓存 Promise？】
+ * 同一文件的多个查询同时到达时只启动一个 git 进程；
+ * 失败（包括被取消）的 Promise 会被移除，下次查询重新执行
+ *
+ * 【容量】
+ * 最多保留 MAX_CACHED_FILES 个文件，超出时淘汰最久未使用的（Map 按插入顺序迭代，命中时重新插入）
+ */
+
+import * as path from "path";
+
+const MAX_CACHED_FILES = 200;
+
+interface FileEntry {
+  readonly stamp: string;
+  readonly results: Map<string, Promise<unknown>>;
+}
+
+export class GitCache {
+  private readonly files = new Map<string, FileEntry>();
+
+  constructor(private readonly maxFiles = MAX_CACHED_FILES) {}
+
+  /**
+   * 读取缓存，没有或版本戳不一致时执行 compute 并缓存其 Promise
+   *
+   * @param stamp - 文件的版本戳（HEAD + 文件版本）
+   * @param key - 查询类型及参数，如 "blame"、"diff:main"
+   */
+  public get<T>(
+    filePath: string,
+    stamp: string,
+    key: string,
+    compute: () => Promise<T>,
+  ): Promise<T> {
+    let entry = this.files.get(filePath);
+    if (entry?.stamp !== stamp) {
+      entry = { stamp, results: new Map() };
+    }
+    // 重新插入，使其成为最近使用的条目
+    this.files.delete(filePath);
+    this.files.set(filePath, entry);
+    this.evict();
+
+    const cached = entry.results.get(key);
+    if (cached) {
+      return cached as Promise<T>;
+    }
+
+    const results = entry.results;
+    const promise = compute();
+    results.set(key, promise);
+    promise.catch(() => {
+      if (results.get(key) === promise) {
+        results.delete(key);
+      }
+    });
+    return promise;
+  }
+
+  /**
+   * 文件保存后调用（修改时间的精度可能不足以区分连续两次保存）
+   */
+  public invalidateFile(filePath: string): void {
+    this.files.delete(filePath);
+  }
+
+  /**
+   * 仓库的 HEAD 或引用变化后调用，移除该目录下所有文件
+   */
+  public invalidateDirectory(directory: string): void {
+    const prefix = directory.endsWith(path.sep) ? directory : directory + path.sep;
+    for (const filePath of this.files.keys()) {
+      if (filePath.startsWith(prefix)) {
+        this.files.delete(filePath);
+      }
+    }
+  }
+
+  public clear(): void {
+    this.files.clear();
+  }
+
+  private evict(): void {
+    while (this.files.size > this.maxFiles) {
+      const oldest = this.files.keys().next().value;
+      if (typeof oldest !== "string") {
+        return;
+      }
+      this.files.delete(oldest);
+    }
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * GitRepositoryWatcher.ts - 监听仓库的 HEAD 和引用
+ *
+ * 提交、切换分支、拉取等操作会修改 .git/HEAD 或 refs，此时 GitService 中按 HEAD 缓存的
+ * blame / diff 已经过期。GitService 每发现一个仓库，这里就为它创建文件监听：
+ * - <gitDir>/HEAD：切换分支、分离 HEAD
+ * - <commonDir>/refs/**、packed-refs：提交、拉取、重置、gc 打包引用
+ */
+
+import * as vscode from "vscode";
+import type { Disposable } from "vscode";
+import type { GitRepository, GitService } from "./GitService.js";
+
+export class GitRepositoryWatcher implements Disposable {
+  private readonly disposables: Disposable[] = [];
+
+  /**
+   * @param onDidChange - 仓库缓存作废后调用（如刷新侧边栏）
+   */
+  constructor(
+    private readonly service: GitService,
+    private readonly onDidChange: (repository: GitRepository) => void,
+  ) {
+    this.disposables.push(
+      service.onDidDiscoverRepository((repository) => this.watch(repository)),
+    );
+  }
+
+  public dispose(): void {
+    for (const disposable of this.disposables) {
+      disposable.dispose();
+    }
+    this.disposables.length = 0;
+  }
+
+  private watch(repository: GitRepository): void {
+    const invalidate = (): void => {
+      this.service.invalidateRepository(repository.root);
+      this.onDidChange(repository);
+    };
+
+    const patterns = [
+      new vscode.RelativePattern(vscode.Uri.file(repository.gitDir), "HEAD"),
+      new vscode.RelativePattern(vscode.Uri.file(repository.commonDir), "{refs/**,packed-refs}"),
+    ];
+    for (const pattern of patterns) {
+      const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+      this.disposables.push(
+        watcher,
+        watcher.onDidChange(invalidate),
+        watcher.onDidCreate(invalidate),
+        watcher.onDidDelete(invalidate),
+      );
+    }
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * GitRevisionProvider.ts - 历史版本的文件内容（只读虚拟文档）
+ *
+ * 【URI 格式】
+ * javadoc-git:/src/Foo.java?{"cwd":"/repo/src","ref":"abc123^","path":"src/Foo.java"}
+ * path 部分保留文件扩展名，编辑器据此选择语法高亮
+ *
+ * 供方法历史打开某次提交前后的差异（vscode.diff），以及 API 变更报告解析历史版本
+ */
+
+import * as vscode from "vscode";
+import * as path from "path";
+import type { CancellationToken, TextDocumentContentProvider, Uri } from "vscode";
+import type { MethodHistoryEntry } from "../types.js";
+import { gitService } from "./GitService.js";
+
+export const GIT_REVISION_SCHEME = "javadoc-git";
+
+export interface RevisionQuery {
+  readonly cwd: string; // 仓库内任意目录（git 命令的工作目录）
+  readonly ref: string; // 为空表示文件不存在（新增文件的父版本）
+  readonly path: string; // 仓库相对路径
+}
+
+export class GitRevisionProvider implements TextDocumentContentProvider {
+  public async provideTextDocumentContent(
+    uri: Uri,
+    token: CancellationToken,
+  ): Promise<string> {
+    const query = parseRevisionQuery(uri.query);
+    if (!query?.ref) {
+      return "";
+    }
+    const content = await gitService.getFileAtRevision(query.cwd, query.ref, query.path, token);
+    return content ?? "";
+  }
+}
+
+/**
+ * 在差异编辑器中打开某次提交对当前文件的修改，并定位到方法所在行
+ *
+ * @param filePath - 当前文件的绝对路径（只用于确定仓库）
+ */
+export async function openCommitDiff(
+  filePath: string,
+  entry: Pick<MethodHistoryEntry, "hash" | "path" | "previousPath" | "startLine" | "subject">,
+): Promise<void> {
+  const cwd = path.dirname(filePath);
+  const left = toRevisionUri({
+    cwd,
+    ref: entry.previousPath ? `${entry.hash}^` : "",
+    path: entry.previousPath ?? entry.path,
+  });
+  const right = toRevisionUri({ cwd, ref: entry.hash, path: entry.path });
+  const title = `${path.basename(entry.path)} (${entry.hash.slice(0, 7)}) ${entry.subject}`;
+  const position = new vscode.Position(entry.startLine, 0);
+
+  await vscode.commands.executeCommand("vscode.diff", left, right, title, {
+    selection: new vscode.Range(position, position),
+    preview: true,
+  });
+}
+
+/**
+ * 历史版本的虚拟文档 URI（ref 为空时内容为空）
+ */
+export function toRevisionUri(query: RevisionQuery): Uri {
+  return vscode.Uri.from({
+    scheme: GIT_REVISION_SCHEME,
+    path: `/${query.path}`,
+    query: JSON.stringify(query),
+  });
+}
+
+function parseRevisionQuery(query: string): RevisionQuery | null {
+  try {
+    const value = JSON.parse(query) as Partial<RevisionQuery>;
+    if (
+      typeof value.cwd === "string" &&
+      typeof value.ref === "string" &&
+      typeof value.path === "string"
+    ) {
+      return { cwd: value.cwd, ref: value.ref, path: value.path };
+    }
+  } catch {
+    // 非本扩展生成的 URI
+  }
+  return null;
+}
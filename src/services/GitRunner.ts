@@ -0,0 +1,139 @@
+/**
+ * GitRunner.ts - git 进程执行器
+ *
+ * 【为什么不用 exec？】
+ * exec 把整条命令交给 shell 解释，文件名中的引号、$()、反引号会破坏命令甚至被执行。
+ * 这里用 spawn 直接传参数数组，参数原样交给 git，不经过 shell
+ *
+ * 【为什么加 --literal-pathspecs？】
+ * "--" 之后的文件名是 pathspec，默认按通配符解释：a*.java、[x].ts 会匹配到其它文件。
+ * 所有命令都只传具体的文件路径，统一按字面匹配
+ *
+ * 【执行器负责的限制】
+ * 1. timeout：超时结束进程
+ * 2. maxOutputBytes：stdout 超过上限时结束进程（整文件 blame / 长历史可能很大）
+ * 3. token：取消时结束进程
+ * 任一限制触发都以 GitCommandError 拒绝，reason 说明原因
+ *
+ * 【测试】
+ * GitService 通过构造函数接收 GitRunner，测试中传入按参数返回固定输出的实现即可：
+ *   new GitService({ run: async (args) => fixtures[args.join(" ")] ?? "" })
+ */
+
+import { spawn } from "child_process";
+import type { CancellationToken } from "vscode";
+
+const DEFAULT_MAX_OUTPUT_BYTES = 16 * 1024 * 1024;
+
+// 放在子命令之前的全局选项
+const BASE_ARGS: readonly string[] = ["--literal-pathspecs"];
+
+export interface GitRunOptions {
+  readonly cwd: string; // 工作目录（仓库内任意目录）
+  readonly timeout: number; // 毫秒
+  readonly maxOutputBytes?: number; // stdout 上限，默认 16MB
+  readonly token?: CancellationToken | undefined;
+}
+
+/**
+ * 执行一条 git 命令，成功时返回 stdout
+ */
+export interface GitRunner {
+  run(args: readonly string[], options: GitRunOptions): Promise<string>;
+}
+
+/**
+ * git 命令失败的原因
+ * exit        : 非 0 退出码（如不是 git 仓库、版本不存在）
+ * timeout     : 超时
+ * outputLimit : 输出超过上限
+ * cancelled   : 令牌被取消
+ * spawn       : 无法启动进程（如未安装 git）
+ */
+export type GitFailureReason = "exit" | "timeout" | "outputLimit" | "cancelled" | "spawn";
+
+export class GitCommandError extends Error {
+  constructor(
+    readonly args: readonly string[],
+    readonly reason: GitFailureReason,
+    readonly exitCode: number | null,
+    readonly stderr: string,
+  ) {
+    super(`git ${args.join(" ")} failed (${reason}${exitCode !== null ? `, exit ${exitCode}` : ""}): ${stderr.trim()}`);
+    this.name = "GitCommandError";
+  }
+}
+
+/**
+ * 基于 child_process.spawn 的默认实现
+ */
+export class SpawnGitRunner implements GitRunner {
+  public run(args: readonly string[], options: GitRunOptions): Promise<string> {
+    const { cwd, timeout, token } = options;
+    const maxOutputBytes = options.maxOutputBytes ?? DEFAULT_MAX_OUTPUT_BYTES;
+
+    return new Promise<string>((resolve, reject) => {
+      if (token?.isCancellationRequested) {
+        reject(new GitCommandError(args, "cancelled", null, ""));
+        return;
+      }
+
+      const child = spawn("git", [...BASE_ARGS, ...args], {
+        cwd,
+        shell: false,
+        windowsHide: true,
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+
+      const stdout: Buffer[] = [];
+      const stderr: Buffer[] = [];
+      let outputBytes = 0;
+      let failure: GitFailureReason | null = null;
+
+      // 先记录原因再结束进程，close 事件中据此决定如何拒绝
+      const stop = (reason: GitFailureReason): void => {
+        if (failure === null) {
+          failure = reason;
+          child.kill();
+        }
+      };
+
+      const timer = setTimeout(() => stop("timeout"), timeout);
+      const cancelListener = token?.onCancellationRequested(() => stop("cancelled"));
+
+      child.stdout.on("data", (chunk: Buffer) => {
+        outputBytes += chunk.length;
+        if (outputBytes > maxOutputBytes) {
+          stop("outputLimit");
+          return;
+        }
+        stdout.push(chunk);
+      });
+      child.stderr.on("data", (chunk: Buffer) => {
+        stderr.push(chunk);
+      });
+
+      const cleanup = (): void => {
+        clearTimeout(timer);
+        cancelListener?.dispose();
+      };
+
+      child.on("error", (error) => {
+        cleanup();
+        reject(new GitCommandError(args, "spawn", null, error.message));
+      });
+
+      child.on("close", (code) => {
+        cleanup();
+        const errorText = Buffer.concat(stderr).toString("utf8");
+        if (failure !== null) {
+          reject(new GitCommandError(args, failure, code, errorText));
+        } else if (code !== 0) {
+          reject(new GitCommandError(args, "exit", code, errorText));
+        } else {
+          resolve(Buffer.concat(stdout).toString("utf8"));
+        }
+      });
+    });
+  }
+}
@@ -2,13 +2,30 @@
  * GitService.ts - Git 信息服务
  *
  * 提供 Git blame 信息查询功能，用于获取代码作者和修改时间
+ *
+ * 所有 git 调用都以参数数组交给 GitRunner 执行，不经过 shell
+ *
+ * 【缓存】
+ * 按文件缓存 blame / diff / 历史等结果，版本戳为 "HEAD 提交 + 文件修改时间和大小"（见 GitCache）。
+ * 仓库信息（根目录、.git 目录、HEAD）按目录缓存；GitRepositoryWatcher 监听 HEAD 和引用变化后
+ * 调用 invalidateRepository，文件保存后调用 invalidateFile
  */
 
-import { exec } from "child_process";
-import { promisify } from "util";
+import * as fs from "fs";
 import * as path from "path";
-
-const execAsync = promisify(exec);
+import type { CancellationToken } from "vscode";
+import type {
+  ChangeStatus,
+  CommitDetails,
+  CommitFileChange,
+  GitAuthorInfo,
+  MethodHistoryEntry,
+  OwnershipShare,
+} from "../types.js";
+import { LineNumber } from "../types.js";
+import { GitCommandError, SpawnGitRunner } from "./GitRunner.js";
+import type { GitRunner } from "./GitRunner.js";
+import { GitCache } from "./GitCache.js";
 
 /**
  * Git Blame 信息
@@ -17,9 +34,79 @@ export interface GitBlameInfo {
   readonly author: string;
   readonly email: string;
   readonly date: string;
+  readonly timestamp: number; // author-time（秒），用于比较先后
   readonly commitHash: string;
 }
 
+/**
+ * 整个文件的 blame 结果
+ *
+ * lines[i] 为第 i 行（0-based）最后一次修改的提交；同一提交的行共享同一个对象
+ */
+export interface FileBlame {
+  readonly lines: readonly GitBlameInfo[];
+}
+
+/**
+ * 文件所在的 Git 仓库
+ */
+export interface GitRepository {
+  readonly root: string; // 工作区根目录
+  readonly gitDir: string; // 当前工作树的 .git 目录（HEAD 所在处）
+  readonly commonDir: string; // 引用所在的目录（多工作树时与 gitDir 不同）
+  readonly head: string; // HEAD 提交，仓库还没有提交时为空
+}
+
+/**
+ * git diff 的一个 hunk（新文件一侧，0-based）
+ *
+ * count 为 0 表示纯删除：被删除的行位于 start - 1 与 start 之间
+ */
+export interface DiffRange {
+  readonly start: number;
+  readonly count: number;
+  readonly oldCount: number; // 为 0 表示纯新增
+}
+
+/**
+ * 文件相对比较基准的改动
+ */
+export interface FileChanges {
+  readonly base: string; // 用户选择的基准（"HEAD" 或分支名）
+  readonly untracked: boolean; // 未被 Git 跟踪的新文件：所有成员都是新增
+  readonly ranges: readonly DiffRange[];
+}
+
+const HUNK_HEADER_PATTERN = /^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/gm;
+
+/**
+ * porcelain 输出中每组行的头部："<sha> <原始行号> <最终行号> [<行数>]"
+ */
+const PORCELAIN_HEADER_PATTERN = /^([0-9a-f]{40}) \d+ (\d+)(?: \d+)?$/;
+
+/**
+ * git log -L 的提交头：\x1e 开始一条记录，字段以 \x1f 分隔
+ */
+const LINE_HISTORY_FORMAT = "%x1e%H%x1f%an%x1f%ae%x1f%at%x1f%s";
+
+/**
+ * git show 的提交头：\x1e 包围头部和完整提交信息，之后是 --name-status 文件列表
+ */
+const COMMIT_DETAILS_FORMAT = "%x1e%H%x1f%an%x1f%ae%x1f%at%x1f%B%x1e";
+
+/**
+ * git for-each-ref 的标签格式：名称、标签对象（或提交）、附注标签指向的提交，以 \x1f 分隔
+ */
+const TAG_FORMAT = "%(refname:short)%1f%(objectname)%1f%(*objectname)";
+
+/**
+ * 标签及其指向的提交
+ */
+export interface GitTag {
+  readonly name: string;
+  readonly commit: string; // 附注标签已解引用到提交
+}
+
 /**
  * 类级别的 Git 信息
  */
@@ -27,48 +114,191 @@ export interface ClassGitInfo {
   readonly author: string; // 类的原始作者（第一次提交）
   readonly lastModifier: string; // 最后修改者
   readonly lastModifyDate: string; // 最后修改时间
+  readonly commitHash: string; // 最后修改所在的提交
 }
 
 /**
  * Git 服务类
  */
 export class GitService {
-  private cache: Map<string, GitBlameInfo> = new Map();
-  private cacheTimeout = 60000; // 1分钟缓存
+  private readonly cache = new GitCache();
+  private readonly repositories = new Map<string, Promise<GitRepository | null>>(); // key: 目录
+  private readonly knownGitDirs = new Set<string>();
+  private readonly repositoryListeners = new Set<(repository: GitRepository) => void>();
+
+  /**
+   * @param runner - git 执行器，测试时可替换为返回固定输出的实现
+   */
+  constructor(private readonly runner: GitRunner = new SpawnGitRunner()) {}
 
   /**
    * 获取指定行的 Git blame 信息
+   *
+   * 从整文件 blame 中查表：与成员级别的查询共用同一次 git 调用和缓存
    */
   async getBlameForLine(
     filePath: string,
     line: number,
+    token?: CancellationToken,
   ): Promise<GitBlameInfo | null> {
-    const cacheKey = `${filePath}:${line}`;
-
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey) ?? null;
-    }
+    const blame = await this.getFileBlame(filePath, token);
+    return blame?.lines[line] ?? null;
+  }
 
+  /**
+   * 获取整个文件的 blame（一次 git 调用，供成员按行范围汇总）
+   *
+   * 未提交的行同样有记录（作者为 "Not Committed Yet"）
+   */
+  async getFileBlame(
+    filePath: string,
+    token?: CancellationToken,
+  ): Promise<FileBlame | null> {
     try {
       const workDir = path.dirname(filePath);
       const fileName = path.basename(filePath);
+      return await this.cached(filePath, "blame", token, async () =>
+        parseBlamePorcelain(
+          await this.runGit(["blame", "--porcelain", "--", fileName], workDir, 15000, token),
+        ),
+      );
+    } catch (error) {
+      console.debug("[GitService] File blame failed:", error);
+      return null;
+    }
+  }
+
+  /**
+   * 获取文件相对比较基准的改动（包含未提交的修改）
+   *
+   * @param base - 为空时与 HEAD 比较（只看未提交的修改）；
+   *               否则与 HEAD 和 base 的 merge-base 比较（如评审分支相对 main 的全部改动）
+   */
+  async getFileChanges(
+    filePath: string,
+    base: string,
+    token?: CancellationToken,
+  ): Promise<FileChanges | null> {
+    const workDir = path.dirname(filePath);
+    const fileName = path.basename(filePath);
+    const label = base || "HEAD";
+    if (base.startsWith("-")) {
+      // 配置值会作为参数传给 git，不能被当成选项
+      return null;
+    }
+
+    try {
+      return await this.cached(filePath, `changes:${base}`, token, async () => {
+        const tracked = await this.runGit(["ls-files", "--", fileName], workDir, 2000, token);
+        if (!tracked.trim()) {
+          return { base: label, untracked: true, ranges: [] };
+        }
 
-      // git blame -L 指定行范围，--porcelain 输出机器可读格式
-      const { stdout } = await execAsync(
-        `git blame -L ${line + 1},${line + 1} --porcelain "${fileName}"`,
-        { cwd: workDir, timeout: 5000 },
+        const baseCommit = base
+          ? (await this.runGit(["merge-base", "HEAD", base], workDir, 5000, token)).trim()
+          : "HEAD";
+        const diff = await this.runGit(
+          ["diff", "-U0", "--no-color", "--no-ext-diff", baseCommit, "--", fileName],
+          workDir,
+          10000,
+          token,
+        );
+        return { base: label, untracked: false, ranges: parseDiffHunks(diff) };
+      });
+    } catch (error) {
+      console.debug("[GitService] Diff failed:", error);
+      return null;
+    }
+  }
+
+  /**
+   * 列出本地和远程分支（用于选择比较基准）
+   */
+  async listBranches(cwd: string, token?: CancellationToken): Promise<string[]> {
+    try {
+      const output = await this.runGit(
+        ["for-each-ref", "--format=%(refname:short)", "refs/heads", "refs/remotes"],
+        cwd,
+        5000,
+        token,
       );
+      return output
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line && !line.endsWith("/HEAD"));
+    } catch (error) {
+      console.debug("[GitService] List branches failed:", error);
+      return [];
+    }
+  }
 
-      const info = this.parseBlameOutput(stdout);
-      if (info) {
-        this.cache.set(cacheKey, info);
-        // 设置缓存过期
-        setTimeout(() => this.cache.delete(cacheKey), this.cacheTimeout);
-      }
-      return info;
+  /**
+   * 列出标签名，最新的在前（用于选择比较的版本）
+   */
+  async listTagNames(cwd: string, token?: CancellationToken): Promise<string[]> {
+    try {
+      const output = await this.runGit(
+        ["for-each-ref", "--sort=-creatordate", "--format=%(refname:short)", "refs/tags"],
+        cwd,
+        5000,
+        token,
+      );
+      return output
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean);
+    } catch (error) {
+      console.debug("[GitService] List tags failed:", error);
+      return [];
+    }
+  }
+
+  /**
+   * 把分支、标签等解析为提交哈希
+   *
+   * @returns 不存在或不是提交时返回 null
+   */
+  async resolveCommit(cwd: string, ref: string, token?: CancellationToken): Promise<string | null> {
+    if (ref.startsWith("-")) {
+      return null;
+    }
+    try {
+      const output = await this.runGit(
+        ["rev-parse", "-q", "--verify", `${ref}^{commit}`],
+        cwd,
+        2000,
+        token,
+      );
+      return output.trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 两个版本之间改动的文件（检测重命名），路径为仓库相对路径
+   *
+   * @returns 版本不存在等错误时返回 null
+   */
+  async getChangedFiles(
+    cwd: string,
+    from: string,
+    to: string,
+    token?: CancellationToken,
+  ): Promise<CommitFileChange[] | null> {
+    if (from.startsWith("-") || to.startsWith("-")) {
+      return null;
+    }
+    try {
+      const output = await this.runGit(
+        ["diff", "--no-color", "--no-ext-diff", "-M", "--name-status", from, to, "--"],
+        cwd,
+        15000,
+        token,
+      );
+      return parseNameStatus(output);
     } catch (error) {
-      // Git 命令失败（可能不是 git 仓库）
-      console.debug("[GitService] Blame failed:", error);
+      console.debug("[GitService] Changed files failed:", error);
       return null;
     }
   }
@@ -79,20 +309,42 @@ export class GitService {
   async getClassGitInfo(
     filePath: string,
     classLine: number,
+    token?: CancellationToken,
+    blame?: FileBlame | null,
   ): Promise<ClassGitInfo | null> {
     const workDir = path.dirname(filePath);
     const fileName = path.basename(filePath);
 
     // 先获取类声明行的最后修改者；即使后续 git log 失败也能回退展示。
-    const lastModifier = await this.getBlameForLine(filePath, classLine);
+    // 已有整文件 blame 时直接查表，省去一次 git 调用
+    const lastModifier =
+      blame?.lines[classLine] ??
+      (await this.getBlameForLine(filePath, classLine, token));
+    if (token?.isCancellationRequested) {
+      return null;
+    }
 
     let originalAuthor = "";
     try {
       // 获取文件的第一次提交作者（原始作者）
-      // 注意：不要用 "| tail -1" 之类的管道命令，Windows 默认 shell 不支持。
-      const { stdout: logOutput } = await execAsync(
-        `git log --follow --diff-filter=A --reverse -n 1 --format="%an|%ad" --date=short -- "${fileName}"`,
-        { cwd: workDir, timeout: 5000 },
+      const logOutput = await this.cached(filePath, "originalAuthor", token, () =>
+        this.runGit(
+          [
+            "log",
+            "--follow",
+            "--diff-filter=A",
+            "--reverse",
+            "-n",
+            "1",
+            "--format=%an|%ad",
+            "--date=short",
+            "--",
+            fileName,
+          ],
+          workDir,
+          5000,
+          token,
+        ),
       );
       originalAuthor = logOutput.trim().split("|")[0] ?? "";
     } catch (error) {
@@ -103,107 +355,606 @@ export class GitService {
       author: originalAuthor || lastModifier?.author || "Unknown",
       lastModifier: lastModifier?.author || "Unknown",
       lastModifyDate: lastModifier?.date || "",
+      commitHash: lastModifier?.commitHash || "",
     };
   }
 
   /**
-   * 批量获取多行的 blame 信息（更高效）
+   * 获取某个行范围（0-based，含两端）的修改历史，最近的提交在前
+   *
+   * git log -L 会跟踪行范围在历史中的移动，每个提交附带该范围的补丁，
+   * 从补丁中读取当时的文件路径和起始行
    */
-  async getBlameForLines(
+  async getLineHistory(
     filePath: string,
-    lines: number[],
-  ): Promise<Map<number, GitBlameInfo>> {
-    const result = new Map<number, GitBlameInfo>();
-
-    if (lines.length === 0) return result;
+    startLine: number,
+    endLine: number,
+    token?: CancellationToken,
+    maxCount = 30,
+  ): Promise<MethodHistoryEntry[] | null> {
+    try {
+      const workDir = path.dirname(filePath);
+      const fileName = path.basename(filePath);
+      // "./" 前缀：文件名以 "-" 开头时也不会被当作选项
+      return await this.cached(
+        filePath,
+        `history:${startLine}:${endLine}:${maxCount}`,
+        token,
+        async () =>
+          parseLineHistory(
+            await this.runGit(
+              [
+                "log",
+                `--max-count=${maxCount}`,
+                `--format=${LINE_HISTORY_FORMAT}`,
+                "-L",
+                `${startLine + 1},${endLine + 1}:./${fileName}`,
+              ],
+              workDir,
+              15000,
+              token,
+            ),
+          ),
+      );
+    } catch (error) {
+      console.debug("[GitService] Line history failed:", error);
+      return null;
+    }
+  }
 
+  /**
+   * 查询提交详情：完整提交信息、改动文件列表，以及当前文件在该提交中的路径
+   *
+   * @param filePath - 当前文件的绝对路径（确定仓库和当前文件）
+   */
+  async getCommitDetails(
+    filePath: string,
+    hash: string,
+    token?: CancellationToken,
+  ): Promise<CommitDetails | null> {
     try {
       const workDir = path.dirname(filePath);
       const fileName = path.basename(filePath);
+      const [stdout, currentPath] = await Promise.all([
+        this.runGit(
+          [
+            "show",
+            "--no-color",
+            "--no-ext-diff",
+            "-M",
+            "--name-status",
+            `--format=${COMMIT_DETAILS_FORMAT}`,
+            hash,
+            "--",
+          ],
+          workDir,
+          10000,
+          token,
+        ),
+        this.runGit(["ls-files", "--full-name", "--", fileName], workDir, 2000, token),
+      ]);
+      return parseCommitDetails(stdout, currentPath.trim());
+    } catch (error) {
+      console.debug("[GitService] Commit details failed:", error);
+      return null;
+    }
+  }
 
-      // 构建行范围参数
-      const lineArgs = lines.map((l) => `-L ${l + 1},${l + 1}`).join(" ");
+  /**
+   * 读取文件在某个版本的内容
+   *
+   * @param cwd - 仓库内任意目录
+   * @param ref - 提交，如 "abc123" 或 "abc123^"
+   * @param repoPath - 仓库相对路径
+   * @returns 文件在该版本不存在时返回 null
+   */
+  async getFileAtRevision(
+    cwd: string,
+    ref: string,
+    repoPath: string,
+    token?: CancellationToken,
+  ): Promise<string | null> {
+    try {
+      return await this.runGit(["show", `${ref}:${repoPath}`], cwd, 10000, token);
+    } catch (error) {
+      console.debug("[GitService] Show revision failed:", error);
+      return null;
+    }
+  }
 
-      const { stdout } = await execAsync(
-        `git blame ${lineArgs} --porcelain "${fileName}"`,
-        { cwd: workDir, timeout: 10000 },
+  /**
+   * 列出仓库的标签，按创建时间从早到晚排序（结果按文件缓存，新建标签会触发仓库缓存作废）
+   */
+  async listTags(filePath: string, token?: CancellationToken): Promise<GitTag[]> {
+    try {
+      return await this.cached(filePath, "tags", token, async () =>
+        parseTagRefs(
+          await this.runGit(
+            // 最后一个 --sort 为主键：同一秒创建的标签按版本号排序
+            [
+              "for-each-ref",
+              "--sort=v:refname",
+              "--sort=creatordate",
+              `--format=${TAG_FORMAT}`,
+              "refs/tags",
+            ],
+            path.dirname(filePath),
+            5000,
+            token,
+          ),
+        ),
       );
+    } catch (error) {
+      console.debug("[GitService] List tags failed:", error);
+      return [];
+    }
+  }
 
-      // 解析多行输出
-      const blocks = stdout.split(/(?=^[0-9a-f]{40})/m);
-      let lineIndex = 0;
-
-      for (const block of blocks) {
-        if (!block.trim()) continue;
-
-        const info = this.parseBlameOutput(block);
-        if (info && lineIndex < lines.length) {
-          const line = lines[lineIndex];
-          if (line !== undefined) {
-            result.set(line, info);
-          }
-          lineIndex++;
-        }
-      }
+  /**
+   * 文件的仓库相对路径（用于读取历史版本）
+   *
+   * @returns 未跟踪或不在仓库中时返回 null
+   */
+  async getRepositoryPath(filePath: string, token?: CancellationToken): Promise<string | null> {
+    try {
+      return await this.cached(filePath, "repoPath", token, async () => {
+        const stdout = await this.runGit(
+          ["ls-files", "--full-name", "--", path.basename(filePath)],
+          path.dirname(filePath),
+          2000,
+          token,
+        );
+        return stdout.split("\n")[0]?.trim() || null;
+      });
     } catch (error) {
-      console.debug("[GitService] Batch blame failed:", error);
+      console.debug("[GitService] ls-files failed:", error);
+      return null;
     }
+  }
 
-    return result;
+  /**
+   * 检查当前目录是否是 Git 仓库（结果按目录缓存）
+   */
+  async isGitRepository(filePath: string): Promise<boolean> {
+    return (await this.getRepository(path.dirname(filePath))) !== null;
   }
 
   /**
-   * 解析 git blame --porcelain 输出
+   * 发现新仓库时通知（每个 .git 目录一次），供 GitRepositoryWatcher 监听其 HEAD 和引用
    */
-  private parseBlameOutput(output: string): GitBlameInfo | null {
-    if (!output.trim()) return null;
+  onDidDiscoverRepository(listener: (repository: GitRepository) => void): { dispose(): void } {
+    this.repositoryListeners.add(listener);
+    return { dispose: () => this.repositoryListeners.delete(listener) };
+  }
 
-    const lines = output.split("\n");
-    let author = "";
-    let email = "";
-    let date = "";
-    let commitHash = "";
+  /**
+   * 文件保存后作废它的缓存
+   */
+  invalidateFile(filePath: string): void {
+    this.cache.invalidateFile(filePath);
+  }
 
-    for (const line of lines) {
-      if (/^[0-9a-f]{40}/.test(line)) {
-        commitHash = line.slice(0, 40);
-      } else if (line.startsWith("author ")) {
-        author = line.slice(7);
-      } else if (line.startsWith("author-mail ")) {
-        email = line.slice(12).replace(/[<>]/g, "");
-      } else if (line.startsWith("author-time ")) {
-        const timestamp = parseInt(line.slice(12), 10);
-        date = new Date(timestamp * 1000).toISOString().split("T")[0] ?? "";
+  /**
+   * 仓库的 HEAD 或引用变化后作废整个仓库的缓存（下次查询重新读取 HEAD）
+   */
+  invalidateRepository(root: string): void {
+    const prefix = root + path.sep;
+    for (const directory of this.repositories.keys()) {
+      if (directory === root || directory.startsWith(prefix)) {
+        this.repositories.delete(directory);
       }
     }
+    this.cache.invalidateDirectory(root);
+  }
 
-    if (!author) return null;
+  /**
+   * 读取缓存的查询结果，没有时执行 compute（版本戳见 getFileStamp）
+   *
+   * 同时到达的查询共用第一个查询的 git 进程；它被发起方取消时，
+   * 自己未被取消的等待方重新执行一次
+   */
+  private async cached<T>(
+    filePath: string,
+    key: string,
+    token: CancellationToken | undefined,
+    compute: () => Promise<T>,
+  ): Promise<T> {
+    const stamp = await this.getFileStamp(filePath);
+    if (stamp === null) {
+      return compute();
+    }
+    try {
+      return await this.cache.get(filePath, stamp, key, compute);
+    } catch (error) {
+      if (
+        error instanceof GitCommandError &&
+        error.reason === "cancelled" &&
+        !token?.isCancellationRequested
+      ) {
+        return this.cache.get(filePath, stamp, key, compute);
+      }
+      throw error;
+    }
+  }
 
-    return { author, email, date, commitHash };
+  /**
+   * 文件的版本戳："HEAD 提交:修改时间:大小"；不在仓库中或文件不存在时返回 null（不缓存）
+   */
+  private async getFileStamp(filePath: string): Promise<string | null> {
+    const repository = await this.getRepository(path.dirname(filePath));
+    if (!repository) {
+      return null;
+    }
+    try {
+      const stat = await fs.promises.stat(filePath);
+      return `${repository.head}:${stat.mtimeMs}:${stat.size}`;
+    } catch {
+      return null;
+    }
   }
 
   /**
-   * 检查当前目录是否是 Git 仓库
+   * 目录所在的仓库（按目录缓存）
+   *
+   * 不在仓库中的结果不缓存：git init 之后立即生效。
+   * 解析不接受取消令牌：rev-parse 很快，结果由多个查询共用
    */
-  async isGitRepository(filePath: string): Promise<boolean> {
+  private getRepository(directory: string): Promise<GitRepository | null> {
+    const cached = this.repositories.get(directory);
+    if (cached) {
+      return cached;
+    }
+
+    const pending = this.resolveRepository(directory);
+    this.repositories.set(directory, pending);
+    void pending.then((repository) => {
+      if (!repository) {
+        this.repositories.delete(directory);
+      } else if (!this.knownGitDirs.has(repository.gitDir)) {
+        this.knownGitDirs.add(repository.gitDir);
+        for (const listener of this.repositoryListeners) {
+          listener(repository);
+        }
+      }
+    });
+    return pending;
+  }
+
+  private async resolveRepository(directory: string): Promise<GitRepository | null> {
     try {
-      const workDir = path.dirname(filePath);
-      await execAsync("git rev-parse --git-dir", {
-        cwd: workDir,
-        timeout: 2000,
-      });
-      return true;
+      const output = await this.runGit(
+        ["rev-parse", "--show-toplevel", "--absolute-git-dir", "--git-common-dir"],
+        directory,
+        2000,
+        undefined,
+      );
+      const [root = "", gitDir = "", commonDir = ""] = output.trim().split("\n");
+      // 还没有提交的仓库没有 HEAD
+      const head = await this.runGit(
+        ["rev-parse", "-q", "--verify", "HEAD"],
+        directory,
+        2000,
+        undefined,
+      ).then(
+        (stdout) => stdout.trim(),
+        () => "",
+      );
+      return {
+        root: path.resolve(root),
+        gitDir: path.resolve(gitDir),
+        commonDir: path.resolve(directory, commonDir),
+        head,
+      };
     } catch {
-      return false;
+      return null;
     }
   }
 
+  /**
+   * 执行 git 命令并返回 stdout（令牌取消时执行器会结束子进程）
+   */
+  private runGit(
+    args: readonly string[],
+    workDir: string,
+    timeout: number,
+    token: CancellationToken | undefined,
+  ): Promise<string> {
+    return this.runner.run(args, { cwd: workDir, timeout, token });
+  }
+
   /**
    * 清除缓存
    */
   clearCache(): void {
     this.cache.clear();
+    this.repositories.clear();
+  }
+}
+
+/**
+ * 解析整文件的 git blame --porcelain 输出
+ *
+ * 提交的 author / author-time 等字段只在该提交第一次出现时输出，
+ * 之后同一提交的行只有头部，需要按 sha 复用
+ */
+export function parseBlamePorcelain(output: string): FileBlame {
+  const commits = new Map<string, { author: string; email: string; timestamp: number }>();
+  const lineShas: string[] = [];
+  let currentSha = "";
+
+  for (const line of output.split("\n")) {
+    const header = PORCELAIN_HEADER_PATTERN.exec(line);
+    if (header?.[1] && header[2]) {
+      currentSha = header[1];
+      lineShas[parseInt(header[2], 10) - 1] = currentSha;
+      if (!commits.has(currentSha)) {
+        commits.set(currentSha, { author: "", email: "", timestamp: 0 });
+      }
+      continue;
+    }
+
+    const commit = commits.get(currentSha);
+    if (!commit) continue;
+    if (line.startsWith("author ")) {
+      commit.author = line.slice(7);
+    } else if (line.startsWith("author-mail ")) {
+      commit.email = line.slice(12).replace(/[<>]/g, "");
+    } else if (line.startsWith("author-time ")) {
+      commit.timestamp = parseInt(line.slice(12), 10);
+    }
+  }
+
+  const infos = new Map<string, GitBlameInfo>();
+  for (const [sha, commit] of commits) {
+    infos.set(sha, {
+      author: commit.author,
+      email: commit.email,
+      date: new Date(commit.timestamp * 1000).toISOString().split("T")[0] ?? "",
+      timestamp: commit.timestamp,
+      commitHash: sha,
+    });
+  }
+
+  const lines: GitBlameInfo[] = [];
+  lineShas.forEach((sha, index) => {
+    const info = infos.get(sha);
+    if (info) {
+      lines[index] = info;
+    }
+  });
+  return { lines };
+}
+
+/**
+ * 汇总某个行范围（0-based，含两端）的 blame
+ *
+ * author 为范围内最早的提交作者，lastModifier / lastModifyDate 为最近一次修改
+ *
+ * @returns 范围超出文件或没有 blame 数据时返回 undefined
+ */
+export function summarizeBlameRange(
+  blame: FileBlame,
+  startLine: number,
+  endLine: number,
+): GitAuthorInfo | undefined {
+  let oldest: GitBlameInfo | undefined;
+  let newest: GitBlameInfo | undefined;
+
+  for (let line = startLine; line <= endLine; line++) {
+    const info = blame.lines[line];
+    if (!info) continue;
+    if (!oldest || info.timestamp < oldest.timestamp) oldest = info;
+    if (!newest || info.timestamp > newest.timestamp) newest = info;
+  }
+
+  if (!oldest || !newest) return undefined;
+  return {
+    author: oldest.author,
+    lastModifier: newest.author,
+    lastModifyDate: newest.date,
+    commitHash: newest.commitHash,
+  };
+}
+
+/**
+ * 统计行范围（0-based，含两端）内各贡献者的行数占比，按行数降序
+ *
+ * 名字和邮箱已由 git blame 按 .mailmap 映射；仍按邮箱（忽略大小写）合并别名，
+ * 显示该邮箱下行数最多的名字。没有邮箱时按名字区分
+ */
+export function computeOwnership(
+  blame: FileBlame,
+  startLine: number,
+  endLine: number,
+): OwnershipShare[] {
+  const owners = new Map<string, { email: string; lines: number; names: Map<string, number> }>();
+  let total = 0;
+
+  for (let line = startLine; line <= endLine; line++) {
+    const info = blame.lines[line];
+    if (!info) continue;
+    const key = info.email ? info.email.toLowerCase() : `name:${info.author}`;
+    let owner = owners.get(key);
+    if (!owner) {
+      owner = { email: info.email, lines: 0, names: new Map() };
+      owners.set(key, owner);
+    }
+    owner.lines++;
+    owner.names.set(info.author, (owner.names.get(info.author) ?? 0) + 1);
+    total++;
+  }
+
+  return [...owners.values()]
+    .map((owner) => ({
+      author: [...owner.names].reduce((a, b) => (b[1] > a[1] ? b : a))[0],
+      email: owner.email,
+      lines: owner.lines,
+      percent: Math.round((owner.lines / total) * 100),
+    }))
+    .sort((a, b) => b.lines - a.lines || a.author.localeCompare(b.author));
+}
+
+/**
+ * 解析 git show --name-status 输出（格式见 COMMIT_DETAILS_FORMAT）
+ *
+ * @param currentPath - 当前文件的仓库相对路径，用于找出它在该提交中的改动
+ */
+export function parseCommitDetails(output: string, currentPath: string): CommitDetails | null {
+  const [, header = "", fileList = ""] = output.split("\x1e");
+  const [hash, author = "", email = "", time = "0", ...message] = header.split("\x1f");
+  if (!hash || !/^[0-9a-f]{40}$/.test(hash)) {
+    return null;
+  }
+
+  const files = parseNameStatus(fileList);
+  const current = files.find((file) => file.path === currentPath);
+  const timestamp = parseInt(time, 10);
+  return {
+    hash,
+    author,
+    email,
+    date: new Date(timestamp * 1000).toISOString().split("T")[0] ?? "",
+    message: message.join("\x1f").trim(),
+    files,
+    currentFile: current
+      ? {
+          path: current.path,
+          previousPath:
+            current.status === "A" ? null : (current.previousPath ?? current.path),
+        }
+      : null,
+  };
+}
+
+/**
+ * 解析 --name-status 文件列表
+ */
+export function parseNameStatus(output: string): CommitFileChange[] {
+  const files: CommitFileChange[] = [];
+  for (const line of output.split("\n")) {
+    const [status = "", first, second] = line.split("\t");
+    if (!first) continue;
+    // 重命名 / 复制："R100\t旧路径\t新路径"
+    files.push(
+      second === undefined
+        ? { status: status.charAt(0), path: first, previousPath: null }
+        : { status: status.charAt(0), path: second, previousPath: first },
+    );
+  }
+  return files;
+}
+
+/**
+ * 解析 git log -L 输出
+ *
+ * 每条记录：提交头一行 + 补丁（"--- a/旧路径"、"+++ b/新路径"、"@@ -a,b +c,d @@" ...）
+ * 新增文件的旧路径为 /dev/null
+ */
+export function parseLineHistory(output: string): MethodHistoryEntry[] {
+  const entries: MethodHistoryEntry[] = [];
+
+  for (const record of output.split("\x1e")) {
+    const [header = "", ...patch] = record.split("\n");
+    const [hash, author = "", email = "", time = "0", ...subject] = header.split("\x1f");
+    if (!hash || !/^[0-9a-f]{40}$/.test(hash)) continue;
+
+    let previousPath: string | null = null;
+    let currentPath = "";
+    let startLine = 0;
+    for (const line of patch) {
+      if (line.startsWith("--- ")) {
+        previousPath = line === "--- /dev/null" ? null : line.slice(4).replace(/^a\//, "");
+      } else if (line.startsWith("+++ ")) {
+        currentPath = line.slice(4).replace(/^b\//, "");
+      } else {
+        const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)/.exec(line);
+        if (hunk?.[1]) {
+          startLine = Math.max(0, parseInt(hunk[1], 10) - 1);
+          break;
+        }
+      }
+    }
+
+    const timestamp = parseInt(time, 10);
+    entries.push({
+      hash,
+      author,
+      email,
+      date: new Date(timestamp * 1000).toISOString().split("T")[0] ?? "",
+      subject: subject.join("\x1f"),
+      path: currentPath,
+      previousPath,
+      startLine: LineNumber(startLine),
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * 解析 git for-each-ref 的标签列表（格式见 TAG_FORMAT）
+ */
+export function parseTagRefs(output: string): GitTag[] {
+  const tags: GitTag[] = [];
+  for (const line of output.split("\n")) {
+    const [name = "", object = "", peeled = ""] = line.split("\x1f");
+    const commit = peeled || object;
+    if (name && /^[0-9a-f]{40}$/.test(commit)) {
+      tags.push({ name, commit });
+    }
+  }
+  return tags;
+}
+
+/**
+ * 解析 git diff -U0 输出中的 hunk 头 "@@ -a,b +c,d @@"（省略的行数为 1）
+ */
+export function parseDiffHunks(diff: string): DiffRange[] {
+  const ranges: DiffRange[] = [];
+  for (const match of diff.matchAll(HUNK_HEADER_PATTERN)) {
+    const oldCount = match[1] === undefined ? 1 : parseInt(match[1], 10);
+    const newStart = parseInt(match[2] ?? "0", 10);
+    const count = match[3] === undefined ? 1 : parseInt(match[3], 10);
+    ranges.push({
+      // 纯删除时 newStart 是删除位置之前的行（1-based），即之后一行的 0-based 下标
+      start: count === 0 ? newStart : newStart - 1,
+      count,
+      oldCount,
+    });
+  }
+  return ranges;
+}
+
+/**
+ * 判断行范围（0-based，含两端）的改动状态
+ *
+ * @returns 未改动时返回 undefined
+ */
+export function classifyChange(
+  changes: FileChanges,
+  startLine: number,
+  endLine: number,
+): ChangeStatus | undefined {
+  if (changes.untracked) {
+    return "added";
+  }
+
+  let touched = false;
+  for (const range of changes.ranges) {
+    if (range.count === 0) {
+      // 删除发生在成员内部的两行之间
+      touched ||= range.start > startLine && range.start <= endLine;
+      continue;
+    }
+    const rangeEnd = range.start + range.count - 1;
+    if (range.start <= endLine && rangeEnd >= startLine) {
+      if (range.oldCount === 0 && range.start <= startLine && rangeEnd >= endLine) {
+        return "added";
+      }
+      touched = true;
+    }
   }
+  return touched ? "modified" : undefined;
 }
 
 // 单例实例
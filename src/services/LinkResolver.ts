@@ -0,0 +1,283 @@
+/**
+ * LinkResolver.ts - {@link} 目标解析与跳转
+ *
+ * 【支持的目标格式】
+ *   #findById(Long)                      → 当前文件中的成员
+ *   UserService                          → 类型
+ *   UserService#findById(Long)           → 其他类型的成员（可在另一个文件）
+ *   com.example.UserService#findById     → 全限定名
+ *   UserService.findById                 → JSDoc 风格的成员引用
+ *   Store#Save / NewStore                → Go 文档链接 [Store.Save] / [NewStore]（方法是带接收者的顶层符号）
+ *   App.UserService#Find(System.Int32)   → C# <see cref="M:App.UserService.Find(System.Int32)"/>（类型在 namespace 块中）
+ *   User#save / #len                     → Rust 文档链接 [`User::save`] / [`Self::len`]（方法在 "impl User" 块中）
+ *
+ * 【查找顺序】
+ * 1. 当前文档的 Symbol 树（不依赖工作区索引，最快）
+ * 2. Workspace Symbol Provider 直接搜索成员
+ * 3. 先找到类型所在文件，再在该文件的 Symbol 树中找成员
+ */
+
+import * as vscode from "vscode";
+import type { DocumentSymbol, SymbolInformation, TextDocument } from "vscode";
+import {
+  isClassLikeSymbol,
+  isNamespaceSymbol,
+  resolveSymbols,
+} from "../parser/SymbolResolver.js";
+import { splitByTopLevelComma } from "../parser/TagParser.js";
+import { rustImplSelfType } from "../parser/RustDocParser.js";
+
+const EXECUTE_WORKSPACE_SYMBOL_PROVIDER = "vscode.executeWorkspaceSymbolProvider";
+
+const CLASS_LIKE_KINDS: ReadonlySet<vscode.SymbolKind> = new Set([
+  vscode.SymbolKind.Class,
+  vscode.SymbolKind.Interface,
+  vscode.SymbolKind.Enum,
+  vscode.SymbolKind.Struct,
+]);
+
+/**
+ * 拆分后的链接目标
+ */
+export interface LinkTarget {
+  readonly typeName: string; // 可能为空（#member），可能是全限定名
+  readonly memberName: string; // 可能为空（只引用类型）
+  readonly paramCount: number | null; // 未写参数列表时为 null
+}
+
+/**
+ * 解析链接目标文本
+ */
+export function parseLinkTarget(target: string): LinkTarget {
+  const trimmed = target.trim();
+  const hashIndex = trimmed.indexOf("#");
+
+  let typeName = hashIndex >= 0 ? trimmed.slice(0, hashIndex) : trimmed;
+  let member = hashIndex >= 0 ? trimmed.slice(hashIndex + 1) : "";
+
+  // JSDoc: Type.member —— 仅当最后一段以小写开头时视为成员，避免误拆 java.util.List
+  if (hashIndex < 0) {
+    const withoutParams = trimmed.replace(/\(.*$/, "");
+    const lastDot = withoutParams.lastIndexOf(".");
+    const lastSegment = withoutParams.slice(lastDot + 1);
+    if (lastDot > 0 && /^[a-z_$]/.test(lastSegment) && /[A-Z]/.test(withoutParams.slice(0, lastDot))) {
+      typeName = withoutParams.slice(0, lastDot);
+      member = trimmed.slice(lastDot + 1);
+    }
+  }
+
+  const openParen = member.indexOf("(");
+  const memberName = (openParen >= 0 ? member.slice(0, openParen) : member).trim();
+  const paramsText =
+    openParen >= 0 ? member.slice(openParen + 1, member.lastIndexOf(")")) : null;
+  const paramCount =
+    paramsText === null
+      ? null
+      : splitByTopLevelComma(paramsText).filter((p) => p.trim()).length;
+
+  return { typeName: typeName.trim(), memberName, paramCount };
+}
+
+/**
+ * 解析并打开链接目标
+ *
+ * @param target - {@link} 中的目标文本
+ * @param fromDocument - 链接所在文档（# 开头的目标在此文档中查找）
+ * @returns 是否找到并打开
+ */
+export async function openLinkTarget(
+  target: string,
+  fromDocument: TextDocument | undefined,
+): Promise<boolean> {
+  const link = parseLinkTarget(target);
+  const typeSimpleName = simpleName(link.typeName);
+
+  if (fromDocument) {
+    const symbols = await resolveSymbols(fromDocument.uri);
+    const local =
+      findSymbol(symbols, typeSimpleName, link) ??
+      findTopLevelSymbol(symbols, typeSimpleName, link);
+    if (local) {
+      await reveal(fromDocument.uri, local.selectionRange);
+      return true;
+    }
+  }
+
+  if (!typeSimpleName && !link.memberName) {
+    return false;
+  }
+
+  if (link.memberName) {
+    const members = await searchWorkspace(link.memberName);
+    const member = members.find(
+      (info) =>
+        baseName(info.name) === link.memberName &&
+        (!typeSimpleName || simpleName(info.containerName ?? "") === typeSimpleName) &&
+        matchesParamCount(info.name, link.paramCount),
+    );
+    if (member) {
+      await reveal(member.location.uri, member.location.range);
+      return true;
+    }
+  }
+
+  if (!typeSimpleName) {
+    return false;
+  }
+
+  const types = await searchWorkspace(typeSimpleName);
+  const type = types.find(
+    (info) =>
+      CLASS_LIKE_KINDS.has(info.kind) &&
+      info.name === typeSimpleName &&
+      matchesPackage(info, link.typeName),
+  );
+  if (!type) {
+    return false;
+  }
+
+  if (link.memberName) {
+    const symbols = await resolveSymbols(type.location.uri);
+    const member =
+      findSymbol(symbols, typeSimpleName, link) ??
+      findTopLevelSymbol(symbols, typeSimpleName, link);
+    if (member) {
+      await reveal(type.location.uri, member.selectionRange);
+      return true;
+    }
+  }
+
+  await reveal(type.location.uri, type.location.range);
+  return true;
+}
+
+/**
+ * 在 Symbol 树中查找链接目标
+ *
+ * typeName 为空时在所有类型中查找成员；memberName 为空时查找类型本身
+ */
+function findSymbol(
+  symbols: readonly DocumentSymbol[],
+  typeName: string,
+  link: LinkTarget,
+  insideType = false,
+): DocumentSymbol | undefined {
+  for (const symbol of symbols) {
+    if (isNamespaceSymbol(symbol)) {
+      const found = findSymbol(symbol.children, typeName, link, insideType);
+      if (found) {
+        return found;
+      }
+      continue;
+    }
+    if (isClassLikeSymbol(symbol)) {
+      // Rust 的方法在 "impl User" / "impl Display for User" 块中，块名不是类型名
+      const implType = rustImplSelfType(symbol.name);
+      const isImpl = implType !== null;
+      const isTargetType = !typeName || symbol.name === typeName || implType === typeName;
+      if (isTargetType && !isImpl && !link.memberName && typeName) {
+        return symbol;
+      }
+      const found = findSymbol(symbol.children, typeName, link, isTargetType);
+      if (found) {
+        return found;
+      }
+      continue;
+    }
+
+    if (
+      insideType &&
+      link.memberName &&
+      baseName(symbol.name) === link.memberName &&
+      matchesParamCount(symbol.name, link.paramCount)
+    ) {
+      return symbol;
+    }
+  }
+
+  // 顶层函数（JS/TS）不属于任何类型
+  if (!insideType && !typeName && link.memberName) {
+    return symbols.find((s) => baseName(s.name) === link.memberName);
+  }
+
+  return undefined;
+}
+
+/**
+ * 在顶层符号中查找：Go 的方法是带接收者的顶层符号 "(*Store).Save"，
+ * 没有成员名的链接也可能指向顶层函数或常量（[NewStore]）
+ */
+function findTopLevelSymbol(
+  symbols: readonly DocumentSymbol[],
+  typeName: string,
+  link: LinkTarget,
+): DocumentSymbol | undefined {
+  if (!typeName) {
+    return undefined;
+  }
+  return link.memberName
+    ? symbols.find(
+        (s) => receiverName(s.name) === typeName && baseName(s.name) === link.memberName,
+      )
+    : symbols.find((s) => !isClassLikeSymbol(s) && s.name === typeName);
+}
+
+async function searchWorkspace(query: string): Promise<SymbolInformation[]> {
+  try {
+    const result = await vscode.commands.executeCommand<SymbolInformation[] | undefined>(
+      EXECUTE_WORKSPACE_SYMBOL_PROVIDER,
+      query,
+    );
+    return result ?? [];
+  } catch (error) {
+    console.error("[LinkResolver] Workspace symbol search failed:", error);
+    return [];
+  }
+}
+
+async function reveal(uri: vscode.Uri, range: vscode.Range): Promise<void> {
+  const selection = new vscode.Range(range.start, range.start);
+  await vscode.window.showTextDocument(uri, { selection, preview: true });
+}
+
+/**
+ * 部分 Language Server 的方法名带参数列表，如 "findById(Long)"；gopls 的方法名带接收者，如 "(*Store).Save"
+ */
+function baseName(name: string): string {
+  return name.replace(/^\([^)]*\)\./, "").replace(/\(.*$/, "").trim();
+}
+
+/**
+ * Go 方法的接收者类型："(*List[T]).Push" → "List"，其它符号为 null
+ */
+function receiverName(name: string): string | null {
+  return /^\(\*?([A-Za-z_]\w*)(?:\[[^\]]*\])?\)\./.exec(name)?.[1] ?? null;
+}
+
+function simpleName(qualifiedName: string): string {
+  const withoutGenerics = qualifiedName.replace(/<.*$/, "");
+  return withoutGenerics.slice(withoutGenerics.lastIndexOf(".") + 1);
+}
+
+/**
+ * 符号名中不带参数列表时无法比较，视为匹配
+ */
+function matchesParamCount(symbolName: string, paramCount: number | null): boolean {
+  const openParen = symbolName.indexOf("(");
+  if (paramCount === null || openParen < 0) {
+    return true;
+  }
+  const paramsText = symbolName.slice(openParen + 1, symbolName.lastIndexOf(")"));
+  return splitByTopLevelComma(paramsText).filter((p) => p.trim()).length === paramCount;
+}
+
+/**
+ * 全限定名时校验包名（containerName 通常为包名）
+ */
+function matchesPackage(info: SymbolInformation, typeName: string): boolean {
+  const lastDot = typeName.lastIndexOf(".");
+  if (lastDot < 0 || !info.containerName) {
+    return true;
+  }
+  return info.containerName === typeName.slice(0, lastDot);
+}
@@ -0,0 +1,178 @@
+/**
+ * SinceInferenceService.ts - 从 Git 标签推断方法的 @since
+ *
+ * 【做法】
+ * 1. 列出仓库中名称匹配 sinceTagPattern 的标签，按创建时间排序，视为发布版本序列
+ * 2. 对每个方法二分查找：第一个文件内容中声明了该方法的标签即为它的首个版本
+ *    （假设方法一旦发布就不会在之后的版本中消失）
+ * 3. 声明的判断见 parser/SinceInference.ts：方法名 + 参数个数，区分重载
+ *
+ * 【缓存】
+ * 标签指向的提交不可变，文件内容按 "提交:路径" 缓存，多个方法、多次刷新共用；
+ * 标签列表本身由 GitService 按文件缓存
+ *
+ * 【限制】
+ * 只读取文件当前的仓库路径：文件在旧版本中位于其他路径时，推断结果会晚于实际版本
+ */
+
+import * as vscode from "vscode";
+import * as path from "path";
+import type { CancellationToken } from "vscode";
+import type { InferredSince } from "../types.js";
+import { containsMethodDeclaration, versionFromTag } from "../parser/SinceInference.js";
+import { gitService } from "./GitService.js";
+import type { GitTag } from "./GitService.js";
+
+const MAX_CACHED_CONTENTS = 100;
+
+// 已提示过的无效 sinceTagPattern：每次刷新都会推断，同一个设置只提示一次
+const reportedInvalidPatterns = new Set<string>();
+
+/**
+ * 待推断的方法
+ */
+export interface MethodShape {
+  readonly name: string;
+  readonly paramCount: number | null; // null：参数个数未知（JS 解构参数），不区分重载
+}
+
+export class SinceInferenceService {
+  // key: "提交:仓库相对路径"，null 表示该版本中没有这个文件
+  private readonly contents = new Map<string, string | null>();
+
+  /**
+   * 推断每个方法第一次出现的发布标签
+   *
+   * @param filePath - 当前文件的绝对路径
+   * @param tagPattern - 发布标签的正则表达式（无效时不推断）
+   * @returns 与 methods 一一对应；不在仓库中、没有发布标签或最新发布中还没有该方法时为 null
+   */
+  public async infer(
+    filePath: string,
+    methods: readonly MethodShape[],
+    tagPattern: string,
+    token?: CancellationToken,
+  ): Promise<(InferredSince | null)[]> {
+    const none = methods.map(() => null);
+    const pattern = compilePattern(tagPattern);
+    if (!pattern || methods.length === 0) {
+      return none;
+    }
+
+    const [tags, repoPath] = await Promise.all([
+      gitService.listTags(filePath, token),
+      gitService.getRepositoryPath(filePath, token),
+    ]);
+    const releases = tags.filter((tag) => pattern.test(tag.name));
+    if (!repoPath || releases.length === 0) {
+      return none;
+    }
+
+    const cwd = path.dirname(filePath);
+    const results: (InferredSince | null)[] = [];
+    for (const method of methods) {
+      const tag = await this.findFirstRelease(releases, (release) =>
+        this.declares(cwd, release, repoPath, method, token),
+      );
+      results.push(tag ? { version: versionFromTag(tag.name), tag: tag.name } : null);
+    }
+    return results;
+  }
+
+  /**
+   * 二分查找第一个满足 contains 的发布（最新发布不满足时返回 null）
+   */
+  private async findFirstRelease(
+    releases: readonly GitTag[],
+    contains: (release: GitTag) => Promise<boolean>,
+  ): Promise<GitTag | null> {
+    const latest = releases[releases.length - 1];
+    if (!latest || !(await contains(latest))) {
+      return null;
+    }
+
+    let low = 0;
+    let high = releases.length - 1; // releases[high] 总是包含该方法
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const release = releases[middle];
+      if (release && (await contains(release))) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return releases[high] ?? null;
+  }
+
+  private async declares(
+    cwd: string,
+    release: GitTag,
+    repoPath: string,
+    method: MethodShape,
+    token: CancellationToken | undefined,
+  ): Promise<boolean> {
+    const content = await this.readContent(cwd, release.commit, repoPath, token);
+    return content !== null && containsMethodDeclaration(content, method.name, method.paramCount);
+  }
+
+  /**
+   * 读取文件在某个提交中的内容（按 "提交:路径" 缓存，超出容量时淘汰最久未使用的）
+   *
+   * 读取被取消时 getFileAtRevision 同样返回 null，这种结果不缓存
+   */
+  private async readContent(
+    cwd: string,
+    commit: string,
+    repoPath: string,
+    token: CancellationToken | undefined,
+  ): Promise<string | null> {
+    const key = `${commit}:${repoPath}`;
+    if (this.contents.has(key)) {
+      const cached = this.contents.get(key) ?? null;
+      this.contents.delete(key);
+      this.contents.set(key, cached);
+      return cached;
+    }
+
+    const content = await gitService.getFileAtRevision(cwd, commit, repoPath, token);
+    if (token?.isCancellationRequested) {
+      return content;
+    }
+    this.contents.set(key, content);
+    while (this.contents.size > MAX_CACHED_CONTENTS) {
+      const oldest = this.contents.keys().next().value;
+      if (typeof oldest !== "string") break;
+      this.contents.delete(oldest);
+    }
+    return content;
+  }
+
+  /**
+   * 清除文件内容缓存
+   */
+  public clearCache(): void {
+    this.contents.clear();
+  }
+}
+
+function compilePattern(tagPattern: string): RegExp | null {
+  if (tagPattern.trim() === "") {
+    return null;
+  }
+  try {
+    return new RegExp(tagPattern);
+  } catch (error) {
+    if (!reportedInvalidPatterns.has(tagPattern)) {
+      reportedInvalidPatterns.add(tagPattern);
+      const reason = error instanceof Error ? error.message : String(error);
+      void vscode.window.showWarningMessage(
+        `javaDocSidebar.sinceTagPattern 不是有效的正则表达式，已停止推断 @since：${reason}`,
+      );
+    }
+    return null;
+  }
+}
+
+// 单例实例
+export const sinceInferenceService = new SinceInferenceService();
@@ -0,0 +1,422 @@
+/**
+ * SupertypeResolver.ts - 父类型查找（用于 {@inheritDoc}）
+ *
+ * 【查找方式】
+ * 1. Type Hierarchy Provider（jdtls 等支持）：prepareTypeHierarchy → provideSupertypes
+ * 2. 不支持类型层级时（如 TypeScript），解析声明头部的 extends / implements（C# 为 ":" 之后的基类型列表，
+ *    Rust 为 "impl Trait for Type" 中的 trait），再通过 Definition Provider 跳转到父类型声明
+ *
+ * 【返回顺序】
+ * 与 Javadoc 的继承文档查找顺序一致：
+ *   先查直接实现的接口（按声明顺序，递归），再查父类（递归）
+ *
+ * 父类型所在文件需要源码，找不到源码的类型（如只有 .class）会被跳过
+ */
+
+import * as vscode from "vscode";
+import type {
+  DocumentSymbol,
+  Location,
+  LocationLink,
+  Position,
+  TextDocument,
+  TypeHierarchyItem,
+  Uri,
+} from "vscode";
+import { isClassLikeSymbol, resolveSymbols } from "../parser/SymbolResolver.js";
+import { findMatchingIndex } from "../parser/TagParser.js";
+import { parseRustImplName } from "../parser/RustDocParser.js";
+
+const PREPARE_TYPE_HIERARCHY = "vscode.prepareTypeHierarchy";
+const PROVIDE_SUPERTYPES = "vscode.provideSupertypes";
+const EXECUTE_DEFINITION_PROVIDER = "vscode.executeDefinitionProvider";
+
+/**
+ * 最大继承深度，防止异常的循环层级
+ */
+const MAX_HIERARCHY_DEPTH = 8;
+
+/**
+ * 已定位到源码的父类型
+ */
+export interface ResolvedSupertype {
+  readonly name: string; // 父类型名称
+  readonly document: TextDocument; // 父类型所在文档
+  readonly symbol: DocumentSymbol; // 父类型的 Symbol（children 为其成员）
+}
+
+/**
+ * 父类型的位置（尚未打开文档）
+ */
+interface SupertypeLocation {
+  readonly name: string;
+  readonly uri: Uri;
+  readonly position: Position;
+  readonly isInterface: boolean;
+  readonly item?: TypeHierarchyItem | undefined;
+}
+
+/**
+ * 查找类型的全部父类型（按 Javadoc 查找顺序）
+ *
+ * @param document - 类型所在文档
+ * @param typeSymbol - 类型的 Symbol
+ */
+export async function resolveSupertypes(
+  document: TextDocument,
+  typeSymbol: DocumentSymbol,
+): Promise<ResolvedSupertype[]> {
+  const root = await prepareHierarchyItem(document.uri, typeSymbol);
+  const visited = new Set<string>([locationKey(document.uri, typeSymbol.selectionRange.start)]);
+  const resolved: ResolvedSupertype[] = [];
+
+  // Definition 降级在递归时已经打开了每个父类型，直接使用
+  if (!root) {
+    await collectFromDefinitions(document, typeSymbol, resolved, visited, 0);
+    return resolved;
+  }
+
+  const locations: SupertypeLocation[] = [];
+  await collectFromHierarchy(root, locations, visited, 0);
+  for (const location of locations) {
+    const supertype = await openSupertype(location);
+    if (supertype) {
+      resolved.push(supertype);
+    }
+  }
+  return resolved;
+}
+
+// ========== Type Hierarchy ==========
+
+async function prepareHierarchyItem(
+  uri: Uri,
+  typeSymbol: DocumentSymbol,
+): Promise<TypeHierarchyItem | undefined> {
+  try {
+    const items = await vscode.commands.executeCommand<TypeHierarchyItem[] | undefined>(
+      PREPARE_TYPE_HIERARCHY,
+      uri,
+      typeSymbol.selectionRange.start,
+    );
+    return items?.[0];
+  } catch {
+    // 没有注册 Type Hierarchy Provider 的语言会抛错，降级为 Definition 查找
+    return undefined;
+  }
+}
+
+async function collectFromHierarchy(
+  item: TypeHierarchyItem,
+  result: SupertypeLocation[],
+  visited: Set<string>,
+  depth: number,
+): Promise<void> {
+  if (depth >= MAX_HIERARCHY_DEPTH) {
+    return;
+  }
+
+  let supertypes: TypeHierarchyItem[] = [];
+  try {
+    supertypes =
+      (await vscode.commands.executeCommand<TypeHierarchyItem[] | undefined>(
+        PROVIDE_SUPERTYPES,
+        item,
+      )) ?? [];
+  } catch (error) {
+    console.error("[SupertypeResolver] Failed to provide supertypes:", error);
+    return;
+  }
+
+  const direct = supertypes.map((supertype) => ({
+    name: supertype.name,
+    uri: supertype.uri,
+    position: supertype.selectionRange.start,
+    isInterface: supertype.kind === vscode.SymbolKind.Interface,
+    item: supertype,
+  }));
+
+  for (const location of orderForJavadoc(direct)) {
+    const key = locationKey(location.uri, location.position);
+    if (visited.has(key)) {
+      continue;
+    }
+    visited.add(key);
+    result.push(location);
+    await collectFromHierarchy(location.item, result, visited, depth + 1);
+  }
+}
+
+// ========== Definition 降级 ==========
+
+/**
+ * 父类型的父类型要从它自己的声明头部读取，因此每个父类型在这里打开一次，结果直接收集
+ */
+async function collectFromDefinitions(
+  document: TextDocument,
+  typeSymbol: DocumentSymbol,
+  result: ResolvedSupertype[],
+  visited: Set<string>,
+  depth: number,
+): Promise<void> {
+  if (depth >= MAX_HIERARCHY_DEPTH) {
+    return;
+  }
+
+  const direct: SupertypeLocation[] = [];
+  for (const heritage of parseHeritageClause(document, typeSymbol)) {
+    const target = await findDefinition(document.uri, heritage.position);
+    if (target) {
+      direct.push({ ...heritage, ...target });
+    }
+  }
+
+  for (const location of orderForJavadoc(direct)) {
+    const key = locationKey(location.uri, location.position);
+    if (visited.has(key)) {
+      continue;
+    }
+    visited.add(key);
+
+    const supertype = await openSupertype(location);
+    if (supertype) {
+      result.push(supertype);
+      await collectFromDefinitions(
+        supertype.document,
+        supertype.symbol,
+        result,
+        visited,
+        depth + 1,
+      );
+    }
+  }
+}
+
+/**
+ * 解析声明头部的父类型名称及其位置
+ *
+ * @example "class UserServiceImpl extends BaseService<User> implements UserService {"
+ *          → BaseService（extends）、UserService（implements）
+ * @example C# "class UserService : BaseService<User>, IUserService where T : class {"
+ *          → BaseService、IUserService（按 I 前缀惯例视为接口）
+ */
+function parseHeritageClause(
+  document: TextDocument,
+  typeSymbol: DocumentSymbol,
+): { name: string; position: Position; isInterface: boolean }[] {
+  if (document.languageId === "rust") {
+    return parseRustTraitImpl(document, typeSymbol);
+  }
+
+  const text = document.getText();
+  const headerStart = document.offsetAt(typeSymbol.selectionRange.end);
+  const bodyStart = text.indexOf("{", headerStart);
+  if (bodyStart < 0) {
+    return [];
+  }
+
+  // 泛型参数中也可能出现 extends（<T extends Entity>），先用空格覆盖，保持偏移不变
+  const header = maskBracketed(text.slice(headerStart, bodyStart), "<", ">");
+  const isInterfaceDecl = typeSymbol.kind === vscode.SymbolKind.Interface;
+  const result: { name: string; position: Position; isInterface: boolean }[] = [];
+
+  if (document.languageId === "csharp") {
+    // 括号内（record 位置参数、基类构造参数）的命名参数也有 ":"，先覆盖；where 约束之后不是基类型
+    const list = /^[^:]*:([\s\S]*?)(?=\bwhere\b|$)/.exec(maskBracketed(header, "(", ")"));
+    const listOffset = list ? list[0].length - (list[1]?.length ?? 0) : 0;
+    for (const name of list?.[1]?.matchAll(/[A-Za-z_][\w.]*/g) ?? []) {
+      const simpleStart = name[0].lastIndexOf(".") + 1;
+      const simple = name[0].slice(simpleStart);
+      result.push({
+        name: simple,
+        position: document.positionAt(headerStart + listOffset + name.index + simpleStart),
+        isInterface: isInterfaceDecl || /^I[A-Z]/.test(simple),
+      });
+    }
+    return result;
+  }
+
+  const clausePattern = /\b(extends|implements)\b([\s\S]*?)(?=\b(?:extends|implements|permits)\b|$)/g;
+  let clause: RegExpExecArray | null;
+  while ((clause = clausePattern.exec(header)) !== null) {
+    const keyword = clause[1] ?? "";
+    const list = clause[2] ?? "";
+    const listOffset = clause.index + clause[0].length - list.length;
+
+    const namePattern = /[A-Za-z_$][\w$.]*/g;
+    let name: RegExpExecArray | null;
+    while ((name = namePattern.exec(list)) !== null) {
+      // 限定名（com.example.Base）取最后一段的位置，Definition Provider 才能定位到类型
+      const simpleStart = name[0].lastIndexOf(".") + 1;
+      const offset = headerStart + listOffset + name.index + simpleStart;
+      result.push({
+        name: name[0].slice(simpleStart),
+        position: document.positionAt(offset),
+        isInterface: keyword === "implements" || isInterfaceDecl,
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Rust 的 trait 实现以 trait 为父类型（视为接口），固有 impl 没有父类型
+ *
+ * rust-analyzer 的 impl 块 selectionRange 是 for 之后的类型，trait 写在它之前，
+ * 因此从块的起始位置（可能是文档注释）向下找 impl 关键字
+ *
+ * @example "impl<T: Debug> fmt::Display for Wrapper<T> {" → Display
+ */
+function parseRustTraitImpl(
+  document: TextDocument,
+  implSymbol: DocumentSymbol,
+): { name: string; position: Position; isInterface: boolean }[] {
+  const trait = parseRustImplName(implSymbol.name)?.trait;
+  if (!trait) {
+    return [];
+  }
+
+  const text = document.getText();
+  const blockStart = document.offsetAt(implSymbol.range.start);
+  const impl = /^[ \t]*(?:unsafe[ \t]+)?impl\b/m.exec(text.slice(blockStart));
+  const bodyStart = impl ? text.indexOf("{", blockStart + impl.index) : -1;
+  if (!impl || bodyStart < 0) {
+    return [];
+  }
+
+  // impl 的泛型参数中可能出现同名的 trait 约束（impl<T: Display> Display for ...）
+  const headerStart = blockStart + impl.index;
+  const header = maskBracketed(text.slice(headerStart, bodyStart), "<", ">");
+  const name = trait.replace(/<.*$/, "").replace(/^.*::/, "");
+  const nameIndex = header.search(new RegExp(`\\b${name}\\b`));
+  return nameIndex < 0
+    ? []
+    : [{ name, position: document.positionAt(headerStart + nameIndex), isInterface: true }];
+}
+
+/**
+ * 用空格覆盖 open … close 之间的内容（含括号本身），保持偏移不变
+ */
+function maskBracketed(header: string, open: string, close: string): string {
+  let masked = header;
+  let start = masked.indexOf(open);
+  while (start >= 0) {
+    const end = findMatchingIndex(masked, start, open, close);
+    if (end < 0) {
+      break;
+    }
+    masked = masked.slice(0, start) + " ".repeat(end - start + 1) + masked.slice(end + 1);
+    start = masked.indexOf(open, end + 1);
+  }
+  return masked;
+}
+
+async function findDefinition(
+  uri: Uri,
+  position: Position,
+): Promise<{ uri: Uri; position: Position } | undefined> {
+  try {
+    const result = await vscode.commands.executeCommand<
+      (Location | LocationLink)[] | undefined
+    >(EXECUTE_DEFINITION_PROVIDER, uri, position);
+    const first = result?.[0];
+    if (!first) {
+      return undefined;
+    }
+    if ("targetUri" in first) {
+      return {
+        uri: first.targetUri,
+        position: (first.targetSelectionRange ?? first.targetRange).start,
+      };
+    }
+    return { uri: first.uri, position: first.range.start };
+  } catch (error) {
+    console.error("[SupertypeResolver] Definition lookup failed:", error);
+    return undefined;
+  }
+}
+
+// ========== 公共辅助 ==========
+
+/**
+ * Javadoc 先查接口，再查父类；同类内保持声明顺序
+ */
+function orderForJavadoc<T extends { isInterface: boolean }>(items: readonly T[]): T[] {
+  return [
+    ...items.filter((item) => item.isInterface),
+    ...items.filter((item) => !item.isInterface),
+  ];
+}
+
+/**
+ * 打开父类型所在文档，并在 Symbol 树中找到该类型
+ */
+async function openSupertype(
+  location: SupertypeLocation,
+): Promise<ResolvedSupertype | undefined> {
+  try {
+    const document = await vscode.workspace.openTextDocument(location.uri);
+    const symbols = await resolveSymbols(location.uri);
+    const symbol = findTypeSymbol(symbols, location);
+    return symbol ? { name: location.name, document, symbol } : undefined;
+  } catch {
+    // 无源码（如 jar 中的 .class）
+    return undefined;
+  }
+}
+
+/**
+ * 优先按位置匹配（取最内层的类型，避免命中外部类），找不到时按名称匹配
+ */
+function findTypeSymbol(
+  symbols: readonly DocumentSymbol[],
+  location: SupertypeLocation,
+): DocumentSymbol | undefined {
+  return (
+    findTypeAtPosition(symbols, location.position) ??
+    findTypeByName(symbols, stripTypeArguments(location.name))
+  );
+}
+
+function findTypeAtPosition(
+  symbols: readonly DocumentSymbol[],
+  position: Position,
+): DocumentSymbol | undefined {
+  for (const symbol of symbols) {
+    if (isClassLikeSymbol(symbol) && symbol.range.contains(position)) {
+      return findTypeAtPosition(symbol.children, position) ?? symbol;
+    }
+  }
+  return undefined;
+}
+
+function findTypeByName(
+  symbols: readonly DocumentSymbol[],
+  name: string,
+): DocumentSymbol | undefined {
+  for (const symbol of symbols) {
+    if (!isClassLikeSymbol(symbol)) {
+      continue;
+    }
+    if (stripTypeArguments(symbol.name) === name) {
+      return symbol;
+    }
+    const nested = findTypeByName(symbol.children, name);
+    if (nested) {
+      return nested;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * 部分 Language Server 的类型名带类型参数，如 "BaseService<T>"
+ */
+function stripTypeArguments(name: string): string {
+  return name.replace(/<.*$/, "").trim();
+}
+
+function locationKey(uri: Uri, position: Position): string {
+  return `${uri.toString()}#${position.line}`;
+}
@@ -0,0 +1,112 @@
+/**
+ * WorkspaceFiles.ts - 工作区源文件枚举
+ *
+ * 覆盖率报告和文档索引扫描同一批文件：
+ * Java / TypeScript / JavaScript / Python / Kotlin / Go / C# / Rust 源文件，排除依赖（含 Python 虚拟环境和 Go 的 vendor 目录）、构建产物（含 .NET 的 bin / obj）和 .d.ts 声明文件
+ */
+
+import * as vscode from "vscode";
+import type { CancellationToken, Uri } from "vscode";
+import type { JavaDocParser, ParseOptions } from "../parser/JavaDocParser.js";
+import type { ClassDoc, SupportedLanguageId } from "../types.js";
+
+/**
+ * 参与扫描的文件
+ */
+export const SOURCE_FILE_GLOB = "**/*.{java,ts,js,py,kt,go,cs,rs}";
+
+/**
+ * 排除的目录
+ */
+export const EXCLUDED_DIR_GLOB = "**/{node_modules,out,dist,build,target,.git,.venv,venv,__pycache__,site-packages,vendor,bin,obj}/**";
+
+const EXCLUDED_DIR_PATTERN = /(?:^|[\\/])(?:node_modules|out|dist|build|target|\.git|\.venv|venv|__pycache__|site-packages|vendor|bin|obj)[\\/]/;
+
+const LANGUAGE_IDS_BY_EXTENSION: Readonly<Record<string, SupportedLanguageId>> = {
+  java: "java",
+  ts: "typescript",
+  js: "javascript",
+  py: "python",
+  kt: "kotlin",
+  go: "go",
+  cs: "csharp",
+  rs: "rust",
+};
+
+/**
+ * 查找工作区内需要扫描的源文件（按路径排序）
+ *
+ * @param maxResults - 最多返回的文件数（超出部分由 findFiles 任意截断），不传则不限制
+ */
+export async function findWorkspaceSourceFiles(
+  token?: CancellationToken,
+  maxResults?: number,
+): Promise<Uri[]> {
+  const files = await vscode.workspace.findFiles(
+    SOURCE_FILE_GLOB,
+    EXCLUDED_DIR_GLOB,
+    maxResults,
+    token,
+  );
+  return files
+    .filter(isWorkspaceSourceFile)
+    .sort((a, b) => a.fsPath.localeCompare(b.fsPath));
+}
+
+/**
+ * 文件监听器回调中判断单个文件是否需要扫描
+ *
+ * FileSystemWatcher 不支持排除模式，需要在这里再过滤一次。
+ * 按工作区相对路径判断，工作区本身位于 build / out 等目录之下时不会被整体排除
+ */
+export function isWorkspaceSourceFile(uri: Uri): boolean {
+  return uri.scheme === "file" && isSourceFilePath(vscode.workspace.asRelativePath(uri, false));
+}
+
+/**
+ * 按路径判断是否是需要扫描的源文件（也用于仓库相对路径）
+ */
+export function isSourceFilePath(filePath: string): boolean {
+  return (
+    /\.(?:java|ts|js|py|kt|go|cs|rs)$/.test(filePath) &&
+    !filePath.endsWith(".d.ts") &&
+    !EXCLUDED_DIR_PATTERN.test(filePath)
+  );
+}
+
+/**
+ * 按扩展名得到语言 ID（未打开的文件没有 TextDocument.languageId）
+ *
+ * @example "src/user.rs" → "rust"
+ */
+export function languageIdForPath(filePath: string): SupportedLanguageId | null {
+  const extension = /\.(\w+)$/.exec(filePath)?.[1] ?? "";
+  return LANGUAGE_IDS_BY_EXTENSION[extension] ?? null;
+}
+
+/**
+ * 解析工作区中的一个文件：已打开的文档使用 Language Server 的符号，其余文件读取磁盘上的文本
+ *
+ * openTextDocument 和符号查询会让每个 Language Server 收到 didOpen 并分析该文件，
+ * 批量扫描（文档索引、覆盖率报告）不应为未打开的文件付出这个代价
+ *
+ * @returns 不支持的文件类型返回 null
+ */
+export async function parseWorkspaceFile(
+  parser: JavaDocParser,
+  uri: Uri,
+  options: ParseOptions,
+): Promise<ClassDoc | null> {
+  const key = uri.toString();
+  const document = vscode.workspace.textDocuments.find((d) => d.uri.toString() === key);
+  if (document) {
+    return parser.parse(document, options);
+  }
+
+  const languageId = languageIdForPath(uri.fsPath);
+  if (!languageId) {
+    return null;
+  }
+  const text = new TextDecoder().decode(await vscode.workspace.fs.readFile(uri));
+  return parser.parseText({ uri, languageId, text }, options);
+}
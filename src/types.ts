@@ -43,10 +43,53 @@ export const ACCESS_MODIFIERS = [
   "protected",
   "private",
   "default",
+  "internal",
 ] as const satisfies readonly string[];
 
 export type AccessModifier = (typeof ACCESS_MODIFIERS)[number];
 
+/**
+ * 行内标签解析结果（描述文本被切分为若干片段）
+ * text  : 普通文本
+ * code  : {@code} / {@literal}，按代码样式展示
+ * link  : {@link} / {@linkplain}，可点击跳转；label 为空时展示 target
+ * value : {@value}，引用常量的值
+ */
+export type InlineToken =
+  | { readonly kind: "text"; readonly text: string }
+  | { readonly kind: "code"; readonly text: string }
+  | {
+      readonly kind: "link";
+      readonly target: string;
+      readonly label: string;
+      readonly plain: boolean;
+    }
+  | { readonly kind: "value"; readonly target: string };
+
+/**
+ * 文档块 —— Go / Rust 文档注释的段落结构（标题、列表、代码块）
+ * 其他方言的描述只有行内标签，不生成文档块
+ */
+export type DocBlock =
+  | { readonly kind: "paragraph"; readonly tokens: readonly InlineToken[] }
+  | { readonly kind: "heading"; readonly tokens: readonly InlineToken[] }
+  | {
+      readonly kind: "list";
+      readonly ordered: boolean;
+      readonly items: readonly (readonly InlineToken[])[];
+    }
+  | { readonly kind: "code"; readonly text: string };
+
+/**
+ * 约定小节 —— Rust 文档中的 "# Errors" / "# Panics" / "# Safety"
+ * 从描述中拆出，详情页单独展示
+ */
+export interface DocSection {
+  readonly kind: "errors" | "panics" | "safety";
+  readonly text: string; // 小节正文（不含标题），供搜索索引
+  readonly blocks: readonly DocBlock[];
+}
+
 /**
  * example javadoc
  * @param id user unique id
@@ -61,6 +104,9 @@ export interface ParamTag {
   readonly name: string;
   readonly type: string;
   readonly description: string;
+  readonly optional?: boolean; // JSDoc [name] / TS name?
+  readonly defaultValue?: string; // JSDoc [name=value] / TS name = value
+  readonly descriptionTokens?: readonly InlineToken[];
 }
 /**
  * @return tag data
@@ -68,6 +114,7 @@ export interface ParamTag {
 export interface ReturnTag {
   readonly type: string;
   readonly description: string;
+  readonly descriptionTokens?: readonly InlineToken[];
 }
 
 /**
@@ -76,6 +123,27 @@ export interface ReturnTag {
 export interface ThrowsTag {
   readonly type: string;
   readonly description: string;
+  readonly descriptionTokens?: readonly InlineToken[];
+}
+
+/**
+ * @template / @typeParam tag data (JSDoc / TSDoc)
+ * example : @template {Entity} T stored entity type
+ */
+export interface TemplateTag {
+  readonly name: string;
+  readonly constraint: string;
+  readonly description: string;
+}
+
+/**
+ * @typedef tag data, with the @property tags that follow it
+ */
+export interface TypedefTag {
+  readonly name: string;
+  readonly type: string;
+  readonly description: string;
+  readonly properties: readonly ParamTag[];
 }
 
 /**
@@ -91,8 +159,36 @@ export interface TagTable {
   readonly see: readonly string[];
   readonly doc: string | null;
   readonly example: string | null;
+  readonly templates: readonly TemplateTag[];
+  readonly typedefs: readonly TypedefTag[];
+  readonly properties: readonly ParamTag[]; // @property 不跟随 @typedef 时归属于成员自身
+  readonly remarks: string | null;
+  readonly deprecatedTokens?: readonly InlineToken[] | null;
+  readonly seeTokens?: readonly (readonly InlineToken[])[];
+  readonly receiver?: ReturnTag | null; // KDoc @receiver：扩展函数的接收者类型及说明
+  readonly samples?: readonly string[]; // KDoc @sample：示例函数的全限定名
+  readonly sections?: readonly DocSection[]; // Rust 的 # Errors / # Panics / # Safety 小节
 }
 
+/**
+ * 注释方言 —— 决定标签如何解析
+ * javadoc : Java 风格，类型来自签名 "Type name"
+ * jsdoc   : JSDoc / TSDoc 风格，类型来自 {Type} 或 TS 类型注解 "name: Type"
+ * docstring : Python 文档字符串，写在 def / class 之后（Google / NumPy / reST 风格），类型来自注解
+ * kdoc    : Kotlin KDoc，类型来自签名 "name: Type"，链接写作 [Symbol]
+ * godoc   : Go 文档注释，声明上方连续的 // 行，没有标签，链接写作 [Name]
+ * xmldoc  : C# XML 文档注释（/// <summary>…），类型来自签名 "Type name"，链接写作 <see cref="…"/>
+ * rustdoc : Rust 文档注释（/// 与 //!，Markdown），类型来自签名 "name: Type"，链接写作 [Name] / [`Name`]
+ */
+export type DocDialect =
+  | "javadoc"
+  | "jsdoc"
+  | "docstring"
+  | "kdoc"
+  | "godoc"
+  | "xmldoc"
+  | "rustdoc";
+
 /**
  * Git 作者信息
  */
@@ -100,6 +196,61 @@ export interface GitAuthorInfo {
   readonly author: string; // 原始作者
   readonly lastModifier: string; // 最后修改者
   readonly lastModifyDate: string; // 最后修改时间
+  readonly commitHash?: string | undefined; // 最后修改所在的提交（未提交的修改为全 0）
+}
+
+/**
+ * 一位贡献者在一段代码中的行数占比（来自 git blame，已应用 .mailmap，同一邮箱的别名合并）
+ */
+export interface OwnershipShare {
+  readonly author: string; // 该邮箱下行数最多的名字
+  readonly email: string;
+  readonly lines: number;
+  readonly percent: number; // 0-100 的整数
+}
+
+/**
+ * 成员相对比较基准的改动状态
+ * added    : 成员的所有行都是新增的
+ * modified : 成员范围内有新增、修改或删除的行
+ */
+export type ChangeStatus = "added" | "modified";
+
+/**
+ * 方法历史中的一次提交（git log -L）
+ */
+export interface MethodHistoryEntry {
+  readonly hash: string;
+  readonly author: string;
+  readonly email: string;
+  readonly date: string; // YYYY-MM-DD
+  readonly subject: string; // 提交信息首行
+  readonly path: string; // 该提交中的文件路径（仓库相对路径，重命名后可能与当前不同）
+  readonly previousPath: string | null; // 父提交中的文件路径，文件在该提交中新增时为 null
+  readonly startLine: LineNumber; // 该提交中方法的起始行（用于在差异编辑器中定位）
+}
+
+/**
+ * 提交中（或两个版本之间）改动的一个文件（--name-status）
+ */
+export interface CommitFileChange {
+  readonly status: string; // 状态字母：A 新增、M 修改、D 删除、R 重命名 ...
+  readonly path: string; // 仓库相对路径（重命名时为新路径）
+  readonly previousPath: string | null; // 重命名前的路径
+}
+
+/**
+ * 一次提交的详细信息（头部「最后修改」的弹出框）
+ */
+export interface CommitDetails {
+  readonly hash: string;
+  readonly author: string;
+  readonly email: string;
+  readonly date: string; // YYYY-MM-DD
+  readonly message: string; // 完整提交信息
+  readonly files: readonly CommitFileChange[];
+  // 当前文件在该提交中的改动（用于打开差异），该提交未改动当前文件时为 null
+  readonly currentFile: Pick<MethodHistoryEntry, "path" | "previousPath"> | null;
 }
 
 /**
@@ -111,6 +262,59 @@ export interface GitAuthorInfo {
  */
 export type MethodKind = "method" | "constructor";
 
+/**
+ * 继承文档的来源 —— 记录每一部分文档取自哪个父类型
+ *
+ * 【什么时候会继承？】
+ * 与 Javadoc 的规则一致：重写方法没有注释、描述为空、
+ * 缺少某个 @param / @return，或文本中写了 {@inheritDoc}
+ * 值为父类型名称，null 表示该部分来自方法自身
+ */
+export interface InheritedDocInfo {
+  readonly description: string | null; // 描述来源
+  readonly params: Readonly<Record<string, string>>; // 参数名 → 来源类型
+  readonly returns: string | null; // @return 来源
+  readonly throws: Readonly<Record<string, string>>; // 异常类型 → 来源类型
+}
+
+/**
+ * 文档诊断类别
+ * unknownParam     : @param 名称不在方法签名中
+ * missingParam     : 签名参数缺少 @param
+ * unexpectedReturn : void 方法 / 构造函数写了 @return
+ * missingReturn    : 有返回值但缺少 @return
+ * undeclaredThrows : @throws 的受检异常未在 throws 子句中声明
+ * duplicateTag     : 同一标签重复出现
+ * staleDoc         : 注释最后修改后，代码又有较新的提交（git blame 比较）
+ */
+export type DocDiagnosticCode =
+  | "unknownParam"
+  | "missingParam"
+  | "unexpectedReturn"
+  | "missingReturn"
+  | "undeclaredThrows"
+  | "duplicateTag"
+  | "staleDoc"
+  | "missingSince"
+  | "sinceMismatch";
+
+/**
+ * 单条文档诊断（发布到 Problems 面板，并在侧边栏显示数量）
+ */
+export interface DocDiagnostic {
+  readonly code: DocDiagnosticCode;
+  readonly message: string;
+  readonly line: LineNumber; // 问题所在行（标签行，缺失类问题指向方法声明）
+}
+
+/**
+ * 从 Git 标签推断的 @since：方法第一次出现在哪个发布标签中
+ */
+export interface InferredSince {
+  readonly version: string; // 写在 @since 后的值（标签去掉前缀 v），如 "1.2.0"
+  readonly tag: string; // 标签名，如 "v1.2.0"
+}
+
 /**
  * 方法文档 - 单个方法的完整信息
  */
@@ -123,17 +327,52 @@ export interface MethodDoc {
   readonly endLine: LineNumber; // 方法结束行（用于判断光标是否在方法内）
   readonly hasComment: boolean; // 是否有 Javadoc 注释
   readonly description: string; // Javadoc 描述部分
+  readonly descriptionTokens: readonly InlineToken[]; // 描述的行内标签切分结果
+  readonly descriptionBlocks?: readonly DocBlock[] | undefined; // 描述的块结构（仅 Go / Rust）
   readonly tags: TagTable; // 结构化标签
   readonly belongsTo: string; // 所属类名（内部类场景）
   readonly accessModifier: AccessModifier; // 访问修饰符
   readonly gitInfo?: GitAuthorInfo | undefined; // Git 作者信息（可选）
+  readonly inherited?: InheritedDocInfo | undefined; // 从父类型继承的部分（可选）
+  readonly commentStartLine?: LineNumber | undefined; // 注释 "/**" 所在行（无注释时为空）
+  readonly diagnostics: readonly DocDiagnostic[]; // 标签与签名不一致的问题
+  readonly changeStatus?: ChangeStatus | undefined; // 相对比较基准的改动（未比较或未改动时为空）
+  readonly ownership?: readonly OwnershipShare[] | undefined; // 注释 + 方法体各贡献者的行数占比（可选）
+  readonly inferredSince?: InferredSince | undefined; // 由 Git 标签推断的 @since（仅有注释的公开方法）
+}
+/**
+ * 成员符号来源
+ * languageServer : DocumentSymbolProvider 提供
+ * heuristic      : LS 无结果时从源码文本推断，可能不完整
+ */
+export type SymbolSource = "languageServer" | "heuristic";
+
+/**
+ * 文档覆盖率计数
+ */
+export interface CoverageCounts {
+  readonly documented: number; // 有注释的成员数
+  readonly total: number; // 成员总数
 }
+
+/**
+ * 文档覆盖率汇总（方法、构造函数、字段、枚举常量）
+ *
+ * byAccess 按访问修饰符拆分；枚举常量隐式 public，计入 public
+ */
+export interface CoverageSummary extends CoverageCounts {
+  readonly byAccess: Readonly<Record<AccessModifier, CoverageCounts>>;
+}
+
 /**
  * 类文档 - 整个 Java 文件的解析结果
  */
 export interface ClassDoc {
   readonly className: string; // 类名
+  readonly classLine: LineNumber; // 类声明所在行（以文件 / 模块为类时为模块文档或 package 子句所在行）
   readonly classComment: string; // 类注释
+  readonly classCommentTokens: readonly InlineToken[]; // 类注释的行内标签切分结果
+  readonly classCommentBlocks?: readonly DocBlock[] | undefined; // 类注释的块结构（仅 Go 的包注释、Rust 的模块文档）
   readonly packageName: string; // 包名
   readonly filePath: FilePath; // 文件路径
   readonly methods: readonly MethodDoc[]; // 方法列表（扁平化，含内部类）
@@ -142,13 +381,42 @@ export interface ClassDoc {
   readonly gitInfo?: GitAuthorInfo | undefined; // 类的 Git 作者信息（可选）
   readonly javadocAuthor?: string | undefined; // Javadoc @author 标签
   readonly javadocSince?: string | undefined; // Javadoc @since 标签
+  readonly symbolSource: SymbolSource; // 成员符号来源
+  readonly coverage: CoverageSummary; // 文档覆盖率
+  readonly changeBase?: string | undefined; // 改动标记的比较基准，如 "HEAD"、"main"（未比较时为空）
+  readonly ownership?: readonly OwnershipShare[] | undefined; // 整个文件各贡献者的行数占比（可选）
 }
 
+/**
+ * 工作区文档搜索结果
+ */
+export interface DocSearchResult {
+  readonly uri: string; // 文件 URI（字符串形式，便于 postMessage）
+  readonly fileName: string; // 文件名
+  readonly className: string; // 所属类名
+  readonly name: string; // 成员名（类本身为类名）
+  readonly kind: DocSearchKind;
+  readonly signature: string; // 签名，类为空字符串
+  readonly snippet: string; // 命中的描述 / 标签文本片段，名称或签名命中时为描述开头
+  readonly line: LineNumber; // 声明所在行
+}
+
+export type DocSearchKind =
+  | "class"
+  | "method"
+  | "constructor"
+  | "field"
+  | "enumConstant";
+
 /**
  * Extension → Webview 的下行消息
  * updateView : 刷新整个视图
  * highlightMethod : 高亮某个方法
  * clearView : 清空视图
+ * searchResults : 工作区搜索结果
+ * updateSettings : 影响渲染的配置项
+ * methodHistory : 方法的提交历史（entries 为 null 表示不在 Git 仓库或查询失败）
+ * commitDetails : 提交详情（details 为 null 表示查询失败）
  */
 export type DownstreamMessage =
   | { readonly type: "updateView"; readonly payload: ClassDoc }
@@ -157,8 +425,35 @@ export type DownstreamMessage =
   | {
       readonly type: "updateMarkdown";
       readonly payload: { content: string; fileName: string };
+    }
+  | {
+      readonly type: "searchResults";
+      readonly payload: {
+        query: string;
+        results: readonly DocSearchResult[];
+        indexing: boolean; // 索引尚未建立完成，结果可能不全
+      };
+    }
+  | { readonly type: "updateSettings"; readonly payload: WebviewSettings }
+  | {
+      readonly type: "methodHistory";
+      readonly payload: {
+        id: MethodId;
+        entries: readonly MethodHistoryEntry[] | null;
+      };
+    }
+  | {
+      readonly type: "commitDetails";
+      readonly payload: { hash: string; details: CommitDetails | null };
     };
 
+/**
+ * Webview 渲染需要的配置项（ExtensionConfig 的子集）
+ */
+export interface WebviewSettings {
+  readonly compactLastModified: boolean;
+}
+
 /**
  * 字段文档 - 普通字段和常量的信息
  */
@@ -169,9 +464,13 @@ export interface FieldDoc {
   readonly startLine: LineNumber;
   readonly hasComment: boolean;
   readonly description: string;
+  readonly descriptionTokens: readonly InlineToken[];
+  readonly descriptionBlocks?: readonly DocBlock[] | undefined; // 描述的块结构（仅 Go / Rust）
   readonly isConstant: boolean;
   readonly accessModifier: AccessModifier;
   readonly belongsTo: string;
+  readonly gitInfo?: GitAuthorInfo | undefined; // Git 作者信息（可选）
+  readonly changeStatus?: ChangeStatus | undefined; // 相对比较基准的改动（可选）
 }
 
 /**
@@ -190,14 +489,33 @@ export interface EnumConstantDoc {
   readonly startLine: LineNumber; // 声明所在行
   readonly hasComment: boolean; // 是否有 Javadoc
   readonly description: string; // Javadoc 描述
+  readonly descriptionTokens: readonly InlineToken[]; // 描述的行内标签切分结果
   readonly arguments: string; // 构造参数文本，如 "(200, \"OK\")"，无参数则为 ""
   readonly belongsTo: string; // 所属枚举类名
+  readonly accessModifier: AccessModifier; // 所属枚举的可见性（常量本身没有修饰符）
 }
 /**
  * Webview → Extension 的上行消息
  */
 export type UpstreamMessage =
   | { readonly type: "jumpToLine"; readonly payload: { line: LineNumber } } // 跳转到某行
+  | { readonly type: "openLink"; readonly payload: { target: string } } // 打开 {@link} 目标
+  | { readonly type: "generateDoc"; readonly payload: { line: LineNumber } } // 为无注释成员生成注释
+  | { readonly type: "searchDocs"; readonly payload: { query: string } } // 工作区搜索
+  | {
+      readonly type: "openSearchResult";
+      readonly payload: { uri: string; line: LineNumber };
+    } // 打开搜索结果
+  | { readonly type: "loadMethodHistory"; readonly payload: { id: MethodId } } // 查询方法历史
+  | {
+      readonly type: "openCommitDiff";
+      readonly payload: Pick<
+        MethodHistoryEntry,
+        "hash" | "path" | "previousPath" | "startLine" | "subject"
+      >;
+    } // 打开某次提交的差异
+  | { readonly type: "loadCommitDetails"; readonly payload: { hash: string } } // 查询提交详情
+  | { readonly type: "copyCommitHash"; readonly payload: { hash: string } } // 复制提交哈希
   | { readonly type: "webviewReady" }; // Webview 加载完成
 
 /**
@@ -224,6 +542,67 @@ export function isUpstreamMessage(value: unknown): value is UpstreamMessage {
         typeof (msg["payload"] as Record<string, unknown>)["line"] === "number"
       );
 
+    case "generateDoc":
+      return (
+        typeof msg["payload"] === "object" &&
+        msg["payload"] !== null &&
+        typeof (msg["payload"] as Record<string, unknown>)["line"] === "number"
+      );
+
+    case "openLink":
+      return (
+        typeof msg["payload"] === "object" &&
+        msg["payload"] !== null &&
+        typeof (msg["payload"] as Record<string, unknown>)["target"] ===
+          "string"
+      );
+
+    case "searchDocs":
+      return (
+        typeof msg["payload"] === "object" &&
+        msg["payload"] !== null &&
+        typeof (msg["payload"] as Record<string, unknown>)["query"] === "string"
+      );
+
+    case "openSearchResult":
+      return (
+        typeof msg["payload"] === "object" &&
+        msg["payload"] !== null &&
+        typeof (msg["payload"] as Record<string, unknown>)["uri"] === "string" &&
+        typeof (msg["payload"] as Record<string, unknown>)["line"] === "number"
+      );
+
+    case "loadMethodHistory":
+      return (
+        typeof msg["payload"] === "object" &&
+        msg["payload"] !== null &&
+        typeof (msg["payload"] as Record<string, unknown>)["id"] === "string"
+      );
+
+    case "openCommitDiff": {
+      if (typeof msg["payload"] !== "object" || msg["payload"] === null) {
+        return false;
+      }
+      const payload = msg["payload"] as Record<string, unknown>;
+      return (
+        typeof payload["hash"] === "string" &&
+        /^[0-9a-f]{40}$/.test(payload["hash"]) &&
+        typeof payload["path"] === "string" &&
+        (payload["previousPath"] === null || typeof payload["previousPath"] === "string") &&
+        typeof payload["startLine"] === "number" &&
+        typeof payload["subject"] === "string"
+      );
+    }
+
+    case "loadCommitDetails":
+    case "copyCommitHash":
+      return (
+        typeof msg["payload"] === "object" &&
+        msg["payload"] !== null &&
+        typeof (msg["payload"] as Record<string, unknown>)["hash"] === "string" &&
+        /^[0-9a-f]{40}$/.test((msg["payload"] as Record<string, unknown>)["hash"] as string)
+      );
+
     case "webviewReady":
       return true;
 
@@ -239,6 +618,12 @@ export interface ExtensionConfig {
   readonly enableAutoHighlight: boolean; // 是否启用反向联动
   readonly debounceDelay: number; // 防抖延迟（毫秒）
   readonly maxMethods: number; // 最大方法数
+  readonly editDebounceDelay: number; // 编辑时重新解析的防抖延迟（毫秒），0 表示只在保存时刷新
+  readonly compactLastModified: boolean; // 简洁视图显示每个成员的最后修改者和时间
+  readonly diffBase: string; // 改动标记的比较基准：空为未提交的修改，否则为分支 / 提交（与 HEAD 的 merge-base）
+  readonly staleDocCommits: number; // 代码比注释新多少次提交时提示文档可能过期，0 表示不按提交数判断
+  readonly staleDocDays: number; // 代码比注释新多少天时提示文档可能过期，0 表示不按天数判断
+  readonly sinceTagPattern: string; // 视为发布版本的 Git 标签（正则），空字符串表示不推断 @since
 }
 
 /**
@@ -248,21 +633,58 @@ export const DEFAULT_CONFIG: ExtensionConfig = {
   enableAutoHighlight: true,
   debounceDelay: 300,
   maxMethods: 200,
+  editDebounceDelay: 500,
+  compactLastModified: false,
+  diffBase: "",
+  staleDocCommits: 3,
+  staleDocDays: 180,
+  sinceTagPattern: "^v?\\d+(\\.\\d+)*$",
 } as const satisfies ExtensionConfig;
 
 export type SupportedLanguageId =
   | "java"
   | "typescript"
   | "javascript"
+  | "python"
+  | "kotlin"
+  | "go"
+  | "csharp"
+  | "rust"
   | "markdown";
 
 const SUPPORTED_LANGUAGE_IDS: Set<string> = new Set([
   "java",
   "typescript",
   "javascript",
+  "python",
+  "kotlin",
+  "go",
+  "csharp",
+  "rust",
   "markdown",
 ]);
 
+export function getDocDialect(languageId: string): DocDialect {
+  if (languageId === "python") {
+    return "docstring";
+  }
+  if (languageId === "kotlin") {
+    return "kdoc";
+  }
+  if (languageId === "go") {
+    return "godoc";
+  }
+  if (languageId === "csharp") {
+    return "xmldoc";
+  }
+  if (languageId === "rust") {
+    return "rustdoc";
+  }
+  return languageId === "typescript" || languageId === "javascript"
+    ? "jsdoc"
+    : "javadoc";
+}
+
 export function isSupportedLanguage(
   languageId: string,
 ): languageId is SupportedLanguageId {
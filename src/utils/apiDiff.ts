@@ -0,0 +1,255 @@
+/**
+ * apiDiff.ts - 两个版本之间的公开 API 差异
+ *
+ * 参与比较的成员由各方言判断（DialectStrategy.isPublicApi）：如 Java 的 public / protected、JS / TS 中未标记 private 的成员、
+ * Python 中不以 _ 开头的成员、Go 中首字母大写的导出成员。
+ * 枚举常量的可见性取所属枚举：包内可见或 private 的枚举中的常量不参与比较。
+ *
+ * 【配对】
+ * 成员按 "所属类#名称" 分组：声明完全相同的先配对，剩下的两边各只有一个时视为同一成员被修改，
+ * 否则（重载增减）分别记为删除和新增。
+ *
+ * 【可能的破坏性变更】
+ * 删除成员、参数列表或返回类型变化、可见性收窄。
+ * 比较的是声明文本，不理解类型：只改参数名也会被标记，需要人工确认
+ */
+
+import type { AccessModifier, ClassDoc, MethodDoc } from "../types.js";
+import type { DialectStrategy } from "../parser/DialectStrategy.js";
+import { findMatchingIndex } from "../parser/TagParser.js";
+
+/**
+ * 参与比较的成员
+ */
+export interface ApiMember {
+  readonly kind: "method" | "constructor" | "field" | "enumConstant";
+  readonly belongsTo: string; // 所属类名（内部类为 "Outer.Inner"）
+  readonly name: string;
+  readonly accessModifier: AccessModifier; // JS / TS 未标记的成员记为 public
+  readonly declaration: string; // 空白归一后的声明
+  readonly parameters: string | null; // 参数列表文本，字段和枚举常量为 null
+  readonly returnType: string | null;
+  readonly doc: string; // 描述和标签，只用于判断文档是否变化
+  readonly deprecated: string | null; // @deprecated 说明，未废弃为 null
+  readonly line: number;
+}
+
+/**
+ * 单个成员的变化
+ */
+export interface ApiChange {
+  readonly kind: "added" | "removed" | "changed";
+  readonly before: ApiMember | null; // 新增时为 null
+  readonly after: ApiMember | null; // 删除时为 null
+  readonly notes: readonly string[]; // 变化说明，如 "返回类型：int → long"
+  readonly breaking: boolean;
+}
+
+/**
+ * 读取方法声明的回调（由 JavaDocParser 提供，需要源码文本）
+ */
+export type MethodDeclarationReader = (method: MethodDoc) => {
+  readonly declaration: string;
+  readonly returnType: string | null;
+};
+
+// 可见范围从大到小；Kotlin internal 对模块外不可见，与包内可见同级
+const ACCESS_RANK: Readonly<Record<AccessModifier, number>> = {
+  public: 3,
+  protected: 2,
+  default: 1,
+  internal: 1,
+  private: 0,
+};
+
+/**
+ * 从解析结果中收集公开成员
+ */
+export function collectApiMembers(
+  classDoc: Pick<ClassDoc, "methods" | "fields" | "enumConstants">,
+  strategy: DialectStrategy,
+  readMethod: MethodDeclarationReader,
+): ApiMember[] {
+  const members: ApiMember[] = [];
+
+  for (const method of classDoc.methods) {
+    if (!strategy.isPublicApi(method.accessModifier, method.name)) continue;
+    const accessModifier = strategy.apiAccess(method.accessModifier);
+    const { declaration, returnType } = readMethod(method);
+    members.push({
+      kind: method.kind,
+      belongsTo: method.belongsTo,
+      name: method.name,
+      accessModifier,
+      declaration,
+      parameters: readParameterList(declaration),
+      returnType: method.kind === "constructor" ? null : returnType,
+      doc: JSON.stringify([method.description, method.tags]),
+      deprecated: method.tags.deprecated,
+      line: method.startLine,
+    });
+  }
+
+  for (const field of classDoc.fields) {
+    if (!strategy.isPublicApi(field.accessModifier, field.name)) continue;
+    const accessModifier = strategy.apiAccess(field.accessModifier);
+    members.push({
+      kind: "field",
+      belongsTo: field.belongsTo,
+      name: field.name,
+      accessModifier,
+      declaration: `${field.type} ${field.name}`.trim(),
+      parameters: null,
+      returnType: null,
+      doc: field.description,
+      deprecated: null,
+      line: field.startLine,
+    });
+  }
+
+  // 枚举常量隐式 public static final，能否从外部访问取决于所属枚举
+  for (const constant of classDoc.enumConstants) {
+    if (!strategy.isPublicApi(constant.accessModifier, constant.belongsTo)) continue;
+    const accessModifier = strategy.apiAccess(constant.accessModifier);
+    members.push({
+      kind: "enumConstant",
+      belongsTo: constant.belongsTo,
+      name: constant.name,
+      accessModifier,
+      declaration: constant.name,
+      parameters: null,
+      returnType: null,
+      doc: constant.description,
+      deprecated: null,
+      line: constant.startLine,
+    });
+  }
+
+  return members;
+}
+
+/**
+ * 比较同一文件两个版本的公开成员
+ *
+ * @param before - 旧版本的成员（新增的文件传空数组）
+ * @param after - 新版本的成员（删除的文件传空数组）
+ * @returns 按所属类、行号排序的变化；未变化的成员不出现
+ */
+export function diffApiMembers(
+  before: readonly ApiMember[],
+  after: readonly ApiMember[],
+): ApiChange[] {
+  const beforeGroups = groupByKey(before);
+  const afterGroups = groupByKey(after);
+  const changes: ApiChange[] = [];
+
+  for (const key of new Set([...beforeGroups.keys(), ...afterGroups.keys()])) {
+    const olds = [...(beforeGroups.get(key) ?? [])];
+    const news = [...(afterGroups.get(key) ?? [])];
+    const pairs: [ApiMember, ApiMember][] = [];
+
+    for (const old of [...olds]) {
+      const index = news.findIndex((member) => member.declaration === old.declaration);
+      const match = news[index];
+      if (match) {
+        pairs.push([old, match]);
+        news.splice(index, 1);
+        olds.splice(olds.indexOf(old), 1);
+      }
+    }
+    const [onlyOld] = olds;
+    const [onlyNew] = news;
+    if (olds.length === 1 && news.length === 1 && onlyOld && onlyNew) {
+      pairs.push([onlyOld, onlyNew]);
+      olds.length = 0;
+      news.length = 0;
+    }
+
+    for (const member of olds) {
+      changes.push({ kind: "removed", before: member, after: null, notes: [], breaking: true });
+    }
+    for (const member of news) {
+      changes.push({ kind: "added", before: null, after: member, notes: [], breaking: false });
+    }
+    for (const [old, current] of pairs) {
+      const change = compareMembers(old, current);
+      if (change) {
+        changes.push(change);
+      }
+    }
+  }
+
+  return changes.sort((a, b) => {
+    const left = a.after ?? a.before;
+    const right = b.after ?? b.before;
+    return (
+      (left?.belongsTo ?? "").localeCompare(right?.belongsTo ?? "") ||
+      (left?.line ?? 0) - (right?.line ?? 0)
+    );
+  });
+}
+
+/**
+ * 同一成员两个版本的差异，没有变化时返回 null
+ */
+function compareMembers(before: ApiMember, after: ApiMember): ApiChange | null {
+  const notes: string[] = [];
+  let breaking = false;
+
+  if (before.declaration !== after.declaration) {
+    const noteCount = notes.length;
+    if (before.parameters !== after.parameters) {
+      notes.push(`参数列表：(${before.parameters ?? ""}) → (${after.parameters ?? ""})`);
+      breaking = true;
+    }
+    if (before.returnType !== after.returnType) {
+      notes.push(`返回类型：${before.returnType ?? "无"} → ${after.returnType ?? "无"}`);
+      breaking = true;
+    }
+    if (before.accessModifier !== after.accessModifier) {
+      notes.push(`可见性：${before.accessModifier} → ${after.accessModifier}`);
+      breaking ||= ACCESS_RANK[after.accessModifier] < ACCESS_RANK[before.accessModifier];
+    }
+    if (notes.length === noteCount) {
+      notes.push("声明变化");
+    }
+  }
+
+  if (before.deprecated === null && after.deprecated !== null) {
+    notes.push(after.deprecated ? `新增 @deprecated：${after.deprecated}` : "新增 @deprecated");
+  } else if (before.deprecated !== null && after.deprecated === null) {
+    notes.push("移除 @deprecated");
+  }
+
+  if (before.doc !== after.doc) {
+    notes.push("文档变化");
+  }
+
+  return notes.length > 0 ? { kind: "changed", before, after, notes, breaking } : null;
+}
+
+/**
+ * 声明中第一个括号内的参数列表
+ */
+function readParameterList(declaration: string): string | null {
+  const openParen = declaration.indexOf("(");
+  const closeParen = openParen >= 0 ? findMatchingIndex(declaration, openParen, "(", ")") : -1;
+  return closeParen < 0 ? null : declaration.slice(openParen + 1, closeParen).trim();
+}
+
+/**
+ * JS / TS 成员默认公开
+ */
+function groupByKey(members: readonly ApiMember[]): Map<string, ApiMember[]> {
+  const groups = new Map<string, ApiMember[]>();
+  for (const member of members) {
+    const key = `${member.belongsTo}#${member.name}`;
+    const group = groups.get(key);
+    if (group) {
+      group.push(member);
+    } else {
+      groups.set(key, [member]);
+    }
+  }
+  return groups;
+}
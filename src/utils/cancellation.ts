@@ -0,0 +1,58 @@
+/**
+ * cancellation.ts - 取消令牌工具函数
+ *
+ * 【约定】
+ * 被取消的操作抛出 vscode.CancellationError，由发起方（如 SidebarProvider.refresh）
+ * 用 isCancellationError 识别后静默丢弃，不当作解析失败记录日志
+ */
+
+import * as vscode from "vscode";
+import type { CancellationToken } from "vscode";
+
+/**
+ * 令牌已取消时抛出 CancellationError
+ */
+export function throwIfCancelled(token: CancellationToken | undefined): void {
+  if (token?.isCancellationRequested) {
+    throw new vscode.CancellationError();
+  }
+}
+
+export function isCancellationError(error: unknown): boolean {
+  return error instanceof vscode.CancellationError;
+}
+
+/**
+ * 等待 promise，令牌取消时立即以 CancellationError 拒绝
+ *
+ * 不会中止 promise 本身：适用于多个调用方共享的请求（如符号请求去重），
+ * 一个调用方放弃等待不应影响其他调用方
+ */
+export function raceCancellation<T>(
+  promise: Promise<T>,
+  token: CancellationToken | undefined,
+): Promise<T> {
+  if (!token) {
+    return promise;
+  }
+  if (token.isCancellationRequested) {
+    return Promise.reject(new vscode.CancellationError());
+  }
+
+  return new Promise<T>((resolve, reject) => {
+    const listener = token.onCancellationRequested(() => {
+      listener.dispose();
+      reject(new vscode.CancellationError());
+    });
+    promise.then(
+      (value) => {
+        listener.dispose();
+        resolve(value);
+      },
+      (error: unknown) => {
+        listener.dispose();
+        reject(error);
+      },
+    );
+  });
+}
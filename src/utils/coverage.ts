@@ -0,0 +1,132 @@
+/**
+ * coverage.ts - 文档覆盖率计算
+ *
+ * 成员 = 方法 + 构造函数 + 字段 + 枚举常量，有注释（hasComment）即视为已文档化。
+ * 访问修饰符按调用方看到的可见性统计（JS / TS 未标记的成员计为 public），是否属于公开 API 由方言判断。
+ * 汇总可以逐级合并：类 → 包 → 工作区。
+ */
+
+import type {
+  AccessModifier,
+  ClassDoc,
+  CoverageCounts,
+  CoverageSummary,
+} from "../types.js";
+import { ACCESS_MODIFIERS } from "../types.js";
+import type { DialectStrategy } from "../parser/DialectStrategy.js";
+
+/**
+ * 参与覆盖率统计的成员
+ */
+export interface CoverageMember {
+  readonly name: string;
+  readonly kind: "method" | "constructor" | "field" | "enumConstant";
+  readonly accessModifier: AccessModifier;
+  readonly isApi: boolean; // 是否属于公开 API（DialectStrategy.isPublicApi）
+  readonly documented: boolean;
+  readonly line: number;
+  readonly belongsTo: string; // 所属类名（内部类为 "Outer.Inner"）
+}
+
+/**
+ * 从解析结果中收集成员
+ */
+export function collectCoverageMembers(
+  classDoc: Pick<ClassDoc, "methods" | "fields" | "enumConstants">,
+  strategy: DialectStrategy,
+): CoverageMember[] {
+  return [
+    ...classDoc.methods.map((m) => ({
+      name: m.name,
+      kind: m.kind,
+      accessModifier: strategy.apiAccess(m.accessModifier),
+      isApi: strategy.isPublicApi(m.accessModifier, m.name),
+      documented: m.hasComment,
+      line: m.startLine,
+      belongsTo: m.belongsTo,
+    })),
+    ...classDoc.fields.map((f) => ({
+      name: f.name,
+      kind: "field" as const,
+      accessModifier: strategy.apiAccess(f.accessModifier),
+      isApi: strategy.isPublicApi(f.accessModifier, f.name),
+      documented: f.hasComment,
+      line: f.startLine,
+      belongsTo: f.belongsTo,
+    })),
+    // 常量本身没有修饰符，可见性取所属枚举（与 API 差异报告一致）
+    ...classDoc.enumConstants.map((e) => ({
+      name: e.name,
+      kind: "enumConstant" as const,
+      accessModifier: strategy.apiAccess(e.accessModifier),
+      isApi: strategy.isPublicApi(e.accessModifier, e.name),
+      documented: e.hasComment,
+      line: e.startLine,
+      belongsTo: e.belongsTo,
+    })),
+  ];
+}
+
+/**
+ * 统计一组成员的覆盖率
+ */
+export function computeCoverage(members: readonly CoverageMember[]): CoverageSummary {
+  const byAccess = createEmptyByAccess();
+  for (const member of members) {
+    const counts = byAccess[member.accessModifier];
+    byAccess[member.accessModifier] = {
+      documented: counts.documented + (member.documented ? 1 : 0),
+      total: counts.total + 1,
+    };
+  }
+  return {
+    documented: members.filter((m) => m.documented).length,
+    total: members.length,
+    byAccess,
+  };
+}
+
+/**
+ * 合并多个汇总（包 / 工作区）
+ */
+export function mergeCoverage(summaries: readonly CoverageSummary[]): CoverageSummary {
+  const byAccess = createEmptyByAccess();
+  let documented = 0;
+  let total = 0;
+
+  for (const summary of summaries) {
+    documented += summary.documented;
+    total += summary.total;
+    for (const access of ACCESS_MODIFIERS) {
+      byAccess[access] = addCounts(byAccess[access], summary.byAccess[access]);
+    }
+  }
+
+  return { documented, total, byAccess };
+}
+
+/**
+ * 百分比文本，没有成员时返回 "-"
+ *
+ * @example { documented: 41, total: 50 } → "82%"
+ */
+export function formatCoverage(counts: CoverageCounts): string {
+  if (counts.total === 0) {
+    return "-";
+  }
+  return `${Math.floor((counts.documented / counts.total) * 100)}%`;
+}
+
+function createEmptyByAccess(): Record<AccessModifier, CoverageCounts> {
+  return {
+    public: { documented: 0, total: 0 },
+    protected: { documented: 0, total: 0 },
+    private: { documented: 0, total: 0 },
+    default: { documented: 0, total: 0 },
+    internal: { documented: 0, total: 0 },
+  };
+}
+
+function addCounts(a: CoverageCounts, b: CoverageCounts): CoverageCounts {
+  return { documented: a.documented + b.documented, total: a.total + b.total };
+}